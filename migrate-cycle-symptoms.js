@@ -0,0 +1,72 @@
+const admin = require('firebase-admin');
+require('dotenv').config();
+
+const { SYMPTOM_CATALOG_VERSION, mapFreeTextSymptoms } = require('./src/utils/symptom-catalog');
+
+// Initialize Firebase Admin
+const serviceAccount = {
+  projectId: process.env.FIREBASE_PROJECT_ID,
+  clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+  privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n')
+};
+
+admin.initializeApp({
+  credential: admin.credential.cert(serviceAccount)
+});
+
+const db = admin.firestore();
+const BATCH_SIZE = 400;
+
+// Map free-text cycle symptoms to symptom catalog IDs.
+// Safe to re-run: cycles already mapped with the current catalog version are skipped.
+async function migrateCycleSymptoms() {
+  let updated = 0;
+  let skipped = 0;
+  const unmapped = new Set();
+
+  try {
+    const snapshot = await db.collection('cycles').get();
+    let batch = db.batch();
+    let pending = 0;
+
+    for (const doc of snapshot.docs) {
+      const cycle = doc.data();
+
+      if (!Array.isArray(cycle.symptoms) || cycle.symptom_catalog_version === SYMPTOM_CATALOG_VERSION) {
+        skipped++;
+        continue;
+      }
+
+      const mapping = mapFreeTextSymptoms(cycle.symptoms);
+      mapping.unmapped_symptoms.forEach(text => unmapped.add(text));
+
+      batch.update(doc.ref, {
+        ...mapping,
+        symptom_catalog_version: SYMPTOM_CATALOG_VERSION
+      });
+      updated++;
+      pending++;
+
+      if (pending === BATCH_SIZE) {
+        await batch.commit();
+        batch = db.batch();
+        pending = 0;
+      }
+    }
+
+    if (pending > 0) {
+      await batch.commit();
+    }
+
+    console.log(`Cycles updated: ${updated}, skipped: ${skipped}`);
+    if (unmapped.size > 0) {
+      console.log('Symptoms without a catalog match:', [...unmapped].join(', '));
+    }
+  } catch (error) {
+    console.error('Error migrating cycle symptoms:', error);
+  }
+
+  process.exit(0);
+}
+
+migrateCycleSymptoms();
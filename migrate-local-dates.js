@@ -0,0 +1,103 @@
+const admin = require('firebase-admin');
+require('dotenv').config();
+
+const { toDate, toDateKey, toLocalDateKey, resolveTimeZone } = require('./src/utils/dates');
+
+// Initialize Firebase Admin
+const serviceAccount = {
+  projectId: process.env.FIREBASE_PROJECT_ID,
+  clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+  privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n')
+};
+
+admin.initializeApp({
+  credential: admin.credential.cert(serviceAccount)
+});
+
+const db = admin.firestore();
+const BATCH_SIZE = 400;
+
+const isUtcMidnight = (value) => {
+  const date = toDate(value);
+  return date && date.getUTCHours() === 0 && date.getUTCMinutes() === 0 && date.getUTCSeconds() === 0;
+};
+
+// How each collection's local day is derived
+const COLLECTIONS = {
+  // log_date was saved as UTC midnight of the chosen day, or as an instant when a time was sent
+  nutrition_logs: (log, timeZone) => (isUtcMidnight(log.log_date)
+    ? toDateKey(log.log_date)
+    : toLocalDateKey(log.log_date || log.created_at, timeZone)),
+  fitness_logs: (log, timeZone) => toLocalDateKey(log.logged_at || log.created_at, timeZone),
+  mental_health_logs: (log, timeZone) => toLocalDateKey(log.logged_at || log.created_at, timeZone),
+  // Day-keyed logs already store the local day
+  period_entries: (log) => log.entry_date,
+  fertility_logs: (log) => log.log_date,
+  hot_flash_logs: (log) => log.log_date,
+  symptom_logs: (log) => log.log_date,
+  drsp_ratings: (log) => log.rating_date
+};
+
+// Add local_date and time_zone to existing logs using each user's profile time zone.
+// Required deploy step: date-range queries filter on local_date, so logs without
+// one are missing from ranges, the calendar and statistics until this has run.
+// Safe to re-run: logs that already have a local_date are skipped.
+async function migrateLocalDates() {
+  const timeZones = new Map();
+
+  const getTimeZone = async (userId) => {
+    if (!timeZones.has(userId)) {
+      const profile = await db.collection('user_profiles').doc(userId).get();
+      timeZones.set(userId, resolveTimeZone(profile.exists ? profile.data().time_zone : null));
+    }
+    return timeZones.get(userId);
+  };
+
+  try {
+    for (const [collectionName, getLocalDate] of Object.entries(COLLECTIONS)) {
+      let updated = 0;
+      let skipped = 0;
+
+      const snapshot = await db.collection(collectionName).get();
+      let batch = db.batch();
+      let pending = 0;
+
+      for (const doc of snapshot.docs) {
+        const log = doc.data();
+        if (log.local_date || !log.user_id) {
+          skipped++;
+          continue;
+        }
+
+        const timeZone = await getTimeZone(log.user_id);
+        const localDate = getLocalDate(log, timeZone);
+        if (!localDate) {
+          skipped++;
+          continue;
+        }
+
+        batch.update(doc.ref, { local_date: localDate, time_zone: timeZone });
+        updated++;
+        pending++;
+
+        if (pending === BATCH_SIZE) {
+          await batch.commit();
+          batch = db.batch();
+          pending = 0;
+        }
+      }
+
+      if (pending > 0) {
+        await batch.commit();
+      }
+
+      console.log(`${collectionName}: updated ${updated}, skipped ${skipped}`);
+    }
+  } catch (error) {
+    console.error('Error migrating local dates:', error);
+  }
+
+  process.exit(0);
+}
+
+migrateLocalDates();
@@ -5,6 +5,7 @@ require('dotenv').config();
 const firebaseService = require('./services/firebase');
 const firestoreService = require('./services/firestore');
 const openaiService = require('./services/openai');
+const schedulerService = require('./services/scheduler');
 
 // Import utilities
 const { formatSuccessResponse } = require('./utils/helpers');
@@ -141,6 +142,32 @@ const startServer = async () => {
       console.log('🌙 ================================');
     });
 
+    // Reminder jobs (set SCHEDULER_ENABLED=false on extra instances to avoid duplicate notifications)
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+      schedulerService.start();
+    }
+
+    // Graceful shutdown handling
+    const gracefulShutdown = (signal) => {
+      console.log(`\n🛑 Received ${signal}. Starting graceful shutdown...`);
+      schedulerService.stop();
+
+      server.close(() => {
+        console.log('✅ HTTP server closed');
+        process.exit(0);
+      });
+
+      // Force close after 10 seconds
+      setTimeout(() => {
+        console.error('❌ Could not close connections in time, forcefully shutting down');
+        process.exit(1);
+      }, 10000);
+    };
+
+    // Listen for termination signals
+    process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+    process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+
     return server;
   } catch (error) {
     console.error('❌ Server startup failed:', error.message);
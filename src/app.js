@@ -5,6 +5,7 @@ require('dotenv').config();
 const firebaseService = require('./services/firebase');
 const firestoreService = require('./services/firestore');
 const openaiService = require('./services/openai');
+const schedulerService = require('./services/scheduler');
 
 // Import middleware
 const { cors, helmet, securityHeaders, ipRateLimit, healthCheckBypass } = require('./middleware/security');
@@ -187,9 +188,15 @@ const startServer = async () => {
       console.log('🌙 ================================');
     });
 
+    // Reminder jobs (set SCHEDULER_ENABLED=false on extra instances to avoid duplicate notifications)
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+      schedulerService.start();
+    }
+
     // Graceful shutdown handling
     const gracefulShutdown = (signal) => {
       console.log(`\n🛑 Received ${signal}. Starting graceful shutdown...`);
+      schedulerService.stop();
       
       server.close(() => {
         console.log('✅ HTTP server closed');
@@ -1,6 +1,11 @@
 const firebaseService = require('../services/firebase');
+const firestoreService = require('../services/firestore');
+const calendarFeedService = require('../services/calendar-feed');
+const aiPrivacyService = require('../services/ai-privacy');
+const aiUsageService = require('../services/ai-usage');
 const { formatErrorResponse } = require('../utils/helpers');
 const { HTTP_STATUS } = require('../utils/constants');
+const { DEFAULT_TIME_ZONE } = require('../utils/dates');
 
 /**
  * Middleware to authenticate Firebase users
@@ -63,6 +68,41 @@ const authenticateUser = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to authenticate calendar feed requests
+ * Calendar clients cannot send Firebase tokens, so the feed URL carries a
+ * revocable feed token (?token=...) that only grants read access to the feed
+ */
+const authenticateFeedToken = async (req, res, next) => {
+  try {
+    const token = req.query.token;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json(
+        formatErrorResponse('Calendar feed token required', HTTP_STATUS.UNAUTHORIZED)
+      );
+    }
+
+    const feedToken = await calendarFeedService.resolveFeedToken(token);
+
+    if (!feedToken) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json(
+        formatErrorResponse('Invalid or revoked calendar feed token', HTTP_STATUS.UNAUTHORIZED)
+      );
+    }
+
+    req.feedTokenId = feedToken.id;
+    req.userId = feedToken.user_id;
+
+    next();
+  } catch (error) {
+    console.error('Calendar feed authentication error:', error.message);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Calendar feed authentication failed', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+};
+
 /**
  * Middleware to check if user's email is verified
  * Use this for sensitive operations that require email verification
@@ -157,9 +197,101 @@ const validateUserAccess = (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to load the user's time zone from their profile
+ * Sets req.timeZone so local dates and "today" follow the user's clock.
+ * Falls back to UTC instead of failing the request.
+ */
+const loadUserTimeZone = async (req, res, next) => {
+  try {
+    req.timeZone = firestoreService.db
+      ? await firestoreService.getUserTimeZone(req.userId)
+      : DEFAULT_TIME_ZONE;
+  } catch (error) {
+    console.error('Time zone lookup error:', error.message);
+    req.timeZone = DEFAULT_TIME_ZONE;
+  }
+
+  next();
+};
+
+/**
+ * Middleware to block AI features for users who turned off AI processing
+ * Reads privacy.ai_processing from the user's settings; nothing is sent to a language model without it
+ */
+const requireAIConsent = async (req, res, next) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  try {
+    if (!(await aiPrivacyService.hasAIConsent(req.userId))) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json(
+        formatErrorResponse('AI processing is turned off in your privacy settings', HTTP_STATUS.FORBIDDEN)
+      );
+    }
+  } catch (error) {
+    console.error('AI consent check error:', error.message);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('AI consent check failed', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  next();
+};
+
+/**
+ * Middleware to enforce the user's AI token quotas
+ * Reserves the estimated tokens of the request, sets the X-AI-Quota-* headers and rejects the request
+ * when the daily or monthly quota cannot cover them. The reservation is released once the response
+ * is sent, by when the request's usage is recorded
+ * The tier (free or premium) comes from the user's custom claims
+ * @param {string} task - Key of LLM.TASKS
+ * @param {Function} countCompletions - Number of completions the request runs (req => number)
+ */
+const enforceAIQuota = (task, countCompletions = () => 1) => {
+  return async (req, res, next) => {
+    if (!firestoreService.db) {
+      return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+        formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      );
+    }
+
+    try {
+      const tier = aiUsageService.getTier(req.user?.firebase_claims);
+      const tokens = aiUsageService.estimateTokens(task, countCompletions(req));
+      const { usage, exceeded, release } = await aiUsageService.reserveTokens(req.userId, tier, tokens);
+      aiUsageService.setQuotaHeaders(res, usage);
+
+      if (exceeded) {
+        const quota = usage[exceeded];
+        res.setHeader('Retry-After', Math.max(1, Math.ceil((new Date(quota.resets_at) - Date.now()) / 1000)));
+        return res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json(
+          formatErrorResponse(`You have used your ${exceeded} AI quota of ${quota.limit} tokens. It resets at ${quota.resets_at}.`, HTTP_STATUS.TOO_MANY_REQUESTS)
+        );
+      }
+
+      res.on('close', release);
+    } catch (error) {
+      console.error('AI quota check error:', error.message);
+      return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+        formatErrorResponse('AI quota check failed', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      );
+    }
+
+    next();
+  };
+};
+
 module.exports = {
   authenticateUser,
+  authenticateFeedToken,
   requireEmailVerification,
   optionalAuth,
-  validateUserAccess
+  validateUserAccess,
+  loadUserTimeZone,
+  requireAIConsent,
+  enforceAIQuota
 }; 
\ No newline at end of file
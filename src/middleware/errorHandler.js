@@ -20,7 +20,11 @@ const globalErrorHandler = (err, req, res, next) => {
   let message = 'Internal server error';
 
   // Handle specific error types
-  if (err.name === 'ValidationError') {
+  if (err.statusCode) {
+    // Errors raised with an explicit HTTP status (e.g. conflicts from services)
+    statusCode = err.statusCode;
+    message = err.message;
+  } else if (err.name === 'ValidationError') {
     statusCode = HTTP_STATUS.BAD_REQUEST;
     message = 'Validation error: ' + err.message;
   } else if (err.name === 'CastError') {
@@ -1,5 +1,8 @@
-const { validateRequiredFields, formatErrorResponse } = require('../utils/helpers');
-const { HTTP_STATUS, INSIGHT_TYPES } = require('../utils/constants');
+const { validateRequiredFields, formatErrorResponse, decodeCursor } = require('../utils/helpers');
+const { HTTP_STATUS, DEFAULTS, SORT_ORDERS, INSIGHT_TYPES, CYCLE_LIMITS, PREDICTION, FLOW_LEVELS, PERIOD_PRODUCTS, PERIOD, LH_TEST_RESULTS, CERVICAL_MUCUS_TYPES, FERTILITY, TRACKING_MODES, HOT_FLASH_SEVERITIES, CALENDAR, MEDICATION, MEDICATION_CATEGORIES, MEDICATION_SCHEDULES, DOSE_STATUSES, WEEKDAYS, CONTRACEPTION_METHODS, DEVICE_PLATFORMS, CHAT, DEFAULT_USER_SETTINGS } = require('../utils/constants');
+const { isValidDateKey, isValidTimeZone, daysBetween } = require('../utils/dates');
+const { SYMPTOM_CATEGORIES, SYMPTOM_SEVERITIES, BODY_LOCATIONS, findSymptom } = require('../utils/symptom-catalog');
+const { DRSP_SCALE, DRSP_ITEM_IDS } = require('../utils/drsp');
 
 /**
  * Middleware to validate menstrual cycle data
@@ -23,19 +26,25 @@ const validateCycleData = (req, res, next) => {
       );
     }
 
-    // Validate optional numeric fields
-    if (req.body.cycle_length && (req.body.cycle_length < 21 || req.body.cycle_length > 35)) {
+    // Validate optional numeric fields (irregular cycles are accepted and flagged by anomaly detection)
+    // Numeric strings from form clients are accepted and stored as numbers
+    const cycleLength = req.body.cycle_length ? Number(req.body.cycle_length) : null;
+    if (cycleLength !== null && (!Number.isFinite(cycleLength) || cycleLength < CYCLE_LIMITS.MIN_CYCLE_LENGTH || cycleLength > CYCLE_LIMITS.MAX_CYCLE_LENGTH)) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json(
-        formatErrorResponse('cycle_length must be between 21 and 35 days', HTTP_STATUS.BAD_REQUEST)
+        formatErrorResponse(`cycle_length must be between ${CYCLE_LIMITS.MIN_CYCLE_LENGTH} and ${CYCLE_LIMITS.MAX_CYCLE_LENGTH} days`, HTTP_STATUS.BAD_REQUEST)
       );
     }
 
-    if (req.body.period_duration && (req.body.period_duration < 2 || req.body.period_duration > 8)) {
+    const periodDuration = req.body.period_duration ? Number(req.body.period_duration) : null;
+    if (periodDuration !== null && (!Number.isFinite(periodDuration) || periodDuration < CYCLE_LIMITS.MIN_PERIOD_DURATION || periodDuration > CYCLE_LIMITS.MAX_PERIOD_DURATION)) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json(
-        formatErrorResponse('period_duration must be between 2 and 8 days', HTTP_STATUS.BAD_REQUEST)
+        formatErrorResponse(`period_duration must be between ${CYCLE_LIMITS.MIN_PERIOD_DURATION} and ${CYCLE_LIMITS.MAX_PERIOD_DURATION} days`, HTTP_STATUS.BAD_REQUEST)
       );
     }
 
+    if (cycleLength !== null) req.body.cycle_length = cycleLength;
+    if (periodDuration !== null) req.body.period_duration = periodDuration;
+
     next();
   } catch (error) {
     console.error('Cycle data validation error:', error.message);
@@ -125,6 +134,13 @@ const validateFitnessData = (req, res, next) => {
       );
     }
 
+    // Validate optional logged_at (the day the log belongs to is derived from it)
+    if (req.body.logged_at !== undefined && isNaN(new Date(req.body.logged_at).getTime())) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse('Invalid logged_at format. Please use ISO date format', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
     next();
   } catch (error) {
     console.error('Fitness data validation error:', error.message);
@@ -169,6 +185,13 @@ const validateMentalHealthData = (req, res, next) => {
       );
     }
 
+    // Validate optional logged_at (the day the log belongs to is derived from it)
+    if (req.body.logged_at !== undefined && isNaN(new Date(req.body.logged_at).getTime())) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse('Invalid logged_at format. Please use ISO date format', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
     next();
   } catch (error) {
     console.error('Mental health data validation error:', error.message);
@@ -178,6 +201,524 @@ const validateMentalHealthData = (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to validate day-level period entry data
+ */
+const validatePeriodEntryData = (req, res, next) => {
+  try {
+    const requiredFields = ['entry_date', 'flow'];
+    const validation = validateRequiredFields(req.body, requiredFields);
+    
+    if (!validation.isValid) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse(`Missing required fields: ${validation.missingFields.join(', ')}`, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    // Validate date format (one entry per calendar day)
+    if (!isValidDateKey(req.body.entry_date)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse('Invalid entry_date format. Please use YYYY-MM-DD format', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    // Validate flow intensity
+    if (!FLOW_LEVELS.includes(req.body.flow)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse(`flow must be one of: ${FLOW_LEVELS.join(', ')}`, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    // Validate optional clots flag
+    if (req.body.clots !== undefined && typeof req.body.clots !== 'boolean') {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse('clots must be a boolean', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    // Validate optional pain score
+    const painScore = req.body.pain_score;
+    if (painScore !== undefined && (!Number.isInteger(painScore) || painScore < 0 || painScore > PERIOD.MAX_PAIN_SCORE)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse(`pain_score must be an integer between 0 and ${PERIOD.MAX_PAIN_SCORE}`, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    // Validate optional products used
+    const products = req.body.products_used;
+    if (products !== undefined && (!Array.isArray(products) || products.some(product => !PERIOD_PRODUCTS.includes(product)))) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse(`products_used must be an array of: ${PERIOD_PRODUCTS.join(', ')}`, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    next();
+  } catch (error) {
+    console.error('Period entry validation error:', error.message);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Data validation failed', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+};
+
+/**
+ * Middleware to validate daily fertility signs data
+ */
+const validateFertilityData = (req, res, next) => {
+  try {
+    const requiredFields = ['log_date'];
+    const validation = validateRequiredFields(req.body, requiredFields);
+    
+    if (!validation.isValid) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse(`Missing required fields: ${validation.missingFields.join(', ')}`, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    // Validate date format (one entry per calendar day)
+    if (!isValidDateKey(req.body.log_date)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse('Invalid log_date format. Please use YYYY-MM-DD format', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    // Validate optional basal body temperature (Celsius)
+    const bbt = req.body.basal_body_temperature;
+    if (bbt !== undefined && (typeof bbt !== 'number' || bbt < FERTILITY.MIN_BBT || bbt > FERTILITY.MAX_BBT)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse(`basal_body_temperature must be a number between ${FERTILITY.MIN_BBT} and ${FERTILITY.MAX_BBT} (°C)`, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    // Validate optional ovulation (LH) test result
+    if (req.body.lh_test && !LH_TEST_RESULTS.includes(req.body.lh_test)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse(`lh_test must be one of: ${LH_TEST_RESULTS.join(', ')}`, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    // Validate optional cervical mucus observation
+    if (req.body.cervical_mucus && !CERVICAL_MUCUS_TYPES.includes(req.body.cervical_mucus)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse(`cervical_mucus must be one of: ${CERVICAL_MUCUS_TYPES.join(', ')}`, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    // Validate optional boolean flags
+    for (const field of ['temperature_disturbed', 'intercourse']) {
+      if (req.body[field] !== undefined && typeof req.body[field] !== 'boolean') {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          formatErrorResponse(`${field} must be a boolean`, HTTP_STATUS.BAD_REQUEST)
+        );
+      }
+    }
+
+    next();
+  } catch (error) {
+    console.error('Fertility data validation error:', error.message);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Data validation failed', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+};
+
+/**
+ * Middleware to validate daily symptom log data against the symptom catalog
+ */
+const validateSymptomLogData = (req, res, next) => {
+  try {
+    const requiredFields = ['log_date', 'symptoms'];
+    const validation = validateRequiredFields(req.body, requiredFields);
+    
+    if (!validation.isValid) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse(`Missing required fields: ${validation.missingFields.join(', ')}`, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    // Validate date format (one entry per calendar day)
+    if (!isValidDateKey(req.body.log_date)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse('Invalid log_date format. Please use YYYY-MM-DD format', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    if (!Array.isArray(req.body.symptoms)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse('symptoms must be an array', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    // Validate each entry against the catalog
+    const seen = new Set();
+    for (const entry of req.body.symptoms) {
+      const symptom = entry && findSymptom(entry.symptom_id);
+      if (!symptom) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          formatErrorResponse(`Unknown symptom_id: ${entry && entry.symptom_id}. See /api/health-data/symptoms/catalog`, HTTP_STATUS.BAD_REQUEST)
+        );
+      }
+
+      if (!SYMPTOM_SEVERITIES.includes(entry.severity)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          formatErrorResponse(`severity of ${symptom.id} must be one of: ${SYMPTOM_SEVERITIES.join(', ')}`, HTTP_STATUS.BAD_REQUEST)
+        );
+      }
+
+      if (entry.location !== undefined) {
+        if (symptom.category !== SYMPTOM_CATEGORIES.PAIN) {
+          return res.status(HTTP_STATUS.BAD_REQUEST).json(
+            formatErrorResponse(`location is only allowed for pain symptoms (${symptom.id} is ${symptom.category})`, HTTP_STATUS.BAD_REQUEST)
+          );
+        }
+        if (!BODY_LOCATIONS.includes(entry.location)) {
+          return res.status(HTTP_STATUS.BAD_REQUEST).json(
+            formatErrorResponse(`location must be one of: ${BODY_LOCATIONS.join(', ')}`, HTTP_STATUS.BAD_REQUEST)
+          );
+        }
+      }
+
+      const key = `${symptom.id}:${entry.location || symptom.default_location || ''}`;
+      if (seen.has(key)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          formatErrorResponse(`Symptom ${symptom.id} is listed more than once`, HTTP_STATUS.BAD_REQUEST)
+        );
+      }
+      seen.add(key);
+    }
+
+    next();
+  } catch (error) {
+    console.error('Symptom log validation error:', error.message);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Data validation failed', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+};
+
+/**
+ * Middleware to validate daily DRSP ratings
+ */
+const validateDrspRatingData = (req, res, next) => {
+  try {
+    const requiredFields = ['rating_date', 'ratings'];
+    const validation = validateRequiredFields(req.body, requiredFields);
+    
+    if (!validation.isValid) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse(`Missing required fields: ${validation.missingFields.join(', ')}`, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    // Validate date format (one rating per calendar day)
+    if (!isValidDateKey(req.body.rating_date)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse('Invalid rating_date format. Please use YYYY-MM-DD format', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    const { ratings } = req.body;
+    if (typeof ratings !== 'object' || Array.isArray(ratings) || Object.keys(ratings).length === 0) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse('ratings must be an object with at least one item', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    // Validate items and scores against the instrument
+    for (const [itemId, score] of Object.entries(ratings)) {
+      if (!DRSP_ITEM_IDS.includes(itemId)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          formatErrorResponse(`Unknown DRSP item: ${itemId}. See /api/health-data/pms-screening/instrument`, HTTP_STATUS.BAD_REQUEST)
+        );
+      }
+      if (!Number.isInteger(score) || score < DRSP_SCALE.MIN || score > DRSP_SCALE.MAX) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          formatErrorResponse(`${itemId} must be an integer between ${DRSP_SCALE.MIN} and ${DRSP_SCALE.MAX}`, HTTP_STATUS.BAD_REQUEST)
+        );
+      }
+    }
+
+    next();
+  } catch (error) {
+    console.error('DRSP rating validation error:', error.message);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Data validation failed', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+};
+
+/**
+ * Middleware to validate hot flash log data
+ */
+const validateHotFlashData = (req, res, next) => {
+  try {
+    const requiredFields = ['log_date', 'count'];
+    const validation = validateRequiredFields(req.body, requiredFields);
+    
+    if (!validation.isValid) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse(`Missing required fields: ${validation.missingFields.join(', ')}`, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    // Validate date format (one entry per calendar day)
+    if (!isValidDateKey(req.body.log_date)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse('Invalid log_date format. Please use YYYY-MM-DD format', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    // Validate number of hot flashes that day
+    if (!Number.isInteger(req.body.count) || req.body.count < 0) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse('count must be a non-negative integer', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    // Validate optional severity
+    if (req.body.severity && !HOT_FLASH_SEVERITIES.includes(req.body.severity)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse(`severity must be one of: ${HOT_FLASH_SEVERITIES.join(', ')}`, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    if (req.body.night_sweats !== undefined && typeof req.body.night_sweats !== 'boolean') {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse('night_sweats must be a boolean', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    next();
+  } catch (error) {
+    console.error('Hot flash data validation error:', error.message);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Data validation failed', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+};
+
+/**
+ * Middleware to validate medication, supplement and contraception regimens
+ */
+const validateMedicationData = (req, res, next) => {
+  try {
+    const requiredFields = ['name', 'category', 'schedule', 'start_date'];
+    const validation = validateRequiredFields(req.body, requiredFields);
+    
+    if (!validation.isValid) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse(`Missing required fields: ${validation.missingFields.join(', ')}`, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    const { name, category, contraception_method: method, schedule, times_per_day: timesPerDay, days_of_week: daysOfWeek, pack } = req.body;
+
+    if (typeof name !== 'string' || name.length > 100) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse('name must be a string of at most 100 characters', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    if (!MEDICATION_CATEGORIES.includes(category)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse(`category must be one of: ${MEDICATION_CATEGORIES.join(', ')}`, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    // Contraception needs its method to know whether it is hormonal
+    if (category === 'contraception' && !CONTRACEPTION_METHODS.includes(method)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse(`contraception_method must be one of: ${CONTRACEPTION_METHODS.join(', ')}`, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    if (!MEDICATION_SCHEDULES.includes(schedule)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse(`schedule must be one of: ${MEDICATION_SCHEDULES.join(', ')}`, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    if (timesPerDay !== undefined && (!Number.isInteger(timesPerDay) || timesPerDay < 1 || timesPerDay > MEDICATION.MAX_TIMES_PER_DAY)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse(`times_per_day must be an integer between 1 and ${MEDICATION.MAX_TIMES_PER_DAY}`, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    if (schedule === 'weekly' && (!Array.isArray(daysOfWeek) || daysOfWeek.length === 0 || !daysOfWeek.every(day => WEEKDAYS.includes(day)))) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse(`days_of_week must be a non-empty array of: ${WEEKDAYS.join(', ')}`, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    // Validate pill pack layout (e.g. 21 active + 7 placebo, 84 + 7, or 28 + 0 for continuous use)
+    if (schedule === 'pill_pack' && pack !== undefined && pack !== null) {
+      const activePills = pack.active_pills ?? MEDICATION.DEFAULT_ACTIVE_PILLS;
+      const placeboPills = pack.placebo_pills ?? MEDICATION.DEFAULT_PLACEBO_PILLS;
+
+      if (!Number.isInteger(activePills) || !Number.isInteger(placeboPills) || activePills < 1 || placeboPills < 0 || activePills + placeboPills > MEDICATION.MAX_PACK_DAYS) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          formatErrorResponse(`pack must have active_pills >= 1 and placebo_pills >= 0, at most ${MEDICATION.MAX_PACK_DAYS} days in total`, HTTP_STATUS.BAD_REQUEST)
+        );
+      }
+
+      if (pack.start_date !== undefined && !isValidDateKey(pack.start_date)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          formatErrorResponse('Invalid pack.start_date format. Please use YYYY-MM-DD format', HTTP_STATUS.BAD_REQUEST)
+        );
+      }
+    }
+
+    // Validate regimen dates (end_date null means ongoing)
+    if (!isValidDateKey(req.body.start_date)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse('Invalid start_date format. Please use YYYY-MM-DD format', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    const endDate = req.body.end_date;
+    if (endDate !== undefined && endDate !== null && (!isValidDateKey(endDate) || endDate < req.body.start_date)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse('end_date must be a YYYY-MM-DD date on or after start_date', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    const reminderTimes = req.body.reminder_times;
+    if (reminderTimes !== undefined && (!Array.isArray(reminderTimes) || !reminderTimes.every(time => /^([01]\d|2[0-3]):[0-5]\d$/.test(time)))) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse('reminder_times must be an array of HH:MM times', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    next();
+  } catch (error) {
+    console.error('Medication data validation error:', error.message);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Data validation failed', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+};
+
+/**
+ * Middleware to validate a medication dose log
+ */
+const validateMedicationDoseData = (req, res, next) => {
+  try {
+    const requiredFields = ['dose_date', 'status'];
+    const validation = validateRequiredFields(req.body, requiredFields);
+    
+    if (!validation.isValid) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse(`Missing required fields: ${validation.missingFields.join(', ')}`, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    if (!isValidDateKey(req.body.dose_date)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse('Invalid dose_date format. Please use YYYY-MM-DD format', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    if (!DOSE_STATUSES.includes(req.body.status)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse(`status must be one of: ${DOSE_STATUSES.join(', ')}`, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    if (req.body.taken_at !== undefined && isNaN(new Date(req.body.taken_at).getTime())) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse('Invalid taken_at format. Please use ISO date-time format', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    if (req.body.quantity !== undefined && (typeof req.body.quantity !== 'number' || req.body.quantity <= 0)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse('quantity must be a positive number', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    next();
+  } catch (error) {
+    console.error('Medication dose validation error:', error.message);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Data validation failed', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+};
+
+/**
+ * Middleware to validate user profile updates
+ */
+const validateProfileData = (req, res, next) => {
+  try {
+    // Validate life-stage tracking mode
+    const modes = Object.values(TRACKING_MODES);
+    if (req.body.tracking_mode !== undefined && !modes.includes(req.body.tracking_mode)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse(`tracking_mode must be one of: ${modes.join(', ')}`, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    // Validate IANA time zone (used for local dates and "today")
+    if (req.body.time_zone !== undefined && req.body.time_zone !== null && !isValidTimeZone(req.body.time_zone)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse('time_zone must be a valid IANA time zone (e.g. "America/Bogota")', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    // Validate life-stage dates (null clears the value)
+    for (const field of ['pregnancy_lmp', 'delivery_date']) {
+      const value = req.body[field];
+      if (value !== undefined && value !== null && !isValidDateKey(value)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          formatErrorResponse(`Invalid ${field} format. Please use YYYY-MM-DD format`, HTTP_STATUS.BAD_REQUEST)
+        );
+      }
+    }
+
+    next();
+  } catch (error) {
+    console.error('Profile data validation error:', error.message);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Data validation failed', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+};
+
+/**
+ * Middleware to validate user settings updates
+ * Sections must be objects and on/off settings (e.g. privacy.ai_processing) booleans
+ */
+const validateSettingsData = (req, res, next) => {
+  try {
+    for (const [section, defaults] of Object.entries(DEFAULT_USER_SETTINGS)) {
+      const value = req.body[section];
+      if (value === undefined) continue;
+
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          formatErrorResponse(`${section} must be an object`, HTTP_STATUS.BAD_REQUEST)
+        );
+      }
+
+      const invalidField = Object.keys(defaults).find(field =>
+        typeof defaults[field] === 'boolean' && value[field] !== undefined && typeof value[field] !== 'boolean'
+      );
+      if (invalidField) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          formatErrorResponse(`${section}.${invalidField} must be true or false`, HTTP_STATUS.BAD_REQUEST)
+        );
+      }
+    }
+
+    next();
+  } catch (error) {
+    console.error('Settings data validation error:', error.message);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Data validation failed', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+};
+
 /**
  * Middleware to validate AI insight request data
  */
@@ -199,6 +740,40 @@ const validateInsightRequest = (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to validate health assistant chat messages
+ */
+const validateChatMessage = (req, res, next) => {
+  try {
+    const { message, conversation_id } = req.body;
+
+    if (typeof message !== 'string' || message.trim().length === 0) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse('Missing required fields: message', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    if (message.length > CHAT.MAX_MESSAGE_LENGTH) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse(`message must be at most ${CHAT.MAX_MESSAGE_LENGTH} characters`, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    if (conversation_id !== undefined && conversation_id !== null && (typeof conversation_id !== 'string' || !/^[a-zA-Z0-9_-]+$/.test(conversation_id))) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse('Invalid conversation_id format', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    next();
+  } catch (error) {
+    console.error('Chat message validation error:', error.message);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Data validation failed', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+};
+
 /**
  * Middleware to validate MongoDB ObjectId format
  */
@@ -239,14 +814,25 @@ const validateQueryParams = (req, res, next) => {
     // Validate limit parameter
     if (req.query.limit) {
       const limit = parseInt(req.query.limit);
-      if (isNaN(limit) || limit < 1 || limit > 100) {
+      if (isNaN(limit) || limit < 1 || limit > DEFAULTS.MAX_LIMIT) {
         return res.status(HTTP_STATUS.BAD_REQUEST).json(
-          formatErrorResponse('limit must be a number between 1 and 100', HTTP_STATUS.BAD_REQUEST)
+          formatErrorResponse(`limit must be a number between 1 and ${DEFAULTS.MAX_LIMIT}`, HTTP_STATUS.BAD_REQUEST)
         );
       }
       req.query.limit = limit;
     }
 
+    // Validate prediction count parameter
+    if (req.query.count) {
+      const count = parseInt(req.query.count);
+      if (isNaN(count) || count < 1 || count > PREDICTION.MAX_COUNT) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          formatErrorResponse(`count must be a number between 1 and ${PREDICTION.MAX_COUNT}`, HTTP_STATUS.BAD_REQUEST)
+        );
+      }
+      req.query.count = count;
+    }
+
     // Validate date parameter
     if (req.query.date) {
       const date = new Date(req.query.date);
@@ -257,6 +843,33 @@ const validateQueryParams = (req, res, next) => {
       }
     }
 
+    // Validate date range parameters
+    for (const param of ['from', 'to']) {
+      if (req.query[param] && isNaN(new Date(req.query[param]).getTime())) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          formatErrorResponse(`Invalid ${param} format. Please use YYYY-MM-DD format`, HTTP_STATUS.BAD_REQUEST)
+        );
+      }
+    }
+
+    // Validate sort order
+    if (req.query.sort && !SORT_ORDERS.includes(req.query.sort)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse(`sort must be one of: ${SORT_ORDERS.join(', ')}`, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    // Validate and decode the pagination cursor
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          formatErrorResponse('Invalid cursor. Use the next_cursor value from the previous page', HTTP_STATUS.BAD_REQUEST)
+        );
+      }
+      req.query.cursor = cursor;
+    }
+
     next();
   } catch (error) {
     console.error('Query params validation error:', error.message);
@@ -266,6 +879,125 @@ const validateQueryParams = (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to validate calendar feed token data
+ */
+const validateFeedTokenData = (req, res, next) => {
+  try {
+    const { label } = req.body;
+
+    if (label !== undefined && label !== null && (typeof label !== 'string' || label.length > 100)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse('label must be a string of at most 100 characters', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    next();
+  } catch (error) {
+    console.error('Feed token validation error:', error.message);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Data validation failed', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+};
+
+/**
+ * Middleware to validate push device registrations
+ */
+const validateDeviceData = (req, res, next) => {
+  try {
+    const validation = validateRequiredFields(req.body, ['device_id', 'token', 'platform']);
+
+    if (!validation.isValid) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse(`Missing required fields: ${validation.missingFields.join(', ')}`, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    const { device_id, token, platform, locale, app_version } = req.body;
+
+    if (typeof device_id !== 'string' || !/^[A-Za-z0-9._:-]{1,200}$/.test(device_id)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse('device_id must be 1-200 letters, digits, dots, colons, underscores or dashes', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    if (typeof token !== 'string' || token.length > 4096) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse('token must be a string of at most 4096 characters', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    if (!DEVICE_PLATFORMS.includes(platform)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse(`platform must be one of: ${DEVICE_PLATFORMS.join(', ')}`, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    if (locale !== undefined && locale !== null && (typeof locale !== 'string' || !/^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(locale))) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse('locale must be a language tag such as en or en-GB', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    if (app_version !== undefined && app_version !== null && (typeof app_version !== 'string' || app_version.length > 50)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse('app_version must be a string of at most 50 characters', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    next();
+  } catch (error) {
+    console.error('Device validation error:', error.message);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Data validation failed', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+};
+
+/**
+ * Middleware to validate the calendar date range
+ */
+const validateCalendarQuery = (req, res, next) => {
+  try {
+    const validation = validateRequiredFields(req.query, ['from', 'to']);
+
+    if (!validation.isValid) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse(`Missing required query parameters: ${validation.missingFields.join(', ')}`, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    for (const param of ['from', 'to']) {
+      if (!isValidDateKey(req.query[param])) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          formatErrorResponse(`Invalid ${param} format. Please use YYYY-MM-DD format`, HTTP_STATUS.BAD_REQUEST)
+        );
+      }
+    }
+
+    const rangeDays = daysBetween(req.query.from, req.query.to) + 1;
+    if (rangeDays < 1) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse('from must be on or before to', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    if (rangeDays > CALENDAR.MAX_RANGE_DAYS) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        formatErrorResponse(`Calendar range cannot exceed ${CALENDAR.MAX_RANGE_DAYS} days`, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    next();
+  } catch (error) {
+    console.error('Calendar query validation error:', error.message);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Query parameter validation failed', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+};
+
 /**
  * General purpose request body sanitizer
  * Removes potentially dangerous fields and trims strings
@@ -301,8 +1033,21 @@ module.exports = {
   validateNutritionData,
   validateFitnessData,
   validateMentalHealthData,
+  validatePeriodEntryData,
+  validateFertilityData,
+  validateSymptomLogData,
+  validateDrspRatingData,
+  validateHotFlashData,
+  validateMedicationData,
+  validateMedicationDoseData,
+  validateProfileData,
+  validateSettingsData,
   validateInsightRequest,
+  validateChatMessage,
   validateObjectId,
   validateQueryParams,
+  validateCalendarQuery,
+  validateFeedTokenData,
+  validateDeviceData,
   sanitizeRequestBody
 }; 
\ No newline at end of file
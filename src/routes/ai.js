@@ -2,17 +2,23 @@ const express = require('express');
 const router = express.Router();
 
 // Import middleware
-const { authenticateUser, validateUserAccess } = require('../middleware/auth');
-const { validateInsightRequest, validateObjectId, sanitizeRequestBody } = require('../middleware/validation');
+const { authenticateUser, validateUserAccess, requireAIConsent, enforceAIQuota } = require('../middleware/auth');
+const { validateInsightRequest, validateChatMessage, validateObjectId, sanitizeRequestBody } = require('../middleware/validation');
 const { asyncErrorHandler } = require('../middleware/errorHandler');
 
 // Import services
 const openaiService = require('../services/openai');
 const firestoreService = require('../services/firestore');
+const aiContextService = require('../services/ai-context');
+const chatService = require('../services/chat');
+const aiPrivacyService = require('../services/ai-privacy');
+const aiSafetyService = require('../services/ai-safety');
+const aiUsageService = require('../services/ai-usage');
 
 // Import utilities
-const { formatSuccessResponse, formatErrorResponse, calculateCyclePhase, calculateAge } = require('../utils/helpers');
-const { HTTP_STATUS, INSIGHT_TYPES } = require('../utils/constants');
+const { formatSuccessResponse, formatErrorResponse } = require('../utils/helpers');
+const { HTTP_STATUS, INSIGHT_TYPES, DIGEST_FREQUENCIES, DIGESTS, CHAT } = require('../utils/constants');
+const { wantsEventStream, openEventStream, sendEvent, abortOnDisconnect } = require('../utils/sse');
 
 // Apply authentication and sanitization to all routes
 router.use(authenticateUser);
@@ -24,11 +30,12 @@ router.use(sanitizeRequestBody);
 /**
  * POST /api/ai/generate-insight
  * Generate personalized health insight
+ * With "Accept: text/event-stream" the insight is streamed as SSE (delta, done, error events)
  */
-router.post('/generate-insight', validateInsightRequest, asyncErrorHandler(async (req, res) => {
+router.post('/generate-insight', validateInsightRequest, requireAIConsent, enforceAIQuota('insight'), asyncErrorHandler(async (req, res) => {
   const { type = INSIGHT_TYPES.GENERAL_HEALTH } = req.body;
   
-  // Check if OpenAI is available
+  // Check if a language model is available
   if (!openaiService.isAvailable()) {
     return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
       formatErrorResponse('AI service is currently unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
@@ -43,26 +50,16 @@ router.post('/generate-insight', validateInsightRequest, asyncErrorHandler(async
   }
 
   try {
-    // Get user's recent health data for context
-    const userHealthData = await firestoreService.getUserLatestData(req.userId);
-    
-    // Prepare user data for AI prompt
-    const userData = {
-      userId: req.userId,
-      email: req.user.email,
-      age: calculateAge(userHealthData.birth_date),
-      weight: userHealthData.weight,
-      cycle_length: userHealthData.latest_cycle?.cycle_length,
-      period_duration: userHealthData.latest_cycle?.period_duration,
-      recent_symptoms: userHealthData.latest_cycle?.symptoms?.join(', '),
-      cycle_phase: userHealthData.latest_cycle ? calculateCyclePhase(userHealthData.latest_cycle) : 'unknown',
-      recent_nutrition: userHealthData.recent_nutrition?.slice(0, 3),
-      recent_fitness: userHealthData.recent_fitness?.slice(0, 3),
-      recent_mental_health: userHealthData.recent_mental_health?.slice(0, 3)
-    };
+    // Summarize the user's recent health data for the prompt
+    const userData = await aiContextService.buildUserData(req.userId);
+    const inputFlags = aiSafetyService.detectInputFlags(userData);
+
+    if (wantsEventStream(req)) {
+      return streamInsight(req, res, userData, type, inputFlags);
+    }
 
     // Generate AI insight
-    const insight = await openaiService.generateHealthInsight(userData, type);
+    const insight = await openaiService.generateHealthInsight(userData, type, 'generate-insight');
     
     if (!insight) {
       return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
@@ -70,8 +67,8 @@ router.post('/generate-insight', validateInsightRequest, asyncErrorHandler(async
       );
     }
 
-    // Save insight to Firestore
-    const savedInsight = await firestoreService.saveAIInsight(req.userId, insight);
+    // Review and save insight to Firestore
+    const savedInsight = await saveReviewedInsight(req.userId, userData, insight, inputFlags);
     
     res.status(HTTP_STATUS.CREATED).json(
       formatSuccessResponse(savedInsight, 'AI insight generated successfully')
@@ -88,18 +85,16 @@ router.post('/generate-insight', validateInsightRequest, asyncErrorHandler(async
  * POST /api/ai/generate-multiple-insights
  * Generate multiple insights of different types
  */
-router.post('/generate-multiple-insights', asyncErrorHandler(async (req, res) => {
-  const { types = [INSIGHT_TYPES.GENERAL_HEALTH] } = req.body;
-  
+router.post('/generate-multiple-insights', requireAIConsent, enforceAIQuota('insight', req => getValidInsightTypes(req.body).length), asyncErrorHandler(async (req, res) => {
   // Validate insight types
-  const validTypes = types.filter(type => Object.values(INSIGHT_TYPES).includes(type));
+  const validTypes = getValidInsightTypes(req.body);
   if (validTypes.length === 0) {
     return res.status(HTTP_STATUS.BAD_REQUEST).json(
       formatErrorResponse('No valid insight types provided', HTTP_STATUS.BAD_REQUEST)
     );
   }
 
-  // Check if OpenAI is available
+  // Check if a language model is available
   if (!openaiService.isAvailable()) {
     return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
       formatErrorResponse('AI service is currently unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
@@ -114,25 +109,12 @@ router.post('/generate-multiple-insights', asyncErrorHandler(async (req, res) =>
   }
 
   try {
-    // Get user's health data
-    const userHealthData = await firestoreService.getUserLatestData(req.userId);
-    
-    const userData = {
-      userId: req.userId,
-      email: req.user.email,
-      age: calculateAge(userHealthData.birth_date),
-      weight: userHealthData.weight,
-      cycle_length: userHealthData.latest_cycle?.cycle_length,
-      period_duration: userHealthData.latest_cycle?.period_duration,
-      recent_symptoms: userHealthData.latest_cycle?.symptoms?.join(', '),
-      cycle_phase: userHealthData.latest_cycle ? calculateCyclePhase(userHealthData.latest_cycle) : 'unknown',
-      recent_nutrition: userHealthData.recent_nutrition?.slice(0, 3),
-      recent_fitness: userHealthData.recent_fitness?.slice(0, 3),
-      recent_mental_health: userHealthData.recent_mental_health?.slice(0, 3)
-    };
+    // Summarize the user's recent health data for the prompts
+    const userData = await aiContextService.buildUserData(req.userId);
+    const inputFlags = aiSafetyService.detectInputFlags(userData);
 
     // Generate multiple insights
-    const insights = await openaiService.generateMultipleInsights(userData, validTypes);
+    const insights = await openaiService.generateMultipleInsights(userData, validTypes, 'generate-multiple-insights');
     
     if (insights.length === 0) {
       return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
@@ -140,9 +122,9 @@ router.post('/generate-multiple-insights', asyncErrorHandler(async (req, res) =>
       );
     }
 
-    // Save all insights to Firestore
+    // Review and save all insights to Firestore
     const savedInsights = await Promise.all(
-      insights.map(insight => firestoreService.saveAIInsight(req.userId, insight))
+      insights.map(insight => saveReviewedInsight(req.userId, userData, insight, inputFlags))
     );
     
     res.status(HTTP_STATUS.CREATED).json(
@@ -220,17 +202,183 @@ router.delete('/insights/:id', validateObjectId('id'), asyncErrorHandler(async (
   res.json(formatSuccessResponse(null, 'Insight deleted successfully'));
 }));
 
+// =================== HEALTH ASSISTANT CHAT ===================
+
+/**
+ * POST /api/ai/chat
+ * Send a message to the health assistant (starts a conversation when conversation_id is omitted)
+ */
+router.post('/chat', validateChatMessage, requireAIConsent, enforceAIQuota('chat'), asyncErrorHandler(async (req, res) => {
+  const { message, conversation_id: conversationId = null } = req.body;
+
+  if (!openaiService.isAvailable()) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('AI service is currently unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  let conversation = null;
+  if (conversationId) {
+    conversation = await firestoreService.getConversationById(conversationId);
+
+    if (!conversation) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        formatErrorResponse('Conversation not found', HTTP_STATUS.NOT_FOUND)
+      );
+    }
+
+    if (conversation.user_id !== req.userId) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json(
+        formatErrorResponse('Access denied', HTTP_STATUS.FORBIDDEN)
+      );
+    }
+  }
+
+  const result = await chatService.sendMessage(req.userId, conversation, message.trim());
+
+  if (!result) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Failed to generate a reply. Please try again.', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  res.status(conversation ? HTTP_STATUS.OK : HTTP_STATUS.CREATED).json(
+    formatSuccessResponse(result, 'Reply generated successfully')
+  );
+}));
+
+/**
+ * GET /api/ai/conversations
+ * List the user's conversations (most recently active first)
+ */
+router.get('/conversations', asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || CHAT.LIST_LIMIT, CHAT.LIST_LIMIT));
+  const conversations = await firestoreService.getConversations(req.userId, limit);
+
+  res.json(formatSuccessResponse({
+    conversations,
+    count: conversations.length
+  }, 'Conversations retrieved successfully'));
+}));
+
+/**
+ * GET /api/ai/conversations/:id
+ * Get a conversation with its latest messages
+ */
+router.get('/conversations/:id', validateObjectId('id'), asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const conversation = await firestoreService.getConversationById(req.params.id);
+
+  if (!conversation) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json(
+      formatErrorResponse('Conversation not found', HTTP_STATUS.NOT_FOUND)
+    );
+  }
+
+  if (conversation.user_id !== req.userId) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json(
+      formatErrorResponse('Access denied', HTTP_STATUS.FORBIDDEN)
+    );
+  }
+
+  const messages = await firestoreService.getChatMessages(conversation.id);
+
+  res.json(formatSuccessResponse({
+    conversation,
+    messages,
+    count: messages.length
+  }, 'Conversation retrieved successfully'));
+}));
+
+/**
+ * DELETE /api/ai/conversations/:id
+ * Delete a conversation and its messages
+ */
+router.delete('/conversations/:id', validateObjectId('id'), asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const conversation = await firestoreService.getConversationById(req.params.id);
+
+  if (!conversation) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json(
+      formatErrorResponse('Conversation not found', HTTP_STATUS.NOT_FOUND)
+    );
+  }
+
+  if (conversation.user_id !== req.userId) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json(
+      formatErrorResponse('Access denied', HTTP_STATUS.FORBIDDEN)
+    );
+  }
+
+  const deletedMessages = await firestoreService.deleteConversation(conversation.id);
+
+  res.json(formatSuccessResponse({ deleted_messages: deletedMessages }, 'Conversation deleted successfully'));
+}));
+
+// =================== DIGESTS ===================
+
+/**
+ * GET /api/ai/digests
+ * Get the user's daily/weekly digests (generated by the scheduler for opted-in users)
+ */
+router.get('/digests', asyncErrorHandler(async (req, res) => {
+  const { frequency = null } = req.query;
+
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  if (frequency && !DIGEST_FREQUENCIES.includes(frequency)) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json(
+      formatErrorResponse(`frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}`, HTTP_STATUS.BAD_REQUEST)
+    );
+  }
+
+  const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || DIGESTS.LIST_LIMIT, DIGESTS.LIST_LIMIT));
+  const digests = await firestoreService.getDigests(req.userId, { frequency, limit });
+
+  res.json(formatSuccessResponse({
+    digests,
+    count: digests.length
+  }, 'Digests retrieved successfully'));
+}));
+
 // =================== QUICK TIPS ===================
 
 /**
  * GET /api/ai/quick-tip
  * Get a quick health tip
+ * With "Accept: text/event-stream" the tip is streamed as SSE (delta, done, error events)
  */
 router.get('/quick-tip', asyncErrorHandler(async (req, res) => {
   const { topic = 'menstrual health' } = req.query;
   
-  if (!openaiService.isAvailable()) {
-    // Return a fallback tip if OpenAI is not available
+  // Without AI, when the user turned AI processing off or used up their AI quota, a generic tip is returned
+  if (!openaiService.isAvailable() || !(await canGenerateTip(req, res))) {
     const fallbackTips = {
       'menstrual health': 'Stay hydrated and maintain a balanced diet rich in iron during your menstrual cycle.',
       'nutrition': 'Focus on eating a variety of colorful fruits and vegetables to ensure you get essential nutrients.',
@@ -240,17 +388,28 @@ router.get('/quick-tip', asyncErrorHandler(async (req, res) => {
     };
     
     const tip = fallbackTips[topic.toLowerCase()] || fallbackTips['default'];
-    
-    return res.json(formatSuccessResponse({
+    const fallback = {
       tip,
       topic,
       source: 'fallback',
       generated_at: new Date().toISOString()
-    }, 'Quick tip retrieved successfully'));
+    };
+
+    if (wantsEventStream(req)) {
+      openEventStream(res);
+      sendEvent(res, 'done', fallback);
+      return res.end();
+    }
+    
+    return res.json(formatSuccessResponse(fallback, 'Quick tip retrieved successfully'));
+  }
+
+  if (wantsEventStream(req)) {
+    return streamQuickTip(req, res, topic);
   }
 
   try {
-    const tip = await openaiService.generateQuickTip(topic);
+    const tip = await openaiService.generateQuickTip(topic, { user_id: req.userId, endpoint: 'quick-tip', categories: ['topic'] });
     
     if (!tip) {
       return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
@@ -258,12 +417,10 @@ router.get('/quick-tip', asyncErrorHandler(async (req, res) => {
       );
     }
 
-    res.json(formatSuccessResponse({
-      tip,
-      topic,
-      source: 'ai_generated',
-      generated_at: new Date().toISOString()
-    }, 'Quick tip generated successfully'));
+    res.json(formatSuccessResponse(
+      await reviewQuickTip(req, tip, topic),
+      'Quick tip generated successfully'
+    ));
   } catch (error) {
     console.error('Quick tip generation error:', error);
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
@@ -272,6 +429,25 @@ router.get('/quick-tip', asyncErrorHandler(async (req, res) => {
   }
 }));
 
+// =================== USAGE ===================
+
+/**
+ * GET /api/ai/usage
+ * Get the user's AI token usage and cost for the current UTC day and month, with their quotas
+ */
+router.get('/usage', asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const usage = await aiUsageService.getUsage(req.userId, aiUsageService.getTier(req.user.firebase_claims));
+  aiUsageService.setQuotaHeaders(res, usage);
+
+  res.json(formatSuccessResponse(usage, 'AI usage retrieved successfully'));
+}));
+
 // =================== INSIGHT TYPES ===================
 
 /**
@@ -291,6 +467,122 @@ router.get('/insight-types', (req, res) => {
   }, 'Insight types retrieved successfully'));
 });
 
+/**
+ * Stream an insight over SSE and store it once complete
+ * The done event carries the reviewed insight; when the user's recent logs raise a red flag it is sent without any delta
+ * Nothing is stored when the client disconnects first
+ */
+async function streamInsight(req, res, userData, type, inputFlags) {
+  const controller = abortOnDisconnect(res);
+  openEventStream(res);
+
+  try {
+    // Summary text is held back once it (or the user's recent logs) raises a red flag
+    const insight = await openaiService.streamHealthInsight(userData, type, {
+      endpoint: 'generate-insight',
+      signal: controller.signal,
+      onDelta: aiSafetyService.createStreamReview(content => sendEvent(res, 'delta', { content }), inputFlags),
+      onRetry: () => sendEvent(res, 'reset', {})
+    });
+
+    if (controller.signal.aborted) return;
+
+    if (!insight) {
+      sendEvent(res, 'error', { message: 'Failed to generate insight. Please try again.' });
+    } else {
+      const savedInsight = await saveReviewedInsight(req.userId, userData, insight, inputFlags);
+      sendEvent(res, 'done', savedInsight);
+    }
+  } catch (error) {
+    console.error('AI Insight Streaming Error:', error);
+    sendEvent(res, 'error', { message: 'Failed to generate insight' });
+  }
+
+  res.end();
+}
+
+/**
+ * Check whether a quick tip may be generated with AI for a user (consent and quota), setting the quota headers
+ * The tip's tokens are reserved until the response is sent (see enforceAIQuota)
+ * Tips are not personal, so a check that cannot be made falls back to the generic tip
+ */
+async function canGenerateTip(req, res) {
+  if (!firestoreService.db) return false;
+
+  try {
+    if (!(await aiPrivacyService.hasAIConsent(req.userId))) return false;
+
+    const tier = aiUsageService.getTier(req.user?.firebase_claims);
+    const { usage, exceeded, release } = await aiUsageService.reserveTokens(req.userId, tier, aiUsageService.estimateTokens('quick_tip'));
+    aiUsageService.setQuotaHeaders(res, usage);
+    if (exceeded) return false;
+
+    res.on('close', release);
+    return true;
+  } catch (error) {
+    console.error('AI quick tip check error:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Stream a quick tip over SSE
+ */
+async function streamQuickTip(req, res, topic) {
+  const controller = abortOnDisconnect(res);
+  openEventStream(res);
+
+  const tip = await openaiService.streamQuickTip(topic, {
+    privacy: { user_id: req.userId, endpoint: 'quick-tip', categories: ['topic'] },
+    signal: controller.signal,
+    onDelta: aiSafetyService.createStreamReview(content => sendEvent(res, 'delta', { content }))
+  });
+
+  if (controller.signal.aborted) return;
+
+  if (!tip) {
+    sendEvent(res, 'error', { message: 'Failed to generate quick tip' });
+  } else {
+    sendEvent(res, 'done', await reviewQuickTip(req, tip, topic));
+  }
+
+  res.end();
+}
+
+/**
+ * Review an insight for safety, store it and record any intervention
+ */
+async function saveReviewedInsight(userId, userData, insight, inputFlags) {
+  const reviewed = aiSafetyService.reviewInsight(insight, inputFlags, userData.language);
+  const savedInsight = await firestoreService.saveAIInsight(userId, reviewed);
+  await aiSafetyService.recordIntervention(userId, 'insight', savedInsight.safety, savedInsight.id);
+  return savedInsight;
+}
+
+/**
+ * Review a generated quick tip for safety
+ * Tips are not personal, so the notice follows the request's Accept-Language
+ */
+async function reviewQuickTip(req, tip, topic) {
+  const review = aiSafetyService.reviewText(tip, [], req.acceptsLanguages()[0]);
+  await aiSafetyService.recordIntervention(req.userId, 'quick_tip', review.safety);
+
+  return {
+    tip: review.content,
+    topic,
+    source: 'ai_generated',
+    generated_at: new Date().toISOString(),
+    ...(review.safety ? { safety: review.safety } : {})
+  };
+}
+
+/**
+ * Get the valid insight types of a generate-multiple-insights request
+ */
+function getValidInsightTypes({ types = [INSIGHT_TYPES.GENERAL_HEALTH] }) {
+  return Array.isArray(types) ? types.filter(type => Object.values(INSIGHT_TYPES).includes(type)) : [];
+}
+
 /**
  * Helper function to get insight type descriptions
  */
@@ -2,14 +2,22 @@ const express = require('express');
 const router = express.Router();
 
 // Import middleware
-const { authenticateUser, validateUserAccess } = require('../middleware/auth');
+const { authenticateUser, validateUserAccess, loadUserTimeZone } = require('../middleware/auth');
 const { 
   validateCycleData, 
   validateNutritionData, 
   validateFitnessData, 
   validateMentalHealthData,
+  validatePeriodEntryData,
+  validateFertilityData,
+  validateHotFlashData,
+  validateSymptomLogData,
+  validateDrspRatingData,
+  validateMedicationData,
+  validateMedicationDoseData,
   validateObjectId,
   validateQueryParams,
+  validateCalendarQuery,
   sanitizeRequestBody 
 } = require('../middleware/validation');
 const { asyncErrorHandler } = require('../middleware/errorHandler');
@@ -17,10 +25,22 @@ const { asyncErrorHandler } = require('../middleware/errorHandler');
 // Import services
 const firestoreService = require('../services/firestore');
 const firebaseService = require('../services/firebase');
+const predictionService = require('../services/prediction');
+const fertilityService = require('../services/fertility');
+const periodService = require('../services/period');
+const anomalyService = require('../services/anomalies');
+const trackingModeService = require('../services/tracking-mode');
+const cycleAnalyticsService = require('../services/cycle-analytics');
+const pmsScreeningService = require('../services/pms-screening');
+const calendarService = require('../services/calendar');
+const medicationService = require('../services/medication');
 
 // Import utilities
-const { formatSuccessResponse, formatErrorResponse, calculateCyclePhase } = require('../utils/helpers');
-const { HTTP_STATUS, COLLECTIONS } = require('../utils/constants');
+const { formatSuccessResponse, formatErrorResponse } = require('../utils/helpers');
+const { toDateKey, toLocalDateKey, todayKey, localDateFields, daysBetween } = require('../utils/dates');
+const { getSymptomCatalog, normalizeSymptomEntry } = require('../utils/symptom-catalog');
+const { DRSP_VERSION, getDrspInstrument } = require('../utils/drsp');
+const { HTTP_STATUS, COLLECTIONS, PREDICTION, MEDICATION } = require('../utils/constants');
 
 // Apply authentication and sanitization to all routes
 router.use(authenticateUser);
@@ -32,9 +52,10 @@ router.use(sanitizeRequestBody);
 /**
  * GET /api/health-data/cycles
  * Get user's menstrual cycles
+ * Supports from/to (start date), sort=desc|asc and cursor pagination
  */
-router.get('/cycles', validateQueryParams, asyncErrorHandler(async (req, res) => {
-  const { limit = 50 } = req.query;
+router.get('/cycles', validateQueryParams, loadUserTimeZone, asyncErrorHandler(async (req, res) => {
+  const { from = null, to = null, sort = 'desc', cursor = null, limit = 50 } = req.query;
   
   if (!firestoreService.db) {
     return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
@@ -42,26 +63,104 @@ router.get('/cycles', validateQueryParams, asyncErrorHandler(async (req, res) =>
     );
   }
 
-  const cycles = await firestoreService.getCycles(req.userId, parseInt(limit, 10));
+  const [page, statistics, medications] = await Promise.all([
+    firestoreService.getUserPage(COLLECTIONS.CYCLES, req.userId, {
+      field: 'start_date',
+      from: from && toDateKey(from),
+      to: to && toDateKey(to),
+      sort,
+      cursor,
+      limit: parseInt(limit, 10)
+    }),
+    predictionService.getUserStatistics(req.userId),
+    firestoreService.getMedications(req.userId)
+  ]);
+  const cycles = medicationService.markContraceptionCycles(page.items, medications);
   
-  // Add cycle phase calculation to each cycle
+  // Add personalized cycle phase calculation to each cycle (as of the user's today)
+  const today = todayKey(req.timeZone);
   const cyclesWithPhase = cycles.map(cycle => ({
     ...cycle,
-    current_phase: calculateCyclePhase(cycle)
+    current_phase: predictionService.getCyclePhase(cycle, statistics, today)
   }));
 
   res.json(formatSuccessResponse({
     cycles: cyclesWithPhase,
     count: cyclesWithPhase.length,
+    next_cursor: page.next_cursor,
     user_id: req.userId
   }, 'Cycles retrieved successfully'));
 }));
 
+/**
+ * GET /api/health-data/cycles/predictions
+ * Get predicted upcoming periods, ovulation and fertile windows
+ * learned from the user's own cycle history
+ */
+router.get('/cycles/predictions', validateQueryParams, asyncErrorHandler(async (req, res) => {
+  const { count = PREDICTION.DEFAULT_COUNT } = req.query;
+  
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const predictions = await predictionService.getUserPredictions(req.userId, parseInt(count, 10));
+
+  res.json(formatSuccessResponse({
+    ...predictions,
+    count: predictions.predictions.length,
+    user_id: req.userId
+  }, 'Cycle predictions retrieved successfully'));
+}));
+
+/**
+ * GET /api/health-data/cycles/anomalies
+ * Get irregular cycle patterns and clinical flags (oligomenorrhea,
+ * prolonged bleeding, high variability, missed periods)
+ */
+router.get('/cycles/anomalies', asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const anomalies = await anomalyService.getUserAnomalies(req.userId);
+
+  res.json(formatSuccessResponse({
+    ...anomalies,
+    count: anomalies.flags.length,
+    user_id: req.userId
+  }, 'Cycle anomalies retrieved successfully'));
+}));
+
+/**
+ * GET /api/health-data/cycles/correlations
+ * Get how symptoms, mood, fitness and nutrition vary across cycle phases,
+ * with statistically significant correlations
+ */
+router.get('/cycles/correlations', asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const analytics = await cycleAnalyticsService.getUserCorrelations(req.userId);
+
+  res.json(formatSuccessResponse({
+    ...analytics,
+    user_id: req.userId
+  }, 'Cycle correlations retrieved successfully'));
+}));
+
 /**
  * POST /api/health-data/cycles
  * Create new menstrual cycle
  */
-router.post('/cycles', validateCycleData, asyncErrorHandler(async (req, res) => {
+router.post('/cycles', validateCycleData, loadUserTimeZone, asyncErrorHandler(async (req, res) => {
   if (!firestoreService.db) {
     return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
       formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
@@ -73,10 +172,12 @@ router.post('/cycles', validateCycleData, asyncErrorHandler(async (req, res) =>
     user_id: req.userId // Ensure user ID from token
   };
 
+  // Closes the previous cycle with its real length (409 if the cycles overlap)
   const cycle = await firestoreService.saveCycle(req.userId, cycleData);
   
-  // Add cycle phase to response
-  cycle.current_phase = calculateCyclePhase(cycle);
+  // Recompute averages now that the cycle history changed
+  const statistics = await predictionService.refreshUserStatistics(req.userId);
+  cycle.current_phase = predictionService.getCyclePhase(cycle, statistics, todayKey(req.timeZone));
 
   res.status(HTTP_STATUS.CREATED).json(
     formatSuccessResponse(cycle, 'Cycle created successfully')
@@ -87,7 +188,7 @@ router.post('/cycles', validateCycleData, asyncErrorHandler(async (req, res) =>
  * GET /api/health-data/cycles/:id
  * Get specific cycle by ID
  */
-router.get('/cycles/:id', validateObjectId('id'), asyncErrorHandler(async (req, res) => {
+router.get('/cycles/:id', validateObjectId('id'), loadUserTimeZone, asyncErrorHandler(async (req, res) => {
   if (!firestoreService.db) {
     return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
       formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
@@ -110,7 +211,8 @@ router.get('/cycles/:id', validateObjectId('id'), asyncErrorHandler(async (req,
   }
 
   // Add cycle phase
-  cycle.current_phase = calculateCyclePhase(cycle);
+  const statistics = await predictionService.getUserStatistics(req.userId);
+  cycle.current_phase = predictionService.getCyclePhase(cycle, statistics, todayKey(req.timeZone));
 
   res.json(formatSuccessResponse(cycle, 'Cycle retrieved successfully'));
 }));
@@ -119,7 +221,7 @@ router.get('/cycles/:id', validateObjectId('id'), asyncErrorHandler(async (req,
  * PUT /api/health-data/cycles/:id
  * Update specific cycle
  */
-router.put('/cycles/:id', validateObjectId('id'), validateCycleData, asyncErrorHandler(async (req, res) => {
+router.put('/cycles/:id', validateObjectId('id'), validateCycleData, loadUserTimeZone, asyncErrorHandler(async (req, res) => {
   if (!firestoreService.db) {
     return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
       formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
@@ -141,8 +243,11 @@ router.put('/cycles/:id', validateObjectId('id'), validateCycleData, asyncErrorH
     );
   }
 
-  const updatedCycle = await firestoreService.updateCycle(req.params.id, req.body);
-  updatedCycle.current_phase = calculateCyclePhase(updatedCycle);
+  // Recomputes the lengths around a moved start date (409 if it overlaps another cycle)
+  const updatedCycle = await firestoreService.editCycle(req.userId, existingCycle, req.body);
+
+  const statistics = await predictionService.refreshUserStatistics(req.userId);
+  updatedCycle.current_phase = predictionService.getCyclePhase({ ...existingCycle, ...updatedCycle }, statistics, todayKey(req.timeZone));
 
   res.json(formatSuccessResponse(updatedCycle, 'Cycle updated successfully'));
 }));
@@ -173,19 +278,803 @@ router.delete('/cycles/:id', validateObjectId('id'), asyncErrorHandler(async (re
     );
   }
 
-  await firestoreService.deleteCycle(req.params.id);
+  // The previous cycle is closed against the next one or reopened
+  await firestoreService.removeCycle(req.userId, existingCycle);
+  await predictionService.refreshUserStatistics(req.userId);
 
   res.json(formatSuccessResponse(null, 'Cycle deleted successfully'));
 }));
 
+/**
+ * GET /api/health-data/cycles/:id/period-entries
+ * Get the day-level period entries linked to a cycle
+ */
+router.get('/cycles/:id/period-entries', validateObjectId('id'), asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const cycle = await firestoreService.getCycleById(req.params.id);
+  
+  if (!cycle) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json(
+      formatErrorResponse('Cycle not found', HTTP_STATUS.NOT_FOUND)
+    );
+  }
+
+  if (cycle.user_id !== req.userId) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json(
+      formatErrorResponse('Access denied to this cycle', HTTP_STATUS.FORBIDDEN)
+    );
+  }
+
+  const periodEntries = await firestoreService.getPeriodEntriesByCycle(req.params.id);
+
+  res.json(formatSuccessResponse({
+    period_entries: periodEntries,
+    count: periodEntries.length,
+    cycle_id: req.params.id
+  }, 'Cycle period entries retrieved successfully'));
+}));
+
+// =================== PERIOD ENTRIES ===================
+
+/**
+ * GET /api/health-data/period-entries
+ * Get user's day-level period entries within a date range
+ * Supports from/to (entry date), sort=desc|asc and cursor pagination
+ */
+router.get('/period-entries', validateQueryParams, asyncErrorHandler(async (req, res) => {
+  const { from = null, to = null, sort = 'desc', cursor = null, limit = 50 } = req.query;
+  
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const page = await firestoreService.getUserPage(COLLECTIONS.PERIOD_ENTRIES, req.userId, {
+    field: 'entry_date',
+    from: from && toDateKey(from),
+    to: to && toDateKey(to),
+    sort,
+    cursor,
+    limit: parseInt(limit, 10)
+  });
+  const periodEntries = page.items;
+
+  res.json(formatSuccessResponse({
+    period_entries: periodEntries,
+    count: periodEntries.length,
+    next_cursor: page.next_cursor,
+    user_id: req.userId
+  }, 'Period entries retrieved successfully'));
+}));
+
+/**
+ * POST /api/health-data/period-entries
+ * Create or update the period entry for a day.
+ * The entry is linked to its cycle (a new cycle is started when bleeding
+ * begins a new period) and the cycle's start_date and period_duration
+ * are derived from its entries.
+ */
+router.post('/period-entries', validatePeriodEntryData, loadUserTimeZone, asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const result = await periodService.recordEntry(req.userId, {
+    ...req.body,
+    ...localDateFields(req.body.entry_date, req.timeZone)
+  });
+  await predictionService.refreshUserStatistics(req.userId);
+
+  res.status(HTTP_STATUS.CREATED).json(
+    formatSuccessResponse(result, 'Period entry saved successfully')
+  );
+}));
+
+/**
+ * DELETE /api/health-data/period-entries/:id
+ * Delete period entry and update its cycle
+ */
+router.delete('/period-entries/:id', validateObjectId('id'), asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const existingEntry = await firestoreService.getPeriodEntryById(req.params.id);
+  
+  if (!existingEntry) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json(
+      formatErrorResponse('Period entry not found', HTTP_STATUS.NOT_FOUND)
+    );
+  }
+
+  if (existingEntry.user_id !== req.userId) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json(
+      formatErrorResponse('Access denied', HTTP_STATUS.FORBIDDEN)
+    );
+  }
+
+  const cycleSummary = await periodService.removeEntry(existingEntry);
+  await predictionService.refreshUserStatistics(req.userId);
+
+  res.json(formatSuccessResponse({
+    cycle_id: existingEntry.cycle_id || null,
+    cycle_summary: cycleSummary
+  }, 'Period entry deleted successfully'));
+}));
+
+// =================== FERTILITY SIGNS ===================
+
+/**
+ * GET /api/health-data/fertility
+ * Get user's daily fertility signs (BBT, LH tests, cervical mucus)
+ * Supports from/to (log date), sort=desc|asc and cursor pagination
+ */
+router.get('/fertility', validateQueryParams, asyncErrorHandler(async (req, res) => {
+  const { from = null, to = null, sort = 'desc', cursor = null, limit = 50 } = req.query;
+  
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const page = await firestoreService.getUserPage(COLLECTIONS.FERTILITY_LOGS, req.userId, {
+    field: 'log_date',
+    from: from && toDateKey(from),
+    to: to && toDateKey(to),
+    sort,
+    cursor,
+    limit: parseInt(limit, 10)
+  });
+  const fertilityLogs = page.items;
+
+  res.json(formatSuccessResponse({
+    fertility_logs: fertilityLogs,
+    count: fertilityLogs.length,
+    next_cursor: page.next_cursor,
+    user_id: req.userId
+  }, 'Fertility logs retrieved successfully'));
+}));
+
+/**
+ * POST /api/health-data/fertility
+ * Create or update the fertility signs for a day and re-run ovulation detection
+ */
+router.post('/fertility', validateFertilityData, loadUserTimeZone, asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const fertilityLog = await firestoreService.saveFertilityLog(req.userId, {
+    ...req.body,
+    ...localDateFields(req.body.log_date, req.timeZone)
+  });
+  const ovulation = await fertilityService.analyzeCycleForDate(req.userId, fertilityLog.log_date);
+
+  res.status(HTTP_STATUS.CREATED).json(
+    formatSuccessResponse({
+      ...fertilityLog,
+      ovulation
+    }, 'Fertility log saved successfully')
+  );
+}));
+
+/**
+ * GET /api/health-data/fertility/ovulation
+ * Get sympto-thermal ovulation analysis for the cycle containing a date (default: today)
+ */
+router.get('/fertility/ovulation', validateQueryParams, loadUserTimeZone, asyncErrorHandler(async (req, res) => {
+  const date = req.query.date ? toDateKey(req.query.date) : todayKey(req.timeZone);
+  
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const analysis = await fertilityService.analyzeCycleForDate(req.userId, date);
+  
+  if (!analysis) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json(
+      formatErrorResponse('No cycle found for this date', HTTP_STATUS.NOT_FOUND)
+    );
+  }
+
+  res.json(formatSuccessResponse(analysis, 'Ovulation analysis retrieved successfully'));
+}));
+
+/**
+ * DELETE /api/health-data/fertility/:id
+ * Delete fertility log
+ */
+router.delete('/fertility/:id', validateObjectId('id'), asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const existingLog = await firestoreService.getFertilityLogById(req.params.id);
+  
+  if (!existingLog) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json(
+      formatErrorResponse('Fertility log not found', HTTP_STATUS.NOT_FOUND)
+    );
+  }
+
+  if (existingLog.user_id !== req.userId) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json(
+      formatErrorResponse('Access denied', HTTP_STATUS.FORBIDDEN)
+    );
+  }
+
+  await firestoreService.deleteFertilityLog(req.params.id);
+
+  res.json(formatSuccessResponse(null, 'Fertility log deleted successfully'));
+}));
+
+// =================== PMS/PMDD SCREENING ===================
+
+/**
+ * GET /api/health-data/pms-screening/instrument
+ * Get the DRSP daily rating items and scale
+ */
+router.get('/pms-screening/instrument', asyncErrorHandler(async (req, res) => {
+  res.json(formatSuccessResponse(getDrspInstrument(), 'DRSP instrument retrieved successfully'));
+}));
+
+/**
+ * GET /api/health-data/pms-screening/ratings
+ * Get user's daily DRSP ratings
+ * Supports from/to (rating date), sort=desc|asc and cursor pagination
+ */
+router.get('/pms-screening/ratings', validateQueryParams, asyncErrorHandler(async (req, res) => {
+  const { from = null, to = null, sort = 'desc', cursor = null, limit = 50 } = req.query;
+  
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const page = await firestoreService.getUserPage(COLLECTIONS.DRSP_RATINGS, req.userId, {
+    field: 'rating_date',
+    from: from && toDateKey(from),
+    to: to && toDateKey(to),
+    sort,
+    cursor,
+    limit: parseInt(limit, 10)
+  });
+  const ratings = page.items;
+
+  res.json(formatSuccessResponse({
+    ratings,
+    count: ratings.length,
+    next_cursor: page.next_cursor,
+    user_id: req.userId
+  }, 'DRSP ratings retrieved successfully'));
+}));
+
+/**
+ * POST /api/health-data/pms-screening/ratings
+ * Create or update the DRSP ratings for a day
+ */
+router.post('/pms-screening/ratings', validateDrspRatingData, loadUserTimeZone, asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const rating = await firestoreService.saveDrspRating(req.userId, {
+    rating_date: req.body.rating_date,
+    ratings: req.body.ratings,
+    instrument_version: DRSP_VERSION,
+    ...localDateFields(req.body.rating_date, req.timeZone)
+  });
+
+  res.status(HTTP_STATUS.CREATED).json(
+    formatSuccessResponse(rating, 'DRSP rating saved successfully')
+  );
+}));
+
+/**
+ * GET /api/health-data/pms-screening/report
+ * Compare premenstrual and postmenstrual weeks across tracked cycles and
+ * report whether the pattern is consistent with PMS or PMDD
+ */
+router.get('/pms-screening/report', asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const report = await pmsScreeningService.getUserScreening(req.userId);
+
+  res.json(formatSuccessResponse({
+    ...report,
+    user_id: req.userId
+  }, 'PMS screening report retrieved successfully'));
+}));
+
+// =================== LIFE STAGE ===================
+
+/**
+ * GET /api/health-data/life-stage
+ * Get the user's tracking mode and mode-specific status
+ * (gestational age, weeks postpartum, or perimenopause summary)
+ */
+router.get('/life-stage', asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const status = await trackingModeService.getUserStatus(req.userId);
+
+  res.json(formatSuccessResponse(status, 'Life-stage status retrieved successfully'));
+}));
+
+/**
+ * GET /api/health-data/life-stage/hot-flashes
+ * Get user's daily hot flash logs
+ * Supports from/to (log date), sort=desc|asc and cursor pagination
+ * The summary covers the last LIFE_STAGE.HOT_FLASH_WINDOW_DAYS days up to `to` (default today), whatever the page
+ */
+router.get('/life-stage/hot-flashes', validateQueryParams, loadUserTimeZone, asyncErrorHandler(async (req, res) => {
+  const { from = null, to = null, sort = 'desc', cursor = null, limit = 50 } = req.query;
+  
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const summaryEndDate = to ? toDateKey(to) : todayKey(req.timeZone);
+  const [page, recentLogs] = await Promise.all([
+    firestoreService.getUserPage(COLLECTIONS.HOT_FLASH_LOGS, req.userId, {
+      field: 'log_date',
+      from: from && toDateKey(from),
+      to: to && toDateKey(to),
+      sort,
+      cursor,
+      limit: parseInt(limit, 10)
+    }),
+    trackingModeService.getRecentHotFlashLogs(req.userId, summaryEndDate)
+  ]);
+  const hotFlashLogs = page.items;
+
+  res.json(formatSuccessResponse({
+    hot_flash_logs: hotFlashLogs,
+    summary: {
+      ...trackingModeService.summarizeHotFlashes(recentLogs),
+      window_end_date: summaryEndDate
+    },
+    count: hotFlashLogs.length,
+    next_cursor: page.next_cursor,
+    user_id: req.userId
+  }, 'Hot flash logs retrieved successfully'));
+}));
+
+/**
+ * POST /api/health-data/life-stage/hot-flashes
+ * Create or update the hot flash log for a day
+ */
+router.post('/life-stage/hot-flashes', validateHotFlashData, loadUserTimeZone, asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const hotFlashLog = await firestoreService.saveHotFlashLog(req.userId, {
+    ...req.body,
+    ...localDateFields(req.body.log_date, req.timeZone)
+  });
+
+  res.status(HTTP_STATUS.CREATED).json(
+    formatSuccessResponse(hotFlashLog, 'Hot flash log saved successfully')
+  );
+}));
+
+// =================== SYMPTOMS ===================
+
+/**
+ * GET /api/health-data/symptoms/catalog
+ * Get the versioned symptom taxonomy used to validate symptom logs
+ */
+router.get('/symptoms/catalog', asyncErrorHandler(async (req, res) => {
+  res.json(formatSuccessResponse(getSymptomCatalog(), 'Symptom catalog retrieved successfully'));
+}));
+
+/**
+ * GET /api/health-data/symptoms
+ * Get user's daily symptom logs
+ */
+router.get('/symptoms', validateQueryParams, asyncErrorHandler(async (req, res) => {
+  const { from = null, to = null, limit = 50 } = req.query;
+  
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const symptomLogs = await firestoreService.getSymptomLogs(
+    req.userId,
+    from && toDateKey(from),
+    to && toDateKey(to),
+    parseInt(limit, 10)
+  );
+
+  res.json(formatSuccessResponse({
+    symptom_logs: symptomLogs,
+    count: symptomLogs.length,
+    user_id: req.userId
+  }, 'Symptom logs retrieved successfully'));
+}));
+
+/**
+ * POST /api/health-data/symptoms
+ * Create or replace the symptoms logged for a day
+ */
+router.post('/symptoms', validateSymptomLogData, loadUserTimeZone, asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const symptomLog = await firestoreService.saveSymptomLog(req.userId, {
+    log_date: req.body.log_date,
+    symptoms: req.body.symptoms.map(normalizeSymptomEntry),
+    notes: req.body.notes || null,
+    ...localDateFields(req.body.log_date, req.timeZone)
+  });
+
+  res.status(HTTP_STATUS.CREATED).json(
+    formatSuccessResponse(symptomLog, 'Symptom log saved successfully')
+  );
+}));
+
+/**
+ * DELETE /api/health-data/symptoms/:id
+ * Delete symptom log
+ */
+router.delete('/symptoms/:id', validateObjectId('id'), asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const existingLog = await firestoreService.getSymptomLogById(req.params.id);
+  
+  if (!existingLog) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json(
+      formatErrorResponse('Symptom log not found', HTTP_STATUS.NOT_FOUND)
+    );
+  }
+
+  if (existingLog.user_id !== req.userId) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json(
+      formatErrorResponse('Access denied', HTTP_STATUS.FORBIDDEN)
+    );
+  }
+
+  await firestoreService.deleteSymptomLog(req.params.id);
+
+  res.json(formatSuccessResponse(null, 'Symptom log deleted successfully'));
+}));
+
+// =================== MEDICATIONS ===================
+
+/**
+ * GET /api/health-data/medications
+ * Get user's medication, supplement and contraception regimens
+ * Pass active=true to only get regimens taken today
+ */
+router.get('/medications', loadUserTimeZone, asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const today = todayKey(req.timeZone);
+  const medications = (await firestoreService.getMedications(req.userId))
+    .map(medication => medicationService.describeMedication(medication, today))
+    .filter(medication => req.query.active !== 'true' || medication.active)
+    .sort((a, b) => b.start_date.localeCompare(a.start_date));
+
+  res.json(formatSuccessResponse({
+    medications,
+    count: medications.length,
+    user_id: req.userId
+  }, 'Medications retrieved successfully'));
+}));
+
+/**
+ * POST /api/health-data/medications
+ * Create a regimen (daily, weekly, pill pack with placebo week, or as needed)
+ */
+router.post('/medications', validateMedicationData, loadUserTimeZone, asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const medication = await firestoreService.saveMedication(req.userId, medicationService.buildMedication(req.body));
+
+  // Hormonal contraception changes which cycles count towards the learned pattern
+  if (medication.hormonal) {
+    await predictionService.refreshUserStatistics(req.userId);
+  }
+
+  res.status(HTTP_STATUS.CREATED).json(
+    formatSuccessResponse(medicationService.describeMedication(medication, todayKey(req.timeZone)), 'Medication created successfully')
+  );
+}));
+
+/**
+ * GET /api/health-data/medications/doses
+ * Get user's dose logs, optionally for one regimen
+ */
+router.get('/medications/doses', validateQueryParams, asyncErrorHandler(async (req, res) => {
+  const { from = null, to = null, medication_id: medicationId = null, limit = 50 } = req.query;
+  
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const doses = await firestoreService.getMedicationDoses(req.userId, {
+    medicationId,
+    from: from && toDateKey(from),
+    to: to && toDateKey(to),
+    limit: parseInt(limit, 10)
+  });
+
+  res.json(formatSuccessResponse({
+    doses,
+    count: doses.length,
+    user_id: req.userId
+  }, 'Medication doses retrieved successfully'));
+}));
+
+/**
+ * DELETE /api/health-data/medications/doses/:id
+ * Delete dose log
+ */
+router.delete('/medications/doses/:id', validateObjectId('id'), asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const existingDose = await firestoreService.getMedicationDoseById(req.params.id);
+  
+  if (!existingDose) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json(
+      formatErrorResponse('Medication dose not found', HTTP_STATUS.NOT_FOUND)
+    );
+  }
+
+  if (existingDose.user_id !== req.userId) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json(
+      formatErrorResponse('Access denied', HTTP_STATUS.FORBIDDEN)
+    );
+  }
+
+  await firestoreService.deleteMedicationDose(req.params.id);
+
+  res.json(formatSuccessResponse(null, 'Medication dose deleted successfully'));
+}));
+
+/**
+ * GET /api/health-data/medications/adherence
+ * Get adherence percentages per regimen and overall (last 30 days by default)
+ */
+router.get('/medications/adherence', validateQueryParams, asyncErrorHandler(async (req, res) => {
+  const { from = null, to = null } = req.query;
+  
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  if (from && to && daysBetween(from, to) + 1 > MEDICATION.MAX_RANGE_DAYS) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json(
+      formatErrorResponse(`Adherence range cannot exceed ${MEDICATION.MAX_RANGE_DAYS} days`, HTTP_STATUS.BAD_REQUEST)
+    );
+  }
+
+  const adherence = await medicationService.getUserAdherence(req.userId, from && toDateKey(from), to && toDateKey(to));
+
+  res.json(formatSuccessResponse(adherence, 'Medication adherence retrieved successfully'));
+}));
+
+/**
+ * GET /api/health-data/medications/contraception
+ * Get the contraception in use today, the pill pack day and upcoming withdrawal bleeds
+ */
+router.get('/medications/contraception', loadUserTimeZone, asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const medications = await firestoreService.getMedications(req.userId);
+  const contraception = medicationService.getContraceptionStatus(medications, todayKey(req.timeZone));
+
+  res.json(formatSuccessResponse({
+    contraception,
+    predictions_suppressed: Boolean(contraception?.hormonal)
+  }, 'Contraception status retrieved successfully'));
+}));
+
+/**
+ * PUT /api/health-data/medications/:id
+ * Replace a regimen (set end_date to stop it while keeping its history)
+ */
+router.put('/medications/:id', validateObjectId('id'), validateMedicationData, loadUserTimeZone, asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const existingMedication = await firestoreService.getMedicationById(req.params.id);
+  
+  if (!existingMedication) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json(
+      formatErrorResponse('Medication not found', HTTP_STATUS.NOT_FOUND)
+    );
+  }
+
+  if (existingMedication.user_id !== req.userId) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json(
+      formatErrorResponse('Access denied', HTTP_STATUS.FORBIDDEN)
+    );
+  }
+
+  const updatedMedication = await firestoreService.updateMedication(req.params.id, medicationService.buildMedication(req.body));
+
+  if (updatedMedication.hormonal || existingMedication.hormonal) {
+    await predictionService.refreshUserStatistics(req.userId);
+  }
+
+  res.json(formatSuccessResponse(
+    medicationService.describeMedication(updatedMedication, todayKey(req.timeZone)),
+    'Medication updated successfully'
+  ));
+}));
+
+/**
+ * DELETE /api/health-data/medications/:id
+ * Delete a regimen and its dose logs
+ */
+router.delete('/medications/:id', validateObjectId('id'), asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const existingMedication = await firestoreService.getMedicationById(req.params.id);
+  
+  if (!existingMedication) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json(
+      formatErrorResponse('Medication not found', HTTP_STATUS.NOT_FOUND)
+    );
+  }
+
+  if (existingMedication.user_id !== req.userId) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json(
+      formatErrorResponse('Access denied', HTTP_STATUS.FORBIDDEN)
+    );
+  }
+
+  const dosesDeleted = await firestoreService.deleteMedication(req.params.id);
+
+  if (existingMedication.hormonal) {
+    await predictionService.refreshUserStatistics(req.userId);
+  }
+
+  res.json(formatSuccessResponse({ doses_deleted: dosesDeleted }, 'Medication deleted successfully'));
+}));
+
+/**
+ * POST /api/health-data/medications/:id/doses
+ * Log a dose as taken or missed
+ */
+router.post('/medications/:id/doses', validateObjectId('id'), validateMedicationDoseData, loadUserTimeZone, asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const medication = await firestoreService.getMedicationById(req.params.id);
+  
+  if (!medication) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json(
+      formatErrorResponse('Medication not found', HTTP_STATUS.NOT_FOUND)
+    );
+  }
+
+  if (medication.user_id !== req.userId) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json(
+      formatErrorResponse('Access denied', HTTP_STATUS.FORBIDDEN)
+    );
+  }
+
+  const dose = await firestoreService.saveMedicationDose(req.userId, {
+    medication_id: medication.id,
+    dose_date: req.body.dose_date,
+    status: req.body.status,
+    taken_at: req.body.status === 'taken' && req.body.taken_at ? new Date(req.body.taken_at) : null,
+    quantity: req.body.quantity || null,
+    notes: req.body.notes || null,
+    ...localDateFields(req.body.dose_date, req.timeZone)
+  });
+
+  res.status(HTTP_STATUS.CREATED).json(
+    formatSuccessResponse(dose, 'Medication dose saved successfully')
+  );
+}));
+
+// =================== CALENDAR ===================
+
+/**
+ * GET /api/health-data/calendar
+ * Get one entry per day with cycle day, phase, period flow, predicted
+ * period/fertile days and a summary of every log type
+ */
+router.get('/calendar', validateCalendarQuery, asyncErrorHandler(async (req, res) => {
+  const { from, to } = req.query;
+
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const calendar = await calendarService.getUserCalendar(req.userId, from, to);
+
+  res.json(formatSuccessResponse(calendar, 'Calendar retrieved successfully'));
+}));
+
 // =================== NUTRITION LOGS ===================
 
 /**
  * GET /api/health-data/nutrition
  * Get user's nutrition logs
+ * Supports date or from/to (local day), sort=desc|asc and cursor pagination
  */
-router.get('/nutrition', validateQueryParams, asyncErrorHandler(async (req, res) => {
-  const { date, limit = 30 } = req.query;
+router.get('/nutrition', validateQueryParams, loadUserTimeZone, asyncErrorHandler(async (req, res) => {
+  const { date = null, sort = 'desc', cursor = null, limit = 30 } = req.query;
+  const from = date || req.query.from;
+  const to = date || req.query.to;
   
   if (!firestoreService.db) {
     return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
@@ -193,11 +1082,20 @@ router.get('/nutrition', validateQueryParams, asyncErrorHandler(async (req, res)
     );
   }
 
-  const nutritionLogs = await firestoreService.getNutritionLogs(req.userId, date, parseInt(limit, 10));
+  const page = await firestoreService.getUserPage(COLLECTIONS.NUTRITION_LOGS, req.userId, {
+    field: 'local_date',
+    from: from && toLocalDateKey(from, req.timeZone),
+    to: to && toLocalDateKey(to, req.timeZone),
+    sort,
+    cursor,
+    limit: parseInt(limit, 10)
+  });
+  const nutritionLogs = page.items;
 
   res.json(formatSuccessResponse({
     nutrition_logs: nutritionLogs,
     count: nutritionLogs.length,
+    next_cursor: page.next_cursor,
     date_filter: date || 'all',
     user_id: req.userId
   }, 'Nutrition logs retrieved successfully'));
@@ -207,7 +1105,7 @@ router.get('/nutrition', validateQueryParams, asyncErrorHandler(async (req, res)
  * POST /api/health-data/nutrition
  * Create new nutrition log
  */
-router.post('/nutrition', validateNutritionData, asyncErrorHandler(async (req, res) => {
+router.post('/nutrition', validateNutritionData, loadUserTimeZone, asyncErrorHandler(async (req, res) => {
   if (!firestoreService.db) {
     return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
       formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
@@ -217,7 +1115,8 @@ router.post('/nutrition', validateNutritionData, asyncErrorHandler(async (req, r
   const nutritionData = {
     ...req.body,
     user_id: req.userId,
-    log_date: new Date(req.body.log_date)
+    log_date: new Date(req.body.log_date),
+    ...localDateFields(req.body.log_date, req.timeZone)
   };
 
   const nutritionLog = await firestoreService.saveNutritionLog(req.userId, nutritionData);
@@ -231,7 +1130,7 @@ router.post('/nutrition', validateNutritionData, asyncErrorHandler(async (req, r
  * PUT /api/health-data/nutrition/:id
  * Update nutrition log
  */
-router.put('/nutrition/:id', validateObjectId('id'), validateNutritionData, asyncErrorHandler(async (req, res) => {
+router.put('/nutrition/:id', validateObjectId('id'), validateNutritionData, loadUserTimeZone, asyncErrorHandler(async (req, res) => {
   if (!firestoreService.db) {
     return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
       formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
@@ -258,6 +1157,7 @@ router.put('/nutrition/:id', validateObjectId('id'), validateNutritionData, asyn
   const updateData = {
     ...req.body,
     log_date: new Date(req.body.log_date),
+    ...localDateFields(req.body.log_date, req.timeZone),
     updated_at: firebaseService.getServerTimestamp()
   };
 
@@ -307,9 +1207,10 @@ router.delete('/nutrition/:id', validateObjectId('id'), asyncErrorHandler(async
 /**
  * GET /api/health-data/fitness
  * Get user's fitness logs
+ * Supports from/to (local day), sort=desc|asc and cursor pagination
  */
-router.get('/fitness', validateQueryParams, asyncErrorHandler(async (req, res) => {
-  const { limit = 30 } = req.query;
+router.get('/fitness', validateQueryParams, loadUserTimeZone, asyncErrorHandler(async (req, res) => {
+  const { from = null, to = null, sort = 'desc', cursor = null, limit = 30 } = req.query;
   
   if (!firestoreService.db) {
     return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
@@ -317,11 +1218,20 @@ router.get('/fitness', validateQueryParams, asyncErrorHandler(async (req, res) =
     );
   }
 
-  const fitnessLogs = await firestoreService.getFitnessLogs(req.userId, parseInt(limit, 10));
+  const page = await firestoreService.getUserPage(COLLECTIONS.FITNESS_LOGS, req.userId, {
+    field: 'local_date',
+    from: from && toLocalDateKey(from, req.timeZone),
+    to: to && toLocalDateKey(to, req.timeZone),
+    sort,
+    cursor,
+    limit: parseInt(limit, 10)
+  });
+  const fitnessLogs = page.items;
 
   res.json(formatSuccessResponse({
     fitness_logs: fitnessLogs,
     count: fitnessLogs.length,
+    next_cursor: page.next_cursor,
     user_id: req.userId
   }, 'Fitness logs retrieved successfully'));
 }));
@@ -330,17 +1240,19 @@ router.get('/fitness', validateQueryParams, asyncErrorHandler(async (req, res) =
  * POST /api/health-data/fitness
  * Create new fitness log
  */
-router.post('/fitness', validateFitnessData, asyncErrorHandler(async (req, res) => {
+router.post('/fitness', validateFitnessData, loadUserTimeZone, asyncErrorHandler(async (req, res) => {
   if (!firestoreService.db) {
     return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
       formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
     );
   }
 
+  const loggedAt = new Date();
   const fitnessData = {
     ...req.body,
     user_id: req.userId,
-    logged_at: new Date()
+    logged_at: loggedAt,
+    ...localDateFields(loggedAt, req.timeZone)
   };
 
   const fitnessLog = await firestoreService.saveFitnessLog(req.userId, fitnessData);
@@ -354,7 +1266,7 @@ router.post('/fitness', validateFitnessData, asyncErrorHandler(async (req, res)
  * PUT /api/health-data/fitness/:id
  * Update fitness log
  */
-router.put('/fitness/:id', validateObjectId('id'), validateFitnessData, asyncErrorHandler(async (req, res) => {
+router.put('/fitness/:id', validateObjectId('id'), validateFitnessData, loadUserTimeZone, asyncErrorHandler(async (req, res) => {
   if (!firestoreService.db) {
     return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
       formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
@@ -378,8 +1290,13 @@ router.put('/fitness/:id', validateObjectId('id'), validateFitnessData, asyncErr
     );
   }
 
+  // A moved logged_at moves the log to another local day
   const updateData = {
     ...req.body,
+    ...(req.body.logged_at ? {
+      logged_at: new Date(req.body.logged_at),
+      ...localDateFields(req.body.logged_at, req.timeZone)
+    } : {}),
     updated_at: firebaseService.getServerTimestamp()
   };
 
@@ -429,9 +1346,10 @@ router.delete('/fitness/:id', validateObjectId('id'), asyncErrorHandler(async (r
 /**
  * GET /api/health-data/mental-health
  * Get user's mental health logs
+ * Supports from/to (local day), sort=desc|asc and cursor pagination
  */
-router.get('/mental-health', validateQueryParams, asyncErrorHandler(async (req, res) => {
-  const { limit = 30 } = req.query;
+router.get('/mental-health', validateQueryParams, loadUserTimeZone, asyncErrorHandler(async (req, res) => {
+  const { from = null, to = null, sort = 'desc', cursor = null, limit = 30 } = req.query;
   
   if (!firestoreService.db) {
     return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
@@ -439,11 +1357,20 @@ router.get('/mental-health', validateQueryParams, asyncErrorHandler(async (req,
     );
   }
 
-  const mentalHealthLogs = await firestoreService.getMentalHealthLogs(req.userId, parseInt(limit, 10));
+  const page = await firestoreService.getUserPage(COLLECTIONS.MENTAL_HEALTH_LOGS, req.userId, {
+    field: 'local_date',
+    from: from && toLocalDateKey(from, req.timeZone),
+    to: to && toLocalDateKey(to, req.timeZone),
+    sort,
+    cursor,
+    limit: parseInt(limit, 10)
+  });
+  const mentalHealthLogs = page.items;
 
   res.json(formatSuccessResponse({
     mental_health_logs: mentalHealthLogs,
     count: mentalHealthLogs.length,
+    next_cursor: page.next_cursor,
     user_id: req.userId
   }, 'Mental health logs retrieved successfully'));
 }));
@@ -452,17 +1379,19 @@ router.get('/mental-health', validateQueryParams, asyncErrorHandler(async (req,
  * POST /api/health-data/mental-health
  * Create new mental health log
  */
-router.post('/mental-health', validateMentalHealthData, asyncErrorHandler(async (req, res) => {
+router.post('/mental-health', validateMentalHealthData, loadUserTimeZone, asyncErrorHandler(async (req, res) => {
   if (!firestoreService.db) {
     return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
       formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
     );
   }
 
+  const loggedAt = new Date();
   const mentalHealthData = {
     ...req.body,
     user_id: req.userId,
-    logged_at: new Date()
+    logged_at: loggedAt,
+    ...localDateFields(loggedAt, req.timeZone)
   };
 
   const mentalHealthLog = await firestoreService.saveMentalHealthLog(req.userId, mentalHealthData);
@@ -476,7 +1405,7 @@ router.post('/mental-health', validateMentalHealthData, asyncErrorHandler(async
  * PUT /api/health-data/mental-health/:id
  * Update mental health log
  */
-router.put('/mental-health/:id', validateObjectId('id'), validateMentalHealthData, asyncErrorHandler(async (req, res) => {
+router.put('/mental-health/:id', validateObjectId('id'), validateMentalHealthData, loadUserTimeZone, asyncErrorHandler(async (req, res) => {
   if (!firestoreService.db) {
     return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
       formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
@@ -500,8 +1429,13 @@ router.put('/mental-health/:id', validateObjectId('id'), validateMentalHealthDat
     );
   }
 
+  // A moved logged_at moves the log to another local day
   const updateData = {
     ...req.body,
+    ...(req.body.logged_at ? {
+      logged_at: new Date(req.body.logged_at),
+      ...localDateFields(req.body.logged_at, req.timeZone)
+    } : {}),
     updated_at: firebaseService.getServerTimestamp()
   };
 
@@ -579,20 +1513,27 @@ router.get('/stats', asyncErrorHandler(async (req, res) => {
     );
   }
 
-  const [cycles, nutritionLogs, fitnessLogs, mentalHealthLogs] = await Promise.all([
+  const [storedCycles, medications, nutritionLogs, fitnessLogs, mentalHealthLogs] = await Promise.all([
     firestoreService.getCycles(req.userId, 12), // Last 12 cycles
+    firestoreService.getMedications(req.userId),
     firestoreService.getNutritionLogs(req.userId, null, 100),
     firestoreService.getFitnessLogs(req.userId, 100),
     firestoreService.getMentalHealthLogs(req.userId, 100)
   ]);
 
+  // Cycle lengths come from the real gaps between period starts (bleeds on hormonal contraception excluded)
+  const cycles = medicationService.markContraceptionCycles(storedCycles, medications);
+  const cycleStatistics = predictionService.calculateStatistics(cycles);
+
   const stats = {
     cycles: {
       total_tracked: cycles.length,
-      average_cycle_length: cycles.length > 0 ? 
-        cycles.reduce((sum, cycle) => sum + (cycle.cycle_length || 28), 0) / cycles.length : 28,
-      average_period_duration: cycles.length > 0 ?
-        cycles.reduce((sum, cycle) => sum + (cycle.period_duration || 5), 0) / cycles.length : 5
+      average_cycle_length: cycleStatistics.average_cycle_length,
+      average_period_duration: cycleStatistics.average_period_duration,
+      cycle_length_std_dev: cycleStatistics.cycle_length_std_dev,
+      shortest_cycle: cycleStatistics.shortest_cycle,
+      longest_cycle: cycleStatistics.longest_cycle,
+      based_on_observed_data: cycleStatistics.is_personalized
     },
     nutrition: {
       total_logs: nutritionLogs.length,
@@ -10,6 +10,8 @@ router.get('/test-connection', asyncErrorHandler(async (req, res) => {
     success: true,
     data: {
       aiAvailable: isAvailable,
+      provider: openAIService.provider ? openAIService.provider.name : null,
+      model: openAIService.provider ? openAIService.provider.model : null,
       apiKeyConfigured: !!process.env.OPENAI_API_KEY,
       apiKeyValue: process.env.OPENAI_API_KEY ? 'Configured (hidden)' : 'Not configured'
     }
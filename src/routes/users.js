@@ -2,15 +2,39 @@ const express = require('express');
 const router = express.Router();
 
 // Import middleware
-const { authenticateUser, validateUserAccess } = require('../middleware/auth');
+const { authenticateUser, authenticateFeedToken, validateUserAccess } = require('../middleware/auth');
 const { asyncErrorHandler } = require('../middleware/errorHandler');
+const { validateProfileData, validateSettingsData, validateFeedTokenData, validateDeviceData } = require('../middleware/validation');
 
 // Import services
 const firestoreService = require('../services/firestore');
+const anomalyService = require('../services/anomalies');
+const calendarFeedService = require('../services/calendar-feed');
+const notificationService = require('../services/notification');
+const trackingModeService = require('../services/tracking-mode');
 
 // Import utilities
 const { formatSuccessResponse, formatErrorResponse } = require('../utils/helpers');
-const { HTTP_STATUS } = require('../utils/constants');
+const { HTTP_STATUS, CALENDAR_FEED, NOTIFICATIONS } = require('../utils/constants');
+
+// =================== CALENDAR FEED ===================
+
+/**
+ * GET /api/users/calendar.ics?token=...
+ * Read-only iCalendar feed of logged periods, predicted periods and fertile windows
+ * Authenticated by a feed token instead of a Firebase token (calendar clients
+ * cannot send Authorization headers), so it is registered before authenticateUser
+ */
+router.get('/calendar.ics', authenticateFeedToken, asyncErrorHandler(async (req, res) => {
+  const ics = await calendarFeedService.getUserFeed(req.userId);
+
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': 'inline; filename="lunara.ics"',
+    'Cache-Control': 'private, max-age=900'
+  });
+  res.send(ics);
+}));
 
 // Apply authentication to all routes
 router.use(authenticateUser);
@@ -57,7 +81,7 @@ router.get('/profile', asyncErrorHandler(async (req, res) => {
  * Update user profile information (additional data beyond Firebase)
  * Firebase Auth data can't be changed here - only additional profile data
  */
-router.put('/profile', asyncErrorHandler(async (req, res) => {
+router.put('/profile', validateProfileData, asyncErrorHandler(async (req, res) => {
   try {
     const allowedFields = [
       'display_name',
@@ -70,7 +94,10 @@ router.put('/profile', asyncErrorHandler(async (req, res) => {
       'privacy_settings',
       'health_goals',
       'cycle_length_average',
-      'period_length_average'
+      'period_length_average',
+      'tracking_mode',
+      'pregnancy_lmp',
+      'delivery_date'
     ];
 
     // Filter only allowed fields
@@ -81,6 +108,14 @@ router.put('/profile', asyncErrorHandler(async (req, res) => {
       }
     });
 
+    // Record when the life-stage mode was switched (saving the same mode again keeps the date)
+    if (profileData.tracking_mode) {
+      const currentProfile = await firestoreService.getUserProfile(req.userId);
+      if (trackingModeService.getTrackingMode(currentProfile) !== profileData.tracking_mode) {
+        profileData.tracking_mode_started_at = new Date().toISOString();
+      }
+    }
+
     // Add metadata
     profileData.updated_at = new Date().toISOString();
     profileData.user_id = req.userId;
@@ -114,14 +149,21 @@ router.get('/dashboard', asyncErrorHandler(async (req, res) => {
       email_verified: req.user.email_verified
     };
 
-    // Add counts
-    const [cycleCount, nutritionCount, fitnessCount, mentalHealthCount] = await Promise.all([
+    // Add counts and cycle anomaly flags
+    const [cycleCount, nutritionCount, fitnessCount, mentalHealthCount, cycleAnomalies] = await Promise.all([
       firestoreService.getCycleCount(req.userId),
       firestoreService.getNutritionLogCount(req.userId),
       firestoreService.getFitnessLogCount(req.userId),
-      firestoreService.getMentalHealthLogCount(req.userId)
+      firestoreService.getMentalHealthLogCount(req.userId),
+      // Anomaly flags are optional: the dashboard still loads without them
+      anomalyService.getUserAnomalies(req.userId).catch(error => {
+        console.error('Dashboard anomalies error:', error.message);
+        return null;
+      })
     ]);
 
+    dashboardData.cycle_anomalies = cycleAnomalies;
+
     dashboardData.statistics = {
       total_cycles: cycleCount,
       total_nutrition_logs: nutritionCount,
@@ -147,29 +189,7 @@ router.get('/dashboard', asyncErrorHandler(async (req, res) => {
  */
 router.get('/settings', asyncErrorHandler(async (req, res) => {
   try {
-    const settingsDoc = await firestoreService.db.collection('user_settings').doc(req.userId).get();
-    
-    const defaultSettings = {
-      notifications: {
-        period_reminders: true,
-        ovulation_reminders: true,
-        medication_reminders: true,
-        health_insights: true
-      },
-      privacy: {
-        data_sharing: false,
-        analytics: true,
-        crash_reports: true
-      },
-      preferences: {
-        theme: 'light',
-        language: 'en',
-        units: 'metric',
-        first_day_of_week: 'monday'
-      }
-    };
-
-    const settings = settingsDoc.exists ? { ...defaultSettings, ...settingsDoc.data() } : defaultSettings;
+    const settings = await firestoreService.getUserSettings(req.userId);
 
     res.json(formatSuccessResponse(settings, 'User settings retrieved successfully'));
   } catch (error) {
@@ -183,7 +203,7 @@ router.get('/settings', asyncErrorHandler(async (req, res) => {
  * PUT /api/users/settings
  * Update user app settings
  */
-router.put('/settings', asyncErrorHandler(async (req, res) => {
+router.put('/settings', validateSettingsData, asyncErrorHandler(async (req, res) => {
   try {
     const settingsData = {
       ...req.body,
@@ -201,6 +221,176 @@ router.put('/settings', asyncErrorHandler(async (req, res) => {
   }
 }));
 
+// =================== CALENDAR FEED TOKENS ===================
+
+/**
+ * GET /api/users/calendar-feed/tokens
+ * List the user's calendar feed tokens (the tokens themselves are never returned again)
+ */
+router.get('/calendar-feed/tokens', asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const tokens = await calendarFeedService.listFeedTokens(req.userId);
+
+  res.json(formatSuccessResponse({
+    tokens,
+    count: tokens.length
+  }, 'Calendar feed tokens retrieved successfully'));
+}));
+
+/**
+ * POST /api/users/calendar-feed/tokens
+ * Create a calendar feed token and return the subscription URL
+ */
+router.post('/calendar-feed/tokens', validateFeedTokenData, asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const existingTokens = await calendarFeedService.listFeedTokens(req.userId);
+
+  if (existingTokens.length >= CALENDAR_FEED.MAX_TOKENS) {
+    return res.status(HTTP_STATUS.CONFLICT).json(
+      formatErrorResponse(`You can have at most ${CALENDAR_FEED.MAX_TOKENS} calendar feeds. Revoke one before creating another.`, HTTP_STATUS.CONFLICT)
+    );
+  }
+
+  const feedToken = await calendarFeedService.createFeedToken(req.userId, req.body.label || null);
+  const feedUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}/calendar.ics?token=${feedToken.token}`;
+
+  res.status(HTTP_STATUS.CREATED).json(formatSuccessResponse({
+    ...feedToken,
+    feed_url: feedUrl,
+    webcal_url: feedUrl.replace(/^https?:/, 'webcal:')
+  }, 'Calendar feed token created successfully. Store the URL now; the token cannot be shown again.'));
+}));
+
+/**
+ * DELETE /api/users/calendar-feed/tokens/:id
+ * Revoke a calendar feed token
+ */
+router.delete('/calendar-feed/tokens/:id', asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const feedToken = await firestoreService.getCalendarFeedToken(req.params.id);
+
+  if (!feedToken) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json(
+      formatErrorResponse('Calendar feed token not found', HTTP_STATUS.NOT_FOUND)
+    );
+  }
+
+  if (feedToken.user_id !== req.userId) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json(
+      formatErrorResponse('Access denied', HTTP_STATUS.FORBIDDEN)
+    );
+  }
+
+  await firestoreService.deleteCalendarFeedToken(req.params.id);
+
+  res.json(formatSuccessResponse(null, 'Calendar feed token revoked successfully'));
+}));
+
+// =================== PUSH DEVICES ===================
+
+/**
+ * GET /api/users/devices
+ * List the user's registered push devices (tokens are never returned)
+ */
+router.get('/devices', asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const devices = await firestoreService.getUserDevices(req.userId);
+
+  res.json(formatSuccessResponse({
+    devices: devices.map(device => notificationService.formatDevice(device)),
+    count: devices.length
+  }, 'Devices retrieved successfully'));
+}));
+
+/**
+ * POST /api/users/devices
+ * Register a device's FCM token (re-registering a device_id replaces its token)
+ */
+router.post('/devices', validateDeviceData, asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const device = await notificationService.registerDevice(req.userId, req.body);
+
+  res.status(HTTP_STATUS.CREATED).json(formatSuccessResponse(device, 'Device registered successfully'));
+}));
+
+/**
+ * DELETE /api/users/devices
+ * Unregister a device by device_id or token (e.g. on sign-out)
+ */
+router.delete('/devices', asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const { device_id, token } = req.body;
+
+  if (!device_id && !token) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json(
+      formatErrorResponse('device_id or token is required', HTTP_STATUS.BAD_REQUEST)
+    );
+  }
+
+  const devices = await firestoreService.getUserDevices(req.userId);
+  const matches = devices.filter(device => (device_id && device.device_id === device_id) || (token && device.token === token));
+
+  if (matches.length === 0) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json(
+      formatErrorResponse('Device not found', HTTP_STATUS.NOT_FOUND)
+    );
+  }
+
+  await firestoreService.deleteUserDevices(matches.map(device => device.id));
+
+  res.json(formatSuccessResponse(null, 'Device unregistered successfully'));
+}));
+
+/**
+ * GET /api/users/notifications
+ * Get the user's notification delivery history (newest first)
+ */
+router.get('/notifications', asyncErrorHandler(async (req, res) => {
+  if (!firestoreService.db) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatErrorResponse('Database service unavailable', HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    );
+  }
+
+  const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || NOTIFICATIONS.HISTORY_LIMIT, NOTIFICATIONS.HISTORY_LIMIT));
+  const notifications = await firestoreService.getNotificationHistory(req.userId, limit);
+
+  res.json(formatSuccessResponse({
+    notifications,
+    count: notifications.length
+  }, 'Notification history retrieved successfully'));
+}));
+
 // =================== USER DATA MANAGEMENT ===================
 
 /**
@@ -267,21 +457,21 @@ router.delete('/account', asyncErrorHandler(async (req, res) => {
       );
     }
 
-    // Delete all user data from Firestore
-    const batch = firestoreService.db.batch();
-    
     // Get all user documents
-    const collections = ['cycles', 'nutrition_logs', 'fitness_logs', 'mental_health_logs', 'ai_insights', 'user_profiles', 'user_settings'];
+    const collections = ['cycles', 'period_entries', 'fertility_logs', 'hot_flash_logs', 'symptom_logs', 'drsp_ratings', 'nutrition_logs', 'fitness_logs', 'mental_health_logs', 'medications', 'medication_doses', 'ai_insights', 'ai_conversations', 'ai_messages', 'ai_safety_events', 'ai_usage', 'calendar_feed_tokens', 'user_devices', 'notification_history', 'digests', 'user_profiles', 'user_settings'];
     
+    const refs = [];
     for (const collectionName of collections) {
       const snapshot = await firestoreService.db.collection(collectionName).where('user_id', '==', req.userId).get();
-      snapshot.docs.forEach(doc => {
-        batch.delete(doc.ref);
-      });
+      snapshot.docs.forEach(doc => refs.push(doc.ref));
     }
 
-    // Execute batch delete
-    await batch.commit();
+    // Delete all user data from Firestore (batches are limited to 500 writes)
+    for (let i = 0; i < refs.length; i += 400) {
+      const batch = firestoreService.db.batch();
+      refs.slice(i, i + 400).forEach(ref => batch.delete(ref));
+      await batch.commit();
+    }
 
     res.json(formatSuccessResponse(null, 'All user data deleted successfully. Please delete your Firebase Auth account from the app.'));
   } catch (error) {
@@ -0,0 +1,343 @@
+const firestoreService = require('./firestore');
+const predictionService = require('./prediction');
+const trackingModeService = require('./tracking-mode');
+const { AI_CONTEXT, PREDICTION } = require('../utils/constants');
+const { calculateAge } = require('../utils/helpers');
+const { toDateKey, addDays, todayKey, toLogDateKey } = require('../utils/dates');
+const { mean } = require('../utils/statistics');
+const { findSymptom } = require('../utils/symptom-catalog');
+
+const MOOD_METRICS = [
+  { field: 'mood_rating', label: 'mood' },
+  { field: 'stress_level', label: 'stress' },
+  { field: 'anxiety_level', label: 'anxiety' },
+  { field: 'energy_level', label: 'energy' },
+  { field: 'sleep_quality', label: 'sleep quality' }
+];
+
+/**
+ * Round to one decimal
+ * @param {number} value - Value
+ * @returns {number}
+ */
+const round1 = (value) => Math.round(value * 10) / 10;
+
+class AIContextService {
+  // =================== LOG FIELDS ===================
+
+  /**
+   * Calories of a nutrition log (older logs store total_calories)
+   * @param {Object} log - Nutrition log
+   * @returns {number|null}
+   */
+  getCalories(log) {
+    const calories = log.calories ?? log.total_calories;
+    return typeof calories === 'number' ? calories : null;
+  }
+
+  /**
+   * Activity name of a fitness log (older logs store activity_name/exercise_type)
+   * @param {Object} log - Fitness log
+   * @returns {string|null}
+   */
+  getActivityName(log) {
+    return log.activity_type || log.activity_name || log.exercise_type || null;
+  }
+
+  // =================== SERIES ===================
+
+  /**
+   * Combine log values per day
+   * @param {Array} logs - Logs
+   * @param {Function} getValue - log -> number|null
+   * @param {string} combine - 'sum' or 'mean'
+   * @returns {Array} - [{ date, value }] oldest first
+   */
+  getDailyValues(logs, getValue, combine = 'sum') {
+    const byDay = {};
+    logs.forEach(log => {
+      const date = toLogDateKey(log);
+      const value = getValue(log);
+      if (!date || typeof value !== 'number') return;
+      (byDay[date] = byDay[date] || []).push(value);
+    });
+
+    return Object.keys(byDay).sort().map(date => ({
+      date,
+      value: combine === 'mean' ? mean(byDay[date]) : byDay[date].reduce((sum, value) => sum + value, 0)
+    }));
+  }
+
+  /**
+   * Compare the two halves of a daily series
+   * @param {Array} daily - Output of getDailyValues
+   * @returns {string|null} - rising, falling or steady; null with fewer than 4 days
+   */
+  describeTrend(daily) {
+    if (daily.length < 4) return null;
+
+    const half = Math.floor(daily.length / 2);
+    const first = mean(daily.slice(0, half).map(day => day.value));
+    const second = mean(daily.slice(daily.length - half).map(day => day.value));
+    if (!first) return null;
+
+    const change = (second - first) / first;
+    if (change > AI_CONTEXT.TREND_THRESHOLD) return 'rising';
+    if (change < -AI_CONTEXT.TREND_THRESHOLD) return 'falling';
+    return 'steady';
+  }
+
+  /**
+   * Find days far from the average
+   * @param {Array} daily - Output of getDailyValues
+   * @param {number} average - Average daily value
+   * @returns {Array} - Up to MAX_OUTLIERS days, largest deviation first
+   */
+  findOutliers(daily, average) {
+    if (daily.length < 3 || !average) return [];
+
+    return daily
+      .filter(day => Math.abs(day.value - average) >= average * AI_CONTEXT.OUTLIER_RATIO)
+      .sort((a, b) => Math.abs(b.value - average) - Math.abs(a.value - average))
+      .slice(0, AI_CONTEXT.MAX_OUTLIERS);
+  }
+
+  /**
+   * List the most frequent values
+   * @param {Array<string>} values - Values
+   * @returns {string} - e.g. "yoga ×3, running ×2"
+   */
+  describeTop(values) {
+    const counts = {};
+    values.filter(Boolean).forEach(value => {
+      counts[value] = (counts[value] || 0) + 1;
+    });
+
+    return Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, AI_CONTEXT.TOP_ITEMS)
+      .map(([value, count]) => (count > 1 ? `${value} ×${count}` : value))
+      .join(', ');
+  }
+
+  /**
+   * Keep a summary within MAX_SECTION_CHARS, cutting between parts
+   * @param {Array<string>} parts - Summary parts, most important first
+   * @returns {string} - Summary
+   */
+  boundText(parts) {
+    let text = '';
+    for (const part of parts.filter(Boolean)) {
+      const next = text ? `${text}; ${part}` : part;
+      if (next.length > AI_CONTEXT.MAX_SECTION_CHARS) {
+        return text || `${part.slice(0, AI_CONTEXT.MAX_SECTION_CHARS - 1)}…`;
+      }
+      text = next;
+    }
+    return text;
+  }
+
+  // =================== SUMMARIES ===================
+
+  /**
+   * Summarize nutrition logs
+   * @param {Array} logs - Nutrition logs of the window
+   * @param {number} days - Window length
+   * @returns {string|null} - Summary or null without logs
+   */
+  summarizeNutrition(logs, days = AI_CONTEXT.DAYS) {
+    if (logs.length === 0) return null;
+
+    const loggedDays = new Set(logs.map(log => toLogDateKey(log)).filter(Boolean)).size;
+    const daily = this.getDailyValues(logs, log => this.getCalories(log));
+    const average = mean(daily.map(day => day.value));
+    const trend = this.describeTrend(daily);
+    const outliers = this.findOutliers(daily, average);
+    const mealTypes = this.describeTop(logs.map(log => log.meal_type));
+
+    return this.boundText([
+      `${logs.length} meals on ${loggedDays} of the last ${days} days`,
+      average !== null ? `average ${Math.round(average)} kcal per logged day${trend ? ` (${trend})` : ''}` : null,
+      outliers.length > 0 ? `unusual days: ${outliers.map(day => `${day.date} (${Math.round(day.value)} kcal)`).join(', ')}` : null,
+      mealTypes ? `meals: ${mealTypes}` : null
+    ]);
+  }
+
+  /**
+   * Summarize fitness logs
+   * @param {Array} logs - Fitness logs of the window
+   * @param {number} days - Window length
+   * @returns {string|null} - Summary or null without logs
+   */
+  summarizeFitness(logs, days = AI_CONTEXT.DAYS) {
+    if (logs.length === 0) return null;
+
+    const daily = this.getDailyValues(logs, log => log.duration_minutes || 0);
+    const totalMinutes = daily.reduce((sum, day) => sum + day.value, 0);
+    const trend = this.describeTrend(daily);
+    const activities = this.describeTop(logs.map(log => this.getActivityName(log)));
+
+    return this.boundText([
+      `${logs.length} workouts on ${daily.length} of the last ${days} days, ${totalMinutes} minutes in total${trend ? ` (${trend})` : ''}`,
+      activities ? `activities: ${activities}` : null
+    ]);
+  }
+
+  /**
+   * Summarize mental health logs
+   * @param {Array} logs - Mental health logs of the window
+   * @param {number} days - Window length
+   * @returns {Object} - { summary, stress } (null fields without data)
+   */
+  summarizeMood(logs, days = AI_CONTEXT.DAYS) {
+    if (logs.length === 0) return { summary: null, stress: null };
+
+    const metrics = {};
+    MOOD_METRICS.forEach(({ field, label }) => {
+      const daily = this.getDailyValues(logs, log => log[field], 'mean');
+      if (daily.length === 0) return;
+      const average = mean(daily.map(day => day.value));
+      const trend = this.describeTrend(daily);
+      metrics[field] = {
+        daily,
+        average,
+        text: `${label} ${round1(average)}/10${trend ? ` (${trend})` : ''}`
+      };
+    });
+
+    const mood = metrics.mood_rating;
+    const lowDays = mood ? this.findOutliers(mood.daily, mood.average).filter(day => day.value < mood.average) : [];
+
+    return {
+      summary: this.boundText([
+        `${logs.length} check-ins over the last ${days} days`,
+        Object.values(metrics).length > 0 ? `average ${Object.values(metrics).map(metric => metric.text).join(', ')}` : null,
+        lowDays.length > 0 ? `low mood days: ${lowDays.map(day => `${day.date} (${round1(day.value)}/10)`).join(', ')}` : null
+      ]),
+      stress: metrics.stress_level ? metrics.stress_level.text.replace('stress ', '') : null
+    };
+  }
+
+  /**
+   * Summarize symptom logs
+   * @param {Array} logs - Symptom logs of the window
+   * @returns {string|null} - Most frequent symptoms or null without logs
+   */
+  summarizeSymptoms(logs) {
+    const names = logs.flatMap(log => (log.symptoms || []).map(entry => findSymptom(entry.symptom_id)?.name));
+    const top = this.describeTop(names);
+    return top ? this.boundText([`${logs.length} days with symptoms`, `most frequent: ${top}`]) : null;
+  }
+
+  // =================== SAFETY SIGNALS ===================
+
+  /**
+   * Collect what the safety checks read from recent logs (never sent to a language model)
+   * @param {Object} data - Logs
+   * @param {Array} data.mentalHealth - Mental health logs
+   * @param {Array} data.symptoms - Symptom logs
+   * @param {string|null} data.from - Only logs from this day (YYYY-MM-DD) on, or all when null
+   * @returns {Object} - { notes, severe_symptoms }
+   */
+  getSafetySignals({ mentalHealth = [], symptoms = [], from = null }) {
+    const isRecent = (log) => !from || (toLogDateKey(log) || '') >= from;
+    const recentSymptoms = symptoms.filter(isRecent);
+
+    return {
+      notes: [...mentalHealth.filter(isRecent), ...recentSymptoms]
+        .map(log => log.notes)
+        .filter(notes => typeof notes === 'string' && notes.trim()),
+      severe_symptoms: [...new Set(recentSymptoms.flatMap(log => (log.symptoms || [])
+        .filter(entry => entry.severity === 'severe')
+        .map(entry => entry.symptom_id)))]
+    };
+  }
+
+  // =================== USER CONTEXT ===================
+
+  /**
+   * Build the user data passed to every AI prompt
+   * @param {string} userId - User ID
+   * @param {number} days - Days of logs to summarize
+   * @returns {Promise<Object>} - Prompt user data
+   */
+  async buildUserData(userId, days = AI_CONTEXT.DAYS) {
+    // The profile and cycles are read once and shared with the prediction and life-stage services
+    const [profile, cycles] = await Promise.all([
+      firestoreService.getUserProfile(userId),
+      firestoreService.getCycles(userId, PREDICTION.HISTORY_CYCLES)
+    ]);
+    const today = todayKey(profile?.time_zone);
+    const from = toDateKey(addDays(today, -(days - 1)));
+
+    const [cyclePredictions, lifeStage, nutrition, fitness, mentalHealth, symptoms] = await Promise.all([
+      predictionService.getUserPredictions(userId, 1, { profile, cycles }),
+      trackingModeService.getUserStatus(userId, { profile, cycles }),
+      firestoreService.getNutritionLogsInRange(userId, from, today, AI_CONTEXT.MAX_LOGS),
+      firestoreService.getFitnessLogsInRange(userId, from, today, AI_CONTEXT.MAX_LOGS),
+      firestoreService.getMentalHealthLogsInRange(userId, from, today, AI_CONTEXT.MAX_LOGS),
+      firestoreService.getSymptomLogs(userId, from, today, AI_CONTEXT.MAX_LOGS)
+    ]);
+    const latestCycle = cycles[0] || null;
+    const nextCycle = cyclePredictions.predictions[0];
+    const mood = this.summarizeMood(mentalHealth, days);
+
+    return {
+      userId,
+      age: calculateAge(profile?.birth_date),
+      display_name: profile?.display_name,
+      weight: profile?.weight,
+      cycle_length: cyclePredictions.statistics.is_personalized
+        ? cyclePredictions.statistics.average_cycle_length
+        : latestCycle?.cycle_length,
+      period_duration: latestCycle?.period_duration,
+      cycle_phase: cyclePredictions.current_phase,
+      next_period_date: nextCycle?.period_start,
+      next_ovulation_date: nextCycle?.ovulation_date,
+      tracking_mode: lifeStage.tracking_mode,
+      life_stage: lifeStage,
+      contraception: cyclePredictions.contraception,
+      context_days: days,
+      recent_symptoms: this.summarizeSymptoms(symptoms) || latestCycle?.symptoms?.join(', '),
+      recent_meals: this.summarizeNutrition(nutrition, days),
+      recent_activities: this.summarizeFitness(fitness, days),
+      recent_moods: mood.summary,
+      stress_level: mood.stress,
+      language: profile?.language,
+      safety_signals: this.getSafetySignals({
+        mentalHealth,
+        symptoms,
+        from: toDateKey(addDays(today, -(AI_CONTEXT.SAFETY_DAYS - 1)))
+      })
+    };
+  }
+
+  /**
+   * Describe prompt user data as plain text (chat system context)
+   * @param {Object} userData - Output of buildUserData
+   * @returns {string} - One line per area with data
+   */
+  buildHealthContext(userData) {
+    const cycle = [
+      userData.cycle_length ? `average length ${userData.cycle_length} days` : null,
+      userData.period_duration ? `period ${userData.period_duration} days` : null,
+      userData.cycle_phase && userData.cycle_phase !== 'unknown' ? `current phase ${userData.cycle_phase}` : null,
+      userData.next_period_date ? `next period expected ${userData.next_period_date}` : null
+    ].filter(Boolean);
+
+    const lines = [
+      userData.tracking_mode && userData.tracking_mode !== 'cycle' ? `Tracking mode: ${userData.tracking_mode}` : null,
+      userData.contraception?.hormonal ? `Hormonal contraception: ${(userData.contraception.method || 'yes').replace(/_/g, ' ')}` : null,
+      cycle.length > 0 ? `Cycle: ${cycle.join(', ')}` : null,
+      userData.recent_symptoms ? `Symptoms: ${userData.recent_symptoms}` : null,
+      userData.recent_meals ? `Nutrition: ${userData.recent_meals}` : null,
+      userData.recent_activities ? `Fitness: ${userData.recent_activities}` : null,
+      userData.recent_moods ? `Mood: ${userData.recent_moods}` : null
+    ].filter(Boolean);
+
+    return lines.length > 0 ? lines.join('\n') : 'No health data logged yet.';
+  }
+}
+
+// Export singleton instance
+module.exports = new AIContextService();
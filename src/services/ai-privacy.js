@@ -0,0 +1,202 @@
+const firestoreService = require('./firestore');
+const { AI_PRIVACY } = require('../utils/constants');
+
+// Prompt fields that may be sent to a language model, with the data category they belong to.
+// Anything else (user ID, e-mail, name, birth date, notes) never leaves the server.
+const ALLOWED_FIELDS = {
+  age_band: 'age_band',
+  weight_band: 'weight_band',
+  cycle_length: 'cycle',
+  period_duration: 'cycle',
+  cycle_phase: 'cycle',
+  next_period_date: 'cycle',
+  next_ovulation_date: 'cycle',
+  tracking_mode: 'life_stage',
+  life_stage: 'life_stage',
+  contraception: 'contraception',
+  context_days: null,
+  recent_symptoms: 'symptoms',
+  recent_meals: 'nutrition',
+  recent_activities: 'fitness',
+  recent_moods: 'mood',
+  stress_level: 'mood'
+};
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const PHONE_PATTERN = /[+(]?\d[\d\s().-]{5,}\d/g;
+const ISO_DATE_PATTERN = /(\d{4}-\d{2}-\d{2})/;
+const INTRODUCTION_PATTERN = /\b([Mm]y name is|I am called|I'm called)\s+\p{Lu}[\p{L}'-]+/gu;
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Value
+ * @returns {string}
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Add redaction counts to a running total
+ * @param {Object} total - { email, phone, name } (updated in place)
+ * @param {Object} counts - Counts to add
+ * @returns {Object} - total
+ */
+const addRedactions = (total, counts = {}) => {
+  Object.keys(total).forEach(type => {
+    total[type] += counts[type] || 0;
+  });
+  return total;
+};
+
+class AIPrivacyService {
+  // =================== CONSENT ===================
+
+  /**
+   * Check whether the user allows their data to be processed by AI
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} - true only when privacy.ai_processing is true (the default)
+   */
+  async hasAIConsent(userId) {
+    const settings = await firestoreService.getUserSettings(userId);
+    return settings.privacy.ai_processing === true;
+  }
+
+  // =================== MINIMIZATION ===================
+
+  /**
+   * Generalize an age into a band
+   * @param {number|null} age - Age in years
+   * @returns {string|null} - e.g. "18-24", "30-34", "under 18" or "60+"
+   */
+  getAgeBand(age) {
+    if (typeof age !== 'number' || age <= 0) return null;
+    if (age < AI_PRIVACY.MIN_AGE) return `under ${AI_PRIVACY.MIN_AGE}`;
+    if (age <= AI_PRIVACY.FIRST_BAND_MAX_AGE) return `${AI_PRIVACY.MIN_AGE}-${AI_PRIVACY.FIRST_BAND_MAX_AGE}`;
+    if (age >= AI_PRIVACY.MAX_AGE) return `${AI_PRIVACY.MAX_AGE}+`;
+
+    const start = Math.floor(age / AI_PRIVACY.AGE_BAND_YEARS) * AI_PRIVACY.AGE_BAND_YEARS;
+    return `${start}-${start + AI_PRIVACY.AGE_BAND_YEARS - 1}`;
+  }
+
+  /**
+   * Generalize a weight into a band
+   * @param {number|null} weight - Weight in kg
+   * @returns {string|null} - e.g. "60-69 kg"
+   */
+  getWeightBand(weight) {
+    const value = Number(weight);
+    if (!weight || !Number.isFinite(value) || value <= 0) return null;
+
+    const start = Math.floor(value / AI_PRIVACY.WEIGHT_BAND_KG) * AI_PRIVACY.WEIGHT_BAND_KG;
+    return `${start}-${start + AI_PRIVACY.WEIGHT_BAND_KG - 1} kg`;
+  }
+
+  /**
+   * Keep only the prompt fields a language model needs
+   * Age and weight become bands and text fields are redacted
+   * @param {Object} userData - Output of aiContextService.buildUserData
+   * @returns {Object} - { data, categories, names, redactions } (names are redaction terms, never sent)
+   */
+  minimizeUserData(userData) {
+    const names = this.getNames(userData.display_name);
+    const source = {
+      ...userData,
+      age_band: this.getAgeBand(userData.age),
+      weight_band: this.getWeightBand(userData.weight)
+    };
+
+    const data = {};
+    const categories = new Set();
+    const redactions = { email: 0, phone: 0, name: 0 };
+    Object.entries(ALLOWED_FIELDS).forEach(([field, category]) => {
+      const value = source[field];
+      if (value === null || value === undefined || value === '') return;
+      if (typeof value === 'string') {
+        const result = this.redactText(value, names);
+        data[field] = result.text;
+        addRedactions(redactions, result.redactions);
+      } else {
+        data[field] = value;
+      }
+      if (category) categories.add(category);
+    });
+
+    return { data, categories: [...categories], names, redactions };
+  }
+
+  /**
+   * Split a display name into redaction terms
+   * @param {string} displayName - Display name
+   * @returns {Array<string>} - Name parts of at least 2 characters
+   */
+  getNames(displayName) {
+    if (typeof displayName !== 'string') return [];
+    return displayName.split(/\s+/).filter(part => part.length >= 2);
+  }
+
+  // =================== REDACTION ===================
+
+  /**
+   * Mask e-mail addresses, phone numbers and names in free text
+   * ISO dates are left untouched so cycle dates survive
+   * @param {string} text - Text
+   * @param {Array<string>} names - Names to mask (e.g. the user's display name)
+   * @returns {Object} - { text, redactions: { email, phone, name } }
+   */
+  redactText(text, names = []) {
+    const redactions = { email: 0, phone: 0, name: 0 };
+    const count = (type, replacement) => () => {
+      redactions[type]++;
+      return replacement;
+    };
+
+    let redacted = text.replace(EMAIL_PATTERN, count('email', '[email]'));
+
+    // Dates sit at odd indexes after splitting on the capture group
+    redacted = redacted.split(ISO_DATE_PATTERN).map((part, index) => (index % 2 === 1 ? part : part.replace(PHONE_PATTERN, (match) => {
+      const digits = match.replace(/\D/g, '');
+      const separators = (match.match(/[\s().-]+/g) || []).length;
+      const looksLikePhone = /^[+(0]/.test(match) || separators >= 2;
+      if (digits.length < AI_PRIVACY.MIN_PHONE_DIGITS || digits.length > AI_PRIVACY.MAX_PHONE_DIGITS || !looksLikePhone) return match;
+      redactions.phone++;
+      return '[phone]';
+    }))).join('');
+
+    redacted = redacted.replace(INTRODUCTION_PATTERN, (match, phrase) => {
+      redactions.name++;
+      return `${phrase} [name]`;
+    });
+    names.forEach(name => {
+      redacted = redacted.replace(new RegExp(`(?<!\\p{L})${escapeRegExp(name)}(?!\\p{L})`, 'giu'), count('name', '[name]'));
+    });
+
+    return { text: redacted, redactions };
+  }
+
+  /**
+   * Redact every message of a request and log what was sent, without content
+   * @param {string} task - Key of LLM.TASKS
+   * @param {Array} messages - Messages ({ role, content })
+   * @param {Object} privacy - Request context
+   * @param {string} privacy.user_id - User ID (logged, never sent)
+   * @param {Array<string>} privacy.categories - Data categories included in the request
+   * @param {Array<string>} privacy.names - Names to mask
+   * @param {Object} privacy.redactions - Redactions already made while minimizing the data
+   * @returns {Array} - Redacted messages
+   */
+  prepareMessages(task, messages, { user_id: userId = null, categories = [], names = [], redactions: minimized } = {}) {
+    const redactions = addRedactions({ email: 0, phone: 0, name: 0 }, minimized);
+
+    const redacted = messages.map(message => {
+      const result = this.redactText(message.content, names);
+      addRedactions(redactions, result.redactions);
+      return { role: message.role, content: result.text };
+    });
+
+    console.log(`🔒 AI request ${JSON.stringify({ task, user_id: userId, categories, redactions })}`);
+
+    return redacted;
+  }
+}
+
+// Export singleton instance
+module.exports = new AIPrivacyService();
@@ -0,0 +1,260 @@
+const firestoreService = require('./firestore');
+const { TRACKING_MODES } = require('../utils/constants');
+const {
+  SAFETY_RULES_VERSION,
+  SAFETY_SEVERITIES,
+  RED_FLAGS,
+  SAFETY_MESSAGES,
+  resolveSafetyLanguage,
+  matchRedFlags
+} = require('../utils/safety-rules');
+
+// Most severe first
+const SEVERITY_ORDER = [SAFETY_SEVERITIES.EMERGENCY, SAFETY_SEVERITIES.URGENT, SAFETY_SEVERITIES.CAUTION];
+
+// Pain symptoms that are a red flag when logged as severe during pregnancy
+const PREGNANCY_PAIN_SYMPTOMS = ['cramps', 'pelvic_pain', 'back_pain'];
+
+/**
+ * Find a red flag rule by ID
+ * @param {string} id - Rule ID
+ * @returns {Object} - Rule
+ */
+const findRule = (id) => RED_FLAGS.find(rule => rule.id === id);
+
+class AISafetyService {
+  // =================== DETECTION ===================
+
+  /**
+   * Find the red flags in the data behind an AI request
+   * Only the text of the request can make it an emergency. Flags found in recently logged notes and
+   * symptoms (source `log`) are capped at urgent: every response in the safety window gets the
+   * escalation message and resources, but none is replaced because of an earlier log
+   * @param {Object} userData - Output of aiContextService.buildUserData (tracking_mode, safety_signals)
+   * @param {string|null} text - Text written by the user for this request (e.g. a chat message)
+   * @returns {Array} - Matching rules (without duplicates)
+   */
+  detectInputFlags(userData = {}, text = null) {
+    const pregnancy = userData.tracking_mode === TRACKING_MODES.PREGNANCY;
+    const signals = userData.safety_signals || {};
+    const flags = new Map();
+    const addLogged = (rule) => flags.set(rule.id, {
+      ...rule,
+      source: 'log',
+      severity: rule.severity === SAFETY_SEVERITIES.EMERGENCY ? SAFETY_SEVERITIES.URGENT : rule.severity
+    });
+
+    (signals.notes || []).forEach(note => matchRedFlags(note, 'input', { pregnancy }).forEach(addLogged));
+
+    if (pregnancy && (signals.severe_symptoms || []).some(symptomId => PREGNANCY_PAIN_SYMPTOMS.includes(symptomId))) {
+      addLogged(findRule('pregnancy_severe_pain'));
+    }
+
+    matchRedFlags(text, 'input', { pregnancy }).forEach(rule => flags.set(rule.id, rule));
+
+    return [...flags.values()];
+  }
+
+  /**
+   * Find the red flags in generated text
+   * @param {string} text - Generated text
+   * @returns {Array} - Matching rules
+   */
+  detectOutputFlags(text) {
+    return matchRedFlags(text, 'output');
+  }
+
+  /**
+   * Check whether any red flag requires replacing the response
+   * @param {Array} flags - Rules
+   * @returns {boolean}
+   */
+  isEmergency(flags) {
+    return flags.some(rule => rule.severity === SAFETY_SEVERITIES.EMERGENCY);
+  }
+
+  // =================== INTERVENTIONS ===================
+
+  /**
+   * Describe the intervention for a set of red flags
+   * Emergencies replace the response; urgent flags add the escalation message and resources, and every
+   * intervention adds the disclaimer
+   * @param {Array} flags - Rules (at least one)
+   * @param {string} language - User's language
+   * @returns {Object} - { flags, severity, action, language, message, resources, disclaimer, rules_version }
+   */
+  buildSafety(flags, language) {
+    const code = resolveSafetyLanguage(language);
+    const messages = SAFETY_MESSAGES[code];
+    const severity = SEVERITY_ORDER.find(level => flags.some(rule => rule.severity === level));
+
+    // Emergencies only show the escalation of the emergency flags
+    const escalated = flags.filter(rule => rule.resource && (severity !== SAFETY_SEVERITIES.EMERGENCY || rule.severity === severity));
+    const resources = [...new Set(escalated.map(rule => rule.resource))];
+
+    return {
+      flags: flags.map(rule => ({ id: rule.id, source: rule.source, severity: rule.severity })),
+      severity,
+      action: severity === SAFETY_SEVERITIES.EMERGENCY ? 'replaced' : 'annotated',
+      language: code,
+      message: resources.length > 0 ? resources.map(resource => messages.escalation[resource]).join(' ') : null,
+      resources: [...new Set(resources.flatMap(resource => messages.resources[resource]))],
+      disclaimer: messages.disclaimer,
+      rules_version: SAFETY_RULES_VERSION
+    };
+  }
+
+  /**
+   * Build the safety notice shown as text
+   * @param {Object} safety - Output of buildSafety
+   * @returns {string} - Escalation message, resources and disclaimer
+   */
+  formatNotice(safety) {
+    return [
+      safety.message,
+      safety.resources.length > 0 ? safety.resources.map(resource => `• ${resource}`).join('\n') : null,
+      safety.disclaimer
+    ].filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * Review generated text (chat replies, quick tips, digest summaries)
+   * @param {string} content - Generated text
+   * @param {Array} inputFlags - Output of detectInputFlags
+   * @param {string} language - User's language
+   * @returns {Object} - { content, safety } (safety is null when nothing was flagged)
+   */
+  reviewText(content, inputFlags = [], language = null) {
+    const flags = [...inputFlags, ...this.detectOutputFlags(content)];
+    if (flags.length === 0) return { content, safety: null };
+
+    const safety = this.buildSafety(flags, language);
+    const notice = this.formatNotice(safety);
+
+    return {
+      content: safety.action === 'replaced' ? notice : `${content}\n\n${notice}`,
+      safety
+    };
+  }
+
+  /**
+   * Build structured insight output (see insight-schema) for an emergency
+   * @param {Array} inputFlags - Output of detectInputFlags
+   * @param {string} language - User's language
+   * @returns {Object} - { summary, recommendations, data_points, follow_up_questions }
+   */
+  getEscalationOutput(inputFlags, language = null) {
+    const safety = this.buildSafety(inputFlags, language);
+
+    return {
+      summary: safety.message || safety.disclaimer,
+      recommendations: safety.resources.map(text => ({ text, category: 'medical', priority: 'high' })),
+      data_points: [],
+      follow_up_questions: []
+    };
+  }
+
+  /**
+   * Review a generated insight
+   * Replaced insights only keep the escalation message and resources; annotated insights keep the
+   * generated summary and get the notice appended to `content`
+   * @param {Object} insight - Insight (see openaiService.buildInsight)
+   * @param {Array} inputFlags - Output of detectInputFlags
+   * @param {string} language - User's language
+   * @returns {Object} - Insight, with a `safety` field when something was flagged
+   */
+  reviewInsight(insight, inputFlags = [], language = null) {
+    const text = [
+      insight.summary,
+      ...(insight.recommendations || []).map(item => item.text),
+      ...(insight.follow_up_questions || [])
+    ].join('\n');
+    const flags = [...inputFlags, ...this.detectOutputFlags(text)];
+    if (flags.length === 0) return insight;
+
+    const safety = this.buildSafety(flags, language);
+
+    if (safety.action === 'replaced') {
+      const output = this.getEscalationOutput(inputFlags, language);
+      return {
+        ...insight,
+        ...output,
+        content: this.formatNotice(safety),
+        safety
+      };
+    }
+
+    return {
+      ...insight,
+      content: `${insight.content}\n\n${this.formatNotice(safety)}`,
+      safety
+    };
+  }
+
+  /**
+   * Wrap a stream handler so generated text is reviewed before it is passed on
+   * Text is released a sentence at a time while the text so far has no red flags. From the first
+   * flag on (or from the start when the request has input flags) nothing more is released, and the
+   * reviewed response is only sent once complete
+   * @param {Function} onDelta - Called with each piece of reviewed text
+   * @param {Array} inputFlags - Output of detectInputFlags
+   * @returns {Function} - Handler for the pieces of generated text
+   */
+  createStreamReview(onDelta, inputFlags = []) {
+    let text = '';
+    let released = 0;
+    let flagged = inputFlags.length > 0;
+
+    return (delta) => {
+      text += delta;
+      if (flagged) return;
+
+      if (this.detectOutputFlags(text).length > 0) {
+        flagged = true;
+        return;
+      }
+
+      const sentenceEnd = [...text.matchAll(/[.!?]\s+|\n+/g)].pop();
+      const end = sentenceEnd ? sentenceEnd.index + sentenceEnd[0].length : 0;
+      if (end > released) {
+        onDelta(text.slice(released, end));
+        released = end;
+      }
+    };
+  }
+
+  // =================== REVIEW LOG ===================
+
+  /**
+   * Record an intervention for review (flags and action only, never content)
+   * A failure is logged and does not affect the response
+   * @param {string} userId - User ID
+   * @param {string} feature - insight, chat, quick_tip or digest
+   * @param {Object|null} safety - Output of buildSafety (nothing is recorded when null)
+   * @param {string|null} referenceId - ID of the stored insight, message or digest
+   * @returns {Promise<Object|null>} - Saved event
+   */
+  async recordIntervention(userId, feature, safety, referenceId = null) {
+    if (!safety) return null;
+
+    console.warn(`🛡️ AI safety ${safety.action} ${JSON.stringify({ feature, user_id: userId, flags: safety.flags.map(flag => flag.id) })}`);
+
+    try {
+      return await firestoreService.saveSafetyEvent(userId, {
+        feature,
+        flags: safety.flags,
+        severity: safety.severity,
+        action: safety.action,
+        language: safety.language,
+        rules_version: safety.rules_version,
+        reference_id: referenceId
+      });
+    } catch (error) {
+      console.error('AI safety event error:', error.message);
+      return null;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new AISafetyService();
@@ -0,0 +1,239 @@
+const firestoreService = require('./firestore');
+const { AI_USAGE, AI_USAGE_TIERS, LLM } = require('../utils/constants');
+const { toDateKey, addDays } = require('../utils/dates');
+
+/**
+ * Round a cost to 6 decimals (fractions of a cent add up over many requests)
+ * @param {number} value - Cost in USD
+ * @returns {number}
+ */
+const roundCost = (value) => Math.round(value * 1e6) / 1e6;
+
+class AIUsageService {
+  constructor() {
+    // Tokens reserved by the requests in progress on this instance, per user
+    this.reservations = new Map();
+  }
+
+  // =================== TIERS AND QUOTAS ===================
+
+  /**
+   * Get a user's tier from their Firebase custom claims
+   * @param {Object} claims - Decoded ID token (req.user.firebase_claims)
+   * @returns {string} - free or premium
+   */
+  getTier(claims = {}) {
+    const tier = claims?.[AI_USAGE.TIER_CLAIM];
+    return AI_USAGE_TIERS.includes(tier) ? tier : 'free';
+  }
+
+  /**
+   * Get the token quotas of a tier
+   * AI_QUOTA_<TIER>_DAILY and AI_QUOTA_<TIER>_MONTHLY override the defaults
+   * @param {string} tier - free or premium
+   * @param {Object} env - Environment variables
+   * @returns {Object} - { daily, monthly } in tokens
+   */
+  getQuotas(tier, env = process.env) {
+    const defaults = AI_USAGE.QUOTAS[tier] || AI_USAGE.QUOTAS.free;
+    const read = (name, fallback) => {
+      const raw = env[`AI_QUOTA_${tier.toUpperCase()}_${name}`];
+      const value = Number(raw);
+      return raw !== undefined && raw !== '' && Number.isFinite(value) && value >= 0 ? value : fallback;
+    };
+
+    return {
+      daily: read('DAILY', defaults.daily),
+      monthly: read('MONTHLY', defaults.monthly)
+    };
+  }
+
+  /**
+   * Estimate the cost of a request
+   * @param {string} model - Model name
+   * @param {number} promptTokens - Prompt tokens
+   * @param {number} completionTokens - Completion tokens
+   * @returns {number} - Cost in USD (0 for models without pricing)
+   */
+  estimateCost(model, promptTokens, completionTokens) {
+    const pricing = AI_USAGE.PRICING[model];
+    if (!pricing) return 0;
+    return roundCost((promptTokens * pricing.prompt + completionTokens * pricing.completion) / 1000);
+  }
+
+  /**
+   * Estimate the most tokens a request may use
+   * @param {string} task - Key of LLM.TASKS
+   * @param {number} completions - Completions run by the request
+   * @returns {number} - Tokens
+   */
+  estimateTokens(task, completions = 1) {
+    return completions * (AI_USAGE.PROMPT_RESERVE + LLM.TASKS[task].max_tokens);
+  }
+
+  // =================== RESERVATIONS ===================
+
+  /**
+   * Reserve the estimated tokens of a request against a user's quotas
+   * Reservations count as used until released, so parallel requests cannot together spend more than
+   * what is left. Release the reservation once the request's usage is recorded
+   * @param {string} userId - User ID
+   * @param {string} tier - free or premium
+   * @param {number} tokens - Estimated tokens (see estimateTokens)
+   * @param {Date} now - Current instant
+   * @returns {Promise<Object>} - { usage, exceeded, release }: usage before this reservation, and the quota the
+   * request would go over (nothing is reserved then)
+   */
+  async reserveTokens(userId, tier, tokens, now = new Date()) {
+    const usage = await this.getUsage(userId, tier, now);
+
+    // Checked and reserved without awaiting in between, counting the reservations made while the usage was read,
+    // so parallel requests see each other's reservations
+    const pending = this.getReservedTokens(userId) - usage.daily.reserved;
+    const exceeded = this.getExceededQuota(usage, pending + tokens);
+    if (exceeded) return { usage, exceeded, release: () => {} };
+
+    this.reservations.set(userId, this.getReservedTokens(userId) + tokens);
+
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+
+      const reserved = this.getReservedTokens(userId) - tokens;
+      if (reserved > 0) {
+        this.reservations.set(userId, reserved);
+      } else {
+        this.reservations.delete(userId);
+      }
+    };
+
+    return { usage, exceeded, release };
+  }
+
+  /**
+   * Get the tokens reserved by a user's requests in progress
+   * @param {string} userId - User ID
+   * @returns {number} - Tokens
+   */
+  getReservedTokens(userId) {
+    return this.reservations.get(userId) || 0;
+  }
+
+  // =================== METERING ===================
+
+  /**
+   * Record the tokens used by a language model request
+   * A failure is logged and does not affect the response
+   * @param {string} userId - User ID
+   * @param {Object} usage - Request usage
+   * @param {string} usage.endpoint - Endpoint or feature (e.g. generate-insight, chat, digest)
+   * @param {string} usage.model - Model name
+   * @param {number} usage.prompt_tokens - Prompt tokens
+   * @param {number} usage.completion_tokens - Completion tokens
+   * @param {Date} now - Current instant
+   * @returns {Promise<void>}
+   */
+  async recordUsage(userId, { endpoint, model, prompt_tokens: promptTokens, completion_tokens: completionTokens }, now = new Date()) {
+    try {
+      await firestoreService.addAIUsage(userId, toDateKey(now), {
+        endpoint,
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        cost_usd: this.estimateCost(model, promptTokens, completionTokens)
+      });
+    } catch (error) {
+      console.error('AI usage recording error:', error.message);
+    }
+  }
+
+  /**
+   * Get a user's usage of the current UTC day and month against their quotas
+   * Tokens reserved by requests in progress count against both quotas
+   * @param {string} userId - User ID
+   * @param {string} tier - free or premium
+   * @param {Date} now - Current instant
+   * @returns {Promise<Object>} - { tier, daily, monthly, cost_usd, endpoints, days }
+   */
+  async getUsage(userId, tier, now = new Date()) {
+    const today = toDateKey(now);
+    const month = today.slice(0, 7);
+    const days = await firestoreService.getAIUsageForMonth(userId, month);
+    const quotas = this.getQuotas(tier);
+
+    const endpoints = {};
+    days.forEach(day => Object.entries(day.endpoints || {}).forEach(([endpoint, totals]) => {
+      const total = endpoints[endpoint] || (endpoints[endpoint] = { requests: 0, total_tokens: 0, cost_usd: 0 });
+      total.requests += totals.requests || 0;
+      total.total_tokens += totals.total_tokens || 0;
+      total.cost_usd = roundCost(total.cost_usd + (totals.cost_usd || 0));
+    }));
+
+    const todayTokens = days.find(day => day.date === today)?.total_tokens || 0;
+    const monthTokens = days.reduce((sum, day) => sum + (day.total_tokens || 0), 0);
+    const reserved = this.getReservedTokens(userId);
+    const [year, monthIndex] = month.split('-').map(Number);
+
+    return {
+      tier,
+      daily: this.describeQuota(todayTokens, reserved, quotas.daily, addDays(today, 1)),
+      monthly: this.describeQuota(monthTokens, reserved, quotas.monthly, new Date(Date.UTC(year, monthIndex, 1))),
+      cost_usd: roundCost(days.reduce((sum, day) => sum + (day.cost_usd || 0), 0)),
+      endpoints,
+      days: days.map(day => ({
+        date: day.date,
+        requests: day.requests || 0,
+        total_tokens: day.total_tokens || 0,
+        cost_usd: roundCost(day.cost_usd || 0)
+      }))
+    };
+  }
+
+  /**
+   * Describe the use of a quota
+   * @param {number} used - Tokens used
+   * @param {number} reserved - Tokens reserved by requests in progress
+   * @param {number} limit - Token quota
+   * @param {Date} resetsAt - Start of the next window
+   * @returns {Object} - { used, reserved, limit, remaining, resets_at }
+   */
+  describeQuota(used, reserved, limit, resetsAt) {
+    return {
+      used,
+      reserved,
+      limit,
+      remaining: Math.max(0, limit - used - reserved),
+      resets_at: resetsAt.toISOString()
+    };
+  }
+
+  /**
+   * Find the quota a user has used up, or that a request's tokens would go over
+   * @param {Object} usage - Output of getUsage
+   * @param {number} tokens - Estimated tokens of the request
+   * @returns {string|null} - monthly, daily or null
+   */
+  getExceededQuota(usage, tokens = 0) {
+    const isExceeded = (quota) => quota.used >= quota.limit || quota.used + quota.reserved + tokens > quota.limit;
+    if (isExceeded(usage.monthly)) return 'monthly';
+    if (isExceeded(usage.daily)) return 'daily';
+    return null;
+  }
+
+  /**
+   * Set the quota headers of a response
+   * @param {Object} res - Express response
+   * @param {Object} usage - Output of getUsage
+   */
+  setQuotaHeaders(res, usage) {
+    res.setHeader('X-AI-Quota-Tier', usage.tier);
+    [['Daily', usage.daily], ['Monthly', usage.monthly]].forEach(([name, quota]) => {
+      res.setHeader(`X-AI-Quota-${name}-Limit`, quota.limit);
+      res.setHeader(`X-AI-Quota-${name}-Remaining`, quota.remaining);
+      res.setHeader(`X-AI-Quota-${name}-Reset`, quota.resets_at);
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new AIUsageService();
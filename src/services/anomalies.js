@@ -0,0 +1,203 @@
+const firestoreService = require('./firestore');
+const predictionService = require('./prediction');
+const medicationService = require('./medication');
+const { ANOMALY, ANOMALY_SEVERITY, PREDICTION, TRACKING_MODES, PREDICTION_SUPPRESSED_MODES } = require('../utils/constants');
+const { daysBetween, toDateKey, todayKey } = require('../utils/dates');
+
+const SEVERITY_ORDER = [ANOMALY_SEVERITY.INFO, ANOMALY_SEVERITY.WARNING, ANOMALY_SEVERITY.ALERT];
+const MISSED_PERIOD_FLAGS = ['missed_period', 'amenorrhea'];
+const IRREGULARITY_FLAGS = ['oligomenorrhea', 'frequent_periods', 'high_variability', 'missed_period'];
+
+class AnomalyService {
+  /**
+   * Build a clinical flag
+   * @param {string} code - Flag code
+   * @param {string} severity - One of ANOMALY_SEVERITY
+   * @param {string} title - Short title
+   * @param {string} description - What was observed
+   * @param {Object} evidence - Data supporting the flag
+   * @returns {Object} - Flag
+   */
+  createFlag(code, severity, title, description, evidence) {
+    return {
+      code,
+      severity,
+      title,
+      description,
+      evidence,
+      recommendation: severity === ANOMALY_SEVERITY.INFO
+        ? 'Keep tracking to see if this pattern continues.'
+        : 'Consider discussing this pattern with a healthcare provider.'
+    };
+  }
+
+  /**
+   * Detect irregular cycle patterns and clinical flags
+   * Withdrawal and breakthrough bleeds (cycles marked by markContraceptionCycles)
+   * are left out of the cycle length and missed period checks
+   * @param {Array} cycles - Cycle documents (any order)
+   * @param {Date} referenceDate - Date used for missed period checks
+   * @param {string} trackingMode - User's life-stage tracking mode
+   * @returns {Object} - { flags, is_irregular, highest_severity, cycles_analyzed }
+   */
+  detectAnomalies(cycles = [], referenceDate = new Date(), trackingMode = TRACKING_MODES.CYCLE) {
+    const sortedCycles = predictionService.sortCycles(cycles);
+    const recentCycles = sortedCycles.slice(-(ANOMALY.RECENT_CYCLES + 1));
+    const flags = [];
+
+    // Raw gaps between period starts (long gaps included, unlike predictions)
+    const gaps = [];
+    for (let i = 0; i < recentCycles.length - 1; i++) {
+      if (recentCycles[i].hormonal_contraception || recentCycles[i + 1].hormonal_contraception) continue;
+
+      gaps.push({
+        start_date: toDateKey(recentCycles[i].start_date),
+        length: daysBetween(recentCycles[i].start_date, recentCycles[i + 1].start_date)
+      });
+    }
+
+    const longCycles = gaps.filter(gap => gap.length > ANOMALY.OLIGOMENORRHEA_DAYS);
+    if (longCycles.length >= 2 || (gaps.length > 0 && longCycles.length === gaps.length)) {
+      flags.push(this.createFlag(
+        'oligomenorrhea',
+        longCycles.length >= 2 ? ANOMALY_SEVERITY.WARNING : ANOMALY_SEVERITY.INFO,
+        'Infrequent periods',
+        `${longCycles.length} of your last ${gaps.length} cycles were longer than ${ANOMALY.OLIGOMENORRHEA_DAYS} days.`,
+        { cycles: longCycles }
+      ));
+    }
+
+    const shortCycles = gaps.filter(gap => gap.length < ANOMALY.FREQUENT_CYCLE_DAYS);
+    if (shortCycles.length >= 2) {
+      flags.push(this.createFlag(
+        'frequent_periods',
+        ANOMALY_SEVERITY.WARNING,
+        'Frequent periods',
+        `${shortCycles.length} of your last ${gaps.length} cycles were shorter than ${ANOMALY.FREQUENT_CYCLE_DAYS} days.`,
+        { cycles: shortCycles }
+      ));
+    }
+
+    const lengths = gaps.map(gap => gap.length).filter(length => length <= ANOMALY.AMENORRHEA_DAYS);
+    if (lengths.length >= ANOMALY.MIN_CYCLES_FOR_PATTERN) {
+      const variation = Math.max(...lengths) - Math.min(...lengths);
+      if (variation >= ANOMALY.VARIABILITY_DAYS) {
+        flags.push(this.createFlag(
+          'high_variability',
+          variation >= ANOMALY.VARIABILITY_DAYS * 2 ? ANOMALY_SEVERITY.WARNING : ANOMALY_SEVERITY.INFO,
+          'Irregular cycle length',
+          `Your cycle length varied by ${variation} days across your last ${lengths.length} cycles.`,
+          { shortest_cycle: Math.min(...lengths), longest_cycle: Math.max(...lengths), variation_days: variation }
+        ));
+      }
+    }
+
+    const prolongedPeriods = recentCycles
+      .filter(cycle => Number(cycle.period_duration) > ANOMALY.PROLONGED_BLEEDING_DAYS)
+      .map(cycle => ({ start_date: toDateKey(cycle.start_date), period_duration: cycle.period_duration }));
+    if (prolongedPeriods.length > 0) {
+      flags.push(this.createFlag(
+        'prolonged_bleeding',
+        prolongedPeriods.length >= 2 ? ANOMALY_SEVERITY.ALERT : ANOMALY_SEVERITY.WARNING,
+        'Prolonged bleeding',
+        `${prolongedPeriods.length} recent period(s) lasted more than ${ANOMALY.PROLONGED_BLEEDING_DAYS} days.`,
+        { periods: prolongedPeriods }
+      ));
+    }
+
+    const heavyPeriods = recentCycles
+      .filter(cycle => cycle.heaviest_flow === 'heavy' && cycle.clots_reported === true)
+      .map(cycle => ({ start_date: toDateKey(cycle.start_date), period_duration: cycle.period_duration }));
+    if (heavyPeriods.length >= 2) {
+      flags.push(this.createFlag(
+        'heavy_bleeding',
+        ANOMALY_SEVERITY.WARNING,
+        'Heavy bleeding with clots',
+        `Heavy flow with clots was logged in ${heavyPeriods.length} recent periods.`,
+        { periods: heavyPeriods }
+      ));
+    }
+
+    // Bleeds on hormonal contraception do not follow the natural cycle
+    const lastCycle = sortedCycles[sortedCycles.length - 1];
+    if (lastCycle && !lastCycle.hormonal_contraception) {
+      const statistics = predictionService.calculateStatistics(sortedCycles.slice(-PREDICTION.HISTORY_CYCLES));
+      const daysSinceStart = daysBetween(lastCycle.start_date, referenceDate);
+      const daysLate = Math.round(daysSinceStart - statistics.average_cycle_length);
+
+      if (daysSinceStart >= ANOMALY.AMENORRHEA_DAYS) {
+        flags.push(this.createFlag(
+          'amenorrhea',
+          ANOMALY_SEVERITY.ALERT,
+          'No period for 3 months or more',
+          `Your last logged period started ${daysSinceStart} days ago.`,
+          { last_period_start: toDateKey(lastCycle.start_date), days_since_last_period: daysSinceStart }
+        ));
+      } else if (daysLate > ANOMALY.LATE_PERIOD_DAYS) {
+        flags.push(this.createFlag(
+          'missed_period',
+          ANOMALY_SEVERITY.WARNING,
+          'Missed or late period',
+          `Your period is ${daysLate} days later than your usual ${Math.round(statistics.average_cycle_length)}-day cycle.`,
+          { last_period_start: toDateKey(lastCycle.start_date), days_since_last_period: daysSinceStart, days_late: daysLate }
+        ));
+      }
+    }
+
+    const modeFlags = this.adjustForTrackingMode(flags, trackingMode);
+    const highestSeverity = modeFlags.reduce((highest, flag) =>
+      SEVERITY_ORDER.indexOf(flag.severity) > SEVERITY_ORDER.indexOf(highest) ? flag.severity : highest, null);
+
+    return {
+      flags: modeFlags,
+      is_irregular: modeFlags.some(flag => ['oligomenorrhea', 'frequent_periods', 'high_variability'].includes(flag.code)),
+      highest_severity: highestSeverity,
+      cycles_analyzed: recentCycles.length
+    };
+  }
+
+  /**
+   * Adapt flags to the user's life stage
+   * Missing periods are expected in pregnancy and postpartum; irregular
+   * cycles are expected in perimenopause and reported as information only
+   * @param {Array} flags - Detected flags
+   * @param {string} trackingMode - Tracking mode
+   * @returns {Array} - Adjusted flags
+   */
+  adjustForTrackingMode(flags, trackingMode) {
+    if (PREDICTION_SUPPRESSED_MODES.includes(trackingMode)) {
+      return flags.filter(flag => !MISSED_PERIOD_FLAGS.includes(flag.code));
+    }
+
+    if (trackingMode === TRACKING_MODES.PERIMENOPAUSE) {
+      return flags.map(flag => IRREGULARITY_FLAGS.includes(flag.code) ? {
+        ...flag,
+        severity: ANOMALY_SEVERITY.INFO,
+        recommendation: 'Irregular cycles are common in perimenopause. Keep tracking and mention changes at your next check-up.'
+      } : flag);
+    }
+
+    return flags;
+  }
+
+  /**
+   * Detect anomalies in a user's recent cycle history
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Anomaly report
+   */
+  async getUserAnomalies(userId) {
+    const [cycles, profile, medications] = await Promise.all([
+      firestoreService.getCycles(userId, PREDICTION.HISTORY_CYCLES),
+      firestoreService.getUserProfile(userId),
+      firestoreService.getMedications(userId)
+    ]);
+    return this.detectAnomalies(
+      medicationService.markContraceptionCycles(cycles, medications),
+      todayKey(profile?.time_zone),
+      profile?.tracking_mode
+    );
+  }
+}
+
+// Export singleton instance
+module.exports = new AnomalyService();
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const firestoreService = require('./firestore');
+const predictionService = require('./prediction');
+const medicationService = require('./medication');
+const { CALENDAR_FEED, DEFAULTS, PREDICTION_SUPPRESSED_MODES } = require('../utils/constants');
+const { toDate, toDateKey, addDays, todayKey } = require('../utils/dates');
+const { buildIcsCalendar } = require('../utils/ics');
+
+const UID_DOMAIN = 'lunara.app';
+
+class CalendarFeedService {
+  // =================== FEED TOKENS ===================
+
+  /**
+   * Hash a feed token; only hashes are stored
+   * @param {string} token - Feed token
+   * @returns {string} - SHA-256 hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Create a feed token for a user
+   * The plain token is only returned here and cannot be retrieved later
+   * @param {string} userId - User ID
+   * @param {string} label - Optional label (e.g. "iPhone calendar")
+   * @returns {Promise<Object>} - { token, id, label, created_at }
+   */
+  async createFeedToken(userId, label = null) {
+    const token = crypto.randomBytes(CALENDAR_FEED.TOKEN_BYTES).toString('base64url');
+    const saved = await firestoreService.saveCalendarFeedToken(userId, this.hashToken(token), { label });
+
+    return { token, ...this.formatToken(saved) };
+  }
+
+  /**
+   * Get a user's feed tokens, newest first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Token metadata
+   */
+  async listFeedTokens(userId) {
+    const tokens = await firestoreService.getCalendarFeedTokens(userId);
+    return tokens
+      .map(token => this.formatToken(token))
+      .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+  }
+
+  /**
+   * Look up the token presented by a calendar client and record its use
+   * @param {string} token - Feed token
+   * @returns {Promise<Object|null>} - Token metadata or null when unknown or revoked
+   */
+  async resolveFeedToken(token) {
+    const tokenHash = this.hashToken(token);
+    const tokenDoc = await firestoreService.getCalendarFeedToken(tokenHash);
+    if (!tokenDoc) return null;
+
+    firestoreService.touchCalendarFeedToken(tokenHash).catch(error => {
+      console.error('Calendar feed token update error:', error.message);
+    });
+
+    return tokenDoc;
+  }
+
+  /**
+   * Format stored token metadata for API responses
+   * @param {Object} token - Stored token document
+   * @returns {Object} - { id, label, created_at, last_used_at }
+   */
+  formatToken(token) {
+    const toIso = (value) => (value ? toDate(value)?.toISOString() || null : null);
+
+    return {
+      id: token.id,
+      label: token.label || null,
+      created_at: toIso(token.created_at),
+      last_used_at: toIso(token.last_used_at)
+    };
+  }
+
+  // =================== FEED ===================
+
+  /**
+   * Build feed events from logged cycles and predictions
+   * Reminder alarms follow the period/ovulation reminder settings
+   * @param {Object} data - Feed inputs
+   * @param {string} data.userId - User ID (hashed into event UIDs)
+   * @param {Array} data.cycles - Logged cycles
+   * @param {Array} data.predictions - Predicted cycles
+   * @param {Object} data.settings - User settings
+   * @returns {Array} - ICS events
+   */
+  buildFeedEvents({ userId, cycles = [], predictions = [], settings = {} }) {
+    const userKey = this.hashToken(userId).slice(0, 12);
+    const uid = (kind, date) => `${kind}-${date}-${userKey}@${UID_DOMAIN}`;
+    const notifications = settings.notifications || {};
+    const events = [];
+
+    predictionService.sortCycles(cycles).forEach(cycle => {
+      const start = toDateKey(cycle.start_date);
+      events.push({
+        uid: uid('period', start),
+        start,
+        end: toDateKey(addDays(start, cycle.period_duration || DEFAULTS.PERIOD_DURATION)),
+        summary: 'Period',
+        category: 'Period'
+      });
+    });
+
+    predictions.forEach(prediction => {
+      const { period_start_interval: interval } = prediction;
+
+      events.push({
+        uid: uid('predicted-period', prediction.period_start),
+        start: prediction.period_start,
+        end: toDateKey(addDays(prediction.period_end, 1)),
+        summary: 'Predicted period',
+        description: interval
+          ? `Expected between ${interval.earliest} and ${interval.latest}.`
+          : null,
+        category: 'Prediction',
+        alarm: notifications.period_reminders
+          ? { days_before: CALENDAR_FEED.REMINDER_DAYS_BEFORE, description: 'Your period is expected to start soon' }
+          : null
+      });
+
+      events.push({
+        uid: uid('fertile-window', prediction.fertile_window.start),
+        start: prediction.fertile_window.start,
+        end: toDateKey(addDays(prediction.fertile_window.end, 1)),
+        summary: 'Fertile window',
+        description: `Estimated ovulation: ${prediction.ovulation_date}. Predictions are not a reliable method of contraception.`,
+        category: 'Prediction',
+        alarm: notifications.ovulation_reminders
+          ? { days_before: CALENDAR_FEED.REMINDER_DAYS_BEFORE, description: 'Your fertile window is expected to start soon' }
+          : null
+      });
+    });
+
+    return events;
+  }
+
+  /**
+   * Generate a user's ICS feed
+   * Predictions are left out in pregnancy and postpartum mode and while
+   * hormonal contraception is in use
+   * @param {string} userId - User ID
+   * @returns {Promise<string>} - ICS document
+   */
+  async getUserFeed(userId) {
+    const [storedCycles, profile, settings, medications] = await Promise.all([
+      firestoreService.getCycles(userId, CALENDAR_FEED.HISTORY_CYCLES),
+      firestoreService.getUserProfile(userId),
+      firestoreService.getUserSettings(userId),
+      firestoreService.getMedications(userId)
+    ]);
+
+    const today = todayKey(profile?.time_zone);
+    const cycles = medicationService.markContraceptionCycles(storedCycles, medications);
+    const predictionsSuppressed = PREDICTION_SUPPRESSED_MODES.includes(profile?.tracking_mode)
+      || Boolean(medicationService.getContraceptionStatus(medications, today)?.hormonal);
+    const { predictions } = predictionService.predictCycles(cycles, CALENDAR_FEED.PREDICTED_CYCLES, today);
+
+    return buildIcsCalendar({
+      name: 'Lunara',
+      events: this.buildFeedEvents({
+        userId,
+        cycles,
+        predictions: predictionsSuppressed ? [] : predictions,
+        settings
+      })
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new CalendarFeedService();
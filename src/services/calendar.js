@@ -0,0 +1,252 @@
+const firestoreService = require('./firestore');
+const predictionService = require('./prediction');
+const medicationService = require('./medication');
+const { CALENDAR, CYCLE_PHASES, PREDICTION, PREDICTION_SUPPRESSED_MODES, TRACKING_MODES } = require('../utils/constants');
+const { calculateCyclePhase } = require('../utils/helpers');
+const { toDateKey, toLogDateKey, addDays, daysBetween, todayKey } = require('../utils/dates');
+const { mean } = require('../utils/statistics');
+
+/**
+ * Group documents by calendar day
+ * @param {Array} docs - Documents
+ * @param {Function} getDate - Document -> day key
+ * @returns {Map} - day -> documents
+ */
+const groupByDay = (docs = [], getDate = toLogDateKey) => {
+  const byDay = new Map();
+  docs.forEach(doc => {
+    const date = getDate(doc);
+    if (!date) return;
+    if (!byDay.has(date)) byDay.set(date, []);
+    byDay.get(date).push(doc);
+  });
+  return byDay;
+};
+
+const sum = (logs, field) => logs.reduce((total, log) => total + (Number(log[field]) || 0), 0);
+
+const roundedMean = (logs, field) => {
+  const values = logs
+    .filter(log => log[field] !== null && log[field] !== undefined)
+    .map(log => Number(log[field]))
+    .filter(value => !isNaN(value));
+  return values.length > 0 ? Math.round(mean(values) * 10) / 10 : null;
+};
+
+class CalendarService {
+  // =================== DAY SUMMARIES ===================
+
+  /**
+   * Summarize one day's logs of every type
+   * Types without logs are omitted
+   * @param {Object} logs - Per-type logs for the day
+   * @returns {Object} - Counts and summaries keyed by log type
+   */
+  summarizeLogs({ nutrition = [], fitness = [], mentalHealth = [], symptoms = [], fertility = [], hotFlashes = [] }) {
+    const summary = {};
+
+    if (nutrition.length > 0) {
+      summary.nutrition = {
+        count: nutrition.length,
+        calories: sum(nutrition, 'calories'),
+        meal_types: [...new Set(nutrition.map(log => log.meal_type).filter(Boolean))]
+      };
+    }
+
+    if (fitness.length > 0) {
+      summary.fitness = {
+        count: fitness.length,
+        duration_minutes: sum(fitness, 'duration_minutes'),
+        calories_burned: sum(fitness, 'calories_burned'),
+        activity_types: [...new Set(fitness.map(log => log.activity_type).filter(Boolean))]
+      };
+    }
+
+    if (mentalHealth.length > 0) {
+      summary.mental_health = {
+        count: mentalHealth.length,
+        average_mood: roundedMean(mentalHealth, 'mood_rating'),
+        average_stress: roundedMean(mentalHealth, 'stress_level'),
+        average_energy: roundedMean(mentalHealth, 'energy_level')
+      };
+    }
+
+    if (symptoms.length > 0) {
+      summary.symptoms = {
+        count: symptoms.length,
+        symptom_ids: [...new Set(symptoms.flatMap(log => (log.symptoms || []).map(entry => entry.symptom_id)))]
+      };
+    }
+
+    if (fertility.length > 0) {
+      const log = fertility[0];
+      summary.fertility = {
+        count: fertility.length,
+        basal_body_temperature: log.basal_body_temperature ?? null,
+        lh_test: log.lh_test || null,
+        cervical_mucus: log.cervical_mucus || null
+      };
+    }
+
+    if (hotFlashes.length > 0) {
+      summary.hot_flashes = {
+        count: sum(hotFlashes, 'count')
+      };
+    }
+
+    return summary;
+  }
+
+  // =================== CALENDAR ===================
+
+  /**
+   * Build one calendar entry per day between two dates
+   * Days inside a closed cycle use its observed length; the open cycle uses
+   * the learned statistics. Predicted period, fertile and ovulation days come
+   * from the prediction engine and are left empty when predictions are suppressed.
+   * @param {Object} data - Calendar inputs
+   * @param {string} data.from - First day (YYYY-MM-DD)
+   * @param {string} data.to - Last day (YYYY-MM-DD)
+   * @param {Array} data.cycles - Cycles covering the range
+   * @param {Object} data.statistics - Output of predictionService.calculateStatistics
+   * @param {Array} data.predictions - Predicted cycles
+   * @param {boolean} data.predictionsSuppressed - True during pregnancy/postpartum tracking or hormonal contraception
+   * @param {Array} data.periodEntries - Period entries in the range
+   * @param {Object} data.logs - { nutrition, fitness, mentalHealth, symptoms, fertility, hotFlashes }
+   * @returns {Array} - Calendar days (oldest first)
+   */
+  buildCalendar({ from, to, cycles = [], statistics = {}, predictions = [], predictionsSuppressed = false, periodEntries = [], logs = {} }) {
+    const sortedCycles = predictionService.sortCycles(cycles).map(cycle => ({
+      ...cycle,
+      start_date: toDateKey(cycle.start_date)
+    }));
+
+    const flowByDay = new Map(periodEntries.map(entry => [entry.entry_date, entry.flow]));
+    const logsByType = Object.fromEntries(
+      Object.entries(logs).map(([type, docs]) => [type, groupByDay(docs)])
+    );
+
+    const isWithin = (date, start, end) => date >= start && date <= end;
+    const days = [];
+
+    for (let offset = 0; offset <= daysBetween(from, to); offset++) {
+      const date = toDateKey(addDays(from, offset));
+      const cycleIndex = sortedCycles.findLastIndex(cycle => cycle.start_date <= date);
+      const cycle = sortedCycles[cycleIndex];
+      const nextCycle = sortedCycles[cycleIndex + 1];
+      const isOpenCycle = cycle && !nextCycle;
+
+      let cycleDay = null;
+      let phase = CYCLE_PHASES.UNKNOWN;
+
+      if (cycle && !(isOpenCycle && predictionsSuppressed)) {
+        cycleDay = daysBetween(cycle.start_date, date) + 1;
+        phase = calculateCyclePhase(cycle, {
+          cycleLength: nextCycle
+            ? daysBetween(cycle.start_date, nextCycle.start_date)
+            : Math.round(statistics.average_cycle_length || 0) || null,
+          lutealLength: statistics.luteal_phase_length
+        }, date);
+      }
+
+      // Each predicted cycle spans its fertile window through the end of its period
+      const prediction = predictions.find(item => isWithin(date, item.fertile_window.start, item.period_end));
+
+      days.push({
+        date,
+        cycle_day: cycleDay,
+        phase,
+        period: {
+          flow: flowByDay.get(date) || null,
+          is_period_day: flowByDay.has(date)
+        },
+        predicted: {
+          period: Boolean(prediction && isWithin(date, prediction.period_start, prediction.period_end)),
+          fertile: Boolean(prediction && isWithin(date, prediction.fertile_window.start, prediction.fertile_window.end)),
+          ovulation: Boolean(prediction && prediction.ovulation_date === date)
+        },
+        logs: this.summarizeLogs(Object.fromEntries(
+          Object.entries(logsByType).map(([type, byDay]) => [type, byDay.get(date) || []])
+        ))
+      });
+    }
+
+    return days;
+  }
+
+  /**
+   * Get a user's calendar for a date range
+   * Every log type is fetched with a date-range query
+   * @param {string} userId - User ID
+   * @param {string} from - First day (YYYY-MM-DD)
+   * @param {string} to - Last day (YYYY-MM-DD)
+   * @returns {Promise<Object>} - Calendar with one entry per day
+   */
+  async getUserCalendar(userId, from, to) {
+    const [
+      historyCycles,
+      cycleAtStart,
+      cyclesInRange,
+      profile,
+      periodEntries,
+      nutrition,
+      fitness,
+      mentalHealth,
+      symptoms,
+      fertility,
+      hotFlashes,
+      medications
+    ] = await Promise.all([
+      firestoreService.getCycles(userId, PREDICTION.HISTORY_CYCLES),
+      firestoreService.getCycleForDate(userId, from),
+      firestoreService.getCyclesInRange(userId, from, to),
+      firestoreService.getUserProfile(userId),
+      firestoreService.getPeriodEntries(userId, from, to, CALENDAR.MAX_LOGS),
+      firestoreService.getNutritionLogsInRange(userId, from, to, CALENDAR.MAX_LOGS),
+      firestoreService.getFitnessLogsInRange(userId, from, to, CALENDAR.MAX_LOGS),
+      firestoreService.getMentalHealthLogsInRange(userId, from, to, CALENDAR.MAX_LOGS),
+      firestoreService.getSymptomLogs(userId, from, to, CALENDAR.MAX_LOGS),
+      firestoreService.getFertilityLogs(userId, from, to, CALENDAR.MAX_LOGS),
+      firestoreService.getHotFlashLogs(userId, from, to, CALENDAR.MAX_LOGS),
+      firestoreService.getMedications(userId)
+    ]);
+
+    const today = todayKey(profile?.time_zone);
+    const trackingMode = profile?.tracking_mode || TRACKING_MODES.CYCLE;
+    const contraception = medicationService.getContraceptionStatus(medications, today);
+    const predictionsSuppressed = PREDICTION_SUPPRESSED_MODES.includes(trackingMode) || Boolean(contraception?.hormonal);
+    const { statistics, predictions } = predictionService.predictCycles(
+      medicationService.markContraceptionCycles(historyCycles, medications),
+      PREDICTION.MAX_COUNT,
+      today
+    );
+
+    // The cycle in progress on the first day plus every cycle starting in the range
+    const cycles = [cycleAtStart, ...cyclesInRange]
+      .filter(Boolean)
+      .filter((cycle, index, list) => list.findIndex(item => item.id === cycle.id) === index);
+
+    const days = this.buildCalendar({
+      from,
+      to,
+      cycles,
+      statistics,
+      predictions: predictionsSuppressed ? [] : predictions,
+      predictionsSuppressed,
+      periodEntries,
+      logs: { nutrition, fitness, mentalHealth, symptoms, fertility, hotFlashes }
+    });
+
+    return {
+      from,
+      to,
+      tracking_mode: trackingMode,
+      predictions_suppressed: predictionsSuppressed,
+      contraception,
+      days
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new CalendarService();
@@ -0,0 +1,104 @@
+const firestoreService = require('./firestore');
+const openaiService = require('./openai');
+const aiContextService = require('./ai-context');
+const aiPrivacyService = require('./ai-privacy');
+const aiSafetyService = require('./ai-safety');
+const { CHAT, CHAT_ROLES } = require('../utils/constants');
+
+/**
+ * Shorten text to a maximum length on a word boundary
+ * @param {string} text - Text
+ * @param {number} length - Maximum length
+ * @returns {string} - Text, with an ellipsis when shortened
+ */
+const truncate = (text, length) => {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  if (clean.length <= length) return clean;
+  const cut = clean.slice(0, length - 1);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+};
+
+class ChatService {
+  // =================== HISTORY ===================
+
+  /**
+   * Keep the most recent messages that fit a token budget
+   * The latest message is always kept
+   * @param {Array} messages - Messages ({ role, content }), oldest first
+   * @param {number} budget - Token budget
+   * @returns {Array} - Trimmed messages, oldest first
+   */
+  trimHistory(messages, budget = CHAT.HISTORY_TOKEN_BUDGET) {
+    const kept = [];
+    let used = 0;
+
+    for (let i = messages.length - 1; i >= 0; i--) {
+      const tokens = openaiService.countTokens(messages[i].content);
+      if (kept.length > 0 && used + tokens > budget) break;
+      kept.unshift(messages[i]);
+      used += tokens;
+    }
+
+    // A conversation sent to the model should not start with an orphaned reply
+    while (kept.length > 1 && kept[0].role === CHAT_ROLES.ASSISTANT) kept.shift();
+
+    return kept;
+  }
+
+  // =================== CONVERSATIONS ===================
+
+  /**
+   * Send a user message and get the assistant's reply
+   * The reply is reviewed by aiSafetyService; when the message or recent logs show an emergency the
+   * escalation message is returned without asking the model
+   * Nothing is stored when no reply could be generated
+   * @param {string} userId - User ID
+   * @param {Object|null} conversation - Existing conversation (ownership already checked) or null to start one
+   * @param {string} message - User message
+   * @returns {Promise<Object|null>} - { conversation_id, title, message, reply } or null when no reply was generated
+   */
+  async sendMessage(userId, conversation, message) {
+    const [history, userData] = await Promise.all([
+      conversation ? firestoreService.getChatMessages(conversation.id) : [],
+      aiContextService.buildUserData(userId)
+    ]);
+
+    const userMessage = { role: CHAT_ROLES.USER, content: message };
+    const inputFlags = aiSafetyService.detectInputFlags(userData, message);
+    let reply = '';
+    if (!aiSafetyService.isEmergency(inputFlags)) {
+      const { data, categories, ...privacy } = aiPrivacyService.minimizeUserData(userData);
+      reply = await openaiService.generateChatReply(
+        aiContextService.buildHealthContext(data),
+        this.trimHistory([...history, userMessage]),
+        { user_id: userId, endpoint: 'chat', categories: [...categories, 'chat_messages'], ...privacy }
+      );
+      if (!reply) return null;
+    }
+    const review = aiSafetyService.reviewText(reply, inputFlags, userData.language);
+
+    const target = conversation || await firestoreService.createConversation(userId, {
+      title: truncate(message, CHAT.TITLE_LENGTH)
+    });
+
+    // Saved one after the other so their timestamps keep the order
+    const savedMessage = await firestoreService.saveChatMessage(userId, target.id, userMessage);
+    const savedReply = await firestoreService.saveChatMessage(userId, target.id, {
+      role: CHAT_ROLES.ASSISTANT,
+      content: review.content,
+      ...(review.safety ? { safety: review.safety } : {})
+    });
+    await firestoreService.addConversationMessages(target.id, 2, truncate(review.content, CHAT.TITLE_LENGTH));
+    await aiSafetyService.recordIntervention(userId, 'chat', review.safety, savedReply.id);
+
+    return {
+      conversation_id: target.id,
+      title: target.title,
+      message: savedMessage,
+      reply: savedReply
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ChatService();
@@ -0,0 +1,341 @@
+const firestoreService = require('./firestore');
+const predictionService = require('./prediction');
+const { ANALYTICS, CYCLE_PHASES, PREDICTION } = require('../utils/constants');
+const { calculateCyclePhase } = require('../utils/helpers');
+const { toDateKey, toLogDateKey, daysBetween } = require('../utils/dates');
+const { findSymptom } = require('../utils/symptom-catalog');
+const { mean, fisherExactGreater, mannWhitneyU, benjaminiHochberg } = require('../utils/statistics');
+
+const PRE_PERIOD = 'pre_period';
+
+// Cycle windows symptoms and metrics are compared across
+const WINDOWS = [
+  CYCLE_PHASES.MENSTRUAL,
+  CYCLE_PHASES.FOLLICULAR,
+  CYCLE_PHASES.OVULATION,
+  CYCLE_PHASES.LUTEAL,
+  PRE_PERIOD
+];
+
+const WINDOW_LABELS = {
+  [CYCLE_PHASES.MENSTRUAL]: 'during your period',
+  [CYCLE_PHASES.FOLLICULAR]: 'in your follicular phase',
+  [CYCLE_PHASES.OVULATION]: 'around ovulation',
+  [CYCLE_PHASES.LUTEAL]: 'in your luteal phase',
+  [PRE_PERIOD]: `in the ${ANALYTICS.PRE_PERIOD_DAYS} days before your period`
+};
+
+// Daily values taken from mood, fitness and nutrition logs
+const METRICS = [
+  { key: 'mood_rating', source: 'mental_health', label: 'mood', aggregate: 'mean' },
+  { key: 'stress_level', source: 'mental_health', label: 'stress', aggregate: 'mean' },
+  { key: 'anxiety_level', source: 'mental_health', label: 'anxiety', aggregate: 'mean' },
+  { key: 'energy_level', source: 'mental_health', label: 'energy', aggregate: 'mean' },
+  { key: 'sleep_quality', source: 'mental_health', label: 'sleep quality', aggregate: 'mean' },
+  { key: 'duration_minutes', source: 'fitness', label: 'exercise minutes', aggregate: 'sum' },
+  { key: 'calories_burned', source: 'fitness', label: 'calories burned', aggregate: 'sum' },
+  { key: 'calories', source: 'nutrition', label: 'calories eaten', aggregate: 'sum' }
+];
+
+class CycleAnalyticsService {
+  // =================== CYCLE ALIGNMENT ===================
+
+  /**
+   * Sort cycles and attach the observed start of the following cycle
+   * @param {Array} cycles - Cycle documents
+   * @returns {Array} - Cycles oldest first with next_start_date
+   */
+  buildCycleCalendar(cycles) {
+    const sortedCycles = predictionService.sortCycles(cycles);
+
+    return sortedCycles.map((cycle, index) => ({
+      ...cycle,
+      start_date: toDateKey(cycle.start_date),
+      next_start_date: sortedCycles[index + 1] ? toDateKey(sortedCycles[index + 1].start_date) : null
+    }));
+  }
+
+  /**
+   * Place a day within the user's cycle history
+   * Closed cycles use their observed length (and ovulation date when confirmed);
+   * the open cycle uses the learned statistics
+   * @param {string} date - Day key (YYYY-MM-DD)
+   * @param {Array} calendar - Output of buildCycleCalendar
+   * @param {Object} statistics - Output of predictionService.calculateStatistics
+   * @returns {Object|null} - { cycle_day, phase, days_until_period, windows } or null if not alignable
+   */
+  alignDate(date, calendar, statistics) {
+    const cycle = [...calendar].reverse().find(item => item.start_date <= date);
+    if (!cycle) return null;
+
+    const cycleLength = cycle.next_start_date
+      ? daysBetween(cycle.start_date, cycle.next_start_date)
+      : Math.round(statistics.average_cycle_length);
+
+    // Long gaps usually mean periods were not logged
+    if (cycleLength > PREDICTION.MAX_CYCLE_LENGTH) return null;
+
+    const lutealLength = cycle.ovulation_date && cycle.next_start_date
+      ? daysBetween(cycle.ovulation_date, cycle.next_start_date)
+      : statistics.luteal_phase_length;
+    const phase = calculateCyclePhase(cycle, { cycleLength, lutealLength }, date);
+
+    if (!WINDOWS.includes(phase)) return null;
+
+    const daysUntilPeriod = cycle.next_start_date ? daysBetween(date, cycle.next_start_date) : null;
+    const windows = [phase];
+    if (daysUntilPeriod !== null && daysUntilPeriod >= 1 && daysUntilPeriod <= ANALYTICS.PRE_PERIOD_DAYS) {
+      windows.push(PRE_PERIOD);
+    }
+
+    return {
+      cycle_day: daysBetween(cycle.start_date, date) + 1,
+      phase,
+      days_until_period: daysUntilPeriod,
+      windows
+    };
+  }
+
+  // =================== SYMPTOMS ===================
+
+  /**
+   * Per-window symptom frequencies and enrichment tests
+   * Frequencies are relative to days with a symptom log in that window
+   * @param {Array} symptomLogs - Daily symptom logs
+   * @param {Function} align - Date -> alignment
+   * @returns {Object} - { windows, tests }
+   */
+  analyzeSymptoms(symptomLogs, align) {
+    const days = symptomLogs
+      .map(log => ({
+        alignment: align(log.log_date),
+        symptomIds: new Set((log.symptoms || []).map(entry => entry.symptom_id))
+      }))
+      .filter(day => day.alignment);
+
+    const windows = {};
+    const tests = [];
+    const symptomIds = [...new Set(days.flatMap(day => [...day.symptomIds]))];
+
+    WINDOWS.forEach(window => {
+      const inWindow = days.filter(day => day.alignment.windows.includes(window));
+      const outside = days.filter(day => !day.alignment.windows.includes(window));
+
+      windows[window] = {
+        logged_days: inWindow.length,
+        symptoms: symptomIds
+          .map(symptomId => {
+            const count = inWindow.filter(day => day.symptomIds.has(symptomId)).length;
+            return {
+              symptom_id: symptomId,
+              name: findSymptom(symptomId)?.name || symptomId,
+              days: count,
+              frequency: inWindow.length > 0 ? Math.round((count / inWindow.length) * 100) / 100 : 0
+            };
+          })
+          .filter(symptom => symptom.days > 0)
+          .sort((a, b) => b.frequency - a.frequency)
+      };
+
+      symptomIds.forEach(symptomId => {
+        const a = inWindow.filter(day => day.symptomIds.has(symptomId)).length;
+        const c = outside.filter(day => day.symptomIds.has(symptomId)).length;
+        if (a < ANALYTICS.MIN_OCCURRENCES || outside.length === 0) return;
+
+        const frequencyIn = a / inWindow.length;
+        const frequencyOut = c / outside.length;
+
+        tests.push({
+          type: 'symptom',
+          symptom_id: symptomId,
+          name: findSymptom(symptomId)?.name || symptomId,
+          window,
+          occurrences: a,
+          window_days: inWindow.length,
+          frequency_in_window: Math.round(frequencyIn * 100) / 100,
+          frequency_elsewhere: Math.round(frequencyOut * 100) / 100,
+          lift: frequencyOut > 0 ? Math.round((frequencyIn / frequencyOut) * 10) / 10 : null,
+          p_value: fisherExactGreater(a, inWindow.length - a, c, outside.length - c)
+        });
+      });
+    });
+
+    return { windows, tests };
+  }
+
+  // =================== DAILY METRICS ===================
+
+  /**
+   * Build one value per day for each metric
+   * @param {Object} logsBySource - { mental_health, fitness, nutrition }
+   * @returns {Object} - metric key -> Map(day -> value)
+   */
+  buildDailySeries(logsBySource) {
+    const series = {};
+
+    METRICS.forEach(metric => {
+      const valuesByDay = new Map();
+
+      (logsBySource[metric.source] || []).forEach(log => {
+        const value = Number(log[metric.key]);
+        const date = toLogDateKey(log);
+        if (!date || log[metric.key] === undefined || log[metric.key] === null || isNaN(value)) return;
+
+        if (!valuesByDay.has(date)) valuesByDay.set(date, []);
+        valuesByDay.get(date).push(value);
+      });
+
+      series[metric.key] = new Map([...valuesByDay].map(([date, values]) => [
+        date,
+        metric.aggregate === 'sum' ? values.reduce((sum, value) => sum + value, 0) : mean(values)
+      ]));
+    });
+
+    return series;
+  }
+
+  /**
+   * Per-window metric averages and difference tests
+   * @param {Object} series - Output of buildDailySeries
+   * @param {Function} align - Date -> alignment
+   * @returns {Object} - { windows, tests }
+   */
+  analyzeMetrics(series, align) {
+    const windows = {};
+    const tests = [];
+
+    WINDOWS.forEach(window => {
+      windows[window] = {};
+    });
+
+    METRICS.forEach(metric => {
+      const days = [...series[metric.key]]
+        .map(([date, value]) => ({ alignment: align(date), value }))
+        .filter(day => day.alignment);
+
+      WINDOWS.forEach(window => {
+        const inWindow = days.filter(day => day.alignment.windows.includes(window)).map(day => day.value);
+        const outside = days.filter(day => !day.alignment.windows.includes(window)).map(day => day.value);
+        const windowMean = mean(inWindow);
+
+        if (inWindow.length > 0) {
+          windows[window][metric.key] = {
+            mean: Math.round(windowMean * 10) / 10,
+            samples: inWindow.length
+          };
+        }
+
+        if (inWindow.length < ANALYTICS.MIN_SAMPLES || outside.length < ANALYTICS.MIN_SAMPLES) return;
+
+        const outsideMean = mean(outside);
+        tests.push({
+          type: 'metric',
+          metric: metric.key,
+          source: metric.source,
+          label: metric.label,
+          window,
+          mean_in_window: Math.round(windowMean * 10) / 10,
+          mean_elsewhere: Math.round(outsideMean * 10) / 10,
+          difference: Math.round((windowMean - outsideMean) * 10) / 10,
+          samples: inWindow.length,
+          p_value: mannWhitneyU(inWindow, outside).p_value
+        });
+      });
+    });
+
+    return { windows, tests };
+  }
+
+  // =================== CORRELATIONS ===================
+
+  /**
+   * Describe a significant correlation in plain language
+   * @param {Object} correlation - Symptom or metric test result
+   * @returns {string} - Summary sentence
+   */
+  describeCorrelation(correlation) {
+    const where = WINDOW_LABELS[correlation.window];
+
+    if (correlation.type === 'symptom') {
+      return `${correlation.name} shows up on ${Math.round(correlation.frequency_in_window * 100)}% of logged days ${where}, compared with ${Math.round(correlation.frequency_elsewhere * 100)}% at other times.`;
+    }
+
+    const direction = correlation.difference > 0 ? 'higher' : 'lower';
+    return `Your ${correlation.label} is ${direction} ${where} (average ${correlation.mean_in_window} vs ${correlation.mean_elsewhere}).`;
+  }
+
+  /**
+   * Align symptoms, mood, fitness and nutrition to cycle phases and find
+   * significant correlations (Benjamini-Hochberg adjusted across all tests)
+   * @param {Object} data - { cycles, symptomLogs, mentalHealthLogs, fitnessLogs, nutritionLogs }
+   * @returns {Object} - Per-phase frequencies/averages and significant correlations
+   */
+  analyzeCorrelations({ cycles = [], symptomLogs = [], mentalHealthLogs = [], fitnessLogs = [], nutritionLogs = [] }) {
+    const calendar = this.buildCycleCalendar(cycles);
+    const statistics = predictionService.calculateStatistics(cycles);
+    const alignments = new Map();
+    const align = (date) => {
+      if (!alignments.has(date)) alignments.set(date, this.alignDate(date, calendar, statistics));
+      return alignments.get(date);
+    };
+
+    const symptoms = this.analyzeSymptoms(symptomLogs, align);
+    const metrics = this.analyzeMetrics(this.buildDailySeries({
+      mental_health: mentalHealthLogs,
+      fitness: fitnessLogs,
+      nutrition: nutritionLogs
+    }), align);
+
+    const tests = [...symptoms.tests, ...metrics.tests];
+    const adjusted = benjaminiHochberg(tests.map(test => test.p_value));
+
+    const correlations = tests
+      .map((test, index) => ({
+        ...test,
+        p_value: Math.round(test.p_value * 10000) / 10000,
+        adjusted_p_value: Math.round(adjusted[index] * 10000) / 10000
+      }))
+      .filter(test => test.adjusted_p_value <= ANALYTICS.SIGNIFICANCE_LEVEL)
+      .sort((a, b) => a.adjusted_p_value - b.adjusted_p_value)
+      .map(test => ({ ...test, summary: this.describeCorrelation(test) }));
+
+    const phases = {};
+    WINDOWS.forEach(window => {
+      phases[window] = {
+        ...symptoms.windows[window],
+        metrics: metrics.windows[window]
+      };
+    });
+
+    return {
+      cycles_analyzed: calendar.length,
+      days_aligned: [...alignments.values()].filter(Boolean).length,
+      phases,
+      correlations,
+      tests_performed: tests.length,
+      significance_level: ANALYTICS.SIGNIFICANCE_LEVEL
+    };
+  }
+
+  /**
+   * Get symptom/cycle phase correlations for a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Correlation analytics
+   */
+  async getUserCorrelations(userId) {
+    const cycles = await firestoreService.getCycles(userId, ANALYTICS.HISTORY_CYCLES);
+    const firstStart = predictionService.sortCycles(cycles)[0];
+
+    const [symptomLogs, mentalHealthLogs, fitnessLogs, nutritionLogs] = await Promise.all([
+      firestoreService.getSymptomLogs(userId, firstStart ? toDateKey(firstStart.start_date) : null, null, ANALYTICS.MAX_LOGS),
+      firestoreService.getMentalHealthLogs(userId, ANALYTICS.MAX_LOGS),
+      firestoreService.getFitnessLogs(userId, ANALYTICS.MAX_LOGS),
+      firestoreService.getNutritionLogs(userId, null, ANALYTICS.MAX_LOGS)
+    ]);
+
+    return this.analyzeCorrelations({ cycles, symptomLogs, mentalHealthLogs, fitnessLogs, nutritionLogs });
+  }
+}
+
+// Export singleton instance
+module.exports = new CycleAnalyticsService();
@@ -0,0 +1,306 @@
+const firestoreService = require('./firestore');
+const firebaseService = require('./firebase');
+const openaiService = require('./openai');
+const predictionService = require('./prediction');
+const aiContextService = require('./ai-context');
+const aiPrivacyService = require('./ai-privacy');
+const aiSafetyService = require('./ai-safety');
+const aiUsageService = require('./ai-usage');
+const { DIGESTS, REMINDERS, WEEKDAYS } = require('../utils/constants');
+const { toDate, toDateKey, addDays, resolveTimeZone, toLocalDateKey, toLocalMinutes, toLogDateKey } = require('../utils/dates');
+const { findSymptom } = require('../utils/symptom-catalog');
+
+/**
+ * Average of the numeric values of a field
+ * @param {Array} logs - Logs
+ * @param {string} field - Field name
+ * @returns {number|null} - Average rounded to one decimal
+ */
+const averageOf = (logs, field) => {
+  const values = logs.map(log => log[field]).filter(value => typeof value === 'number');
+  if (values.length === 0) return null;
+  return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10;
+};
+
+class DigestService {
+  // =================== SCHEDULING ===================
+
+  /**
+   * Get the digest frequencies due for a user at their local time
+   * Daily digests run every day at LOCAL_HOUR; weekly digests on WEEKLY_DAY
+   * @param {Object} settings - User settings
+   * @param {string} today - User's local day (YYYY-MM-DD)
+   * @param {number} minutes - User's local minutes since midnight
+   * @returns {Array<string>} - Frequencies to generate
+   */
+  getDueFrequencies(settings, today, minutes) {
+    if (Math.floor(minutes / 60) !== DIGESTS.LOCAL_HOUR) return [];
+
+    const optedIn = settings.digests || {};
+    const isWeeklyDay = WEEKDAYS[toDate(today).getUTCDay()] === DIGESTS.WEEKLY_DAY;
+
+    return [
+      optedIn.daily ? 'daily' : null,
+      optedIn.weekly && isWeeklyDay ? 'weekly' : null
+    ].filter(Boolean);
+  }
+
+  /**
+   * Get the days covered by a digest
+   * @param {string} frequency - daily or weekly
+   * @param {string} today - Last day of the period (YYYY-MM-DD)
+   * @returns {Object} - { period_start, period_end }
+   */
+  getPeriod(frequency, today) {
+    return {
+      period_start: frequency === 'weekly' ? toDateKey(addDays(today, -6)) : today,
+      period_end: today
+    };
+  }
+
+  // =================== AGGREGATION ===================
+
+  /**
+   * Aggregate a period's logs into digest statistics
+   * @param {Object} data - Logs of the period
+   * @param {Array} data.periodEntries - Period entries
+   * @param {Array} data.nutrition - Nutrition logs
+   * @param {Array} data.fitness - Fitness logs
+   * @param {Array} data.mentalHealth - Mental health logs
+   * @param {Array} data.symptoms - Symptom logs
+   * @param {Object|null} data.predictions - Output of predictionService.getUserPredictions
+   * @returns {Object} - Statistics per area
+   */
+  summarizeData({ periodEntries = [], nutrition = [], fitness = [], mentalHealth = [], symptoms = [], predictions = null }) {
+    const nutritionDays = new Set(nutrition.map(log => toLogDateKey(log)).filter(Boolean));
+    const totalCalories = nutrition.reduce((sum, log) => sum + (aiContextService.getCalories(log) || 0), 0);
+
+    const symptomCounts = {};
+    symptoms.forEach(log => (log.symptoms || []).forEach(entry => {
+      symptomCounts[entry.symptom_id] = (symptomCounts[entry.symptom_id] || 0) + 1;
+    }));
+    const topSymptoms = Object.entries(symptomCounts)
+      .sort((a, b) => b[1] - a[1])
+      .map(([symptomId]) => findSymptom(symptomId)?.name)
+      .filter(Boolean)
+      .slice(0, DIGESTS.TOP_SYMPTOMS);
+
+    const nextCycle = predictions && !predictions.predictions_suppressed ? predictions.predictions?.[0] : null;
+
+    return {
+      cycle: {
+        period_days: periodEntries.length,
+        current_phase: predictions?.current_phase || null,
+        next_period_date: nextCycle?.period_start || null
+      },
+      nutrition: {
+        logs: nutrition.length,
+        average_daily_calories: nutritionDays.size > 0 && totalCalories > 0 ? Math.round(totalCalories / nutritionDays.size) : null
+      },
+      fitness: {
+        sessions: fitness.length,
+        total_minutes: fitness.reduce((sum, log) => sum + (log.duration_minutes || 0), 0),
+        activity_types: [...new Set(fitness.map(log => aiContextService.getActivityName(log)).filter(Boolean))]
+      },
+      mood: {
+        logs: mentalHealth.length,
+        average_mood: averageOf(mentalHealth, 'mood_rating'),
+        average_stress: averageOf(mentalHealth, 'stress_level'),
+        average_energy: averageOf(mentalHealth, 'energy_level')
+      },
+      symptoms: {
+        days_logged: symptoms.length,
+        top_symptoms: topSymptoms
+      }
+    };
+  }
+
+  /**
+   * Describe digest statistics as short sentences
+   * Used as the template digest and as the AI prompt input
+   * @param {Object} stats - Output of summarizeData
+   * @returns {Array<string>} - Highlights (areas without data are left out)
+   */
+  buildHighlights(stats) {
+    const highlights = [];
+
+    if (stats.cycle.period_days > 0) {
+      highlights.push(`Period logged on ${stats.cycle.period_days} day${stats.cycle.period_days === 1 ? '' : 's'}.`);
+    }
+    if (stats.cycle.next_period_date) {
+      highlights.push(`Next period expected around ${stats.cycle.next_period_date}.`);
+    }
+    if (stats.nutrition.logs > 0) {
+      highlights.push(stats.nutrition.average_daily_calories
+        ? `${stats.nutrition.logs} meals logged, about ${stats.nutrition.average_daily_calories} kcal per logged day.`
+        : `${stats.nutrition.logs} meals logged.`);
+    }
+    if (stats.fitness.sessions > 0) {
+      highlights.push(`${stats.fitness.sessions} workout${stats.fitness.sessions === 1 ? '' : 's'} for ${stats.fitness.total_minutes} minutes in total (${stats.fitness.activity_types.join(', ')}).`);
+    }
+    if (stats.mood.logs > 0) {
+      const scores = [
+        stats.mood.average_mood !== null ? `mood ${stats.mood.average_mood}/10` : null,
+        stats.mood.average_stress !== null ? `stress ${stats.mood.average_stress}/10` : null,
+        stats.mood.average_energy !== null ? `energy ${stats.mood.average_energy}/10` : null
+      ].filter(Boolean);
+      highlights.push(scores.length > 0 ? `Average ${scores.join(', ')}.` : `${stats.mood.logs} mood check-ins.`);
+    }
+    if (stats.symptoms.top_symptoms.length > 0) {
+      highlights.push(`Most logged symptoms: ${stats.symptoms.top_symptoms.join(', ')}.`);
+    }
+
+    return highlights;
+  }
+
+  /**
+   * List the data categories a digest's highlights are built from (logged with AI requests)
+   * @param {Object} stats - Output of summarizeData
+   * @returns {Array<string>} - Categories with data
+   */
+  getDataCategories(stats) {
+    return [
+      stats.cycle.period_days > 0 || stats.cycle.next_period_date ? 'cycle' : null,
+      stats.nutrition.logs > 0 ? 'nutrition' : null,
+      stats.fitness.sessions > 0 ? 'fitness' : null,
+      stats.mood.logs > 0 ? 'mood' : null,
+      stats.symptoms.top_symptoms.length > 0 ? 'symptoms' : null
+    ].filter(Boolean);
+  }
+
+  /**
+   * Build the template summary used when AI is unavailable
+   * @param {Object} digest - Digest with frequency and highlights
+   * @returns {string} - Summary
+   */
+  buildTemplateSummary(digest) {
+    const period = digest.frequency === 'weekly' ? 'week' : 'day';
+    if (digest.highlights.length === 0) {
+      return `Nothing was logged this ${period}. Logging a few moments each day helps Lunara spot your patterns.`;
+    }
+    return `Here is your ${period} at a glance. ${digest.highlights.join(' ')}`;
+  }
+
+  // =================== GENERATION ===================
+
+  /**
+   * Build and store a user's digest for the period ending on a day
+   * Falls back to the template summary when AI is unavailable, turned off by the user, over the user's quota or fails
+   * AI summaries are reviewed by aiSafetyService against the period's notes and symptoms
+   * @param {string} userId - User ID
+   * @param {string} frequency - daily or weekly
+   * @param {string} today - Last day of the period (YYYY-MM-DD)
+   * @param {string|null} language - User's language (safety notices)
+   * @returns {Promise<Object>} - Saved digest
+   */
+  async generateDigest(userId, frequency, today, language = null) {
+    const { period_start: from, period_end: to } = this.getPeriod(frequency, today);
+
+    const [periodEntries, nutrition, fitness, mentalHealth, symptoms, predictions] = await Promise.all([
+      firestoreService.getPeriodEntries(userId, from, to, DIGESTS.MAX_LOGS),
+      firestoreService.getNutritionLogsInRange(userId, from, to, DIGESTS.MAX_LOGS),
+      firestoreService.getFitnessLogsInRange(userId, from, to, DIGESTS.MAX_LOGS),
+      firestoreService.getMentalHealthLogsInRange(userId, from, to, DIGESTS.MAX_LOGS),
+      firestoreService.getSymptomLogs(userId, from, to, DIGESTS.MAX_LOGS),
+      predictionService.getUserPredictions(userId, 1)
+    ]);
+
+    const stats = this.summarizeData({ periodEntries, nutrition, fitness, mentalHealth, symptoms, predictions });
+    const digest = {
+      frequency,
+      period_start: from,
+      period_end: to,
+      stats,
+      highlights: this.buildHighlights(stats)
+    };
+
+    // Users who turned AI processing off or used up their AI quota get the template summary
+    const release = await this.reserveAISummary(userId);
+    const aiSummary = release
+      ? await openaiService.generateDigestSummary(digest, {
+        user_id: userId,
+        endpoint: 'digest',
+        categories: this.getDataCategories(stats)
+      })
+      : null;
+    release?.();
+
+    const review = aiSummary
+      ? aiSafetyService.reviewText(aiSummary, aiSafetyService.detectInputFlags({
+        // Predictions report the tracking mode when it suppresses them (pregnancy, postpartum)
+        tracking_mode: predictions?.tracking_mode,
+        safety_signals: aiContextService.getSafetySignals({ mentalHealth, symptoms })
+      }), language)
+      : { content: this.buildTemplateSummary(digest), safety: null };
+
+    const savedDigest = await firestoreService.saveDigest(userId, {
+      ...digest,
+      summary: review.content,
+      source: aiSummary ? 'ai_generated' : 'template',
+      ...(review.safety ? { safety: review.safety } : {}),
+      generated_at: new Date()
+    });
+    await aiSafetyService.recordIntervention(userId, 'digest', review.safety, savedDigest.id);
+
+    return savedDigest;
+  }
+
+  /**
+   * Reserve the tokens of an AI summary against the user's quotas (see aiUsageService.reserveTokens)
+   * @param {string} userId - User ID
+   * @returns {Promise<Function|null>} - Releases the reservation, or null when the summary may not use AI
+   */
+  async reserveAISummary(userId) {
+    if (!openaiService.isAvailable() || !(await aiPrivacyService.hasAIConsent(userId))) return null;
+
+    try {
+      const tier = aiUsageService.getTier(await firebaseService.getUserClaims(userId));
+      const { exceeded, release } = await aiUsageService.reserveTokens(userId, tier, aiUsageService.estimateTokens('digest'));
+      return exceeded ? null : release;
+    } catch (error) {
+      console.error('Digest AI quota check error:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Generate the digests due now for every opted-in user
+   * A failure for one user is logged and does not stop the run
+   * @param {Date} now - Current instant
+   * @returns {Promise<Object>} - { users_checked, generated, failed }
+   */
+  async runDigests(now = new Date()) {
+    const summary = { users_checked: 0, generated: 0, failed: 0 };
+    let afterId = null;
+
+    do {
+      const userIds = await firestoreService.getUserIdsPage(REMINDERS.USER_BATCH_SIZE, afterId);
+      afterId = userIds.length === REMINDERS.USER_BATCH_SIZE ? userIds[userIds.length - 1] : null;
+
+      for (const userId of userIds) {
+        summary.users_checked++;
+        try {
+          const [profile, settings] = await Promise.all([
+            firestoreService.getUserProfile(userId),
+            firestoreService.getUserSettings(userId)
+          ]);
+          const timeZone = resolveTimeZone(profile?.time_zone);
+          const today = toLocalDateKey(now, timeZone);
+
+          for (const frequency of this.getDueFrequencies(settings, today, toLocalMinutes(now, timeZone))) {
+            await this.generateDigest(userId, frequency, today, profile?.language);
+            summary.generated++;
+          }
+        } catch (error) {
+          summary.failed++;
+          console.error(`Digest error for user ${userId}:`, error.message);
+        }
+      }
+    } while (afterId);
+
+    return summary;
+  }
+}
+
+// Export singleton instance
+module.exports = new DigestService();
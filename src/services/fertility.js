@@ -0,0 +1,161 @@
+const firestoreService = require('./firestore');
+const { FERTILITY } = require('../utils/constants');
+const { toDateKey, addDays, daysBetween } = require('../utils/dates');
+
+const FERTILE_MUCUS = ['watery', 'egg_white'];
+
+class FertilityService {
+  // =================== SIGNAL DETECTION ===================
+
+  /**
+   * Detect a sustained basal body temperature shift ("3 over 6" rule)
+   * Three consecutive temperatures above the highest of the previous six,
+   * the last one at least MIN_SHIFT above that coverline. Temperatures
+   * flagged as disturbed (illness, alcohol, poor sleep) are ignored.
+   * @param {Array} logs - Fertility logs sorted oldest first
+   * @returns {Object|null} - { shift_date, coverline, ovulation_date }
+   */
+  detectTemperatureShift(logs) {
+    const readings = logs.filter(log =>
+      typeof log.basal_body_temperature === 'number' && !log.temperature_disturbed
+    );
+
+    for (let i = FERTILITY.BASELINE_DAYS; i <= readings.length - FERTILITY.SHIFT_DAYS; i++) {
+      const baseline = readings.slice(i - FERTILITY.BASELINE_DAYS, i);
+      const coverline = Math.max(...baseline.map(log => log.basal_body_temperature));
+      const highs = readings.slice(i, i + FERTILITY.SHIFT_DAYS);
+
+      const allAbove = highs.every(log => log.basal_body_temperature > coverline);
+      const lastShift = highs[highs.length - 1].basal_body_temperature - coverline;
+
+      if (allAbove && lastShift >= FERTILITY.MIN_SHIFT - 1e-9) {
+        return {
+          shift_date: highs[0].log_date,
+          coverline: Math.round(coverline * 100) / 100,
+          ovulation_date: toDateKey(addDays(highs[0].log_date, -1))
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Detect the LH surge peak (last positive test of the first surge)
+   * Ovulation usually follows the peak within 24-36 hours.
+   * @param {Array} logs - Fertility logs sorted oldest first
+   * @returns {Object|null} - { peak_date, ovulation_date }
+   */
+  detectLhPeak(logs) {
+    const tests = logs.filter(log => log.lh_test);
+    let peak = null;
+
+    for (const log of tests) {
+      if (log.lh_test === 'positive' || log.lh_test === 'peak') {
+        if (!peak || log.lh_test === 'peak' || peak.lh_test !== 'peak') {
+          peak = log;
+        }
+      } else if (peak) {
+        break; // Surge is over
+      }
+    }
+
+    return peak ? {
+      peak_date: peak.log_date,
+      ovulation_date: toDateKey(addDays(peak.log_date, 1))
+    } : null;
+  }
+
+  /**
+   * Detect the cervical mucus peak day (last day of fertile-quality mucus)
+   * @param {Array} logs - Fertility logs sorted oldest first
+   * @returns {Object|null} - { peak_date }
+   */
+  detectMucusPeak(logs) {
+    let peak = null;
+
+    for (const log of logs.filter(entry => entry.cervical_mucus)) {
+      if (FERTILE_MUCUS.includes(log.cervical_mucus)) {
+        peak = log;
+      } else if (peak) {
+        break;
+      }
+    }
+
+    return peak ? { peak_date: peak.log_date } : null;
+  }
+
+  /**
+   * Combine temperature, LH and mucus signals into an ovulation estimate
+   * Ovulation is confirmed only after a temperature shift that agrees with
+   * an LH peak or mucus peak; a single signal gives a probable estimate.
+   * @param {Array} logs - Fertility logs (any order)
+   * @returns {Object} - Ovulation analysis
+   */
+  detectOvulation(logs = []) {
+    const sortedLogs = [...logs]
+      .filter(log => log.log_date)
+      .sort((a, b) => a.log_date.localeCompare(b.log_date));
+
+    const temperatureShift = this.detectTemperatureShift(sortedLogs);
+    const lhPeak = this.detectLhPeak(sortedLogs);
+    const mucusPeak = this.detectMucusPeak(sortedLogs);
+
+    const agrees = (date) => temperatureShift &&
+      Math.abs(daysBetween(temperatureShift.ovulation_date, date)) <= FERTILITY.SIGNAL_AGREEMENT_DAYS;
+
+    let status = 'not_detected';
+    let ovulationDate = null;
+
+    if (temperatureShift && ((lhPeak && agrees(lhPeak.ovulation_date)) || (mucusPeak && agrees(mucusPeak.peak_date)))) {
+      status = 'confirmed';
+      ovulationDate = lhPeak && agrees(lhPeak.ovulation_date) ? lhPeak.ovulation_date : temperatureShift.ovulation_date;
+    } else if (temperatureShift || lhPeak) {
+      status = 'probable';
+      ovulationDate = temperatureShift ? temperatureShift.ovulation_date : lhPeak.ovulation_date;
+    }
+
+    return {
+      status,
+      ovulation_date: ovulationDate,
+      signals: {
+        temperature_shift: temperatureShift,
+        lh_peak: lhPeak,
+        mucus_peak: mucusPeak
+      },
+      days_logged: sortedLogs.length
+    };
+  }
+
+  // =================== CYCLE INTEGRATION ===================
+
+  /**
+   * Analyze the fertility signs of the cycle containing a date and record
+   * a confirmed ovulation day on the cycle document
+   * @param {string} userId - User ID
+   * @param {string} date - Any day within the cycle (YYYY-MM-DD)
+   * @returns {Promise<Object|null>} - Analysis with cycle_id, or null if no cycle
+   */
+  async analyzeCycleForDate(userId, date) {
+    const cycle = await firestoreService.getCycleForDate(userId, date);
+    if (!cycle) return null;
+
+    const nextCycle = await firestoreService.getNextCycle(userId, cycle.start_date);
+    const endDate = nextCycle ? toDateKey(addDays(nextCycle.start_date, -1)) : null;
+    const logs = await firestoreService.getFertilityLogs(userId, cycle.start_date, endDate, 100);
+    const analysis = this.detectOvulation(logs);
+
+    if (analysis.status === 'confirmed' && cycle.ovulation_date !== analysis.ovulation_date) {
+      await firestoreService.updateCycle(cycle.id, {
+        ovulation_date: analysis.ovulation_date,
+        ovulation_confirmed: true,
+        ovulation_signals: Object.keys(analysis.signals).filter(key => analysis.signals[key])
+      });
+    }
+
+    return { cycle_id: cycle.id, cycle_start_date: cycle.start_date, ...analysis };
+  }
+}
+
+// Export singleton instance
+module.exports = new FertilityService();
@@ -70,6 +70,17 @@ class FirebaseService {
     return admin.auth();
   }
 
+  /**
+   * Get Firebase Cloud Messaging instance
+   * @returns {admin.messaging.Messaging}
+   */
+  getMessaging() {
+    if (!this.initialized) {
+      throw new Error('Firebase not initialized');
+    }
+    return admin.messaging();
+  }
+
   /**
    * Get server timestamp
    * @returns {admin.firestore.FieldValue}
@@ -78,6 +89,23 @@ class FirebaseService {
     return admin.firestore.FieldValue.serverTimestamp();
   }
 
+  /**
+   * Get a numeric increment sentinel
+   * @param {number} amount - Amount to add
+   * @returns {admin.firestore.FieldValue}
+   */
+  getIncrement(amount) {
+    return admin.firestore.FieldValue.increment(amount);
+  }
+
+  /**
+   * Get the document ID field path (for ordering and cursors)
+   * @returns {admin.firestore.FieldPath}
+   */
+  getDocumentIdField() {
+    return admin.firestore.FieldPath.documentId();
+  }
+
   /**
    * Verify Firebase ID token
    * @param {string} idToken - Firebase ID token
@@ -97,6 +125,16 @@ class FirebaseService {
     }
   }
 
+  /**
+   * Get a user's custom claims (e.g. their AI usage tier) outside a request
+   * @param {string} uid - User ID
+   * @returns {Promise<Object>} - Custom claims (empty when none are set)
+   */
+  async getUserClaims(uid) {
+    const user = await this.getAuth().getUser(uid);
+    return user.customClaims || {};
+  }
+
   /**
    * Check if Firebase is initialized
    * @returns {boolean}
@@ -1,6 +1,8 @@
 const firebaseService = require('./firebase');
-const { COLLECTIONS, DEFAULTS } = require('../utils/constants');
-const { formatErrorResponse } = require('../utils/helpers');
+const { COLLECTIONS, DEFAULTS, DEFAULT_USER_SETTINGS, PREDICTION, MEDICATION, NOTIFICATIONS, DIGESTS, CHAT, HTTP_STATUS } = require('../utils/constants');
+const { formatErrorResponse, encodeCursor } = require('../utils/helpers');
+const { toDateKey, addDays, daysBetween, resolveTimeZone } = require('../utils/dates');
+const { SYMPTOM_CATALOG_VERSION, mapFreeTextSymptoms } = require('../utils/symptom-catalog');
 
 class FirestoreService {
   constructor() {
@@ -30,24 +32,252 @@ class FirestoreService {
 
   /**
    * Save menstrual cycle data
+   * Closes the previous open cycle with its real length, derives this cycle's
+   * length when a later cycle already exists, and rejects cycles that start
+   * inside another cycle's period
    * @param {string} userId - User ID
    * @param {Object} cycleData - Cycle data
-   * @returns {Promise<Object>} - Saved cycle
+   * @returns {Promise<Object>} - Saved cycle (with previous_cycle if one was closed)
    */
   async saveCycle(userId, cycleData) {
     try {
+      const startDate = toDateKey(cycleData.start_date);
+      const periodDuration = cycleData.period_duration || DEFAULTS.PERIOD_DURATION;
+      const [previousCycle, nextCycle] = await Promise.all([
+        this.getCycleForDate(userId, startDate),
+        this.getNextCycle(userId, startDate)
+      ]);
+
+      this.assertNoCycleOverlap(previousCycle, nextCycle, startDate, periodDuration);
+
+      const reviewReasons = this.getIntervalReviewReasons(previousCycle, startDate);
+
+      const cycle = {
+        ...cycleData,
+        ...this.mapCycleSymptoms(cycleData),
+        start_date: startDate,
+        ...this.getCycleLengthFields(startDate, nextCycle, cycleData.cycle_length),
+        needs_review: reviewReasons.length > 0,
+        review_reasons: reviewReasons
+      };
+
       const docRef = await this.db.collection(COLLECTIONS.CYCLES).add({
         user_id: userId,
-        ...cycleData,
+        ...cycle,
         created_at: firebaseService.getServerTimestamp(),
         updated_at: firebaseService.getServerTimestamp()
       });
-      return { id: docRef.id, ...cycleData };
+
+      const closedCycle = await this.closePreviousCycle(userId, startDate);
+
+      return { id: docRef.id, ...cycle, previous_cycle: closedCycle };
     } catch (error) {
+      if (error.statusCode) throw error;
       throw new Error(`Error saving cycle: ${error.message}`);
     }
   }
 
+  /**
+   * Close the cycle preceding a period start with its observed length
+   * Intervals shorter than a plausible cycle are left open (likely
+   * breakthrough bleeding); very long ones are flagged for review
+   * @param {string} userId - User ID
+   * @param {string} startDate - Start date of the following period (YYYY-MM-DD)
+   * @returns {Promise<Object|null>} - Closed cycle fields or null
+   */
+  async closePreviousCycle(userId, startDate) {
+    try {
+      const snapshot = await this.db.collection(COLLECTIONS.CYCLES)
+        .where('user_id', '==', userId)
+        .where('start_date', '<', startDate)
+        .orderBy('start_date', 'desc')
+        .limit(1)
+        .get();
+
+      if (snapshot.empty) return null;
+
+      const previousCycle = { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+      const cycleLength = daysBetween(previousCycle.start_date, startDate);
+
+      if (cycleLength < PREDICTION.MIN_CYCLE_LENGTH) return null;
+
+      // A recomputed length may no longer be long
+      const reviewReasons = (previousCycle.review_reasons || []).filter(reason => reason !== 'long_interval');
+      if (cycleLength > PREDICTION.MAX_CYCLE_LENGTH) reviewReasons.push('long_interval');
+
+      const closedFields = {
+        cycle_length: cycleLength,
+        cycle_length_source: 'observed',
+        end_date: toDateKey(addDays(startDate, -1)),
+        is_open: false,
+        needs_review: reviewReasons.length > 0,
+        review_reasons: reviewReasons
+      };
+
+      await this.updateCycle(previousCycle.id, closedFields);
+      return { id: previousCycle.id, start_date: previousCycle.start_date, ...closedFields };
+    } catch (error) {
+      throw new Error(`Error closing previous cycle: ${error.message}`);
+    }
+  }
+
+  /**
+   * Recompute a cycle's length from the cycle that follows it
+   * The cycle is closed against the next cycle, or reopened with an estimated
+   * length when no plausible next cycle remains
+   * @param {string} userId - User ID
+   * @param {Object} cycle - Stored cycle
+   * @returns {Promise<Object|null>} - Updated cycle fields or null when nothing changed
+   */
+  async refreshCycleLength(userId, cycle) {
+    try {
+      const nextCycle = await this.getNextCycle(userId, cycle.start_date, cycle.id);
+
+      if (nextCycle && daysBetween(cycle.start_date, nextCycle.start_date) >= PREDICTION.MIN_CYCLE_LENGTH) {
+        return await this.closePreviousCycle(userId, nextCycle.start_date);
+      }
+
+      if (cycle.is_open !== false) return null;
+
+      const reviewReasons = (cycle.review_reasons || []).filter(reason => reason !== 'long_interval');
+      const openFields = {
+        ...this.getCycleLengthFields(cycle.start_date, null),
+        needs_review: reviewReasons.length > 0,
+        review_reasons: reviewReasons
+      };
+
+      await this.updateCycle(cycle.id, openFields);
+      return { id: cycle.id, start_date: cycle.start_date, ...openFields };
+    } catch (error) {
+      throw new Error(`Error refreshing cycle length: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a cycle and keep the cycle lengths around it consistent
+   * Normalizes the start date, rejects moves into another cycle's period and
+   * recomputes the length of the cycle and of the cycles before its old and
+   * new start date
+   * @param {string} userId - User ID
+   * @param {Object} cycle - Stored cycle
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Object>} - Updated cycle fields
+   */
+  async editCycle(userId, cycle, updateData) {
+    try {
+      const startDate = updateData.start_date ? toDateKey(updateData.start_date) : cycle.start_date;
+      const periodDuration = updateData.period_duration || cycle.period_duration || DEFAULTS.PERIOD_DURATION;
+      const [previousCycle, nextCycle] = await Promise.all([
+        this.getCycleForDate(userId, startDate, cycle.id),
+        this.getNextCycle(userId, startDate, cycle.id)
+      ]);
+
+      this.assertNoCycleOverlap(previousCycle, nextCycle, startDate, periodDuration);
+
+      const reviewReasons = [
+        ...(cycle.review_reasons || []).filter(reason => reason !== 'short_interval'),
+        ...this.getIntervalReviewReasons(previousCycle, startDate)
+      ];
+      const estimatedLength = updateData.cycle_length || (cycle.cycle_length_source === 'estimated' ? cycle.cycle_length : null);
+
+      const updatedCycle = await this.updateCycle(cycle.id, {
+        ...updateData,
+        start_date: startDate,
+        ...this.getCycleLengthFields(startDate, nextCycle, estimatedLength),
+        needs_review: reviewReasons.length > 0,
+        review_reasons: reviewReasons
+      });
+
+      if (startDate !== cycle.start_date) {
+        // The cycles before the old and the new start date now end elsewhere
+        const oldPreviousCycle = await this.getCycleForDate(userId, toDateKey(addDays(cycle.start_date, -1)), cycle.id);
+
+        if (previousCycle) {
+          await this.refreshCycleLength(userId, previousCycle);
+        }
+        if (oldPreviousCycle && oldPreviousCycle.id !== previousCycle?.id) {
+          await this.refreshCycleLength(userId, oldPreviousCycle);
+        }
+      }
+
+      return updatedCycle;
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`Error editing cycle: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a cycle with its period entries and recompute the length of the cycle before it
+   * @param {string} userId - User ID
+   * @param {Object} cycle - Stored cycle
+   * @returns {Promise<Object|null>} - Updated fields of the previous cycle
+   */
+  async removeCycle(userId, cycle) {
+    try {
+      await this.deleteCycle(cycle.id);
+
+      const previousCycle = await this.getCycleForDate(userId, toDateKey(addDays(cycle.start_date, -1)));
+      return previousCycle ? await this.refreshCycleLength(userId, previousCycle) : null;
+    } catch (error) {
+      throw new Error(`Error removing cycle: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reject a cycle start inside the period of a neighbouring cycle
+   * @param {Object|null} previousCycle - Cycle started on or before the start date
+   * @param {Object|null} nextCycle - Cycle started after the start date
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {number} periodDuration - Period duration of the new or edited cycle
+   * @throws {Error} - 409 error naming the overlapping cycle
+   */
+  assertNoCycleOverlap(previousCycle, nextCycle, startDate, periodDuration) {
+    const overlappingCycle = [
+      previousCycle && daysBetween(previousCycle.start_date, startDate) < (previousCycle.period_duration || DEFAULTS.PERIOD_DURATION) ? previousCycle : null,
+      nextCycle && daysBetween(startDate, nextCycle.start_date) < periodDuration ? nextCycle : null
+    ].find(Boolean);
+
+    if (overlappingCycle) {
+      const error = new Error(`Cycle overlaps with the period of the cycle starting on ${overlappingCycle.start_date}`);
+      error.statusCode = HTTP_STATUS.CONFLICT;
+      throw error;
+    }
+  }
+
+  /**
+   * Get the review reasons of a cycle start relative to the previous cycle
+   * @param {Object|null} previousCycle - Cycle started before the start date
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @returns {Array<string>} - ['short_interval'] or []
+   */
+  getIntervalReviewReasons(previousCycle, startDate) {
+    return previousCycle && daysBetween(previousCycle.start_date, startDate) < PREDICTION.MIN_CYCLE_LENGTH
+      ? ['short_interval']
+      : [];
+  }
+
+  /**
+   * Get the length fields of a cycle
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {Object|null} nextCycle - Cycle started after it
+   * @param {number|null} estimatedLength - Length to use while the cycle is open
+   * @returns {Object} - Observed length when a next cycle exists, estimated otherwise
+   */
+  getCycleLengthFields(startDate, nextCycle, estimatedLength = null) {
+    return nextCycle ? {
+      cycle_length: daysBetween(startDate, nextCycle.start_date),
+      cycle_length_source: 'observed',
+      end_date: toDateKey(addDays(nextCycle.start_date, -1)),
+      is_open: false
+    } : {
+      cycle_length: estimatedLength || DEFAULTS.CYCLE_LENGTH,
+      cycle_length_source: 'estimated',
+      end_date: null,
+      is_open: true
+    };
+  }
+
   /**
    * Get user's menstrual cycles
    * @param {string} userId - User ID
@@ -90,233 +320,1527 @@ class FirestoreService {
    */
   async updateCycle(cycleId, updateData) {
     try {
+      const cycleUpdate = { ...updateData, ...this.mapCycleSymptoms(updateData) };
       await this.db.collection(COLLECTIONS.CYCLES).doc(cycleId).update({
-        ...updateData,
+        ...cycleUpdate,
         updated_at: firebaseService.getServerTimestamp()
       });
-      return { id: cycleId, ...updateData };
+      return { id: cycleId, ...cycleUpdate };
     } catch (error) {
       throw new Error(`Error updating cycle: ${error.message}`);
     }
   }
 
   /**
-   * Delete cycle
+   * Map a cycle's free-text symptoms to symptom catalog IDs
+   * @param {Object} cycleData - Cycle data
+   * @returns {Object} - Catalog fields to store, empty when no symptoms were sent
+   */
+  mapCycleSymptoms(cycleData) {
+    if (!Array.isArray(cycleData.symptoms)) return {};
+
+    return {
+      ...mapFreeTextSymptoms(cycleData.symptoms),
+      symptom_catalog_version: SYMPTOM_CATALOG_VERSION
+    };
+  }
+
+  /**
+   * Delete a cycle and the period entries linked to it
    * @param {string} cycleId - Cycle ID
-   * @returns {Promise<void>}
+   * @returns {Promise<number>} - Number of period entries deleted
    */
   async deleteCycle(cycleId) {
     try {
-      await this.db.collection(COLLECTIONS.CYCLES).doc(cycleId).delete();
+      const snapshot = await this.db.collection(COLLECTIONS.PERIOD_ENTRIES)
+        .where('cycle_id', '==', cycleId)
+        .get();
+      const refs = [...snapshot.docs.map(doc => doc.ref), this.db.collection(COLLECTIONS.CYCLES).doc(cycleId)];
+
+      // Firestore batches are limited to 500 writes
+      for (let i = 0; i < refs.length; i += 400) {
+        const batch = this.db.batch();
+        refs.slice(i, i + 400).forEach(ref => batch.delete(ref));
+        await batch.commit();
+      }
+
+      return snapshot.size;
     } catch (error) {
       throw new Error(`Error deleting cycle: ${error.message}`);
     }
   }
 
-  // =================== NUTRITION LOGS ===================
+  /**
+   * Get the cycle a given date belongs to (latest cycle started on or before it)
+   * @param {string} userId - User ID
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {string|null} excludeId - Cycle to skip (e.g. the cycle being edited)
+   * @returns {Promise<Object|null>} - Cycle data
+   */
+  async getCycleForDate(userId, date, excludeId = null) {
+    try {
+      const snapshot = await this.db.collection(COLLECTIONS.CYCLES)
+        .where('user_id', '==', userId)
+        .where('start_date', '<=', date)
+        .orderBy('start_date', 'desc')
+        .limit(excludeId ? 2 : 1)
+        .get();
+
+      const doc = snapshot.docs.find(candidate => candidate.id !== excludeId);
+      return doc ? { id: doc.id, ...doc.data() } : null;
+    } catch (error) {
+      throw new Error(`Error getting cycle for date: ${error.message}`);
+    }
+  }
 
   /**
-   * Save nutrition log
+   * Get cycles that started within a date range
    * @param {string} userId - User ID
-   * @param {Object} nutritionData - Nutrition data
-   * @returns {Promise<Object>} - Saved nutrition log
+   * @param {string} startDate - First day (YYYY-MM-DD, inclusive)
+   * @param {string} endDate - Last day (YYYY-MM-DD, inclusive)
+   * @returns {Promise<Array>} - Cycles (oldest first)
    */
-  async saveNutritionLog(userId, nutritionData) {
+  async getCyclesInRange(userId, startDate, endDate) {
     try {
-      const docRef = await this.db.collection(COLLECTIONS.NUTRITION_LOGS).add({
-        user_id: userId,
-        ...nutritionData,
-        created_at: firebaseService.getServerTimestamp()
-      });
-      return { id: docRef.id, ...nutritionData };
+      const snapshot = await this.db.collection(COLLECTIONS.CYCLES)
+        .where('user_id', '==', userId)
+        .where('start_date', '>=', startDate)
+        .where('start_date', '<=', endDate)
+        .orderBy('start_date', 'asc')
+        .get();
+
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
     } catch (error) {
-      throw new Error(`Error saving nutrition log: ${error.message}`);
+      throw new Error(`Error getting cycles in range: ${error.message}`);
     }
   }
 
   /**
-   * Get nutrition logs by date
+   * Get the cycle that started right after a given date
    * @param {string} userId - User ID
-   * @param {string} date - Date filter (YYYY-MM-DD)
-   * @param {number} limit - Number of records
-   * @returns {Promise<Array>} - Nutrition logs
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {string|null} excludeId - Cycle to skip (e.g. the cycle being edited)
+   * @returns {Promise<Object|null>} - Cycle data
    */
-  async getNutritionLogs(userId, date = null, limit = DEFAULTS.DEFAULT_LIMIT) {
+  async getNextCycle(userId, date, excludeId = null) {
     try {
-      let query = this.db.collection(COLLECTIONS.NUTRITION_LOGS)
-        .where('user_id', '==', userId);
-      
-      // Temporarily disable date filtering to debug
-      // TODO: Fix date filtering with proper timezone handling
-      
-      const snapshot = await query.orderBy('created_at', 'desc')
-                                 .limit(limit)
-                                 .get();
-      
-      let results = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      
-      // If date filter provided, filter results in memory
-      if (date) {
-        const filterDate = new Date(date);
-        const filterDateStr = filterDate.toISOString().split('T')[0];
-        
-        results = results.filter(log => {
-          if (log.log_date) {
-            const logDate = new Date(log.log_date._seconds ? log.log_date._seconds * 1000 : log.log_date);
-            const logDateStr = logDate.toISOString().split('T')[0];
-            return logDateStr === filterDateStr;
-          }
-          return false;
-        });
-      }
-      
-      return results;
+      const snapshot = await this.db.collection(COLLECTIONS.CYCLES)
+        .where('user_id', '==', userId)
+        .where('start_date', '>', date)
+        .orderBy('start_date', 'asc')
+        .limit(excludeId ? 2 : 1)
+        .get();
+
+      const doc = snapshot.docs.find(candidate => candidate.id !== excludeId);
+      return doc ? { id: doc.id, ...doc.data() } : null;
     } catch (error) {
-      throw new Error(`Error getting nutrition logs: ${error.message}`);
+      throw new Error(`Error getting next cycle: ${error.message}`);
     }
   }
 
-  // =================== FITNESS LOGS ===================
+  // =================== PERIOD ENTRIES ===================
 
   /**
-   * Save fitness log
+   * Save a day-level period entry (one document per user and day)
    * @param {string} userId - User ID
-   * @param {Object} fitnessData - Fitness data
-   * @returns {Promise<Object>} - Saved fitness log
+   * @param {Object} entryData - Period entry data
+   * @returns {Promise<Object>} - Saved period entry
    */
-  async saveFitnessLog(userId, fitnessData) {
+  async savePeriodEntry(userId, entryData) {
     try {
-      const docRef = await this.db.collection(COLLECTIONS.FITNESS_LOGS).add({
+      const docId = `${userId}_${entryData.entry_date}`;
+      await this.db.collection(COLLECTIONS.PERIOD_ENTRIES).doc(docId).set({
         user_id: userId,
-        ...fitnessData,
-        created_at: firebaseService.getServerTimestamp()
-      });
-      return { id: docRef.id, ...fitnessData };
+        ...entryData,
+        updated_at: firebaseService.getServerTimestamp()
+      }, { merge: true });
+      return { id: docId, ...entryData };
     } catch (error) {
-      throw new Error(`Error saving fitness log: ${error.message}`);
+      throw new Error(`Error saving period entry: ${error.message}`);
     }
   }
 
   /**
-   * Get fitness logs
+   * Get period entries within a date range
    * @param {string} userId - User ID
+   * @param {string|null} startDate - First day (YYYY-MM-DD, inclusive)
+   * @param {string|null} endDate - Last day (YYYY-MM-DD, inclusive)
    * @param {number} limit - Number of records
-   * @returns {Promise<Array>} - Fitness logs
+   * @returns {Promise<Array>} - Period entries (oldest first)
    */
-  async getFitnessLogs(userId, limit = DEFAULTS.DEFAULT_LIMIT) {
+  async getPeriodEntries(userId, startDate = null, endDate = null, limit = DEFAULTS.DEFAULT_LIMIT) {
     try {
-      const snapshot = await this.db.collection(COLLECTIONS.FITNESS_LOGS)
-        .where('user_id', '==', userId)
-        .orderBy('created_at', 'desc')
+      let query = this.db.collection(COLLECTIONS.PERIOD_ENTRIES)
+        .where('user_id', '==', userId);
+
+      if (startDate) query = query.where('entry_date', '>=', startDate);
+      if (endDate) query = query.where('entry_date', '<=', endDate);
+
+      const snapshot = await query.orderBy('entry_date', 'asc')
         .limit(limit)
         .get();
-      
+
       return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
     } catch (error) {
-      throw new Error(`Error getting fitness logs: ${error.message}`);
+      throw new Error(`Error getting period entries: ${error.message}`);
     }
   }
 
-  // =================== MENTAL HEALTH LOGS ===================
+  /**
+   * Get all period entries linked to a cycle
+   * @param {string} cycleId - Cycle ID
+   * @returns {Promise<Array>} - Period entries (oldest first)
+   */
+  async getPeriodEntriesByCycle(cycleId) {
+    try {
+      const snapshot = await this.db.collection(COLLECTIONS.PERIOD_ENTRIES)
+        .where('cycle_id', '==', cycleId)
+        .orderBy('entry_date', 'asc')
+        .get();
+
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      throw new Error(`Error getting cycle period entries: ${error.message}`);
+    }
+  }
 
   /**
-   * Save mental health log
-   * @param {string} userId - User ID
-   * @param {Object} mentalHealthData - Mental health data
-   * @returns {Promise<Object>} - Saved mental health log
+   * Get period entry by ID
+   * @param {string} entryId - Period entry ID
+   * @returns {Promise<Object|null>} - Period entry
    */
-  async saveMentalHealthLog(userId, mentalHealthData) {
+  async getPeriodEntryById(entryId) {
     try {
-      const docRef = await this.db.collection(COLLECTIONS.MENTAL_HEALTH_LOGS).add({
-        user_id: userId,
-        ...mentalHealthData,
-        created_at: firebaseService.getServerTimestamp()
-      });
-      return { id: docRef.id, ...mentalHealthData };
+      const doc = await this.db.collection(COLLECTIONS.PERIOD_ENTRIES).doc(entryId).get();
+      return doc.exists ? { id: doc.id, ...doc.data() } : null;
     } catch (error) {
-      throw new Error(`Error saving mental health log: ${error.message}`);
+      throw new Error(`Error getting period entry: ${error.message}`);
     }
   }
 
   /**
-   * Get mental health logs
-   * @param {string} userId - User ID
-   * @param {number} limit - Number of records
-   * @returns {Promise<Array>} - Mental health logs
+   * Delete period entry
+   * @param {string} entryId - Period entry ID
+   * @returns {Promise<void>}
    */
-  async getMentalHealthLogs(userId, limit = DEFAULTS.DEFAULT_LIMIT) {
+  async deletePeriodEntry(entryId) {
     try {
-      const snapshot = await this.db.collection(COLLECTIONS.MENTAL_HEALTH_LOGS)
-        .where('user_id', '==', userId)
-        .orderBy('created_at', 'desc')
-        .limit(limit)
-        .get();
-      
-      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      await this.db.collection(COLLECTIONS.PERIOD_ENTRIES).doc(entryId).delete();
     } catch (error) {
-      throw new Error(`Error getting mental health logs: ${error.message}`);
+      throw new Error(`Error deleting period entry: ${error.message}`);
     }
   }
 
-  // =================== AI INSIGHTS ===================
+  // =================== FERTILITY LOGS ===================
 
   /**
-   * Save AI insight
+   * Save daily fertility signs (one document per user and day)
    * @param {string} userId - User ID
-   * @param {Object} insightData - Insight data
-   * @returns {Promise<Object>} - Saved insight
+   * @param {Object} fertilityData - Fertility signs data
+   * @returns {Promise<Object>} - Saved fertility log
    */
-  async saveAIInsight(userId, insightData) {
+  async saveFertilityLog(userId, fertilityData) {
     try {
-      const docRef = await this.db.collection(COLLECTIONS.AI_INSIGHTS).add({
+      const docId = `${userId}_${fertilityData.log_date}`;
+      await this.db.collection(COLLECTIONS.FERTILITY_LOGS).doc(docId).set({
         user_id: userId,
-        ...insightData,
-        is_read: false,
-        created_at: firebaseService.getServerTimestamp()
-      });
-      return { id: docRef.id, ...insightData };
+        ...fertilityData,
+        updated_at: firebaseService.getServerTimestamp()
+      }, { merge: true });
+      return { id: docId, ...fertilityData };
     } catch (error) {
-      throw new Error(`Error saving AI insight: ${error.message}`);
+      throw new Error(`Error saving fertility log: ${error.message}`);
     }
   }
 
   /**
-   * Get recent AI insights
+   * Get fertility logs within a date range
    * @param {string} userId - User ID
+   * @param {string|null} startDate - First day (YYYY-MM-DD, inclusive)
+   * @param {string|null} endDate - Last day (YYYY-MM-DD, inclusive)
    * @param {number} limit - Number of records
-   * @returns {Promise<Array>} - AI insights
+   * @returns {Promise<Array>} - Fertility logs (oldest first)
    */
-  async getRecentInsights(userId, limit = 10) {
+  async getFertilityLogs(userId, startDate = null, endDate = null, limit = DEFAULTS.DEFAULT_LIMIT) {
     try {
-      const snapshot = await this.db.collection(COLLECTIONS.AI_INSIGHTS)
-        .where('user_id', '==', userId)
-        .orderBy('created_at', 'desc')
+      let query = this.db.collection(COLLECTIONS.FERTILITY_LOGS)
+        .where('user_id', '==', userId);
+
+      if (startDate) query = query.where('log_date', '>=', startDate);
+      if (endDate) query = query.where('log_date', '<=', endDate);
+
+      const snapshot = await query.orderBy('log_date', 'asc')
         .limit(limit)
         .get();
-      
+
       return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
     } catch (error) {
-      throw new Error(`Error getting insights: ${error.message}`);
+      throw new Error(`Error getting fertility logs: ${error.message}`);
     }
   }
 
   /**
-   * Mark insight as read
-   * @param {string} insightId - Insight ID
+   * Get fertility log by ID
+   * @param {string} logId - Fertility log ID
+   * @returns {Promise<Object|null>} - Fertility log
+   */
+  async getFertilityLogById(logId) {
+    try {
+      const doc = await this.db.collection(COLLECTIONS.FERTILITY_LOGS).doc(logId).get();
+      return doc.exists ? { id: doc.id, ...doc.data() } : null;
+    } catch (error) {
+      throw new Error(`Error getting fertility log: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete fertility log
+   * @param {string} logId - Fertility log ID
    * @returns {Promise<void>}
    */
-  async markInsightAsRead(insightId) {
+  async deleteFertilityLog(logId) {
     try {
-      await this.db.collection(COLLECTIONS.AI_INSIGHTS).doc(insightId).update({
-        is_read: true,
-        read_at: firebaseService.getServerTimestamp()
-      });
+      await this.db.collection(COLLECTIONS.FERTILITY_LOGS).doc(logId).delete();
     } catch (error) {
-      throw new Error(`Error marking insight as read: ${error.message}`);
+      throw new Error(`Error deleting fertility log: ${error.message}`);
     }
   }
 
-  // =================== GENERAL QUERIES ===================
+  // =================== HOT FLASH LOGS ===================
+
+  /**
+   * Save daily hot flash log (one document per user and day)
+   * @param {string} userId - User ID
+   * @param {Object} hotFlashData - Hot flash data
+   * @returns {Promise<Object>} - Saved hot flash log
+   */
+  async saveHotFlashLog(userId, hotFlashData) {
+    try {
+      const docId = `${userId}_${hotFlashData.log_date}`;
+      await this.db.collection(COLLECTIONS.HOT_FLASH_LOGS).doc(docId).set({
+        user_id: userId,
+        ...hotFlashData,
+        updated_at: firebaseService.getServerTimestamp()
+      }, { merge: true });
+      return { id: docId, ...hotFlashData };
+    } catch (error) {
+      throw new Error(`Error saving hot flash log: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get hot flash logs within a date range
+   * @param {string} userId - User ID
+   * @param {string|null} startDate - First day (YYYY-MM-DD, inclusive)
+   * @param {string|null} endDate - Last day (YYYY-MM-DD, inclusive)
+   * @param {number} limit - Number of records
+   * @returns {Promise<Array>} - Hot flash logs (oldest first)
+   */
+  async getHotFlashLogs(userId, startDate = null, endDate = null, limit = DEFAULTS.DEFAULT_LIMIT) {
+    try {
+      let query = this.db.collection(COLLECTIONS.HOT_FLASH_LOGS)
+        .where('user_id', '==', userId);
+
+      if (startDate) query = query.where('log_date', '>=', startDate);
+      if (endDate) query = query.where('log_date', '<=', endDate);
+
+      const snapshot = await query.orderBy('log_date', 'asc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      throw new Error(`Error getting hot flash logs: ${error.message}`);
+    }
+  }
+
+  // =================== SYMPTOM LOGS ===================
+
+  /**
+   * Save daily symptom log (one document per user and day)
+   * @param {string} userId - User ID
+   * @param {Object} symptomData - Symptom log data
+   * @returns {Promise<Object>} - Saved symptom log
+   */
+  async saveSymptomLog(userId, symptomData) {
+    try {
+      const docId = `${userId}_${symptomData.log_date}`;
+      const symptomLog = {
+        ...symptomData,
+        catalog_version: SYMPTOM_CATALOG_VERSION
+      };
+      await this.db.collection(COLLECTIONS.SYMPTOM_LOGS).doc(docId).set({
+        user_id: userId,
+        ...symptomLog,
+        updated_at: firebaseService.getServerTimestamp()
+      }, { merge: true });
+      return { id: docId, ...symptomLog };
+    } catch (error) {
+      throw new Error(`Error saving symptom log: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get symptom logs within a date range
+   * @param {string} userId - User ID
+   * @param {string|null} startDate - First day (YYYY-MM-DD, inclusive)
+   * @param {string|null} endDate - Last day (YYYY-MM-DD, inclusive)
+   * @param {number} limit - Number of records
+   * @returns {Promise<Array>} - Symptom logs (newest first)
+   */
+  async getSymptomLogs(userId, startDate = null, endDate = null, limit = DEFAULTS.DEFAULT_LIMIT) {
+    try {
+      let query = this.db.collection(COLLECTIONS.SYMPTOM_LOGS)
+        .where('user_id', '==', userId);
+
+      if (startDate) query = query.where('log_date', '>=', startDate);
+      if (endDate) query = query.where('log_date', '<=', endDate);
+
+      const snapshot = await query.orderBy('log_date', 'desc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      throw new Error(`Error getting symptom logs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get symptom log by ID
+   * @param {string} logId - Symptom log ID
+   * @returns {Promise<Object|null>} - Symptom log
+   */
+  async getSymptomLogById(logId) {
+    try {
+      const doc = await this.db.collection(COLLECTIONS.SYMPTOM_LOGS).doc(logId).get();
+      return doc.exists ? { id: doc.id, ...doc.data() } : null;
+    } catch (error) {
+      throw new Error(`Error getting symptom log: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete symptom log
+   * @param {string} logId - Symptom log ID
+   * @returns {Promise<void>}
+   */
+  async deleteSymptomLog(logId) {
+    try {
+      await this.db.collection(COLLECTIONS.SYMPTOM_LOGS).doc(logId).delete();
+    } catch (error) {
+      throw new Error(`Error deleting symptom log: ${error.message}`);
+    }
+  }
+
+  // =================== DRSP RATINGS ===================
+
+  /**
+   * Save daily DRSP ratings (one document per user and day)
+   * @param {string} userId - User ID
+   * @param {Object} ratingData - { rating_date, ratings }
+   * @returns {Promise<Object>} - Saved rating
+   */
+  async saveDrspRating(userId, ratingData) {
+    try {
+      const docId = `${userId}_${ratingData.rating_date}`;
+      await this.db.collection(COLLECTIONS.DRSP_RATINGS).doc(docId).set({
+        user_id: userId,
+        ...ratingData,
+        updated_at: firebaseService.getServerTimestamp()
+      }, { merge: true });
+      return { id: docId, ...ratingData };
+    } catch (error) {
+      throw new Error(`Error saving DRSP rating: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get DRSP ratings within a date range
+   * @param {string} userId - User ID
+   * @param {string|null} startDate - First day (YYYY-MM-DD, inclusive)
+   * @param {string|null} endDate - Last day (YYYY-MM-DD, inclusive)
+   * @param {number} limit - Number of records
+   * @returns {Promise<Array>} - Ratings (oldest first)
+   */
+  async getDrspRatings(userId, startDate = null, endDate = null, limit = DEFAULTS.DEFAULT_LIMIT) {
+    try {
+      let query = this.db.collection(COLLECTIONS.DRSP_RATINGS)
+        .where('user_id', '==', userId);
+
+      if (startDate) query = query.where('rating_date', '>=', startDate);
+      if (endDate) query = query.where('rating_date', '<=', endDate);
+
+      const snapshot = await query.orderBy('rating_date', 'asc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      throw new Error(`Error getting DRSP ratings: ${error.message}`);
+    }
+  }
+
+  // =================== NUTRITION LOGS ===================
+
+  /**
+   * Save nutrition log
+   * @param {string} userId - User ID
+   * @param {Object} nutritionData - Nutrition data
+   * @returns {Promise<Object>} - Saved nutrition log
+   */
+  async saveNutritionLog(userId, nutritionData) {
+    try {
+      const docRef = await this.db.collection(COLLECTIONS.NUTRITION_LOGS).add({
+        user_id: userId,
+        ...nutritionData,
+        created_at: firebaseService.getServerTimestamp()
+      });
+      return { id: docRef.id, ...nutritionData };
+    } catch (error) {
+      throw new Error(`Error saving nutrition log: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get nutrition logs by date
+   * @param {string} userId - User ID
+   * @param {string} date - Local day filter (YYYY-MM-DD, in the user's time zone)
+   * @param {number} limit - Number of records
+   * @returns {Promise<Array>} - Nutrition logs
+   */
+  async getNutritionLogs(userId, date = null, limit = DEFAULTS.DEFAULT_LIMIT) {
+    if (date) {
+      const day = toDateKey(date);
+      return this.getNutritionLogsInRange(userId, day, day, limit);
+    }
+
+    try {
+      const snapshot = await this.db.collection(COLLECTIONS.NUTRITION_LOGS)
+        .where('user_id', '==', userId)
+        .orderBy('created_at', 'desc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      throw new Error(`Error getting nutrition logs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get nutrition logs whose local date falls within a date range
+   * @param {string} userId - User ID
+   * @param {string} startDate - First day (YYYY-MM-DD, inclusive)
+   * @param {string} endDate - Last day (YYYY-MM-DD, inclusive)
+   * @param {number} limit - Number of records
+   * @returns {Promise<Array>} - Nutrition logs (newest first)
+   */
+  async getNutritionLogsInRange(userId, startDate, endDate, limit = DEFAULTS.DEFAULT_LIMIT) {
+    try {
+      const snapshot = await this.db.collection(COLLECTIONS.NUTRITION_LOGS)
+        .where('user_id', '==', userId)
+        .where('local_date', '>=', startDate)
+        .where('local_date', '<=', endDate)
+        .orderBy('local_date', 'desc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      throw new Error(`Error getting nutrition logs: ${error.message}`);
+    }
+  }
+
+  // =================== FITNESS LOGS ===================
+
+  /**
+   * Save fitness log
+   * @param {string} userId - User ID
+   * @param {Object} fitnessData - Fitness data
+   * @returns {Promise<Object>} - Saved fitness log
+   */
+  async saveFitnessLog(userId, fitnessData) {
+    try {
+      const docRef = await this.db.collection(COLLECTIONS.FITNESS_LOGS).add({
+        user_id: userId,
+        ...fitnessData,
+        created_at: firebaseService.getServerTimestamp()
+      });
+      return { id: docRef.id, ...fitnessData };
+    } catch (error) {
+      throw new Error(`Error saving fitness log: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get fitness logs
+   * @param {string} userId - User ID
+   * @param {number} limit - Number of records
+   * @returns {Promise<Array>} - Fitness logs
+   */
+  async getFitnessLogs(userId, limit = DEFAULTS.DEFAULT_LIMIT) {
+    try {
+      const snapshot = await this.db.collection(COLLECTIONS.FITNESS_LOGS)
+        .where('user_id', '==', userId)
+        .orderBy('created_at', 'desc')
+        .limit(limit)
+        .get();
+      
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      throw new Error(`Error getting fitness logs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get fitness logs whose local date falls within a date range
+   * @param {string} userId - User ID
+   * @param {string} startDate - First day (YYYY-MM-DD, inclusive)
+   * @param {string} endDate - Last day (YYYY-MM-DD, inclusive)
+   * @param {number} limit - Number of records
+   * @returns {Promise<Array>} - Fitness logs (newest first)
+   */
+  async getFitnessLogsInRange(userId, startDate, endDate, limit = DEFAULTS.DEFAULT_LIMIT) {
+    try {
+      const snapshot = await this.db.collection(COLLECTIONS.FITNESS_LOGS)
+        .where('user_id', '==', userId)
+        .where('local_date', '>=', startDate)
+        .where('local_date', '<=', endDate)
+        .orderBy('local_date', 'desc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      throw new Error(`Error getting fitness logs: ${error.message}`);
+    }
+  }
+
+  // =================== MENTAL HEALTH LOGS ===================
+
+  /**
+   * Save mental health log
+   * @param {string} userId - User ID
+   * @param {Object} mentalHealthData - Mental health data
+   * @returns {Promise<Object>} - Saved mental health log
+   */
+  async saveMentalHealthLog(userId, mentalHealthData) {
+    try {
+      const docRef = await this.db.collection(COLLECTIONS.MENTAL_HEALTH_LOGS).add({
+        user_id: userId,
+        ...mentalHealthData,
+        created_at: firebaseService.getServerTimestamp()
+      });
+      return { id: docRef.id, ...mentalHealthData };
+    } catch (error) {
+      throw new Error(`Error saving mental health log: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get mental health logs
+   * @param {string} userId - User ID
+   * @param {number} limit - Number of records
+   * @returns {Promise<Array>} - Mental health logs
+   */
+  async getMentalHealthLogs(userId, limit = DEFAULTS.DEFAULT_LIMIT) {
+    try {
+      const snapshot = await this.db.collection(COLLECTIONS.MENTAL_HEALTH_LOGS)
+        .where('user_id', '==', userId)
+        .orderBy('created_at', 'desc')
+        .limit(limit)
+        .get();
+      
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      throw new Error(`Error getting mental health logs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get mental health logs whose local date falls within a date range
+   * @param {string} userId - User ID
+   * @param {string} startDate - First day (YYYY-MM-DD, inclusive)
+   * @param {string} endDate - Last day (YYYY-MM-DD, inclusive)
+   * @param {number} limit - Number of records
+   * @returns {Promise<Array>} - Mental health logs (newest first)
+   */
+  async getMentalHealthLogsInRange(userId, startDate, endDate, limit = DEFAULTS.DEFAULT_LIMIT) {
+    try {
+      const snapshot = await this.db.collection(COLLECTIONS.MENTAL_HEALTH_LOGS)
+        .where('user_id', '==', userId)
+        .where('local_date', '>=', startDate)
+        .where('local_date', '<=', endDate)
+        .orderBy('local_date', 'desc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      throw new Error(`Error getting mental health logs: ${error.message}`);
+    }
+  }
+
+  // =================== MEDICATIONS ===================
+
+  /**
+   * Save a medication, supplement or contraception regimen
+   * @param {string} userId - User ID
+   * @param {Object} medicationData - Regimen data
+   * @returns {Promise<Object>} - Saved regimen
+   */
+  async saveMedication(userId, medicationData) {
+    try {
+      const docRef = await this.db.collection(COLLECTIONS.MEDICATIONS).add({
+        user_id: userId,
+        ...medicationData,
+        created_at: firebaseService.getServerTimestamp(),
+        updated_at: firebaseService.getServerTimestamp()
+      });
+      return { id: docRef.id, ...medicationData };
+    } catch (error) {
+      throw new Error(`Error saving medication: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get all of a user's regimens (active and ended)
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Regimens
+   */
+  async getMedications(userId) {
+    try {
+      const snapshot = await this.db.collection(COLLECTIONS.MEDICATIONS)
+        .where('user_id', '==', userId)
+        .get();
+
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      throw new Error(`Error getting medications: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get regimen by ID
+   * @param {string} medicationId - Medication ID
+   * @returns {Promise<Object|null>} - Regimen
+   */
+  async getMedicationById(medicationId) {
+    try {
+      const doc = await this.db.collection(COLLECTIONS.MEDICATIONS).doc(medicationId).get();
+      return doc.exists ? { id: doc.id, ...doc.data() } : null;
+    } catch (error) {
+      throw new Error(`Error getting medication: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update regimen
+   * @param {string} medicationId - Medication ID
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Object>} - Updated regimen fields
+   */
+  async updateMedication(medicationId, updateData) {
+    try {
+      await this.db.collection(COLLECTIONS.MEDICATIONS).doc(medicationId).update({
+        ...updateData,
+        updated_at: firebaseService.getServerTimestamp()
+      });
+      return { id: medicationId, ...updateData };
+    } catch (error) {
+      throw new Error(`Error updating medication: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete regimen together with its dose logs
+   * @param {string} medicationId - Medication ID
+   * @returns {Promise<number>} - Number of dose logs deleted
+   */
+  async deleteMedication(medicationId) {
+    try {
+      const doses = await this.db.collection(COLLECTIONS.MEDICATION_DOSES)
+        .where('medication_id', '==', medicationId)
+        .get();
+
+      const refs = [...doses.docs.map(doc => doc.ref), this.db.collection(COLLECTIONS.MEDICATIONS).doc(medicationId)];
+      for (let i = 0; i < refs.length; i += 400) {
+        const batch = this.db.batch();
+        refs.slice(i, i + 400).forEach(ref => batch.delete(ref));
+        await batch.commit();
+      }
+
+      return doses.size;
+    } catch (error) {
+      throw new Error(`Error deleting medication: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save a dose log (taken or missed)
+   * @param {string} userId - User ID
+   * @param {Object} doseData - Dose data
+   * @returns {Promise<Object>} - Saved dose log
+   */
+  async saveMedicationDose(userId, doseData) {
+    try {
+      const docRef = await this.db.collection(COLLECTIONS.MEDICATION_DOSES).add({
+        user_id: userId,
+        ...doseData,
+        created_at: firebaseService.getServerTimestamp()
+      });
+      return { id: docRef.id, ...doseData };
+    } catch (error) {
+      throw new Error(`Error saving medication dose: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get dose logs within a date range
+   * @param {string} userId - User ID
+   * @param {Object} options - Query options
+   * @param {string|null} options.medicationId - Only doses of this regimen
+   * @param {string|null} options.from - First day (YYYY-MM-DD, inclusive)
+   * @param {string|null} options.to - Last day (YYYY-MM-DD, inclusive)
+   * @param {number} options.limit - Number of records
+   * @returns {Promise<Array>} - Dose logs (newest first)
+   */
+  async getMedicationDoses(userId, { medicationId = null, from = null, to = null, limit = DEFAULTS.DEFAULT_LIMIT } = {}) {
+    try {
+      let query = this.db.collection(COLLECTIONS.MEDICATION_DOSES)
+        .where('user_id', '==', userId);
+
+      if (medicationId) query = query.where('medication_id', '==', medicationId);
+      if (from) query = query.where('dose_date', '>=', from);
+      if (to) query = query.where('dose_date', '<=', to);
+
+      const snapshot = await query.orderBy('dose_date', 'desc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      throw new Error(`Error getting medication doses: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get every dose log of a user within a date range
+   * Reads page by page so long ranges with many regimens are not cut off
+   * @param {string} userId - User ID
+   * @param {string} from - First day (YYYY-MM-DD)
+   * @param {string} to - Last day (YYYY-MM-DD)
+   * @returns {Promise<Array>} - Dose logs (newest first)
+   */
+  async getMedicationDosesInRange(userId, from, to) {
+    try {
+      const doses = [];
+      let lastDoc = null;
+
+      do {
+        let query = this.db.collection(COLLECTIONS.MEDICATION_DOSES)
+          .where('user_id', '==', userId)
+          .where('dose_date', '>=', from)
+          .where('dose_date', '<=', to)
+          .orderBy('dose_date', 'desc');
+
+        if (lastDoc) query = query.startAfter(lastDoc);
+
+        const snapshot = await query.limit(MEDICATION.DOSE_PAGE_SIZE).get();
+        snapshot.docs.forEach(doc => doses.push({ id: doc.id, ...doc.data() }));
+        lastDoc = snapshot.docs.length === MEDICATION.DOSE_PAGE_SIZE ? snapshot.docs[snapshot.docs.length - 1] : null;
+      } while (lastDoc);
+
+      return doses;
+    } catch (error) {
+      throw new Error(`Error getting medication doses in range: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get dose log by ID
+   * @param {string} doseId - Dose log ID
+   * @returns {Promise<Object|null>} - Dose log
+   */
+  async getMedicationDoseById(doseId) {
+    try {
+      const doc = await this.db.collection(COLLECTIONS.MEDICATION_DOSES).doc(doseId).get();
+      return doc.exists ? { id: doc.id, ...doc.data() } : null;
+    } catch (error) {
+      throw new Error(`Error getting medication dose: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete dose log
+   * @param {string} doseId - Dose log ID
+   * @returns {Promise<void>}
+   */
+  async deleteMedicationDose(doseId) {
+    try {
+      await this.db.collection(COLLECTIONS.MEDICATION_DOSES).doc(doseId).delete();
+    } catch (error) {
+      throw new Error(`Error deleting medication dose: ${error.message}`);
+    }
+  }
+
+  // =================== USER PROFILES ===================
+
+  /**
+   * Get additional user profile data
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} - Profile data
+   */
+  async getUserProfile(userId) {
+    try {
+      const doc = await this.db.collection(COLLECTIONS.USER_PROFILES).doc(userId).get();
+      return doc.exists ? doc.data() : null;
+    } catch (error) {
+      throw new Error(`Error getting user profile: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a page of user IDs (profile document IDs), for scheduled jobs
+   * @param {number} limit - Page size
+   * @param {string|null} afterId - Last user ID of the previous page
+   * @returns {Promise<Array<string>>} - User IDs in document ID order
+   */
+  async getUserIdsPage(limit, afterId = null) {
+    try {
+      let query = this.db.collection(COLLECTIONS.USER_PROFILES)
+        .orderBy(firebaseService.getDocumentIdField());
+
+      if (afterId) query = query.startAfter(afterId);
+
+      const snapshot = await query.limit(limit).select().get();
+      return snapshot.docs.map(doc => doc.id);
+    } catch (error) {
+      throw new Error(`Error getting user IDs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the user's time zone from their profile (UTC when unset or invalid)
+   * @param {string} userId - User ID
+   * @returns {Promise<string>} - IANA time zone
+   */
+  async getUserTimeZone(userId) {
+    const profile = await this.getUserProfile(userId);
+    return resolveTimeZone(profile?.time_zone);
+  }
+
+  /**
+   * Merge data into the user's profile
+   * @param {string} userId - User ID
+   * @param {Object} profileData - Fields to update
+   * @returns {Promise<Object>} - Updated fields
+   */
+  async updateUserProfile(userId, profileData) {
+    try {
+      await this.db.collection(COLLECTIONS.USER_PROFILES).doc(userId).set({
+        ...profileData,
+        user_id: userId,
+        updated_at: new Date().toISOString()
+      }, { merge: true });
+      return profileData;
+    } catch (error) {
+      throw new Error(`Error updating user profile: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the user's app settings merged over the defaults, section by section
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Settings
+   */
+  async getUserSettings(userId) {
+    try {
+      const doc = await this.db.collection(COLLECTIONS.USER_SETTINGS).doc(userId).get();
+      const saved = doc.exists ? doc.data() : {};
+      const settings = { ...DEFAULT_USER_SETTINGS, ...saved };
+
+      Object.keys(DEFAULT_USER_SETTINGS).forEach(section => {
+        settings[section] = { ...DEFAULT_USER_SETTINGS[section], ...(saved[section] || {}) };
+      });
+
+      return settings;
+    } catch (error) {
+      throw new Error(`Error getting user settings: ${error.message}`);
+    }
+  }
+
+  // =================== USER DEVICES ===================
+
+  /**
+   * Save a device's push registration (one document per user and device)
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Device ID chosen by the app
+   * @param {Object} deviceData - { token, platform, locale, app_version }
+   * @returns {Promise<Object>} - Saved device
+   */
+  async saveUserDevice(userId, deviceId, deviceData) {
+    try {
+      const docId = `${userId}_${deviceId}`;
+      await this.db.collection(COLLECTIONS.USER_DEVICES).doc(docId).set({
+        user_id: userId,
+        device_id: deviceId,
+        ...deviceData,
+        updated_at: firebaseService.getServerTimestamp()
+      }, { merge: true });
+      return { id: docId, device_id: deviceId, ...deviceData };
+    } catch (error) {
+      throw new Error(`Error saving user device: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a user's registered devices
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Devices
+   */
+  async getUserDevices(userId) {
+    try {
+      const snapshot = await this.db.collection(COLLECTIONS.USER_DEVICES)
+        .where('user_id', '==', userId)
+        .get();
+
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      throw new Error(`Error getting user devices: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get every device registered with a token (any user)
+   * @param {string} token - FCM registration token
+   * @returns {Promise<Array>} - Devices
+   */
+  async getDevicesByToken(token) {
+    try {
+      const snapshot = await this.db.collection(COLLECTIONS.USER_DEVICES)
+        .where('token', '==', token)
+        .get();
+
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      throw new Error(`Error getting devices by token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete devices
+   * @param {Array<string>} deviceDocIds - Device document IDs
+   * @returns {Promise<void>}
+   */
+  async deleteUserDevices(deviceDocIds) {
+    try {
+      if (deviceDocIds.length === 0) return;
+
+      const batch = this.db.batch();
+      deviceDocIds.forEach(docId => batch.delete(this.db.collection(COLLECTIONS.USER_DEVICES).doc(docId)));
+      await batch.commit();
+    } catch (error) {
+      throw new Error(`Error deleting user devices: ${error.message}`);
+    }
+  }
+
+  // =================== NOTIFICATION HISTORY ===================
+
+  /**
+   * Record a notification delivery attempt
+   * @param {string} userId - User ID
+   * @param {Object} historyData - Notification and delivery result
+   * @returns {Promise<Object>} - Saved history entry
+   */
+  async saveNotificationHistory(userId, historyData) {
+    try {
+      const docRef = await this.db.collection(COLLECTIONS.NOTIFICATION_HISTORY).add({
+        user_id: userId,
+        ...historyData,
+        sent_at: firebaseService.getServerTimestamp()
+      });
+      return { id: docRef.id, ...historyData };
+    } catch (error) {
+      throw new Error(`Error saving notification history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a user's notification history
+   * @param {string} userId - User ID
+   * @param {number} limit - Number of records
+   * @returns {Promise<Array>} - History entries (newest first)
+   */
+  async getNotificationHistory(userId, limit = NOTIFICATIONS.HISTORY_LIMIT) {
+    try {
+      const snapshot = await this.db.collection(COLLECTIONS.NOTIFICATION_HISTORY)
+        .where('user_id', '==', userId)
+        .orderBy('sent_at', 'desc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      throw new Error(`Error getting notification history: ${error.message}`);
+    }
+  }
+
+  // =================== CALENDAR FEED TOKENS ===================
+
+  /**
+   * Save a calendar feed token (keyed by the token hash, never the token itself)
+   * @param {string} userId - User ID
+   * @param {string} tokenHash - SHA-256 hash of the feed token
+   * @param {Object} tokenData - Token metadata
+   * @returns {Promise<Object>} - Saved token metadata
+   */
+  async saveCalendarFeedToken(userId, tokenHash, tokenData) {
+    try {
+      const data = {
+        user_id: userId,
+        ...tokenData,
+        last_used_at: null,
+        created_at: firebaseService.getServerTimestamp()
+      };
+
+      await this.db.collection(COLLECTIONS.CALENDAR_FEED_TOKENS).doc(tokenHash).set(data);
+      return { id: tokenHash, ...data, created_at: new Date().toISOString() };
+    } catch (error) {
+      throw new Error(`Error saving calendar feed token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a user's calendar feed tokens
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Token metadata
+   */
+  async getCalendarFeedTokens(userId) {
+    try {
+      const snapshot = await this.db.collection(COLLECTIONS.CALENDAR_FEED_TOKENS)
+        .where('user_id', '==', userId)
+        .get();
+
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      throw new Error(`Error getting calendar feed tokens: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get calendar feed token by hash
+   * @param {string} tokenHash - SHA-256 hash of the feed token
+   * @returns {Promise<Object|null>} - Token metadata
+   */
+  async getCalendarFeedToken(tokenHash) {
+    try {
+      const doc = await this.db.collection(COLLECTIONS.CALENDAR_FEED_TOKENS).doc(tokenHash).get();
+      return doc.exists ? { id: doc.id, ...doc.data() } : null;
+    } catch (error) {
+      throw new Error(`Error getting calendar feed token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record that a calendar feed token was used
+   * @param {string} tokenHash - SHA-256 hash of the feed token
+   * @returns {Promise<void>}
+   */
+  async touchCalendarFeedToken(tokenHash) {
+    try {
+      await this.db.collection(COLLECTIONS.CALENDAR_FEED_TOKENS).doc(tokenHash).update({
+        last_used_at: firebaseService.getServerTimestamp()
+      });
+    } catch (error) {
+      throw new Error(`Error updating calendar feed token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete (revoke) a calendar feed token
+   * @param {string} tokenHash - SHA-256 hash of the feed token
+   * @returns {Promise<boolean>} - Success status
+   */
+  async deleteCalendarFeedToken(tokenHash) {
+    try {
+      await this.db.collection(COLLECTIONS.CALENDAR_FEED_TOKENS).doc(tokenHash).delete();
+      return true;
+    } catch (error) {
+      throw new Error(`Error deleting calendar feed token: ${error.message}`);
+    }
+  }
+
+  // =================== AI INSIGHTS ===================
+
+  /**
+   * Save AI insight
+   * @param {string} userId - User ID
+   * @param {Object} insightData - Insight data
+   * @returns {Promise<Object>} - Saved insight
+   */
+  async saveAIInsight(userId, insightData) {
+    try {
+      const docRef = await this.db.collection(COLLECTIONS.AI_INSIGHTS).add({
+        user_id: userId,
+        ...insightData,
+        is_read: false,
+        created_at: firebaseService.getServerTimestamp()
+      });
+      return { id: docRef.id, ...insightData };
+    } catch (error) {
+      throw new Error(`Error saving AI insight: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get recent AI insights
+   * @param {string} userId - User ID
+   * @param {number} limit - Number of records
+   * @returns {Promise<Array>} - AI insights
+   */
+  async getRecentInsights(userId, limit = 10) {
+    try {
+      const snapshot = await this.db.collection(COLLECTIONS.AI_INSIGHTS)
+        .where('user_id', '==', userId)
+        .orderBy('created_at', 'desc')
+        .limit(limit)
+        .get();
+      
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      throw new Error(`Error getting insights: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark insight as read
+   * @param {string} insightId - Insight ID
+   * @returns {Promise<void>}
+   */
+  async markInsightAsRead(insightId) {
+    try {
+      await this.db.collection(COLLECTIONS.AI_INSIGHTS).doc(insightId).update({
+        is_read: true,
+        read_at: firebaseService.getServerTimestamp()
+      });
+    } catch (error) {
+      throw new Error(`Error marking insight as read: ${error.message}`);
+    }
+  }
+
+  // =================== DIGESTS ===================
+
+  /**
+   * Save a digest (one document per user, frequency and period)
+   * Regenerating a period replaces its digest
+   * @param {string} userId - User ID
+   * @param {Object} digestData - Digest with frequency and period_end
+   * @returns {Promise<Object>} - Saved digest
+   */
+  async saveDigest(userId, digestData) {
+    try {
+      const docId = `${userId}_${digestData.frequency}_${digestData.period_end}`;
+      await this.db.collection(COLLECTIONS.DIGESTS).doc(docId).set({
+        user_id: userId,
+        ...digestData,
+        created_at: firebaseService.getServerTimestamp()
+      });
+      return { id: docId, ...digestData };
+    } catch (error) {
+      throw new Error(`Error saving digest: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a user's digests
+   * @param {string} userId - User ID
+   * @param {Object} options - Query options
+   * @param {string|null} options.frequency - daily or weekly (all when null)
+   * @param {number} options.limit - Number of records
+   * @returns {Promise<Array>} - Digests (newest period first)
+   */
+  async getDigests(userId, { frequency = null, limit = DIGESTS.LIST_LIMIT } = {}) {
+    try {
+      let query = this.db.collection(COLLECTIONS.DIGESTS)
+        .where('user_id', '==', userId);
+
+      if (frequency) query = query.where('frequency', '==', frequency);
+
+      const snapshot = await query.orderBy('period_end', 'desc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      throw new Error(`Error getting digests: ${error.message}`);
+    }
+  }
+
+  // =================== AI CONVERSATIONS ===================
+
+  /**
+   * Create a chat conversation
+   * @param {string} userId - User ID
+   * @param {Object} conversationData - { title }
+   * @returns {Promise<Object>} - Created conversation
+   */
+  async createConversation(userId, conversationData) {
+    try {
+      const docRef = await this.db.collection(COLLECTIONS.AI_CONVERSATIONS).add({
+        user_id: userId,
+        ...conversationData,
+        message_count: 0,
+        created_at: firebaseService.getServerTimestamp(),
+        updated_at: firebaseService.getServerTimestamp()
+      });
+      return { id: docRef.id, user_id: userId, ...conversationData, message_count: 0 };
+    } catch (error) {
+      throw new Error(`Error creating conversation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a user's conversations
+   * @param {string} userId - User ID
+   * @param {number} limit - Number of records
+   * @returns {Promise<Array>} - Conversations (most recently active first)
+   */
+  async getConversations(userId, limit = CHAT.LIST_LIMIT) {
+    try {
+      const snapshot = await this.db.collection(COLLECTIONS.AI_CONVERSATIONS)
+        .where('user_id', '==', userId)
+        .orderBy('updated_at', 'desc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      throw new Error(`Error getting conversations: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get conversation by ID
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object|null>} - Conversation
+   */
+  async getConversationById(conversationId) {
+    try {
+      const doc = await this.db.collection(COLLECTIONS.AI_CONVERSATIONS).doc(conversationId).get();
+      return doc.exists ? { id: doc.id, ...doc.data() } : null;
+    } catch (error) {
+      throw new Error(`Error getting conversation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record new messages on a conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {number} count - Number of messages added
+   * @param {string} lastMessage - Preview of the latest message
+   * @returns {Promise<void>}
+   */
+  async addConversationMessages(conversationId, count, lastMessage) {
+    try {
+      await this.db.collection(COLLECTIONS.AI_CONVERSATIONS).doc(conversationId).update({
+        message_count: firebaseService.getIncrement(count),
+        last_message: lastMessage,
+        updated_at: firebaseService.getServerTimestamp()
+      });
+    } catch (error) {
+      throw new Error(`Error updating conversation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a conversation and its messages
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<number>} - Number of deleted messages
+   */
+  async deleteConversation(conversationId) {
+    try {
+      const snapshot = await this.db.collection(COLLECTIONS.AI_MESSAGES)
+        .where('conversation_id', '==', conversationId)
+        .get();
+      const refs = [...snapshot.docs.map(doc => doc.ref), this.db.collection(COLLECTIONS.AI_CONVERSATIONS).doc(conversationId)];
+
+      // Firestore batches are limited to 500 writes
+      for (let i = 0; i < refs.length; i += 400) {
+        const batch = this.db.batch();
+        refs.slice(i, i + 400).forEach(ref => batch.delete(ref));
+        await batch.commit();
+      }
+
+      return snapshot.size;
+    } catch (error) {
+      throw new Error(`Error deleting conversation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save a chat message
+   * @param {string} userId - User ID
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} messageData - { role, content }
+   * @returns {Promise<Object>} - Saved message
+   */
+  async saveChatMessage(userId, conversationId, messageData) {
+    try {
+      const docRef = await this.db.collection(COLLECTIONS.AI_MESSAGES).add({
+        user_id: userId,
+        conversation_id: conversationId,
+        ...messageData,
+        created_at: firebaseService.getServerTimestamp()
+      });
+      return { id: docRef.id, conversation_id: conversationId, ...messageData };
+    } catch (error) {
+      throw new Error(`Error saving chat message: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the latest messages of a conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {number} limit - Number of records
+   * @returns {Promise<Array>} - Messages (oldest first)
+   */
+  async getChatMessages(conversationId, limit = CHAT.MAX_HISTORY_MESSAGES) {
+    try {
+      const snapshot = await this.db.collection(COLLECTIONS.AI_MESSAGES)
+        .where('conversation_id', '==', conversationId)
+        .orderBy('created_at', 'desc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).reverse();
+    } catch (error) {
+      throw new Error(`Error getting chat messages: ${error.message}`);
+    }
+  }
+
+  // =================== AI SAFETY EVENTS ===================
+
+  /**
+   * Record an AI safety intervention for review
+   * @param {string} userId - User ID
+   * @param {Object} eventData - { feature, flags, severity, action, language, rules_version, reference_id }
+   * @returns {Promise<Object>} - Saved event
+   */
+  async saveSafetyEvent(userId, eventData) {
+    try {
+      const docRef = await this.db.collection(COLLECTIONS.AI_SAFETY_EVENTS).add({
+        user_id: userId,
+        ...eventData,
+        reviewed: false,
+        created_at: firebaseService.getServerTimestamp()
+      });
+      return { id: docRef.id, ...eventData, reviewed: false };
+    } catch (error) {
+      throw new Error(`Error saving AI safety event: ${error.message}`);
+    }
+  }
+
+  // =================== AI USAGE ===================
+
+  /**
+   * Add a language model request to a user's usage of the day
+   * One document per user and UTC day, with totals per endpoint
+   * @param {string} userId - User ID
+   * @param {string} date - UTC day (YYYY-MM-DD)
+   * @param {Object} usage - { endpoint, prompt_tokens, completion_tokens, cost_usd }
+   * @returns {Promise<void>}
+   */
+  async addAIUsage(userId, date, usage) {
+    try {
+      const totalTokens = usage.prompt_tokens + usage.completion_tokens;
+      await this.db.collection(COLLECTIONS.AI_USAGE).doc(`${userId}_${date}`).set({
+        user_id: userId,
+        date,
+        month: date.slice(0, 7),
+        requests: firebaseService.getIncrement(1),
+        prompt_tokens: firebaseService.getIncrement(usage.prompt_tokens),
+        completion_tokens: firebaseService.getIncrement(usage.completion_tokens),
+        total_tokens: firebaseService.getIncrement(totalTokens),
+        cost_usd: firebaseService.getIncrement(usage.cost_usd),
+        endpoints: {
+          [usage.endpoint]: {
+            requests: firebaseService.getIncrement(1),
+            total_tokens: firebaseService.getIncrement(totalTokens),
+            cost_usd: firebaseService.getIncrement(usage.cost_usd)
+          }
+        },
+        updated_at: firebaseService.getServerTimestamp()
+      }, { merge: true });
+    } catch (error) {
+      throw new Error(`Error saving AI usage: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a user's daily AI usage documents of a month
+   * @param {string} userId - User ID
+   * @param {string} month - UTC month (YYYY-MM)
+   * @returns {Promise<Array>} - Daily usage (oldest first)
+   */
+  async getAIUsageForMonth(userId, month) {
+    try {
+      const snapshot = await this.db.collection(COLLECTIONS.AI_USAGE)
+        .where('user_id', '==', userId)
+        .where('month', '==', month)
+        .get();
+
+      return snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+    } catch (error) {
+      throw new Error(`Error getting AI usage: ${error.message}`);
+    }
+  }
+
+  // =================== GENERAL QUERIES ===================
+
+  /**
+   * Get one page of a user's documents ordered by a day-key field
+   * Documents on the same day are ordered by ID so cursors are stable
+   * @param {string} collection - Collection name
+   * @param {string} userId - User ID
+   * @param {Object} options - Query options
+   * @param {string} options.field - Day-key field to filter and sort on (e.g. local_date)
+   * @param {string|null} options.from - First day (YYYY-MM-DD, inclusive)
+   * @param {string|null} options.to - Last day (YYYY-MM-DD, inclusive)
+   * @param {string} options.sort - 'desc' (newest first) or 'asc'
+   * @param {number} options.limit - Page size
+   * @param {Object|null} options.cursor - Decoded cursor from the previous page
+   * @returns {Promise<Object>} - { items, next_cursor }
+   */
+  async getUserPage(collection, userId, { field, from = null, to = null, sort = 'desc', limit = DEFAULTS.DEFAULT_LIMIT, cursor = null }) {
+    try {
+      let query = this.db.collection(collection)
+        .where('user_id', '==', userId);
+
+      if (from) query = query.where(field, '>=', from);
+      if (to) query = query.where(field, '<=', to);
+
+      query = query.orderBy(field, sort).orderBy(firebaseService.getDocumentIdField(), sort);
+      if (cursor) query = query.startAfter(cursor.value, cursor.id);
+
+      // One extra document tells whether another page exists
+      const snapshot = await query.limit(limit + 1).get();
+      const docs = snapshot.docs.slice(0, limit);
+      const lastDoc = docs[docs.length - 1];
+
+      return {
+        items: docs.map(doc => ({ id: doc.id, ...doc.data() })),
+        next_cursor: snapshot.docs.length > limit
+          ? encodeCursor({ value: lastDoc.get(field), id: lastDoc.id })
+          : null
+      };
+    } catch (error) {
+      throw new Error(`Error getting ${collection} page: ${error.message}`);
+    }
+  }
 
   /**
    * Get user's latest data across all collections
@@ -325,18 +1849,20 @@ class FirestoreService {
    */
   async getUserLatestData(userId) {
     try {
-      const [latestCycle, recentNutrition, recentFitness, recentMentalHealth] = await Promise.all([
+      const [latestCycle, recentNutrition, recentFitness, recentMentalHealth, recentSymptoms] = await Promise.all([
         this.getCycles(userId, 1),
         this.getNutritionLogs(userId, null, 5),
         this.getFitnessLogs(userId, 5),
-        this.getMentalHealthLogs(userId, 5)
+        this.getMentalHealthLogs(userId, 5),
+        this.getSymptomLogs(userId, null, null, 5)
       ]);
 
       return {
         latest_cycle: latestCycle[0] || null,
         recent_nutrition: recentNutrition,
         recent_fitness: recentFitness,
-        recent_mental_health: recentMentalHealth
+        recent_mental_health: recentMentalHealth,
+        recent_symptoms: recentSymptoms
       };
     } catch (error) {
       throw new Error(`Error getting user latest data: ${error.message}`);
@@ -0,0 +1,232 @@
+const OpenAI = require('openai');
+const { LLM, LLM_PROVIDERS } = require('../utils/constants');
+
+// Language model adapters. Every provider implements
+// generate(messages, options) -> Promise<string>
+// stream(messages, options) -> AsyncIterable<string> of content pieces
+// countTokens(text) -> number
+// where messages are { role, content } and options are { maxTokens, temperature, responseFormat, signal, onUsage }.
+// responseFormat 'json' asks for a single JSON object. onUsage is called with { prompt_tokens, completion_tokens }
+// when the provider reports the tokens a request used.
+
+/**
+ * Estimate the number of tokens of a text
+ * @param {string} text - Text
+ * @returns {number} - Estimated tokens
+ */
+const estimateTokens = (text = '') => Math.ceil(text.length / LLM.CHARS_PER_TOKEN);
+
+/**
+ * Read a numeric environment value
+ * @param {string} value - Raw value
+ * @returns {number|null} - Number or null when unset or invalid
+ */
+const readNumber = (value) => {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Chat completions through the OpenAI SDK
+ */
+class OpenAIProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - API key
+   * @param {string} options.baseURL - API base URL (defaults to OpenAI)
+   * @param {string} options.model - Model name
+   * @param {Object} options.client - Preconfigured client (tests)
+   */
+  constructor({ apiKey, baseURL, model = LLM.DEFAULT_MODELS.openai, client = null } = {}) {
+    this.name = 'openai';
+    this.model = model;
+    this.client = client || new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+  }
+
+  /**
+   * Build the parameters of a completion request
+   * @param {Array} messages - Messages
+   * @param {Object} options - Request options
+   * @returns {Object} - Completion parameters
+   */
+  buildParams(messages, { maxTokens, temperature, responseFormat } = {}) {
+    return {
+      model: this.model,
+      messages,
+      ...(maxTokens ? { max_tokens: maxTokens } : {}),
+      ...(typeof temperature === 'number' ? { temperature } : {}),
+      ...(responseFormat === 'json' ? { response_format: { type: 'json_object' } } : {})
+    };
+  }
+
+  async generate(messages, options = {}) {
+    const completion = await this.client.chat.completions.create(
+      this.buildParams(messages, options),
+      { signal: options.signal }
+    );
+    if (completion.usage && options.onUsage) options.onUsage(completion.usage);
+    return completion.choices[0].message.content;
+  }
+
+  async *stream(messages, options = {}) {
+    const stream = await this.client.chat.completions.create(
+      { ...this.buildParams(messages, options), stream: true, stream_options: { include_usage: true } },
+      { signal: options.signal }
+    );
+
+    for await (const chunk of stream) {
+      // The last chunk carries the usage and no choices
+      if (chunk.usage && options.onUsage) options.onUsage(chunk.usage);
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) yield delta;
+    }
+  }
+
+  countTokens(text) {
+    return estimateTokens(text);
+  }
+}
+
+/**
+ * Chat completions from a local OpenAI-compatible server (Ollama, llama.cpp server, vLLM)
+ */
+class LocalProvider extends OpenAIProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.baseURL - Server URL including /v1 (e.g. http://localhost:11434/v1)
+   * @param {string} options.apiKey - API key, when the server requires one
+   * @param {string} options.model - Model name as known by the server
+   * @param {Object} options.client - Preconfigured client (tests)
+   */
+  constructor({ baseURL, apiKey, model = LLM.DEFAULT_MODELS.local, client = null } = {}) {
+    // The SDK requires a key even though local servers ignore it
+    super({ apiKey: apiKey || 'local', baseURL, model, client });
+    this.name = 'local';
+    this.baseURL = baseURL;
+  }
+}
+
+/**
+ * Deterministic replies without any network call (tests and offline development)
+ * Replies are taken from `responses` in order, then echo the last user message
+ */
+class FixtureProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {Array<string>} options.responses - Replies to return, in order
+   * @param {string} options.model - Model name reported by the provider
+   */
+  constructor({ responses = [], model = LLM.DEFAULT_MODELS.fixture } = {}) {
+    this.name = 'fixture';
+    this.model = model;
+    this.responses = [...responses];
+    this.requests = [];
+  }
+
+  /**
+   * Next reply for a request
+   * @param {Array} messages - Messages
+   * @returns {string} - Reply
+   */
+  reply(messages) {
+    if (this.responses.length > 0) return this.responses.shift();
+
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    return `Fixture reply: ${lastUser ? lastUser.content : ''}`.trim();
+  }
+
+  /**
+   * Usage of a request, estimated like the real providers would report it
+   * @param {Array} messages - Messages
+   * @param {string} reply - Reply
+   * @returns {Object} - { prompt_tokens, completion_tokens }
+   */
+  usage(messages, reply) {
+    return {
+      prompt_tokens: messages.reduce((sum, message) => sum + estimateTokens(message.content), 0),
+      completion_tokens: estimateTokens(reply)
+    };
+  }
+
+  async generate(messages, { maxTokens, temperature, responseFormat, onUsage } = {}) {
+    this.requests.push({ messages, max_tokens: maxTokens, temperature, response_format: responseFormat, stream: false });
+    const reply = this.reply(messages);
+    if (onUsage) onUsage(this.usage(messages, reply));
+    return reply;
+  }
+
+  async *stream(messages, { maxTokens, temperature, responseFormat, signal, onUsage } = {}) {
+    this.requests.push({ messages, max_tokens: maxTokens, temperature, response_format: responseFormat, stream: true });
+
+    const reply = this.reply(messages);
+    for (const piece of reply.match(/\S+\s*/g) || []) {
+      if (signal?.aborted) throw new Error('Request was aborted.');
+      yield piece;
+    }
+    if (onUsage) onUsage(this.usage(messages, reply));
+  }
+
+  countTokens(text) {
+    return estimateTokens(text);
+  }
+
+  clear() {
+    this.requests = [];
+  }
+}
+
+/**
+ * Read the language model configuration from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} - { provider, model, base_url, api_key, temperature, max_tokens }
+ */
+const getLLMConfig = (env = process.env) => {
+  const provider = (env.LLM_PROVIDER || LLM.DEFAULT_PROVIDER).toLowerCase();
+
+  return {
+    provider,
+    model: env.LLM_MODEL || LLM.DEFAULT_MODELS[provider] || null,
+    base_url: env.LLM_BASE_URL || null,
+    api_key: provider === 'openai' ? env.OPENAI_API_KEY : env.LLM_API_KEY,
+    temperature: readNumber(env.LLM_TEMPERATURE),
+    max_tokens: readNumber(env.LLM_MAX_TOKENS)
+  };
+};
+
+/**
+ * Create the provider selected by LLM_PROVIDER (openai, local or fixture)
+ * Returns null, and AI features stay disabled, when the provider is not configured
+ * @param {Object} config - Output of getLLMConfig
+ * @returns {Object|null} - Provider instance
+ */
+const createProvider = (config = getLLMConfig()) => {
+  switch (config.provider) {
+    case 'openai':
+      if (!config.api_key) {
+        console.warn('⚠️ OpenAI API key not provided. AI features will be disabled.');
+        return null;
+      }
+      return new OpenAIProvider({ apiKey: config.api_key, baseURL: config.base_url, model: config.model });
+    case 'local':
+      if (!config.base_url) {
+        console.warn('⚠️ LLM_BASE_URL not provided for the local provider. AI features will be disabled.');
+        return null;
+      }
+      return new LocalProvider({ baseURL: config.base_url, apiKey: config.api_key, model: config.model });
+    case 'fixture':
+      return new FixtureProvider({ model: config.model });
+    default:
+      console.warn(`⚠️ Unknown LLM_PROVIDER "${config.provider}" (expected ${LLM_PROVIDERS.join(', ')}). AI features will be disabled.`);
+      return null;
+  }
+};
+
+module.exports = {
+  OpenAIProvider,
+  LocalProvider,
+  FixtureProvider,
+  estimateTokens,
+  getLLMConfig,
+  createProvider
+};
@@ -0,0 +1,329 @@
+const firestoreService = require('./firestore');
+const { MEDICATION, NON_HORMONAL_CONTRACEPTION, WEEKDAYS } = require('../utils/constants');
+const { toDate, toDateKey, addDays, daysBetween, todayKey } = require('../utils/dates');
+
+class MedicationService {
+  // =================== REGIMENS ===================
+
+  /**
+   * Check whether a regimen is hormonal contraception
+   * @param {Object} medication - Regimen
+   * @returns {boolean}
+   */
+  isHormonalContraception(medication) {
+    return medication?.category === 'contraception'
+      && !NON_HORMONAL_CONTRACEPTION.includes(medication.contraception_method);
+  }
+
+  /**
+   * Build the stored regimen from validated request data
+   * @param {Object} data - Regimen data (see validateMedicationData)
+   * @returns {Object} - Regimen fields to store
+   */
+  buildMedication(data) {
+    const isPack = data.schedule === 'pill_pack';
+
+    return {
+      name: data.name,
+      category: data.category,
+      contraception_method: data.category === 'contraception' ? data.contraception_method : null,
+      hormonal: this.isHormonalContraception(data),
+      dosage: data.dosage || null,
+      schedule: data.schedule,
+      times_per_day: data.schedule === 'as_needed' ? null : data.times_per_day || 1,
+      days_of_week: data.schedule === 'weekly' ? data.days_of_week : null,
+      pack: isPack
+        ? {
+          active_pills: data.pack?.active_pills ?? MEDICATION.DEFAULT_ACTIVE_PILLS,
+          placebo_pills: data.pack?.placebo_pills ?? MEDICATION.DEFAULT_PLACEBO_PILLS,
+          start_date: data.pack?.start_date || data.start_date
+        }
+        : null,
+      start_date: data.start_date,
+      end_date: data.end_date || null,
+      reminder_times: data.reminder_times || [],
+      notes: data.notes || null
+    };
+  }
+
+  /**
+   * Check whether a regimen is being taken on a day
+   * @param {Object} medication - Regimen
+   * @param {string} date - Day (YYYY-MM-DD)
+   * @returns {boolean}
+   */
+  isActiveOn(medication, date) {
+    return medication.start_date <= date && (!medication.end_date || date <= medication.end_date);
+  }
+
+  /**
+   * Get the position in a pill pack (also used for ring/patch pill-free weeks)
+   * @param {Object} medication - Regimen with a pill_pack schedule
+   * @param {string} date - Day (YYYY-MM-DD)
+   * @returns {Object|null} - { pack_day, pack_length, is_placebo } or null before the first pack
+   */
+  getPackDay(medication, date) {
+    if (medication.schedule !== 'pill_pack') return null;
+
+    const { activePills, packLength, packStart } = this.getPackLayout(medication);
+    const elapsed = daysBetween(packStart, date);
+    if (elapsed < 0) return null;
+
+    const packDay = (elapsed % packLength) + 1;
+    return {
+      pack_day: packDay,
+      pack_length: packLength,
+      is_placebo: packDay > activePills
+    };
+  }
+
+  /**
+   * Resolve pill pack settings with defaults
+   * @param {Object} medication - Regimen
+   * @returns {Object} - { activePills, placeboPills, packLength, packStart }
+   */
+  getPackLayout(medication) {
+    const pack = medication.pack || {};
+    const activePills = pack.active_pills || MEDICATION.DEFAULT_ACTIVE_PILLS;
+    const placeboPills = pack.placebo_pills ?? MEDICATION.DEFAULT_PLACEBO_PILLS;
+
+    return {
+      activePills,
+      placeboPills,
+      packLength: activePills + placeboPills,
+      packStart: pack.start_date || medication.start_date
+    };
+  }
+
+  /**
+   * Check whether a dose is expected on a day
+   * Placebo days and as-needed regimens expect no dose
+   * @param {Object} medication - Regimen
+   * @param {string} date - Day (YYYY-MM-DD)
+   * @returns {boolean}
+   */
+  isScheduledOn(medication, date) {
+    if (!this.isActiveOn(medication, date)) return false;
+
+    switch (medication.schedule) {
+      case 'daily':
+        return true;
+      case 'weekly':
+        return (medication.days_of_week || []).includes(WEEKDAYS[toDate(date).getUTCDay()]);
+      case 'pill_pack': {
+        const packDay = this.getPackDay(medication, date);
+        return Boolean(packDay) && !packDay.is_placebo;
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Upcoming withdrawal bleeds (placebo/pill-free weeks) of a pill pack
+   * The placebo week in progress is included
+   * @param {Object} medication - Regimen
+   * @param {string} fromDate - Day to look ahead from (YYYY-MM-DD)
+   * @param {number} count - Number of bleeds
+   * @returns {Array} - [{ start, end }]
+   */
+  getWithdrawalBleeds(medication, fromDate, count = MEDICATION.WITHDRAWAL_BLEEDS) {
+    if (medication.schedule !== 'pill_pack') return [];
+
+    const { activePills, placeboPills, packLength, packStart } = this.getPackLayout(medication);
+    if (placeboPills === 0) return [];
+
+    let pack = Math.max(Math.floor(daysBetween(packStart, fromDate) / packLength), 0);
+    const bleeds = [];
+
+    while (bleeds.length < count) {
+      const start = toDateKey(addDays(packStart, pack * packLength + activePills));
+      const end = toDateKey(addDays(start, placeboPills - 1));
+      pack++;
+
+      if (end < fromDate) continue;
+      if (medication.end_date && start > medication.end_date) break;
+      bleeds.push({ start, end });
+    }
+
+    return bleeds;
+  }
+
+  /**
+   * Describe a regimen for API responses
+   * @param {Object} medication - Regimen
+   * @param {string} today - Today's day key in the user's time zone
+   * @returns {Object} - Regimen with active flag and pill pack position
+   */
+  describeMedication(medication, today) {
+    return {
+      ...medication,
+      hormonal: this.isHormonalContraception(medication),
+      active: this.isActiveOn(medication, today),
+      pack_status: this.getPackDay(medication, today)
+    };
+  }
+
+  // =================== ADHERENCE ===================
+
+  /**
+   * Calculate adherence of one regimen over a date range
+   * Scheduled doses without a "taken" log count as missed; extra doses on
+   * the same day are not counted twice
+   * @param {Object} medication - Regimen
+   * @param {Array} doses - Dose logs of this regimen
+   * @param {string} from - First day (YYYY-MM-DD)
+   * @param {string} to - Last day (YYYY-MM-DD)
+   * @returns {Object} - Adherence summary
+   */
+  calculateAdherence(medication, doses, from, to) {
+    const takenByDay = {};
+    doses
+      .filter(dose => dose.status === 'taken')
+      .forEach(dose => {
+        takenByDay[dose.dose_date] = (takenByDay[dose.dose_date] || 0) + 1;
+      });
+
+    const summary = {
+      medication_id: medication.id,
+      name: medication.name,
+      category: medication.category,
+      schedule: medication.schedule,
+      expected_doses: 0,
+      taken_doses: 0,
+      missed_doses: 0,
+      adherence_percent: null
+    };
+
+    if (medication.schedule === 'as_needed') {
+      return {
+        ...summary,
+        expected_doses: null,
+        missed_doses: null,
+        taken_doses: Object.values(takenByDay).reduce((sum, count) => sum + count, 0),
+        days_used: Object.keys(takenByDay).length
+      };
+    }
+
+    const timesPerDay = medication.times_per_day || 1;
+    const start = medication.start_date > from ? medication.start_date : from;
+    const end = medication.end_date && medication.end_date < to ? medication.end_date : to;
+
+    for (let day = 0; day <= daysBetween(start, end); day++) {
+      const date = toDateKey(addDays(start, day));
+      if (!this.isScheduledOn(medication, date)) continue;
+
+      summary.expected_doses += timesPerDay;
+      summary.taken_doses += Math.min(takenByDay[date] || 0, timesPerDay);
+    }
+
+    summary.missed_doses = summary.expected_doses - summary.taken_doses;
+    if (summary.expected_doses > 0) {
+      summary.adherence_percent = Math.round((summary.taken_doses / summary.expected_doses) * 1000) / 10;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Get adherence of every regimen that overlaps a date range
+   * @param {string} userId - User ID
+   * @param {string|null} from - First day (defaults to the last ADHERENCE_DAYS days, at most MAX_RANGE_DAYS back)
+   * @param {string|null} to - Last day (defaults to today; never after today)
+   * @returns {Promise<Object>} - Overall and per-regimen adherence
+   */
+  async getUserAdherence(userId, from = null, to = null) {
+    const profile = await firestoreService.getUserProfile(userId);
+    const today = todayKey(profile?.time_zone);
+    const end = to && to < today ? to : today;
+    const earliest = toDateKey(addDays(end, -(MEDICATION.MAX_RANGE_DAYS - 1)));
+    const start = from
+      ? (from > earliest ? from : earliest)
+      : toDateKey(addDays(end, -(MEDICATION.ADHERENCE_DAYS - 1)));
+
+    const [medications, doses] = await Promise.all([
+      firestoreService.getMedications(userId),
+      firestoreService.getMedicationDosesInRange(userId, start, end)
+    ]);
+
+    const regimens = medications
+      .filter(medication => medication.start_date <= end && (!medication.end_date || medication.end_date >= start))
+      .map(medication => this.calculateAdherence(
+        medication,
+        doses.filter(dose => dose.medication_id === medication.id),
+        start,
+        end
+      ));
+
+    const scheduled = regimens.filter(regimen => regimen.expected_doses > 0);
+    const expected = scheduled.reduce((sum, regimen) => sum + regimen.expected_doses, 0);
+    const taken = scheduled.reduce((sum, regimen) => sum + regimen.taken_doses, 0);
+
+    return {
+      from: start,
+      to: end,
+      overall: {
+        expected_doses: expected,
+        taken_doses: taken,
+        missed_doses: expected - taken,
+        adherence_percent: expected > 0 ? Math.round((taken / expected) * 1000) / 10 : null
+      },
+      medications: regimens
+    };
+  }
+
+  // =================== CONTRACEPTION ===================
+
+  /**
+   * Get the contraception in use on a day
+   * Hormonal methods take precedence over non-hormonal ones
+   * @param {Array} medications - User's regimens
+   * @param {string} date - Day (YYYY-MM-DD)
+   * @returns {Object|null} - Contraception status or null when none is active
+   */
+  getContraceptionStatus(medications = [], date) {
+    const active = medications
+      .filter(medication => medication.category === 'contraception' && this.isActiveOn(medication, date))
+      .sort((a, b) => Number(this.isHormonalContraception(b)) - Number(this.isHormonalContraception(a))
+        || b.start_date.localeCompare(a.start_date));
+    const current = active[0];
+    if (!current) return null;
+
+    return {
+      medication_id: current.id,
+      name: current.name,
+      method: current.contraception_method || null,
+      hormonal: this.isHormonalContraception(current),
+      since: current.start_date,
+      pack_status: this.getPackDay(current, date),
+      withdrawal_bleeds: this.getWithdrawalBleeds(current, date)
+    };
+  }
+
+  /**
+   * Mark cycles that started while hormonal contraception was in use
+   * Bleeds on a pill pack are withdrawal bleeds; other hormonal methods
+   * cause breakthrough bleeding. Neither reflects the natural cycle.
+   * @param {Array} cycles - Cycle documents
+   * @param {Array} medications - User's regimens
+   * @returns {Array} - Cycles with hormonal_contraception, contraception_method and bleed_type
+   */
+  markContraceptionCycles(cycles = [], medications = []) {
+    const hormonal = medications.filter(medication => this.isHormonalContraception(medication));
+
+    return cycles.map(cycle => {
+      const startDate = toDateKey(cycle.start_date);
+      const regimen = startDate && hormonal.find(medication => this.isActiveOn(medication, startDate));
+
+      return {
+        ...cycle,
+        hormonal_contraception: Boolean(regimen),
+        contraception_method: regimen ? regimen.contraception_method || null : null,
+        bleed_type: !regimen ? 'natural' : regimen.schedule === 'pill_pack' ? 'withdrawal' : 'breakthrough'
+      };
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new MedicationService();
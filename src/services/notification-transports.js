@@ -0,0 +1,87 @@
+const firebaseService = require('./firebase');
+const notificationService = require('./notification');
+
+// Delivery adapters for reminders. Every transport implements
+// send(userId, notification) -> Promise<{ delivered, failed }>
+// where notification is { type, title, body, data }.
+
+/**
+ * Sends push notifications to every registered device of the user
+ */
+class FcmTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {Object} options.notificationService - Service with sendToUser(userId, notification)
+   */
+  constructor({ notificationService: service = notificationService } = {}) {
+    this.name = 'fcm';
+    this.notificationService = service;
+  }
+
+  async send(userId, notification) {
+    const { delivered, failed } = await this.notificationService.sendToUser(userId, notification);
+    return { delivered, failed };
+  }
+}
+
+/**
+ * Writes notifications to the console (development default)
+ */
+class LogTransport {
+  constructor() {
+    this.name = 'log';
+  }
+
+  async send(userId, notification) {
+    console.log(`🔔 [${notification.type}] ${userId}: ${notification.title} - ${notification.body}`);
+    return { delivered: 1, failed: 0 };
+  }
+}
+
+/**
+ * Keeps notifications in memory (tests)
+ */
+class MemoryTransport {
+  constructor() {
+    this.name = 'memory';
+    this.sent = [];
+  }
+
+  async send(userId, notification) {
+    this.sent.push({ user_id: userId, ...notification, sent_at: new Date() });
+    return { delivered: 1, failed: 0 };
+  }
+
+  clear() {
+    this.sent = [];
+  }
+}
+
+/**
+ * Create the transport selected by NOTIFICATION_TRANSPORT (fcm, log or memory)
+ * Defaults to log in development and to FCM elsewhere, so reminders are never only written to the logs in production
+ * FCM falls back to the log transport while Firebase is not initialized
+ * @param {string} name - Transport name
+ * @returns {Object} - Transport instance
+ */
+const createTransport = (name = process.env.NOTIFICATION_TRANSPORT || (process.env.NODE_ENV === 'development' ? 'log' : 'fcm')) => {
+  switch (name) {
+    case 'fcm':
+      if (!firebaseService.isInitialized()) {
+        console.warn('⚠️ Firebase not initialized. Falling back to log notification transport.');
+        return new LogTransport();
+      }
+      return new FcmTransport();
+    case 'memory':
+      return new MemoryTransport();
+    default:
+      return new LogTransport();
+  }
+};
+
+module.exports = {
+  FcmTransport,
+  LogTransport,
+  MemoryTransport,
+  createTransport
+};
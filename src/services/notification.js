@@ -0,0 +1,160 @@
+const firebaseService = require('./firebase');
+const firestoreService = require('./firestore');
+const { NOTIFICATIONS, INVALID_TOKEN_ERRORS } = require('../utils/constants');
+const { toDate } = require('../utils/dates');
+
+class NotificationService {
+  constructor() {
+    this.messaging = null;
+  }
+
+  /**
+   * Use a specific messaging client (a fake in tests)
+   * The client needs sendEachForMulticast({ tokens, notification, data })
+   * @param {Object|null} client - Messaging client, null for firebase-admin
+   */
+  setMessagingClient(client) {
+    this.messaging = client;
+  }
+
+  /**
+   * Get the messaging client
+   * @returns {Object|null} - Messaging client or null when Firebase is not initialized
+   */
+  getMessagingClient() {
+    if (this.messaging) return this.messaging;
+    return firebaseService.isInitialized() ? firebaseService.getMessaging() : null;
+  }
+
+  // =================== DEVICES ===================
+
+  /**
+   * Register (or refresh) a device's FCM token
+   * A token moves to the user registering it, and the user's least recently
+   * registered devices are removed beyond MAX_DEVICES
+   * @param {string} userId - User ID
+   * @param {Object} data - { device_id, token, platform, locale, app_version }
+   * @returns {Promise<Object>} - Registered device (without its token)
+   */
+  async registerDevice(userId, { device_id: deviceId, token, platform, locale = null, app_version: appVersion = null }) {
+    const device = await firestoreService.saveUserDevice(userId, deviceId, {
+      token,
+      platform,
+      locale,
+      app_version: appVersion
+    });
+
+    const [sameToken, devices] = await Promise.all([
+      firestoreService.getDevicesByToken(token),
+      firestoreService.getUserDevices(userId)
+    ]);
+
+    const stale = sameToken.filter(existing => existing.id !== device.id).map(existing => existing.id);
+    const overflow = devices
+      .filter(existing => existing.id !== device.id && !stale.includes(existing.id))
+      .sort((a, b) => (toDate(b.updated_at) || 0) - (toDate(a.updated_at) || 0))
+      .slice(NOTIFICATIONS.MAX_DEVICES - 1)
+      .map(existing => existing.id);
+
+    await firestoreService.deleteUserDevices([...stale, ...overflow]);
+
+    return this.formatDevice({ ...device, updated_at: new Date() });
+  }
+
+  /**
+   * Format a device for API responses (tokens are never returned)
+   * @param {Object} device - Stored device
+   * @returns {Object} - { device_id, platform, locale, app_version, updated_at }
+   */
+  formatDevice(device) {
+    const updatedAt = toDate(device.updated_at);
+
+    return {
+      device_id: device.device_id,
+      platform: device.platform,
+      locale: device.locale || null,
+      app_version: device.app_version || null,
+      updated_at: updatedAt ? updatedAt.toISOString() : null
+    };
+  }
+
+  // =================== DELIVERY ===================
+
+  /**
+   * Send a notification to a list of devices
+   * @param {Array} devices - Devices ({ id, token })
+   * @param {Object} notification - { type, title, body, data }
+   * @returns {Promise<Object>} - { delivered, failed, invalid_device_ids }
+   */
+  async sendToDevices(devices, notification) {
+    const result = { delivered: 0, failed: 0, invalid_device_ids: [] };
+    const messaging = this.getMessagingClient();
+    if (!messaging || devices.length === 0) return result;
+
+    for (let i = 0; i < devices.length; i += NOTIFICATIONS.MULTICAST_LIMIT) {
+      const batch = devices.slice(i, i + NOTIFICATIONS.MULTICAST_LIMIT);
+      const response = await messaging.sendEachForMulticast({
+        tokens: batch.map(device => device.token),
+        notification: { title: notification.title, body: notification.body },
+        data: this.toMessageData(notification)
+      });
+
+      result.delivered += response.successCount;
+      result.failed += response.failureCount;
+      response.responses.forEach((sendResponse, index) => {
+        if (!sendResponse.success && INVALID_TOKEN_ERRORS.includes(sendResponse.error?.code)) {
+          result.invalid_device_ids.push(batch[index].id);
+        }
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Send a notification to every device of a user
+   * Invalid tokens are pruned and the attempt is recorded in the history
+   * @param {string} userId - User ID
+   * @param {Object} notification - { type, title, body, data }
+   * @returns {Promise<Object>} - { delivered, failed, pruned }
+   */
+  async sendToUser(userId, notification) {
+    const devices = await firestoreService.getUserDevices(userId);
+    const result = await this.sendToDevices(devices, notification);
+
+    await firestoreService.deleteUserDevices(result.invalid_device_ids);
+    await firestoreService.saveNotificationHistory(userId, {
+      type: notification.type,
+      title: notification.title,
+      body: notification.body,
+      data: notification.data || {},
+      devices: devices.length,
+      delivered: result.delivered,
+      failed: result.failed,
+      pruned: result.invalid_device_ids.length
+    });
+
+    return {
+      delivered: result.delivered,
+      failed: result.failed,
+      pruned: result.invalid_device_ids.length
+    };
+  }
+
+  /**
+   * Convert notification data to the string-only map FCM requires
+   * @param {Object} notification - Notification
+   * @returns {Object} - Data payload
+   */
+  toMessageData(notification) {
+    const data = { type: notification.type, ...(notification.data || {}) };
+    return Object.fromEntries(
+      Object.entries(data)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => [key, String(value)])
+    );
+  }
+}
+
+// Export singleton instance
+module.exports = new NotificationService();
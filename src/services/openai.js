@@ -1,119 +1,382 @@
-const OpenAI = require('openai');
-const { INSIGHT_TYPES, DEFAULTS } = require('../utils/constants');
-const { calculateAge, generateExpiryDate } = require('../utils/helpers');
+const { INSIGHT_TYPES, DEFAULTS, TRACKING_MODES, LIFE_STAGE, LLM, INSIGHT_OUTPUT } = require('../utils/constants');
+const { generateExpiryDate } = require('../utils/helpers');
+const { describeInsightSchema, parseInsightOutput, createSummaryStream } = require('../utils/insight-schema');
+const { createProvider, getLLMConfig, estimateTokens } = require('./llm-providers');
+const aiPrivacyService = require('./ai-privacy');
+const aiUsageService = require('./ai-usage');
+
+// Safety posture shared by insights and the health assistant chat
+const HEALTH_ASSISTANT_PROMPT = "You are an expert women's health assistant. Provide useful and personalized advice based on user data. Respond in English in a clear and empathetic manner. Focus on health and wellness advice that is evidence-based and supportive.";
 
 class OpenAIService {
   constructor() {
-    this.openai = null;
-    this.initialized = false;
-    this.initializeOpenAI();
+    this.provider = null;
+    this.config = getLLMConfig();
+    this.initializeProvider();
   }
 
   /**
-   * Initialize OpenAI client
+   * Initialize the language model provider selected by the environment
    */
-  initializeOpenAI() {
+  initializeProvider() {
     try {
-      if (!process.env.OPENAI_API_KEY) {
-        console.warn('⚠️ OpenAI API key not provided. AI features will be disabled.');
-        return;
+      this.provider = createProvider(this.config);
+      if (this.provider) {
+        console.log(`✅ AI provider initialized (${this.provider.name}, ${this.provider.model})`);
       }
-
-      this.openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY,
-      });
-
-      this.initialized = true;
-      console.log('✅ OpenAI service initialized');
     } catch (error) {
-      console.error('❌ OpenAI initialization error:', error.message);
-      this.initialized = false;
+      console.error('❌ AI provider initialization error:', error.message);
+      this.provider = null;
     }
   }
 
   /**
-   * Check if OpenAI is available
+   * Replace the language model provider (tests)
+   * @param {Object|null} provider - Provider instance (see llm-providers)
+   * @param {Object} config - Optional configuration overrides (temperature, max_tokens)
+   */
+  setProvider(provider, config = {}) {
+    this.provider = provider;
+    this.config = { ...getLLMConfig(), ...config };
+  }
+
+  /**
+   * Check if a language model is available
    * @returns {boolean}
    */
   isAvailable() {
-    return this.initialized && this.openai !== null;
+    return this.provider !== null;
+  }
+
+  /**
+   * Get the request settings of a task
+   * LLM_TEMPERATURE replaces the task temperature and LLM_MAX_TOKENS caps its token limit
+   * @param {string} task - Key of LLM.TASKS
+   * @returns {Object} - { maxTokens, temperature }
+   */
+  getRequestOptions(task) {
+    const settings = LLM.TASKS[task];
+    return {
+      maxTokens: this.config.max_tokens ? Math.min(settings.max_tokens, this.config.max_tokens) : settings.max_tokens,
+      temperature: this.config.temperature ?? settings.temperature
+    };
+  }
+
+  /**
+   * Count the tokens of a text with the provider's tokenizer
+   * @param {string} text - Text
+   * @returns {number} - Tokens
+   */
+  countTokens(text = '') {
+    return this.provider ? this.provider.countTokens(text) : estimateTokens(text);
+  }
+
+  /**
+   * Run a completion
+   * Every message is redacted and the request logged (without content) by aiPrivacyService
+   * @param {string} task - Key of LLM.TASKS
+   * @param {Array} messages - Messages ({ role, content })
+   * @param {Object} options - Extra request options
+   * @param {string} options.responseFormat - 'json' to ask for a JSON object
+   * @param {Object} options.privacy - { user_id, categories, names } (see aiPrivacyService.prepareMessages) and the
+   * endpoint the tokens are metered under
+   * @returns {Promise<string>} - Generated content
+   */
+  async complete(task, messages, { privacy, ...options } = {}) {
+    let usage = null;
+    const request = aiPrivacyService.prepareMessages(task, messages, privacy);
+    const content = await this.provider.generate(request, {
+      ...this.getRequestOptions(task),
+      ...options,
+      onUsage: reported => { usage = reported; }
+    });
+
+    await this.recordUsage(task, request, content, usage, privacy);
+    return content;
+  }
+
+  /**
+   * Meter the tokens of a request for its user
+   * The tokens are estimated when the provider does not report them
+   * @param {string} task - Key of LLM.TASKS
+   * @param {Array} request - Messages sent
+   * @param {string} content - Generated content (possibly partial)
+   * @param {Object|null} usage - { prompt_tokens, completion_tokens } reported by the provider
+   * @param {Object} privacy - Request context (user_id, endpoint)
+   * @returns {Promise<void>}
+   */
+  async recordUsage(task, request, content, usage, { user_id: userId, endpoint } = {}) {
+    if (!userId || (!usage && !content)) return;
+
+    await aiUsageService.recordUsage(userId, {
+      endpoint: endpoint || task,
+      model: this.provider.model,
+      prompt_tokens: usage?.prompt_tokens ?? request.reduce((sum, message) => sum + this.countTokens(message.content), 0),
+      completion_tokens: usage?.completion_tokens ?? this.countTokens(content)
+    });
   }
 
   /**
    * Generate personalized health insight
    * @param {Object} userData - User data for context
    * @param {string} insightType - Type of insight to generate
+   * @param {string|null} endpoint - Endpoint the tokens are metered under
    * @returns {Promise<Object|null>} - Generated insight or null
    */
-  async generateHealthInsight(userData, insightType = INSIGHT_TYPES.GENERAL_HEALTH) {
+  async generateHealthInsight(userData, insightType = INSIGHT_TYPES.GENERAL_HEALTH, endpoint = null) {
     try {
       if (!this.isAvailable()) {
-        console.warn('OpenAI not available. Skipping insight generation.');
+        console.warn('AI not available. Skipping insight generation.');
         return null;
       }
 
-      const prompt = this.createInsightPrompt(userData, insightType);
-      
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [
-          {
-            role: "system",
-            content: "You are an expert women's health assistant. Provide useful and personalized advice based on user data. Respond in English in a clear and empathetic manner. Focus on health and wellness advice that is evidence-based and supportive."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        max_tokens: DEFAULTS.MAX_INSIGHT_TOKENS,
-        temperature: 0.7
-      });
-
-      const insightContent = completion.choices[0].message.content;
-
-      return {
-        type: insightType,
-        title: this.generateInsightTitle(insightType),
-        content: insightContent,
-        confidence_score: 0.8,
-        generated_at: new Date(),
-        expires_at: generateExpiryDate(DEFAULTS.INSIGHT_EXPIRY_DAYS)
-      };
+      const { messages, privacy } = this.createInsightRequest(userData, insightType, endpoint);
+      const content = await this.complete('insight', messages, { responseFormat: 'json', privacy });
+
+      return await this.parseInsightReply(insightType, messages, content, privacy);
     } catch (error) {
-      console.error('OpenAI insight generation error:', error.message);
+      console.error('AI insight generation error:', error.message);
       return null;
     }
   }
 
   /**
-   * Create insight prompt based on user data and type
+   * Stream a personalized health insight as it is generated
+   * Only the text of the summary is streamed; the corrective retry of an invalid
+   * reply is not streamed and may change the summary already sent
+   * @param {Object} userData - User data for context
+   * @param {string} insightType - Type of insight to generate
+   * @param {Object} options - Stream options
+   * @param {Function} options.onDelta - Called with each piece of summary text
+   * @param {Function} options.onRetry - Called before the corrective retry of an invalid reply
+   * @param {AbortSignal} options.signal - Aborts the request (e.g. when the client disconnects)
+   * @param {string|null} options.endpoint - Endpoint the tokens are metered under
+   * @returns {Promise<Object|null>} - Assembled insight, or null when unavailable, failed or aborted
+   */
+  async streamHealthInsight(userData, insightType = INSIGHT_TYPES.GENERAL_HEALTH, { onDelta = () => {}, onRetry = () => {}, signal, endpoint = null } = {}) {
+    if (!this.isAvailable()) {
+      console.warn('AI not available. Skipping insight generation.');
+      return null;
+    }
+
+    const { messages, privacy } = this.createInsightRequest(userData, insightType, endpoint);
+    const content = await this.streamCompletion('insight', messages, { onDelta: createSummaryStream(onDelta), signal, responseFormat: 'json', privacy });
+    if (!content) return null;
+
+    try {
+      return await this.parseInsightReply(insightType, messages, content, privacy, onRetry);
+    } catch (error) {
+      console.error('AI insight generation error:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Validate a generated insight reply, asking once for a corrected reply when it does not match the schema
+   * @param {string} insightType - Type of insight
+   * @param {Array} messages - Messages of the request
+   * @param {string} content - Generated reply
+   * @param {Object} privacy - Request context (see complete)
+   * @param {Function} onRetry - Called before the corrective retry
+   * @returns {Promise<Object|null>} - Insight, or null when the corrected reply is still invalid
+   */
+  async parseInsightReply(insightType, messages, content, privacy, onRetry = () => {}) {
+    let { output, errors } = parseInsightOutput(content);
+
+    if (errors.length > 0) {
+      console.warn(`Insight reply did not match the schema (${errors.join('; ')}). Retrying once.`);
+      onRetry();
+      const retry = await this.complete('insight', [
+        ...messages,
+        { role: "assistant", content },
+        { role: "user", content: `Your reply did not match the required format: ${errors.join('; ')}. Reply again with only the corrected JSON object.` }
+      ], { responseFormat: 'json', privacy });
+      ({ output, errors } = parseInsightOutput(retry));
+    }
+
+    if (errors.length > 0) {
+      console.error(`Insight reply still invalid after retry: ${errors.join('; ')}`);
+      return null;
+    }
+
+    return this.buildInsight(insightType, output);
+  }
+
+  /**
+   * Run a streaming completion and assemble its content
+   * @param {string} task - Key of LLM.TASKS
+   * @param {Array} messages - Messages ({ role, content })
+   * @param {Object} options - Stream options
+   * @param {Function} options.onDelta - Called with each piece of content
+   * @param {AbortSignal} options.signal - Aborts the request
+   * @param {string} options.responseFormat - 'json' to ask for a JSON object
+   * @param {Object} options.privacy - Request context (see complete)
+   * @returns {Promise<string|null>} - Full content, or null when failed or aborted
+   */
+  async streamCompletion(task, messages, { onDelta = () => {}, signal, responseFormat, privacy } = {}) {
+    let content = '';
+    let usage = null;
+    let request = [];
+    try {
+      request = aiPrivacyService.prepareMessages(task, messages, privacy);
+      const options = { ...this.getRequestOptions(task), responseFormat, signal, onUsage: reported => { usage = reported; } };
+      for await (const delta of this.provider.stream(request, options)) {
+        content += delta;
+        onDelta(delta);
+      }
+
+      return signal?.aborted ? null : content;
+    } catch (error) {
+      if (!signal?.aborted) {
+        console.error('AI streaming error:', error.message);
+      }
+      return null;
+    } finally {
+      // Tokens streamed before a disconnect are still billed
+      await this.recordUsage(task, request, content, usage, privacy);
+    }
+  }
+
+  /**
+   * Create an insight request from minimized user data
+   * @param {Object} userData - Output of aiContextService.buildUserData
+   * @param {string} insightType - Type of insight
+   * @param {string|null} endpoint - Endpoint the tokens are metered under
+   * @returns {Object} - { messages, privacy }
+   */
+  createInsightRequest(userData, insightType, endpoint = null) {
+    const { data, ...privacy } = aiPrivacyService.minimizeUserData(userData);
+    return {
+      messages: this.createInsightMessages(data, insightType),
+      privacy: { user_id: userData.userId, endpoint, ...privacy }
+    };
+  }
+
+  /**
+   * Create the chat messages of an insight request
    * @param {Object} userData - User data
    * @param {string} insightType - Type of insight
+   * @returns {Array} - System and user messages
+   */
+  createInsightMessages(userData, insightType) {
+    return [
+      {
+        role: "system",
+        content: `${HEALTH_ASSISTANT_PROMPT} ${describeInsightSchema()}`
+      },
+      {
+        role: "user",
+        content: this.createInsightPrompt(userData, insightType)
+      }
+    ];
+  }
+
+  /**
+   * Build an insight from validated structured output
+   * `content` keeps the summary for clients that only render text
+   * @param {string} insightType - Type of insight
+   * @param {Object} output - Output of parseInsightOutput
+   * @returns {Object} - Insight to store
+   */
+  buildInsight(insightType, output) {
+    return {
+      type: insightType,
+      title: this.generateInsightTitle(insightType),
+      content: output.summary,
+      summary: output.summary,
+      recommendations: output.recommendations,
+      data_points: output.data_points,
+      follow_up_questions: output.follow_up_questions,
+      schema_version: INSIGHT_OUTPUT.SCHEMA_VERSION,
+      model: this.provider.model,
+      generated_at: new Date(),
+      expires_at: generateExpiryDate(DEFAULTS.INSIGHT_EXPIRY_DAYS)
+    };
+  }
+
+  /**
+   * Create insight prompt based on user data and type
+   * @param {Object} userData - Minimized user data (see aiPrivacyService.minimizeUserData)
+   * @param {string} insightType - Type of insight
    * @returns {string} - Generated prompt
    */
   createInsightPrompt(userData, insightType) {
-    const age = userData.age || calculateAge(userData.birth_date) || 25;
-    const baseInfo = `User: woman, ${age} years old, weight: ${userData.weight || 'not specified'}kg`;
+    const lifeStageInfo = this.createLifeStageContext(userData.life_stage);
+    const contraceptionInfo = this.createContraceptionContext(userData.contraception);
+    const baseInfo = `User: woman, age ${userData.age_band || 'not specified'}, weight: ${userData.weight_band || 'not specified'}${lifeStageInfo}${contraceptionInfo}`;
     
     switch (insightType) {
       case INSIGHT_TYPES.CYCLE_PREDICTION:
-        return `${baseInfo}. Menstrual cycle data: average duration ${userData.cycle_length || DEFAULTS.CYCLE_LENGTH} days, period duration ${userData.period_duration || DEFAULTS.PERIOD_DURATION} days. Recent symptoms: ${userData.recent_symptoms || 'none'}. Provide personalized advice for the next cycle.`;
+        if (userData.tracking_mode === TRACKING_MODES.PREGNANCY) {
+          return `${baseInfo}. Recent symptoms: ${userData.recent_symptoms || 'none'}. Do not predict periods or ovulation. Provide pregnancy-safe advice for this stage of pregnancy.`;
+        }
+        if (userData.tracking_mode === TRACKING_MODES.POSTPARTUM) {
+          return `${baseInfo}. Recent symptoms: ${userData.recent_symptoms || 'none'}. Do not predict periods or ovulation; cycles may not have returned yet. Provide postpartum recovery advice, including what to expect as cycles return.`;
+        }
+        if (userData.contraception?.hormonal) {
+          const nextBleed = userData.contraception.withdrawal_bleeds?.[0];
+          return `${baseInfo}. Next expected withdrawal bleed: ${nextBleed ? `${nextBleed.start} to ${nextBleed.end}` : 'not applicable'}. Recent symptoms: ${userData.recent_symptoms || 'none'}. Do not predict ovulation or fertile days. Provide advice for cycle-related wellbeing while using this contraception.`;
+        }
+        return `${baseInfo}. Menstrual cycle data: average duration ${userData.cycle_length || DEFAULTS.CYCLE_LENGTH} days, period duration ${userData.period_duration || DEFAULTS.PERIOD_DURATION} days, current phase: ${userData.cycle_phase || 'unknown'}. Predicted next period: ${userData.next_period_date || 'unknown'}, predicted ovulation: ${userData.next_ovulation_date || 'unknown'}. Recent symptoms: ${userData.recent_symptoms || 'none'}. Provide personalized advice for the next cycle.`;
       
       case INSIGHT_TYPES.NUTRITION_ADVICE:
-        return `${baseInfo}. Recent nutritional log: ${userData.recent_meals || 'not available'}. Provide personalized nutritional advice considering the menstrual cycle phase.`;
+        return `${baseInfo}. Recent nutrition: ${userData.recent_meals || 'not available'}. Cycle phase: ${userData.cycle_phase || 'not specified'}. Provide personalized nutritional advice considering the menstrual cycle phase.`;
       
       case INSIGHT_TYPES.FITNESS_SUGGESTION:
         return `${baseInfo}. Recent physical activity: ${userData.recent_activities || 'not available'}. Cycle phase: ${userData.cycle_phase || 'not specified'}. Suggest appropriate exercises for this phase.`;
       
       case INSIGHT_TYPES.MOOD_ANALYSIS:
-        return `${baseInfo}. Recent mood: ${userData.recent_moods || 'not available'}. Stress level: ${userData.stress_level || 'medium'}. Provide advice to improve emotional wellbeing during the cycle.`;
+        return `${baseInfo}. Recent mood: ${userData.recent_moods || 'not available'}. Average stress level: ${userData.stress_level || 'not logged'}. Provide advice to improve emotional wellbeing during the cycle.`;
       
       default:
-        return `${baseInfo}. Recent health data: cycles tracked, some nutrition and fitness logs. Provide general personalized health advice for a woman in reproductive age, focusing on menstrual health and overall wellness.`;
+        return `${baseInfo}. Cycle phase: ${userData.cycle_phase || 'unknown'}. Recent symptoms: ${userData.recent_symptoms || 'none'}. Nutrition: ${userData.recent_meals || 'not logged'}. Physical activity: ${userData.recent_activities || 'not logged'}. Mood: ${userData.recent_moods || 'not logged'}. Provide general personalized health advice for a woman in reproductive age, focusing on menstrual health and overall wellness.`;
     }
   }
 
+  /**
+   * Describe the user's life stage for prompts
+   * @param {Object} lifeStage - Output of trackingModeService.buildStatus
+   * @returns {string} - Prompt fragment (empty for regular cycle tracking)
+   */
+  createLifeStageContext(lifeStage) {
+    switch (lifeStage?.tracking_mode) {
+      case TRACKING_MODES.PREGNANCY: {
+        const pregnancy = lifeStage.pregnancy;
+        return pregnancy
+          ? `, pregnant (week ${pregnancy.gestational_week}, trimester ${pregnancy.trimester}, due ${pregnancy.due_date}); all advice must be safe during pregnancy`
+          : ', pregnant; all advice must be safe during pregnancy';
+      }
+
+      case TRACKING_MODES.POSTPARTUM: {
+        const weeks = lifeStage.postpartum?.weeks_postpartum;
+        return weeks !== null && weeks !== undefined
+          ? `, postpartum (${weeks} weeks since delivery)`
+          : ', postpartum';
+      }
+
+      case TRACKING_MODES.PERIMENOPAUSE: {
+        const perimenopause = lifeStage.perimenopause || {};
+        const hotFlashes = perimenopause.hot_flashes || {};
+        return `, in perimenopause (estimated skipped cycles: ${perimenopause.skipped_cycles || 0}, hot flashes logged in the last ${LIFE_STAGE.HOT_FLASH_WINDOW_DAYS} days: ${hotFlashes.total_hot_flashes || 0}, night sweat days: ${hotFlashes.night_sweat_days || 0}); irregular cycles are expected`;
+      }
+
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Describe the contraception in use for prompts
+   * @param {Object|null} contraception - Output of medicationService.getContraceptionStatus
+   * @returns {string} - Prompt fragment (empty when none or non-hormonal)
+   */
+  createContraceptionContext(contraception) {
+    if (!contraception?.hormonal) return '';
+
+    const method = (contraception.method || 'hormonal contraception').replace(/_/g, ' ');
+    return `, using hormonal contraception (${method}); bleeds are withdrawal or breakthrough bleeds rather than natural periods and ovulation is usually suppressed`;
+  }
+
   /**
    * Generate insight title based on type
    * @param {string} insightType - Type of insight
@@ -135,16 +398,17 @@ class OpenAIService {
    * Generate multiple insights for a user
    * @param {Object} userData - User data
    * @param {Array} insightTypes - Array of insight types to generate
+   * @param {string|null} endpoint - Endpoint the tokens are metered under
    * @returns {Promise<Array>} - Array of generated insights
    */
-  async generateMultipleInsights(userData, insightTypes = [INSIGHT_TYPES.GENERAL_HEALTH]) {
+  async generateMultipleInsights(userData, insightTypes = [INSIGHT_TYPES.GENERAL_HEALTH], endpoint = null) {
     try {
       if (!this.isAvailable()) {
         return [];
       }
 
       const insightPromises = insightTypes.map(type => 
-        this.generateHealthInsight(userData, type)
+        this.generateHealthInsight(userData, type, endpoint)
       );
 
       const insights = await Promise.all(insightPromises);
@@ -158,36 +422,111 @@ class OpenAIService {
   /**
    * Generate quick health tip
    * @param {string} topic - Health topic
+   * @param {Object} privacy - Request context (see complete)
    * @returns {Promise<string|null>} - Quick health tip
    */
-  async generateQuickTip(topic = 'menstrual health') {
+  async generateQuickTip(topic = 'menstrual health', privacy = {}) {
     try {
       if (!this.isAvailable()) {
         return null;
       }
 
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [
-          {
-            role: "system",
-            content: "You are a women's health expert. Provide a brief, actionable health tip in English. Keep it under 100 words."
-          },
-          {
-            role: "user",
-            content: `Give me a quick health tip about ${topic} for women.`
-          }
-        ],
-        max_tokens: 100,
-        temperature: 0.8
-      });
-
-      return completion.choices[0].message.content;
+      return await this.complete('quick_tip', this.createQuickTipMessages(topic), { privacy });
     } catch (error) {
       console.error('Quick tip generation error:', error.message);
       return null;
     }
   }
+
+  /**
+   * Stream a quick health tip as it is generated
+   * @param {string} topic - Health topic
+   * @param {Object} options - Stream options (see streamCompletion)
+   * @returns {Promise<string|null>} - Full tip, or null when unavailable, failed or aborted
+   */
+  async streamQuickTip(topic = 'menstrual health', { onDelta = () => {}, signal, privacy } = {}) {
+    if (!this.isAvailable()) {
+      return null;
+    }
+
+    return this.streamCompletion('quick_tip', this.createQuickTipMessages(topic), { onDelta, signal, privacy });
+  }
+
+  /**
+   * Create the chat messages of a quick tip request
+   * @param {string} topic - Health topic
+   * @returns {Array} - System and user messages
+   */
+  createQuickTipMessages(topic) {
+    return [
+      {
+        role: "system",
+        content: "You are a women's health expert. Provide a brief, actionable health tip in English. Keep it under 100 words."
+      },
+      {
+        role: "user",
+        content: `Give me a quick health tip about ${topic} for women.`
+      }
+    ];
+  }
+
+  /**
+   * Generate the assistant's reply in a chat conversation
+   * @param {string} healthContext - Description of the user's recent health data (built from minimized data)
+   * @param {Array} history - Messages ({ role, content }), oldest first, ending with the user's message
+   * @param {Object} privacy - Request context (see complete)
+   * @returns {Promise<string|null>} - Reply or null when AI is unavailable
+   */
+  async generateChatReply(healthContext, history, privacy = {}) {
+    try {
+      if (!this.isAvailable()) {
+        return null;
+      }
+
+      return await this.complete('chat', [
+        {
+          role: "system",
+          content: `${HEALTH_ASSISTANT_PROMPT} You are chatting with the user; answer follow-up questions using their data below. You do not diagnose; recommend seeing a healthcare professional when symptoms are severe, persistent or unusual.\n\nUser's recent health data:\n${healthContext}`
+        },
+        ...history.map(message => ({ role: message.role, content: message.content }))
+      ], { privacy });
+    } catch (error) {
+      console.error('Chat reply generation error:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Generate the narrative summary of a digest
+   * @param {Object} digest - Digest period and highlights (see digestService.buildDigest)
+   * @param {Object} privacy - Request context (see complete)
+   * @returns {Promise<string|null>} - Summary or null when AI is unavailable
+   */
+  async generateDigestSummary(digest, privacy = {}) {
+    try {
+      if (!this.isAvailable()) {
+        return null;
+      }
+
+      const period = digest.frequency === 'weekly'
+        ? `the week from ${digest.period_start} to ${digest.period_end}`
+        : `the day ${digest.period_end}`;
+
+      return await this.complete('digest', [
+        {
+          role: "system",
+          content: "You are a women's health assistant writing a short, warm summary of the user's tracked health data. Respond in English in under 120 words. Only mention what the data shows, do not diagnose, and end with one gentle, practical suggestion."
+        },
+        {
+          role: "user",
+          content: `Summarize ${period}. Tracked data:\n- ${digest.highlights.join('\n- ')}`
+        }
+      ], { privacy });
+    } catch (error) {
+      console.error('Digest summary generation error:', error.message);
+      return null;
+    }
+  }
 }
 
 // Export singleton instance
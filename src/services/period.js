@@ -0,0 +1,195 @@
+const firestoreService = require('./firestore');
+const { FLOW_LEVELS, PERIOD, PREDICTION, DEFAULTS } = require('../utils/constants');
+const { daysBetween } = require('../utils/dates');
+
+class PeriodService {
+  /**
+   * Check whether an entry counts as a bleeding day (spotting does not)
+   * @param {Object} entry - Period entry
+   * @returns {boolean}
+   */
+  isBleedingDay(entry) {
+    return Boolean(entry && entry.flow && entry.flow !== 'spotting');
+  }
+
+  /**
+   * Derive cycle fields from day-level entries
+   * The period starts on the first bleeding day and lasts until the last
+   * bleeding day of the first run (gaps up to MAX_BLEEDING_GAP days allowed)
+   * @param {Array} entries - Period entries of one cycle
+   * @returns {Object|null} - { start_date, period_duration, ... } or null without bleeding days
+   */
+  derivePeriodSummary(entries = []) {
+    const sortedEntries = [...entries].sort((a, b) => a.entry_date.localeCompare(b.entry_date));
+    const bleedingDays = sortedEntries.filter(entry => this.isBleedingDay(entry));
+
+    if (bleedingDays.length === 0) return null;
+
+    let lastDay = bleedingDays[0];
+    for (const entry of bleedingDays.slice(1)) {
+      if (daysBetween(lastDay.entry_date, entry.entry_date) > PERIOD.MAX_BLEEDING_GAP + 1) break;
+      lastDay = entry;
+    }
+
+    const periodEntries = sortedEntries.filter(entry =>
+      entry.entry_date >= bleedingDays[0].entry_date && entry.entry_date <= lastDay.entry_date
+    );
+    const heaviestFlow = periodEntries.reduce((heaviest, entry) =>
+      FLOW_LEVELS.indexOf(entry.flow) > FLOW_LEVELS.indexOf(heaviest) ? entry.flow : heaviest, FLOW_LEVELS[0]);
+    const painScores = periodEntries
+      .map(entry => entry.pain_score)
+      .filter(score => typeof score === 'number');
+
+    return {
+      start_date: bleedingDays[0].entry_date,
+      period_end_date: lastDay.entry_date,
+      period_duration: daysBetween(bleedingDays[0].entry_date, lastDay.entry_date) + 1,
+      heaviest_flow: heaviestFlow,
+      clots_reported: periodEntries.some(entry => entry.clots === true),
+      max_pain_score: painScores.length > 0 ? Math.max(...painScores) : null,
+      spotting_days: sortedEntries.filter(entry => entry.flow === 'spotting').length
+    };
+  }
+
+  /**
+   * Find the cycle an entry belongs to, starting a new cycle when bleeding
+   * begins long enough after the current cycle started
+   * @param {string} userId - User ID
+   * @param {Object} entryData - Period entry data
+   * @returns {Promise<Object|null>} - Cycle the entry is linked to
+   */
+  async resolveCycle(userId, entryData) {
+    const { entry_date: entryDate } = entryData;
+
+    // Logged just before an existing cycle start (e.g. the period began a day earlier)
+    const nextCycle = await firestoreService.getNextCycle(userId, entryDate);
+    if (nextCycle && daysBetween(entryDate, nextCycle.start_date) < DEFAULTS.PERIOD_DURATION && this.isBleedingDay(entryData)) {
+      return nextCycle;
+    }
+
+    const currentCycle = await firestoreService.getCycleForDate(userId, entryDate);
+    const startsNewCycle = this.isBleedingDay(entryData) && (
+      !currentCycle || daysBetween(currentCycle.start_date, entryDate) >= PREDICTION.MIN_CYCLE_LENGTH
+    );
+
+    if (!startsNewCycle) return currentCycle;
+
+    // Bleeding continuing from the current cycle's period is not a new cycle
+    if (currentCycle) {
+      const entries = await firestoreService.getPeriodEntriesByCycle(currentCycle.id);
+      const lastBleeding = entries.filter(entry => this.isBleedingDay(entry)).pop();
+      if (lastBleeding && daysBetween(lastBleeding.entry_date, entryDate) <= PERIOD.MAX_BLEEDING_GAP + 1) {
+        return currentCycle;
+      }
+    }
+
+    return firestoreService.saveCycle(userId, {
+      start_date: entryDate,
+      derived_from_entries: true
+    });
+  }
+
+  /**
+   * Recalculate a cycle's start date and period duration from its entries
+   * Once no bleeding days remain, the fields derived from earlier entries are cleared (the start date is kept)
+   * @param {string} cycleId - Cycle ID
+   * @returns {Promise<Object|null>} - Derived summary or null if nothing to derive
+   */
+  async syncCycleFromEntries(cycleId) {
+    const entries = await firestoreService.getPeriodEntriesByCycle(cycleId);
+    const summary = this.derivePeriodSummary(entries);
+    const cycle = await firestoreService.getCycleById(cycleId);
+
+    if (!summary) {
+      if (cycle && cycle.derived_from_entries) {
+        await firestoreService.updateCycle(cycleId, {
+          period_end_date: null,
+          period_duration: null,
+          heaviest_flow: null,
+          clots_reported: null,
+          max_pain_score: null,
+          spotting_days: entries.filter(entry => entry.flow === 'spotting').length,
+          derived_from_entries: false
+        });
+      }
+      return null;
+    }
+
+    if (cycle && cycle.start_date !== summary.start_date) {
+      // A moved start date is checked against the neighbouring cycles and changes their lengths
+      await firestoreService.editCycle(cycle.user_id, cycle, {
+        ...summary,
+        derived_from_entries: true
+      });
+    } else {
+      await firestoreService.updateCycle(cycleId, {
+        ...summary,
+        derived_from_entries: true
+      });
+    }
+
+    return summary;
+  }
+
+  /**
+   * Save a period entry, link it to its cycle and update derived cycle fields
+   * @param {string} userId - User ID
+   * @param {Object} entryData - Period entry data
+   * @returns {Promise<Object>} - { entry, cycle_id, cycle_summary }
+   */
+  async recordEntry(userId, entryData) {
+    const [previousEntry] = await firestoreService.getPeriodEntries(userId, entryData.entry_date, entryData.entry_date, 1);
+    const cycle = await this.resolveCycle(userId, entryData);
+    const entry = await firestoreService.savePeriodEntry(userId, {
+      ...entryData,
+      cycle_id: cycle ? cycle.id : null
+    });
+
+    let cycleSummary;
+    try {
+      cycleSummary = cycle ? await this.syncCycleFromEntries(cycle.id) : null;
+    } catch (error) {
+      // An entry that would move its cycle into a neighbouring period is not kept
+      if (error.statusCode) {
+        await this.restoreEntry(userId, entry, previousEntry);
+      }
+      throw error;
+    }
+
+    // Re-posting a day can link it to another cycle, which loses the day
+    if (previousEntry && previousEntry.cycle_id && previousEntry.cycle_id !== entry.cycle_id) {
+      await this.syncCycleFromEntries(previousEntry.cycle_id);
+    }
+
+    return { entry, cycle_id: entry.cycle_id, cycle_summary: cycleSummary };
+  }
+
+  /**
+   * Put back the entry a rejected save replaced
+   * @param {string} userId - User ID
+   * @param {Object} entry - Saved period entry
+   * @param {Object|undefined} previousEntry - Entry stored for the same day before the save
+   * @returns {Promise<void>}
+   */
+  async restoreEntry(userId, entry, previousEntry) {
+    await firestoreService.deletePeriodEntry(entry.id);
+
+    if (previousEntry) {
+      const { id, ...entryData } = previousEntry;
+      await firestoreService.savePeriodEntry(userId, entryData);
+    }
+  }
+
+  /**
+   * Delete a period entry and update derived cycle fields
+   * @param {Object} entry - Existing period entry
+   * @returns {Promise<Object|null>} - Updated cycle summary
+   */
+  async removeEntry(entry) {
+    await firestoreService.deletePeriodEntry(entry.id);
+    return entry.cycle_id ? this.syncCycleFromEntries(entry.cycle_id) : null;
+  }
+}
+
+// Export singleton instance
+module.exports = new PeriodService();
@@ -0,0 +1,268 @@
+const firestoreService = require('./firestore');
+const predictionService = require('./prediction');
+const { PMS_SCREENING } = require('../utils/constants');
+const { toDateKey, toLogDateKey, addDays } = require('../utils/dates');
+const { mean } = require('../utils/statistics');
+const {
+  DRSP_VERSION,
+  DRSP_DOMAINS,
+  DRSP_ITEMS,
+  DRSP_IMPAIRMENT_ITEMS,
+  MENTAL_HEALTH_ITEM_MAP,
+  scaleToDrsp
+} = require('../utils/drsp');
+
+// Screening results, mildest first
+const RESULTS = {
+  NOT_CONSISTENT: 'not_consistent',
+  PREMENSTRUAL_CHANGES: 'mild_premenstrual_changes',
+  PMS: 'consistent_with_pms',
+  PMDD: 'consistent_with_pmdd'
+};
+const RESULT_ORDER = [RESULTS.NOT_CONSISTENT, RESULTS.PREMENSTRUAL_CHANGES, RESULTS.PMS, RESULTS.PMDD];
+
+const RECOMMENDATIONS = {
+  [RESULTS.NOT_CONSISTENT]: 'Your ratings do not show a consistent premenstrual pattern. Keep tracking if you notice changes.',
+  [RESULTS.PREMENSTRUAL_CHANGES]: 'Your ratings show some premenstrual changes that did not interfere much with daily life. This is common; lifestyle measures such as sleep, exercise and stress management often help.',
+  [RESULTS.PMS]: 'Your ratings are consistent with premenstrual syndrome (PMS). Consider sharing this report with a healthcare provider, who can discuss treatment options.',
+  [RESULTS.PMDD]: 'Your ratings are consistent with premenstrual dysphoric disorder (PMDD). Please share this report with a healthcare provider; effective treatments are available.'
+};
+
+const DISCLAIMER = 'This is a screening tool based on your daily ratings, not a diagnosis. Only a healthcare provider can diagnose PMS or PMDD.';
+
+const ITEMS_BY_ID = new Map(DRSP_ITEMS.map(item => [item.id, item]));
+const IMPAIRMENT_IDS = DRSP_IMPAIRMENT_ITEMS.map(item => item.id);
+
+class PmsScreeningService {
+  // =================== DAILY SCORES ===================
+
+  /**
+   * Build per-day domain scores from DRSP ratings, filling unrated days
+   * with mood, anxiety, stress and energy from mental health logs
+   * Each domain scores its highest rated item
+   * @param {Array} ratings - DRSP rating documents
+   * @param {Array} mentalHealthLogs - Mental health logs
+   * @returns {Map} - day -> { domains, impairment, source }
+   */
+  buildDailyScores(ratings = [], mentalHealthLogs = []) {
+    const itemsByDay = new Map();
+
+    // Mental health logs: average multiple logs on the same day
+    const mentalByDay = new Map();
+    mentalHealthLogs.forEach(log => {
+      const date = toLogDateKey(log);
+      if (!date) return;
+      if (!mentalByDay.has(date)) mentalByDay.set(date, []);
+      mentalByDay.get(date).push(log);
+    });
+
+    mentalByDay.forEach((logs, date) => {
+      const items = {};
+      MENTAL_HEALTH_ITEM_MAP.forEach(({ field, item, inverse }) => {
+        const values = logs.map(log => Number(log[field])).filter(value => value >= 1 && value <= 10);
+        if (values.length > 0) items[item] = scaleToDrsp(mean(values), inverse);
+      });
+      if (Object.keys(items).length > 0) itemsByDay.set(date, { items, source: 'mental_health' });
+    });
+
+    // Explicit DRSP ratings take precedence item by item
+    ratings.forEach(rating => {
+      const existing = itemsByDay.get(rating.rating_date);
+      itemsByDay.set(rating.rating_date, {
+        items: { ...(existing ? existing.items : {}), ...rating.ratings },
+        source: existing ? 'both' : 'drsp'
+      });
+    });
+
+    const scores = new Map();
+    itemsByDay.forEach(({ items, source }, date) => {
+      const domains = {};
+      Object.entries(items).forEach(([itemId, value]) => {
+        const item = ITEMS_BY_ID.get(itemId);
+        if (item) domains[item.domain] = Math.max(domains[item.domain] || 0, value);
+      });
+
+      const impairmentScores = IMPAIRMENT_IDS.map(id => items[id]).filter(value => typeof value === 'number');
+
+      scores.set(date, {
+        domains,
+        impairment: impairmentScores.length > 0 ? Math.max(...impairmentScores) : null,
+        source
+      });
+    });
+
+    return scores;
+  }
+
+  // =================== CYCLE EVALUATION ===================
+
+  /**
+   * Compare the premenstrual week (7 days before the next period) with the
+   * postmenstrual week (cycle days 4-10) of one cycle
+   * A domain meets criteria when its premenstrual mean is at least 30% higher,
+   * it was rated mild or worse on 2+ premenstrual days, and it was below mild
+   * after the period
+   * @param {string} startDate - Cycle start (YYYY-MM-DD)
+   * @param {string} nextStartDate - Next period start (YYYY-MM-DD)
+   * @param {Map} dailyScores - Output of buildDailyScores
+   * @returns {Object} - Cycle evaluation
+   */
+  evaluateCycle(startDate, nextStartDate, dailyScores) {
+    const windowDays = (from, count) => Array.from({ length: count }, (_, index) => toDateKey(addDays(from, index)));
+    const premenstrualDays = windowDays(addDays(nextStartDate, -PMS_SCREENING.PREMENSTRUAL_DAYS), PMS_SCREENING.PREMENSTRUAL_DAYS);
+    const follicularDays = windowDays(
+      addDays(startDate, PMS_SCREENING.FOLLICULAR_START_DAY - 1),
+      PMS_SCREENING.FOLLICULAR_END_DAY - PMS_SCREENING.FOLLICULAR_START_DAY + 1
+    ).filter(date => date < premenstrualDays[0]);
+
+    const premenstrual = premenstrualDays.map(date => dailyScores.get(date)).filter(Boolean);
+    const follicular = follicularDays.map(date => dailyScores.get(date)).filter(Boolean);
+
+    const evaluation = {
+      cycle_start: startDate,
+      next_period_start: nextStartDate,
+      premenstrual_days_rated: premenstrual.length,
+      postmenstrual_days_rated: follicular.length,
+      evaluable: premenstrual.length >= PMS_SCREENING.MIN_RATED_DAYS && follicular.length >= PMS_SCREENING.MIN_RATED_DAYS
+    };
+
+    if (!evaluation.evaluable) return evaluation;
+
+    const domains = DRSP_DOMAINS.map(domain => {
+      const preValues = premenstrual.map(day => day.domains[domain.id]).filter(value => value !== undefined);
+      const postValues = follicular.map(day => day.domains[domain.id]).filter(value => value !== undefined);
+      if (preValues.length === 0 || postValues.length === 0) return null;
+
+      const preMean = mean(preValues);
+      const postMean = mean(postValues);
+      const percentChange = ((preMean - postMean) / preMean) * 100;
+      const symptomaticDays = preValues.filter(value => value >= PMS_SCREENING.MIN_SEVERITY).length;
+
+      return {
+        domain: domain.id,
+        name: domain.name,
+        core: domain.core,
+        premenstrual_mean: Math.round(preMean * 10) / 10,
+        postmenstrual_mean: Math.round(postMean * 10) / 10,
+        percent_change: Math.round(percentChange),
+        meets_criteria: percentChange >= PMS_SCREENING.MIN_PERCENT_CHANGE
+          && symptomaticDays >= PMS_SCREENING.MIN_SYMPTOMATIC_DAYS
+          && postMean < PMS_SCREENING.MIN_SEVERITY,
+        persistent: postMean >= PMS_SCREENING.MIN_SEVERITY
+      };
+    }).filter(Boolean);
+
+    const domainsMet = domains.filter(domain => domain.meets_criteria);
+    const impairedDays = premenstrual.filter(day => day.impairment !== null && day.impairment >= PMS_SCREENING.MIN_SEVERITY).length;
+    const impairment = impairedDays >= PMS_SCREENING.MIN_IMPAIRED_DAYS;
+
+    let pattern = RESULTS.NOT_CONSISTENT;
+    if (domainsMet.length >= PMS_SCREENING.PMDD_MIN_DOMAINS && domainsMet.some(domain => domain.core) && impairment) {
+      pattern = RESULTS.PMDD;
+    } else if (domainsMet.length > 0 && impairment) {
+      pattern = RESULTS.PMS;
+    } else if (domainsMet.length > 0) {
+      pattern = RESULTS.PREMENSTRUAL_CHANGES;
+    }
+
+    return {
+      ...evaluation,
+      domains,
+      domains_meeting_criteria: domainsMet.map(domain => domain.domain),
+      impairment,
+      persistent_core_symptoms: domains.some(domain => domain.core && domain.persistent),
+      pattern
+    };
+  }
+
+  // =================== SCREENING ===================
+
+  /**
+   * Screen completed cycles for a PMS/PMDD pattern
+   * A result needs the pattern in at least 2 cycles and in at least half of
+   * the cycles evaluated
+   * @param {Array} cycles - Cycle documents
+   * @param {Array} ratings - DRSP rating documents
+   * @param {Array} mentalHealthLogs - Mental health logs
+   * @returns {Object} - Screening report
+   */
+  screen(cycles = [], ratings = [], mentalHealthLogs = []) {
+    const dailyScores = this.buildDailyScores(ratings, mentalHealthLogs);
+    const sortedCycles = predictionService.sortCycles(cycles);
+
+    const evaluations = [];
+    for (let i = 0; i < sortedCycles.length - 1; i++) {
+      evaluations.push(this.evaluateCycle(
+        toDateKey(sortedCycles[i].start_date),
+        toDateKey(sortedCycles[i + 1].start_date),
+        dailyScores
+      ));
+    }
+
+    const evaluated = evaluations.filter(evaluation => evaluation.evaluable).slice(-PMS_SCREENING.HISTORY_CYCLES);
+    const daySources = [...dailyScores.values()].map(day => day.source);
+    const report = {
+      instrument: 'DRSP',
+      instrument_version: DRSP_VERSION,
+      cycles_required: PMS_SCREENING.CYCLES_REQUIRED,
+      cycles_evaluated: evaluated.length,
+      days_rated: {
+        drsp: daySources.filter(source => source !== 'mental_health').length,
+        mental_health_only: daySources.filter(source => source === 'mental_health').length
+      },
+      disclaimer: DISCLAIMER
+    };
+
+    if (evaluated.length < PMS_SCREENING.CYCLES_REQUIRED) {
+      return {
+        ...report,
+        status: 'insufficient_data',
+        result: null,
+        message: `Rate your symptoms daily for ${PMS_SCREENING.CYCLES_REQUIRED} full cycles, including the week after your period and the week before the next one.`,
+        cycles: evaluations.slice(-PMS_SCREENING.HISTORY_CYCLES)
+      };
+    }
+
+    const requiredCycles = Math.max(PMS_SCREENING.CYCLES_REQUIRED, Math.ceil(evaluated.length / 2));
+    const result = [...RESULT_ORDER].reverse().find(level =>
+      evaluated.filter(evaluation => RESULT_ORDER.indexOf(evaluation.pattern) >= RESULT_ORDER.indexOf(level)).length >= requiredCycles
+    ) || RESULTS.NOT_CONSISTENT;
+    const persistentSymptoms = evaluated.filter(evaluation => evaluation.persistent_core_symptoms).length >= requiredCycles;
+
+    return {
+      ...report,
+      status: 'complete',
+      result,
+      persistent_symptoms: persistentSymptoms,
+      recommendation: persistentSymptoms
+        ? `${RECOMMENDATIONS[result]} Some mood symptoms were also present after your period, which can point to another condition that worsens before menstruation; a healthcare provider can help sort this out.`
+        : RECOMMENDATIONS[result],
+      cycles: evaluated
+    };
+  }
+
+  /**
+   * Get the PMS/PMDD screening report for a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Screening report
+   */
+  async getUserScreening(userId) {
+    const cycles = await firestoreService.getCycles(userId, PMS_SCREENING.HISTORY_CYCLES + 1);
+    const firstStart = predictionService.sortCycles(cycles)[0];
+    const since = firstStart ? toDateKey(firstStart.start_date) : null;
+
+    const [ratings, mentalHealthLogs] = await Promise.all([
+      firestoreService.getDrspRatings(userId, since, null, PMS_SCREENING.MAX_RATINGS),
+      firestoreService.getMentalHealthLogs(userId, PMS_SCREENING.MAX_RATINGS)
+    ]);
+
+    return this.screen(
+      cycles,
+      ratings,
+      mentalHealthLogs.filter(log => !since || toLogDateKey(log) >= since)
+    );
+  }
+}
+
+// Export singleton instance
+module.exports = new PmsScreeningService();
@@ -0,0 +1,302 @@
+const firestoreService = require('./firestore');
+const medicationService = require('./medication');
+const { DEFAULTS, PREDICTION, PREDICTION_SUPPRESSED_MODES, CYCLE_PHASES } = require('../utils/constants');
+const { calculateCyclePhase } = require('../utils/helpers');
+const { toDate, toDateKey, addDays, daysBetween, todayKey } = require('../utils/dates');
+
+class PredictionService {
+  // =================== STATISTICS ===================
+
+  /**
+   * Sort cycles by start date (oldest first), dropping cycles without a valid date
+   * @param {Array} cycles - Cycle documents
+   * @returns {Array} - Sorted cycles
+   */
+  sortCycles(cycles = []) {
+    return cycles
+      .filter(cycle => toDate(cycle.start_date))
+      .sort((a, b) => toDate(a.start_date) - toDate(b.start_date));
+  }
+
+  /**
+   * Get observed cycle lengths (oldest first)
+   * Uses the gap between consecutive period starts; falls back to stored lengths.
+   * Gaps that start or end with a bleed on hormonal contraception are not natural cycles and are skipped.
+   * @param {Array} sortedCycles - Cycles sorted oldest first
+   * @returns {Array<number>} - Cycle lengths in days
+   */
+  getCycleLengths(sortedCycles) {
+    const lengths = [];
+
+    for (let i = 0; i < sortedCycles.length - 1; i++) {
+      if (sortedCycles[i].hormonal_contraception || sortedCycles[i + 1].hormonal_contraception) continue;
+
+      const length = daysBetween(sortedCycles[i].start_date, sortedCycles[i + 1].start_date);
+      if (length >= PREDICTION.MIN_CYCLE_LENGTH && length <= PREDICTION.MAX_CYCLE_LENGTH) {
+        lengths.push(length);
+      }
+    }
+
+    if (lengths.length === 0) {
+      sortedCycles
+        .filter(cycle => !cycle.hormonal_contraception)
+        .map(cycle => Number(cycle.cycle_length))
+        .filter(length => length >= PREDICTION.MIN_CYCLE_LENGTH && length <= PREDICTION.MAX_CYCLE_LENGTH)
+        .forEach(length => lengths.push(length));
+    }
+
+    return lengths;
+  }
+
+  /**
+   * Get observed luteal phase lengths from cycles with a known ovulation date
+   * @param {Array} sortedCycles - Cycles sorted oldest first
+   * @returns {Array<number>} - Luteal lengths in days
+   */
+  getLutealLengths(sortedCycles) {
+    const lengths = [];
+
+    for (let i = 0; i < sortedCycles.length - 1; i++) {
+      const ovulationDate = toDate(sortedCycles[i].ovulation_date);
+      if (!ovulationDate) continue;
+
+      const length = daysBetween(ovulationDate, sortedCycles[i + 1].start_date);
+      if (length >= PREDICTION.MIN_LUTEAL_LENGTH && length <= PREDICTION.MAX_LUTEAL_LENGTH) {
+        lengths.push(length);
+      }
+    }
+
+    return lengths;
+  }
+
+  /**
+   * Recency-weighted mean and standard deviation (most recent value weighs most)
+   * @param {Array<number>} values - Values ordered oldest first
+   * @returns {Object} - { mean, stdDev }
+   */
+  weightedStats(values) {
+    const weights = values.map((_, index) => Math.pow(PREDICTION.RECENCY_DECAY, values.length - 1 - index));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const mean = values.reduce((sum, value, index) => sum + value * weights[index], 0) / totalWeight;
+    const variance = values.reduce((sum, value, index) => sum + weights[index] * Math.pow(value - mean, 2), 0) / totalWeight;
+
+    return { mean, stdDev: Math.sqrt(variance) };
+  }
+
+  /**
+   * Learn the user's cycle pattern from stored cycles
+   * @param {Array} cycles - Cycle documents (any order)
+   * @returns {Object} - Cycle statistics
+   */
+  calculateStatistics(cycles = []) {
+    const sortedCycles = this.sortCycles(cycles);
+    const cycleLengths = this.getCycleLengths(sortedCycles);
+    const lutealLengths = this.getLutealLengths(sortedCycles);
+    const periodDurations = sortedCycles
+      .filter(cycle => !cycle.hormonal_contraception)
+      .map(cycle => Number(cycle.period_duration))
+      .filter(duration => duration > 0);
+
+    let averageCycleLength = DEFAULTS.CYCLE_LENGTH;
+    let stdDev = PREDICTION.DEFAULT_STD_DEV;
+
+    if (cycleLengths.length > 0) {
+      const stats = this.weightedStats(cycleLengths);
+      averageCycleLength = stats.mean;
+      if (cycleLengths.length > 1) {
+        stdDev = Math.max(stats.stdDev, PREDICTION.MIN_STD_DEV);
+      }
+    }
+
+    const lutealLength = lutealLengths.length > 0
+      ? this.weightedStats(lutealLengths).mean
+      : DEFAULTS.LUTEAL_PHASE_LENGTH;
+
+    const averagePeriodDuration = periodDurations.length > 0
+      ? this.weightedStats(periodDurations).mean
+      : DEFAULTS.PERIOD_DURATION;
+
+    const lastCycle = sortedCycles[sortedCycles.length - 1] || null;
+
+    return {
+      cycles_analyzed: sortedCycles.length,
+      cycle_lengths: cycleLengths,
+      average_cycle_length: Math.round(averageCycleLength * 10) / 10,
+      cycle_length_std_dev: Math.round(stdDev * 10) / 10,
+      shortest_cycle: cycleLengths.length > 0 ? Math.min(...cycleLengths) : null,
+      longest_cycle: cycleLengths.length > 0 ? Math.max(...cycleLengths) : null,
+      average_period_duration: Math.round(averagePeriodDuration * 10) / 10,
+      luteal_phase_length: Math.round(lutealLength),
+      luteal_phase_source: lutealLengths.length > 0 ? 'observed' : 'default',
+      last_period_start: lastCycle ? toDateKey(lastCycle.start_date) : null,
+      is_personalized: cycleLengths.length > 0
+    };
+  }
+
+  // =================== PREDICTIONS ===================
+
+  /**
+   * Predict upcoming cycles with 95% confidence intervals
+   * Uncertainty grows with the square root of the number of cycles ahead
+   * @param {Array} cycles - Cycle documents
+   * @param {number} count - Number of cycles to predict
+   * @param {Date} referenceDate - Date predictions are made from
+   * @returns {Object} - Statistics and predictions
+   */
+  predictCycles(cycles = [], count = PREDICTION.DEFAULT_COUNT, referenceDate = new Date()) {
+    const statistics = this.calculateStatistics(cycles);
+
+    if (!statistics.last_period_start) {
+      return { statistics, predictions: [] };
+    }
+
+    const cycleLength = statistics.average_cycle_length;
+    const periodDuration = Math.round(statistics.average_period_duration);
+    const lutealLength = statistics.luteal_phase_length;
+    const predictions = [];
+
+    // Skip cycles that would already have started (missed logging)
+    let offset = 1;
+    while (daysBetween(referenceDate, addDays(statistics.last_period_start, cycleLength * offset)) < -periodDuration) {
+      offset++;
+    }
+
+    for (let i = 0; i < count; i++, offset++) {
+      const margin = Math.ceil(PREDICTION.CONFIDENCE_Z * statistics.cycle_length_std_dev * Math.sqrt(offset));
+      const periodStart = addDays(statistics.last_period_start, cycleLength * offset);
+      const ovulationDate = addDays(periodStart, -lutealLength);
+
+      predictions.push({
+        cycles_ahead: offset,
+        period_start: toDateKey(periodStart),
+        period_end: toDateKey(addDays(periodStart, periodDuration - 1)),
+        period_start_interval: {
+          earliest: toDateKey(addDays(periodStart, -margin)),
+          latest: toDateKey(addDays(periodStart, margin)),
+          confidence: 0.95
+        },
+        ovulation_date: toDateKey(ovulationDate),
+        ovulation_interval: {
+          earliest: toDateKey(addDays(ovulationDate, -margin)),
+          latest: toDateKey(addDays(ovulationDate, margin)),
+          confidence: 0.95
+        },
+        fertile_window: {
+          start: toDateKey(addDays(ovulationDate, -PREDICTION.FERTILE_DAYS_BEFORE_OVULATION)),
+          end: toDateKey(addDays(ovulationDate, PREDICTION.FERTILE_DAYS_AFTER_OVULATION))
+        }
+      });
+    }
+
+    return { statistics, predictions };
+  }
+
+  /**
+   * Calculate the personalized cycle phase of a cycle
+   * @param {Object} cycle - Cycle data
+   * @param {Object} statistics - Output of calculateStatistics
+   * @param {Date} referenceDate - Date to calculate the phase for
+   * @returns {string} - Cycle phase
+   */
+  getCyclePhase(cycle, statistics, referenceDate = new Date()) {
+    return calculateCyclePhase(cycle, {
+      cycleLength: statistics?.is_personalized ? Math.round(statistics.average_cycle_length) : null,
+      lutealLength: statistics?.luteal_phase_length
+    }, referenceDate);
+  }
+
+  // =================== USER DATA ===================
+
+  /**
+   * Get the user's learned cycle statistics
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Cycle statistics
+   */
+  async getUserStatistics(userId) {
+    const [cycles, medications] = await Promise.all([
+      firestoreService.getCycles(userId, PREDICTION.HISTORY_CYCLES),
+      firestoreService.getMedications(userId)
+    ]);
+    return this.calculateStatistics(medicationService.markContraceptionCycles(cycles, medications));
+  }
+
+  /**
+   * Recompute the user's cycle statistics and store the averages on the profile
+   * Call after cycles are created, changed or removed
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Cycle statistics
+   */
+  async refreshUserStatistics(userId) {
+    const statistics = await this.getUserStatistics(userId);
+
+    await firestoreService.updateUserProfile(userId, {
+      cycle_length_average: statistics.average_cycle_length,
+      period_length_average: statistics.average_period_duration,
+      cycle_length_std_dev: statistics.cycle_length_std_dev,
+      cycle_statistics_personalized: statistics.is_personalized
+    });
+
+    return statistics;
+  }
+
+  /**
+   * Get upcoming cycle predictions for a user
+   * Cycles started on hormonal contraception are left out of the learned pattern.
+   * While hormonal contraception is in use no ovulation is predicted; expected
+   * withdrawal bleeds are returned with the contraception status instead.
+   * Callers that already read the profile or cycles pass them so they are not read again
+   * @param {string} userId - User ID
+   * @param {number} count - Number of cycles to predict
+   * @param {Object} data - Data already read
+   * @param {Object|null} data.profile - User profile
+   * @param {Array} data.cycles - Last PREDICTION.HISTORY_CYCLES cycles
+   * @returns {Promise<Object>} - Statistics, predictions and current phase
+   */
+  async getUserPredictions(userId, count = PREDICTION.DEFAULT_COUNT, { profile: storedProfile, cycles: storedCycles } = {}) {
+    const [history, profile, medications] = await Promise.all([
+      storedCycles || firestoreService.getCycles(userId, PREDICTION.HISTORY_CYCLES),
+      storedProfile !== undefined ? storedProfile : firestoreService.getUserProfile(userId),
+      firestoreService.getMedications(userId)
+    ]);
+    const cycles = medicationService.markContraceptionCycles(history, medications);
+    const today = todayKey(profile?.time_zone);
+    const contraception = medicationService.getContraceptionStatus(medications, today);
+    const { statistics, predictions } = this.predictCycles(cycles, count, today);
+    const latestCycle = this.sortCycles(cycles).pop() || null;
+
+    // No periods are expected during pregnancy or postpartum
+    if (PREDICTION_SUPPRESSED_MODES.includes(profile?.tracking_mode)) {
+      return {
+        statistics,
+        predictions: [],
+        predictions_suppressed: true,
+        suppression_reason: 'tracking_mode',
+        tracking_mode: profile.tracking_mode,
+        contraception,
+        current_phase: CYCLE_PHASES.UNKNOWN
+      };
+    }
+
+    if (contraception?.hormonal) {
+      return {
+        statistics,
+        predictions: [],
+        predictions_suppressed: true,
+        suppression_reason: 'hormonal_contraception',
+        contraception,
+        current_phase: CYCLE_PHASES.UNKNOWN
+      };
+    }
+
+    return {
+      statistics,
+      predictions,
+      predictions_suppressed: false,
+      contraception,
+      current_phase: this.getCyclePhase(latestCycle, statistics, today)
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new PredictionService();
@@ -0,0 +1,195 @@
+const firestoreService = require('./firestore');
+const predictionService = require('./prediction');
+const medicationService = require('./medication');
+const { REMINDERS, REMINDER_TYPES } = require('../utils/constants');
+const { daysBetween, resolveTimeZone, toLocalDateKey, toLocalMinutes } = require('../utils/dates');
+
+/**
+ * Convert an HH:MM time to minutes since midnight
+ * @param {string} time - Local time (HH:MM)
+ * @returns {number} - Minutes
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+class ReminderService {
+  // =================== SCHEDULING ===================
+
+  /**
+   * Check whether a local time falls in the slot of the current run
+   * @param {string} time - Local time (HH:MM)
+   * @param {number} minutes - Current local minutes since midnight
+   * @returns {boolean}
+   */
+  isDue(time, minutes) {
+    const slotStart = Math.floor(minutes / REMINDERS.SLOT_MINUTES) * REMINDERS.SLOT_MINUTES;
+    const target = toMinutes(time);
+    return target >= slotStart && target < slotStart + REMINDERS.SLOT_MINUTES;
+  }
+
+  /**
+   * Build the reminders due for a user in the current run
+   * Each reminder type is skipped when its notification toggle is off
+   * @param {Object} data - Reminder inputs
+   * @param {string} data.today - User's local day (YYYY-MM-DD)
+   * @param {number} data.minutes - User's local minutes since midnight
+   * @param {Object} data.settings - User settings
+   * @param {Object} data.predictions - Output of predictionService.getUserPredictions
+   * @param {Array} data.medications - User's regimens
+   * @param {Array} data.dosesToday - Dose logs for today
+   * @param {boolean} data.loggedToday - Whether anything was logged today
+   * @returns {Array} - Notifications { type, title, body, data }
+   */
+  buildReminders({ today, minutes, settings = {}, predictions = null, medications = [], dosesToday = [], loggedToday = true }) {
+    const toggles = settings.notifications || {};
+    const reminders = [];
+
+    if (this.isDue(REMINDERS.MORNING_TIME, minutes) && predictions) {
+      const nextCycle = predictions.predictions_suppressed ? null : predictions.predictions?.[0];
+      const nextBleed = predictions.contraception?.hormonal ? predictions.contraception.withdrawal_bleeds?.[0] : null;
+
+      if (toggles.period_reminders && nextCycle && daysBetween(today, nextCycle.period_start) === REMINDERS.PERIOD_DAYS_BEFORE) {
+        reminders.push({
+          type: REMINDER_TYPES.PERIOD,
+          title: 'Period coming up',
+          body: `Your period is expected in ${REMINDERS.PERIOD_DAYS_BEFORE} days.`,
+          data: { date: nextCycle.period_start }
+        });
+      }
+
+      if (toggles.period_reminders && nextBleed && daysBetween(today, nextBleed.start) === REMINDERS.PERIOD_DAYS_BEFORE) {
+        reminders.push({
+          type: REMINDER_TYPES.PERIOD,
+          title: 'Withdrawal bleed coming up',
+          body: `Your withdrawal bleed is expected in ${REMINDERS.PERIOD_DAYS_BEFORE} days.`,
+          data: { date: nextBleed.start }
+        });
+      }
+
+      if (toggles.ovulation_reminders && nextCycle && daysBetween(today, nextCycle.fertile_window.start) === REMINDERS.FERTILE_DAYS_BEFORE) {
+        reminders.push({
+          type: REMINDER_TYPES.FERTILE_WINDOW,
+          title: 'Fertile window starts soon',
+          body: `Your fertile window is expected to start in ${REMINDERS.FERTILE_DAYS_BEFORE} day${REMINDERS.FERTILE_DAYS_BEFORE === 1 ? '' : 's'}.`,
+          data: { date: nextCycle.fertile_window.start }
+        });
+      }
+    }
+
+    if (toggles.medication_reminders) {
+      medications
+        .filter(medication => medicationService.isScheduledOn(medication, today))
+        .forEach(medication => {
+          const taken = dosesToday.filter(dose => dose.medication_id === medication.id && dose.status === 'taken').length;
+
+          // The nth reminder of the day is skipped once n doses are logged as taken
+          (medication.reminder_times || []).forEach((time, index) => {
+            if (index < taken || !this.isDue(time, minutes)) return;
+
+            reminders.push({
+              type: REMINDER_TYPES.MEDICATION,
+              title: `Time for ${medication.name}`,
+              body: medication.dosage ? `Take ${medication.dosage} of ${medication.name}.` : `Take your ${medication.name}.`,
+              data: { medication_id: medication.id, time }
+            });
+          });
+        });
+    }
+
+    if (toggles.log_reminders && !loggedToday && this.isDue(REMINDERS.LOG_NUDGE_TIME, minutes)) {
+      reminders.push({
+        type: REMINDER_TYPES.DAILY_LOG,
+        title: 'How was your day?',
+        body: 'Take a moment to log your symptoms and mood.',
+        data: { date: today }
+      });
+    }
+
+    return reminders;
+  }
+
+  // =================== USER DATA ===================
+
+  /**
+   * Get the reminders due for a user at an instant
+   * Only the data needed by reminders due in this slot is read
+   * @param {string} userId - User ID
+   * @param {Date} now - Current instant
+   * @returns {Promise<Array>} - Notifications
+   */
+  async getDueReminders(userId, now = new Date()) {
+    const [profile, settings] = await Promise.all([
+      firestoreService.getUserProfile(userId),
+      firestoreService.getUserSettings(userId)
+    ]);
+
+    const timeZone = resolveTimeZone(profile?.time_zone);
+    const today = toLocalDateKey(now, timeZone);
+    const minutes = toLocalMinutes(now, timeZone);
+    const toggles = settings.notifications;
+
+    const needsPredictions = (toggles.period_reminders || toggles.ovulation_reminders) && this.isDue(REMINDERS.MORNING_TIME, minutes);
+    const needsLogs = toggles.log_reminders && this.isDue(REMINDERS.LOG_NUDGE_TIME, minutes);
+
+    const [predictions, medications, dosesToday, logs] = await Promise.all([
+      needsPredictions ? predictionService.getUserPredictions(userId, 1) : null,
+      toggles.medication_reminders ? firestoreService.getMedications(userId) : [],
+      toggles.medication_reminders ? firestoreService.getMedicationDoses(userId, { from: today, to: today }) : [],
+      needsLogs
+        ? Promise.all([
+          firestoreService.getSymptomLogs(userId, today, today, 1),
+          firestoreService.getMentalHealthLogsInRange(userId, today, today, 1),
+          firestoreService.getPeriodEntries(userId, today, today, 1)
+        ])
+        : []
+    ]);
+
+    return this.buildReminders({
+      today,
+      minutes,
+      settings,
+      predictions,
+      medications,
+      dosesToday,
+      loggedToday: !needsLogs || logs.some(list => list.length > 0)
+    });
+  }
+
+  /**
+   * Send the reminders due now to every user
+   * A failure for one user is logged and does not stop the run
+   * @param {Object} transport - Notification transport
+   * @param {Date} now - Current instant
+   * @returns {Promise<Object>} - { users_checked, sent, failed }
+   */
+  async runReminders(transport, now = new Date()) {
+    const summary = { users_checked: 0, sent: 0, failed: 0 };
+    let afterId = null;
+
+    do {
+      const userIds = await firestoreService.getUserIdsPage(REMINDERS.USER_BATCH_SIZE, afterId);
+      afterId = userIds.length === REMINDERS.USER_BATCH_SIZE ? userIds[userIds.length - 1] : null;
+
+      for (const userId of userIds) {
+        summary.users_checked++;
+        try {
+          const reminders = await this.getDueReminders(userId, now);
+          for (const reminder of reminders) {
+            const result = await transport.send(userId, reminder);
+            summary.sent += result.delivered > 0 ? 1 : 0;
+          }
+        } catch (error) {
+          summary.failed++;
+          console.error(`Reminder error for user ${userId}:`, error.message);
+        }
+      }
+    } while (afterId);
+
+    return summary;
+  }
+}
+
+// Export singleton instance
+module.exports = new ReminderService();
@@ -0,0 +1,91 @@
+const cron = require('node-cron');
+const firestoreService = require('./firestore');
+const reminderService = require('./reminders');
+const digestService = require('./digest');
+const { createTransport } = require('./notification-transports');
+const { REMINDERS, DIGESTS } = require('../utils/constants');
+
+class SchedulerService {
+  constructor() {
+    this.tasks = [];
+    this.transport = null;
+  }
+
+  /**
+   * Start the scheduled jobs
+   * Jobs run in UTC; each user's reminders are computed in their own time zone
+   * @param {Object} options - Scheduler options
+   * @param {Object} options.transport - Notification transport (defaults to NOTIFICATION_TRANSPORT)
+   * @returns {boolean} - True when the jobs were started
+   */
+  start({ transport = null } = {}) {
+    if (this.tasks.length > 0) return true;
+
+    if (!firestoreService.db) {
+      console.warn('⚠️ Firestore not available. Scheduled jobs disabled.');
+      return false;
+    }
+
+    this.transport = transport || createTransport();
+    this.tasks.push(cron.schedule(REMINDERS.SCHEDULE, () => this.runReminderJob(), {
+      name: 'reminders',
+      timezone: 'UTC',
+      noOverlap: true
+    }));
+    this.tasks.push(cron.schedule(DIGESTS.SCHEDULE, () => this.runDigestJob(), {
+      name: 'digests',
+      timezone: 'UTC',
+      noOverlap: true
+    }));
+
+    console.log(`⏰ Scheduler started (reminders: ${REMINDERS.SCHEDULE}, digests: ${DIGESTS.SCHEDULE}, transport: ${this.transport.name})`);
+    return true;
+  }
+
+  /**
+   * Stop all scheduled jobs
+   */
+  async stop() {
+    await Promise.all(this.tasks.map(task => task.destroy()));
+    this.tasks = [];
+  }
+
+  /**
+   * Run the reminder job once
+   * @param {Date} now - Current instant
+   * @returns {Promise<Object|null>} - Run summary, null when the run failed
+   */
+  async runReminderJob(now = new Date()) {
+    try {
+      const summary = await reminderService.runReminders(this.transport || createTransport(), now);
+      if (summary.sent > 0 || summary.failed > 0) {
+        console.log(`⏰ Reminders: ${summary.sent} sent to ${summary.users_checked} users (${summary.failed} failed)`);
+      }
+      return summary;
+    } catch (error) {
+      console.error('Reminder job error:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Run the digest job once
+   * @param {Date} now - Current instant
+   * @returns {Promise<Object|null>} - Run summary, null when the run failed
+   */
+  async runDigestJob(now = new Date()) {
+    try {
+      const summary = await digestService.runDigests(now);
+      if (summary.generated > 0 || summary.failed > 0) {
+        console.log(`📰 Digests: ${summary.generated} generated for ${summary.users_checked} users (${summary.failed} failed)`);
+      }
+      return summary;
+    } catch (error) {
+      console.error('Digest job error:', error.message);
+      return null;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new SchedulerService();
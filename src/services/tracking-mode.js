@@ -0,0 +1,195 @@
+const firestoreService = require('./firestore');
+const predictionService = require('./prediction');
+const { TRACKING_MODES, PREDICTION_SUPPRESSED_MODES, LIFE_STAGE, PREDICTION } = require('../utils/constants');
+const { toDateKey, addDays, daysBetween, todayKey } = require('../utils/dates');
+
+class TrackingModeService {
+  /**
+   * Get the active tracking mode from a user profile
+   * @param {Object|null} profile - User profile data
+   * @returns {string} - One of TRACKING_MODES
+   */
+  getTrackingMode(profile) {
+    const mode = profile?.tracking_mode;
+    return Object.values(TRACKING_MODES).includes(mode) ? mode : TRACKING_MODES.CYCLE;
+  }
+
+  /**
+   * Check whether period predictions should be hidden in a mode
+   * @param {string} mode - Tracking mode
+   * @returns {boolean}
+   */
+  suppressesPredictions(mode) {
+    return PREDICTION_SUPPRESSED_MODES.includes(mode);
+  }
+
+  // =================== MODE CALCULATIONS ===================
+
+  /**
+   * Calculate gestational age and due date from the last menstrual period
+   * Naegele's rule, shifted by how much the user's cycle differs from 28 days
+   * @param {string} lastPeriodStart - Last menstrual period (YYYY-MM-DD)
+   * @param {number} averageCycleLength - User's average cycle length
+   * @param {Date} referenceDate - Date to calculate for
+   * @returns {Object|null} - Pregnancy status
+   */
+  calculatePregnancy(lastPeriodStart, averageCycleLength, referenceDate = new Date()) {
+    if (!lastPeriodStart) return null;
+
+    const cycleAdjustment = Math.round((averageCycleLength || LIFE_STAGE.STANDARD_CYCLE_LENGTH) - LIFE_STAGE.STANDARD_CYCLE_LENGTH);
+    const gestationalDays = daysBetween(lastPeriodStart, referenceDate) - cycleAdjustment;
+    const dueDate = addDays(lastPeriodStart, LIFE_STAGE.PREGNANCY_DAYS + cycleAdjustment);
+    const gestationalWeek = Math.floor(gestationalDays / 7);
+
+    return {
+      last_menstrual_period: toDateKey(lastPeriodStart),
+      gestational_age_days: gestationalDays,
+      gestational_week: gestationalWeek,
+      gestational_days_in_week: gestationalDays % 7,
+      trimester: gestationalWeek < 14 ? 1 : gestationalWeek < 28 ? 2 : 3,
+      due_date: toDateKey(dueDate),
+      days_until_due: daysBetween(referenceDate, dueDate)
+    };
+  }
+
+  /**
+   * Calculate time since delivery
+   * @param {string|null} deliveryDate - Delivery date (YYYY-MM-DD)
+   * @param {Date} referenceDate - Date to calculate for
+   * @returns {Object} - Postpartum status
+   */
+  calculatePostpartum(deliveryDate, referenceDate = new Date()) {
+    const daysPostpartum = deliveryDate ? daysBetween(deliveryDate, referenceDate) : null;
+
+    return {
+      delivery_date: deliveryDate ? toDateKey(deliveryDate) : null,
+      days_postpartum: daysPostpartum,
+      weeks_postpartum: daysPostpartum !== null ? Math.floor(daysPostpartum / 7) : null
+    };
+  }
+
+  /**
+   * Estimate skipped cycles from unusually long gaps between periods
+   * @param {Array} cycles - Cycle documents
+   * @param {number} averageCycleLength - User's usual cycle length
+   * @returns {number} - Estimated number of skipped cycles
+   */
+  countSkippedCycles(cycles, averageCycleLength) {
+    const sortedCycles = predictionService.sortCycles(cycles);
+    let skipped = 0;
+
+    for (let i = 0; i < sortedCycles.length - 1; i++) {
+      const gap = daysBetween(sortedCycles[i].start_date, sortedCycles[i + 1].start_date);
+      if (gap >= averageCycleLength * LIFE_STAGE.SKIPPED_CYCLE_FACTOR) {
+        skipped += Math.max(1, Math.round(gap / averageCycleLength) - 1);
+      }
+    }
+
+    return skipped;
+  }
+
+  /**
+   * Summarize recent hot flash logs
+   * @param {Array} logs - Hot flash logs
+   * @returns {Object} - Hot flash summary
+   */
+  summarizeHotFlashes(logs = []) {
+    const total = logs.reduce((sum, log) => sum + (log.count || 0), 0);
+
+    return {
+      days_logged: logs.length,
+      total_hot_flashes: total,
+      average_per_logged_day: logs.length > 0 ? Math.round((total / logs.length) * 10) / 10 : 0,
+      severe_days: logs.filter(log => log.severity === 'severe').length,
+      night_sweat_days: logs.filter(log => log.night_sweats === true).length
+    };
+  }
+
+  /**
+   * Get the hot flash logs of the LIFE_STAGE.HOT_FLASH_WINDOW_DAYS days up to a date
+   * @param {string} userId - User ID
+   * @param {string} endDate - Last day of the window (YYYY-MM-DD)
+   * @returns {Promise<Array>} - Hot flash logs (oldest first)
+   */
+  async getRecentHotFlashLogs(userId, endDate) {
+    // One log per day, so the limit covers the whole window
+    return firestoreService.getHotFlashLogs(
+      userId,
+      toDateKey(addDays(endDate, -LIFE_STAGE.HOT_FLASH_WINDOW_DAYS)),
+      toDateKey(endDate),
+      LIFE_STAGE.HOT_FLASH_WINDOW_DAYS + 1
+    );
+  }
+
+  /**
+   * Build the mode-specific status
+   * @param {Object|null} profile - User profile data
+   * @param {Array} cycles - Cycle documents
+   * @param {Array} hotFlashLogs - Recent hot flash logs
+   * @param {Date} referenceDate - Date to calculate for
+   * @returns {Object} - Life-stage status
+   */
+  buildStatus(profile, cycles = [], hotFlashLogs = [], referenceDate = new Date()) {
+    const mode = this.getTrackingMode(profile);
+    const statistics = predictionService.calculateStatistics(cycles);
+    const status = {
+      tracking_mode: mode,
+      predictions_suppressed: this.suppressesPredictions(mode)
+    };
+
+    switch (mode) {
+      case TRACKING_MODES.PREGNANCY:
+        status.pregnancy = this.calculatePregnancy(
+          profile?.pregnancy_lmp || statistics.last_period_start,
+          statistics.average_cycle_length,
+          referenceDate
+        );
+        break;
+
+      case TRACKING_MODES.POSTPARTUM:
+        status.postpartum = this.calculatePostpartum(profile?.delivery_date, referenceDate);
+        break;
+
+      case TRACKING_MODES.PERIMENOPAUSE:
+        status.perimenopause = {
+          skipped_cycles: this.countSkippedCycles(cycles, statistics.average_cycle_length),
+          last_period_start: statistics.last_period_start,
+          days_since_last_period: statistics.last_period_start ? daysBetween(statistics.last_period_start, referenceDate) : null,
+          hot_flashes: this.summarizeHotFlashes(hotFlashLogs)
+        };
+        break;
+
+      default:
+        break;
+    }
+
+    return status;
+  }
+
+  /**
+   * Get the life-stage status for a user
+   * Callers that already read the profile or cycles pass them so they are not read again
+   * @param {string} userId - User ID
+   * @param {Object} data - Data already read
+   * @param {Object|null} data.profile - User profile
+   * @param {Array} data.cycles - Last PREDICTION.HISTORY_CYCLES cycles
+   * @returns {Promise<Object>} - Life-stage status
+   */
+  async getUserStatus(userId, { profile: storedProfile, cycles: storedCycles } = {}) {
+    const profile = storedProfile !== undefined ? storedProfile : await firestoreService.getUserProfile(userId);
+    const mode = this.getTrackingMode(profile);
+    const today = todayKey(profile?.time_zone);
+
+    const [cycles, hotFlashLogs] = await Promise.all([
+      storedCycles || firestoreService.getCycles(userId, PREDICTION.HISTORY_CYCLES),
+      mode === TRACKING_MODES.PERIMENOPAUSE
+        ? this.getRecentHotFlashLogs(userId, today)
+        : Promise.resolve([])
+    ]);
+
+    return this.buildStatus(profile, cycles, hotFlashLogs, today);
+  }
+}
+
+// Export singleton instance
+module.exports = new TrackingModeService();
@@ -7,7 +7,23 @@ const COLLECTIONS = {
   FITNESS_LOGS: 'fitness_logs',
   MENTAL_HEALTH_LOGS: 'mental_health_logs',
   AI_INSIGHTS: 'ai_insights',
-  USER_PROFILES: 'user_profiles'
+  USER_PROFILES: 'user_profiles',
+  USER_SETTINGS: 'user_settings',
+  FERTILITY_LOGS: 'fertility_logs',
+  PERIOD_ENTRIES: 'period_entries',
+  HOT_FLASH_LOGS: 'hot_flash_logs',
+  SYMPTOM_LOGS: 'symptom_logs',
+  DRSP_RATINGS: 'drsp_ratings',
+  CALENDAR_FEED_TOKENS: 'calendar_feed_tokens',
+  MEDICATIONS: 'medications',
+  MEDICATION_DOSES: 'medication_doses',
+  USER_DEVICES: 'user_devices',
+  NOTIFICATION_HISTORY: 'notification_history',
+  DIGESTS: 'digests',
+  AI_CONVERSATIONS: 'ai_conversations',
+  AI_MESSAGES: 'ai_messages',
+  AI_SAFETY_EVENTS: 'ai_safety_events',
+  AI_USAGE: 'ai_usage'
 };
 
 // AI Insight Types
@@ -35,7 +51,327 @@ const DEFAULTS = {
   PERIOD_DURATION: 5,
   INSIGHT_EXPIRY_DAYS: 7,
   DEFAULT_LIMIT: 50,
-  MAX_INSIGHT_TOKENS: 300
+  MAX_LIMIT: 100,
+  LUTEAL_PHASE_LENGTH: 14
+};
+
+// App settings used until the user saves their own
+const DEFAULT_USER_SETTINGS = {
+  notifications: {
+    period_reminders: true,
+    ovulation_reminders: true,
+    medication_reminders: true,
+    log_reminders: true,
+    health_insights: true
+  },
+  digests: {
+    daily: false,
+    weekly: false
+  },
+  privacy: {
+    ai_processing: true,        // false keeps all of the user's data away from language models
+    data_sharing: false,
+    analytics: true,
+    crash_reports: true
+  },
+  preferences: {
+    theme: 'light',
+    language: 'en',
+    units: 'metric',
+    first_day_of_week: 'monday'
+  }
+};
+
+// List endpoint sort orders (by date)
+const SORT_ORDERS = ['desc', 'asc'];
+
+// Life-stage tracking modes (stored on the user profile)
+const TRACKING_MODES = {
+  CYCLE: 'cycle',
+  PREGNANCY: 'pregnancy',
+  POSTPARTUM: 'postpartum',
+  PERIMENOPAUSE: 'perimenopause'
+};
+
+// Modes where period predictions and missed-period flags do not apply
+const PREDICTION_SUPPRESSED_MODES = [TRACKING_MODES.PREGNANCY, TRACKING_MODES.POSTPARTUM];
+
+const LIFE_STAGE = {
+  PREGNANCY_DAYS: 280,         // Naegele's rule: due date = LMP + 280 days
+  STANDARD_CYCLE_LENGTH: 28,   // Due date shifts by the difference from this
+  SKIPPED_CYCLE_FACTOR: 1.5,   // Gaps this many times the usual length count as skipped cycles
+  HOT_FLASH_WINDOW_DAYS: 30
+};
+
+const HOT_FLASH_SEVERITIES = ['mild', 'moderate', 'severe'];
+
+// Accepted physiological ranges for cycle data (irregular cycles included)
+const CYCLE_LIMITS = {
+  MIN_CYCLE_LENGTH: 10,
+  MAX_CYCLE_LENGTH: 180,
+  MIN_PERIOD_DURATION: 1,
+  MAX_PERIOD_DURATION: 20
+};
+
+// Cycle anomaly detection thresholds (days)
+const ANOMALY = {
+  RECENT_CYCLES: 6,            // Cycles considered for pattern flags
+  MIN_CYCLES_FOR_PATTERN: 3,   // Observed lengths needed before flagging variability
+  OLIGOMENORRHEA_DAYS: 35,     // Cycles longer than this are infrequent
+  FREQUENT_CYCLE_DAYS: 21,     // Cycles shorter than this are frequent
+  PROLONGED_BLEEDING_DAYS: 7,  // Periods longer than this are prolonged
+  VARIABILITY_DAYS: 8,         // Shortest-to-longest difference considered irregular
+  LATE_PERIOD_DAYS: 7,         // Days past the expected start before a period is missed
+  AMENORRHEA_DAYS: 90          // No period for this long
+};
+
+const ANOMALY_SEVERITY = {
+  INFO: 'info',
+  WARNING: 'warning',
+  ALERT: 'alert'
+};
+
+// Symptom/Cycle Phase Correlation Settings
+const ANALYTICS = {
+  HISTORY_CYCLES: 12,
+  MAX_LOGS: 500,
+  PRE_PERIOD_DAYS: 2,
+  MIN_OCCURRENCES: 3,
+  MIN_SAMPLES: 3,
+  SIGNIFICANCE_LEVEL: 0.05
+};
+
+// PMS/PMDD Screening Settings (DRSP premenstrual vs postmenstrual week)
+const PMS_SCREENING = {
+  CYCLES_REQUIRED: 2,
+  HISTORY_CYCLES: 6,
+  MAX_RATINGS: 400,
+  PREMENSTRUAL_DAYS: 7,
+  FOLLICULAR_START_DAY: 4,
+  FOLLICULAR_END_DAY: 10,
+  MIN_RATED_DAYS: 4,
+  MIN_SEVERITY: 3,
+  MIN_SYMPTOMATIC_DAYS: 2,
+  MIN_PERCENT_CHANGE: 30,
+  MIN_IMPAIRED_DAYS: 2,
+  PMDD_MIN_DOMAINS: 5
+};
+
+// Calendar View Settings
+const CALENDAR = {
+  MAX_RANGE_DAYS: 93,          // Longest range served in one request (about a quarter)
+  MAX_LOGS: 500                // Per log type, per request
+};
+
+// iCalendar Subscription Feed Settings
+const CALENDAR_FEED = {
+  MAX_TOKENS: 5,               // Active feed tokens per user
+  TOKEN_BYTES: 32,
+  HISTORY_CYCLES: 12,          // Logged periods included in the feed
+  PREDICTED_CYCLES: 6,
+  REMINDER_DAYS_BEFORE: 1      // Alarm lead time for predicted periods and fertile windows
+};
+
+// Cycle Prediction Settings
+const PREDICTION = {
+  HISTORY_CYCLES: 12,          // Cycles used to learn the user's pattern
+  DEFAULT_COUNT: 3,            // Predicted cycles returned by default
+  MAX_COUNT: 12,
+  RECENCY_DECAY: 0.8,          // Weight multiplier per older cycle
+  DEFAULT_STD_DEV: 2,          // Days, used until enough history exists
+  MIN_STD_DEV: 1,
+  CONFIDENCE_Z: 1.96,          // 95% confidence interval
+  MIN_CYCLE_LENGTH: 15,        // Gaps outside this range are treated as missing data
+  MAX_CYCLE_LENGTH: 90,
+  MIN_LUTEAL_LENGTH: 7,
+  MAX_LUTEAL_LENGTH: 20,
+  FERTILE_DAYS_BEFORE_OVULATION: 5,
+  FERTILE_DAYS_AFTER_OVULATION: 1
+};
+
+// Period Entries
+const FLOW_LEVELS = ['spotting', 'light', 'medium', 'heavy'];
+
+const PERIOD_PRODUCTS = ['pad', 'liner', 'tampon', 'menstrual_cup', 'menstrual_disc', 'period_underwear', 'other'];
+
+const PERIOD = {
+  MAX_PAIN_SCORE: 10,
+  MAX_BLEEDING_GAP: 2          // Days without bleeding before a period is considered over
+};
+
+// Fertility Signs
+const LH_TEST_RESULTS = ['negative', 'positive', 'peak'];
+
+const CERVICAL_MUCUS_TYPES = ['dry', 'sticky', 'creamy', 'watery', 'egg_white'];
+
+// Sympto-thermal detection settings
+const FERTILITY = {
+  MIN_BBT: 35,                 // °C
+  MAX_BBT: 39,                 // °C
+  BASELINE_DAYS: 6,            // Low temperatures compared against ("3 over 6" rule)
+  SHIFT_DAYS: 3,               // Consecutive high temperatures required
+  MIN_SHIFT: 0.2,              // °C above the coverline for the last high temperature
+  SIGNAL_AGREEMENT_DAYS: 3     // Max distance between LH/mucus and temperature estimates
+};
+
+// Medications, Supplements and Contraception
+const MEDICATION_CATEGORIES = ['contraception', 'supplement', 'medication'];
+
+// daily: every day, weekly: on days_of_week, pill_pack: active pills then a placebo/pill-free week,
+// as_needed: no schedule (doses are logged but not expected)
+const MEDICATION_SCHEDULES = ['daily', 'weekly', 'pill_pack', 'as_needed'];
+
+const DOSE_STATUSES = ['taken', 'missed'];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const CONTRACEPTION_METHODS = ['combined_pill', 'progestin_pill', 'patch', 'ring', 'injection', 'implant', 'hormonal_iud', 'copper_iud'];
+
+// Methods that do not change the menstrual cycle hormonally
+const NON_HORMONAL_CONTRACEPTION = ['copper_iud'];
+
+const MEDICATION = {
+  MAX_TIMES_PER_DAY: 6,
+  DEFAULT_ACTIVE_PILLS: 21,
+  DEFAULT_PLACEBO_PILLS: 7,
+  MAX_PACK_DAYS: 365,          // Extended-cycle packs (e.g. 84 active + 7 placebo) fit comfortably
+  ADHERENCE_DAYS: 30,          // Default adherence window
+  MAX_RANGE_DAYS: 366,
+  DOSE_PAGE_SIZE: 500,         // Dose logs read per query when computing adherence
+  WITHDRAWAL_BLEEDS: 3         // Upcoming placebo weeks returned with the contraception status
+};
+
+// Reminder Scheduler
+const REMINDER_TYPES = {
+  PERIOD: 'period',
+  FERTILE_WINDOW: 'fertile_window',
+  MEDICATION: 'medication',
+  DAILY_LOG: 'daily_log'
+};
+
+const REMINDERS = {
+  SCHEDULE: '*/15 * * * *',    // Cron expression of the reminder job (UTC)
+  SLOT_MINUTES: 15,            // Reminders due within a run's slot are sent by that run
+  MORNING_TIME: '09:00',       // Local time for period and fertile window reminders
+  LOG_NUDGE_TIME: '20:00',     // Local time for the daily log nudge
+  PERIOD_DAYS_BEFORE: 2,
+  FERTILE_DAYS_BEFORE: 1,
+  USER_BATCH_SIZE: 200         // Profiles read per page while scanning users
+};
+
+// Push Notifications
+const DEVICE_PLATFORMS = ['ios', 'android', 'web'];
+
+const NOTIFICATIONS = {
+  MAX_DEVICES: 10,             // Least recently registered devices are removed beyond this
+  MULTICAST_LIMIT: 500,        // FCM tokens per sendEachForMulticast call
+  HISTORY_LIMIT: 50
+};
+
+// FCM error codes meaning the registration token will never work again
+const INVALID_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+// Health Digests
+const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+
+const DIGESTS = {
+  SCHEDULE: '0 * * * *',       // Cron expression of the digest job (UTC)
+  LOCAL_HOUR: 19,              // Local hour at which digests are generated
+  WEEKLY_DAY: 'sunday',        // Weekly digests cover the 7 days ending on this day
+  MAX_LOGS: 200,               // Logs read per collection for one digest
+  TOP_SYMPTOMS: 3,
+  LIST_LIMIT: 20
+};
+
+// AI Prompt Context
+const AI_CONTEXT = {
+  DAYS: 14,                    // Days of logs summarized for prompts
+  MAX_LOGS: 200,               // Logs read per collection
+  MAX_SECTION_CHARS: 320,      // Each summary is cut to this length (about 80 tokens)
+  TREND_THRESHOLD: 0.1,        // Relative change between the two halves of the window reported as a trend
+  OUTLIER_RATIO: 0.5,          // Days this far above/below the average are reported
+  MAX_OUTLIERS: 2,
+  TOP_ITEMS: 3,
+  SAFETY_DAYS: 3               // Days of log notes and symptoms checked for safety red flags
+};
+
+// Health Assistant Chat
+const CHAT_ROLES = {
+  USER: 'user',
+  ASSISTANT: 'assistant'
+};
+
+const CHAT = {
+  MAX_MESSAGE_LENGTH: 2000,    // Characters per user message
+  HISTORY_TOKEN_BUDGET: 2000,  // Estimated tokens of past messages sent with each request
+  MAX_HISTORY_MESSAGES: 50,    // Messages read per conversation when building the request
+  TITLE_LENGTH: 60,
+  LIST_LIMIT: 20
+};
+
+// Structured AI Insights
+const RECOMMENDATION_CATEGORIES = ['cycle', 'nutrition', 'fitness', 'mood', 'sleep', 'symptoms', 'medical', 'general'];
+
+const RECOMMENDATION_PRIORITIES = ['high', 'medium', 'low'];
+
+const INSIGHT_OUTPUT = {
+  SCHEMA_VERSION: 1,
+  MAX_RECOMMENDATIONS: 5,
+  MAX_DATA_POINTS: 5,
+  MAX_FOLLOW_UP_QUESTIONS: 3
+};
+
+// AI Data Minimization
+const AI_PRIVACY = {
+  AGE_BAND_YEARS: 5,           // Ages are sent as 5-year bands
+  MIN_AGE: 18,                 // Younger users are sent as "under 18"
+  FIRST_BAND_MAX_AGE: 24,      // 18-24 is sent as a single band
+  MAX_AGE: 60,                 // Older users are sent as "60+"
+  WEIGHT_BAND_KG: 10,          // Weights are sent as 10 kg bands
+  MIN_PHONE_DIGITS: 7,
+  MAX_PHONE_DIGITS: 15
+};
+
+// Language Model Providers
+const LLM_PROVIDERS = ['openai', 'local', 'fixture'];
+
+const LLM = {
+  DEFAULT_PROVIDER: 'openai',  // Overridden by LLM_PROVIDER
+  DEFAULT_MODELS: {            // Overridden by LLM_MODEL
+    openai: 'gpt-3.5-turbo',
+    local: 'llama3',
+    fixture: 'fixture'
+  },
+  CHARS_PER_TOKEN: 4,          // Rough token estimate for English text
+  // Per-request settings; LLM_TEMPERATURE replaces the temperatures and LLM_MAX_TOKENS caps the token limits
+  TASKS: {
+    insight: { max_tokens: 600, temperature: 0.7 },
+    quick_tip: { max_tokens: 100, temperature: 0.8 },
+    chat: { max_tokens: 400, temperature: 0.7 },
+    digest: { max_tokens: 250, temperature: 0.7 }
+  }
+};
+
+// AI usage metering
+const AI_USAGE_TIERS = ['free', 'premium'];
+
+const AI_USAGE = {
+  TIER_CLAIM: 'tier',          // Custom claim holding the user's tier; anything but 'premium' is free
+  // Tokens per UTC day and calendar month; overridden by AI_QUOTA_<TIER>_DAILY and AI_QUOTA_<TIER>_MONTHLY
+  QUOTAS: {
+    free: { daily: 20000, monthly: 200000 },
+    premium: { daily: 100000, monthly: 2000000 }
+  },
+  PROMPT_RESERVE: 1500,        // Prompt tokens reserved per completion (plus its max_tokens) until the usage is recorded
+  // USD per 1,000 tokens, for cost tracking; other models (e.g. local ones) are counted at no cost
+  PRICING: {
+    'gpt-3.5-turbo': { prompt: 0.0005, completion: 0.0015 },
+    'gpt-4o-mini': { prompt: 0.00015, completion: 0.0006 },
+    'gpt-4o': { prompt: 0.0025, completion: 0.01 }
+  }
 };
 
 // HTTP Status Codes
@@ -46,6 +382,8 @@ const HTTP_STATUS = {
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
   NOT_FOUND: 404,
+  CONFLICT: 409,
+  TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500
 };
 
@@ -54,5 +392,50 @@ module.exports = {
   INSIGHT_TYPES,
   CYCLE_PHASES,
   DEFAULTS,
+  DEFAULT_USER_SETTINGS,
+  SORT_ORDERS,
+  TRACKING_MODES,
+  PREDICTION_SUPPRESSED_MODES,
+  LIFE_STAGE,
+  HOT_FLASH_SEVERITIES,
+  CYCLE_LIMITS,
+  ANOMALY,
+  ANOMALY_SEVERITY,
+  PREDICTION,
+  ANALYTICS,
+  PMS_SCREENING,
+  CALENDAR,
+  CALENDAR_FEED,
+  FLOW_LEVELS,
+  PERIOD_PRODUCTS,
+  PERIOD,
+  LH_TEST_RESULTS,
+  CERVICAL_MUCUS_TYPES,
+  FERTILITY,
+  MEDICATION_CATEGORIES,
+  MEDICATION_SCHEDULES,
+  DOSE_STATUSES,
+  WEEKDAYS,
+  CONTRACEPTION_METHODS,
+  NON_HORMONAL_CONTRACEPTION,
+  MEDICATION,
+  REMINDER_TYPES,
+  REMINDERS,
+  DEVICE_PLATFORMS,
+  NOTIFICATIONS,
+  INVALID_TOKEN_ERRORS,
+  DIGEST_FREQUENCIES,
+  DIGESTS,
+  AI_CONTEXT,
+  CHAT_ROLES,
+  CHAT,
+  RECOMMENDATION_CATEGORIES,
+  RECOMMENDATION_PRIORITIES,
+  INSIGHT_OUTPUT,
+  AI_PRIVACY,
+  LLM_PROVIDERS,
+  LLM,
+  AI_USAGE_TIERS,
+  AI_USAGE,
   HTTP_STATUS
 }; 
\ No newline at end of file
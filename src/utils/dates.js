@@ -0,0 +1,198 @@
+// 🌙 Lunara Backend - Date Utilities
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Convert any stored date representation to a Date
+ * Supports Firestore Timestamps, serialized timestamps, ISO strings and Dates
+ * @param {*} value - Date-like value
+ * @returns {Date|null} - Date or null if invalid
+ */
+const toDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  if (typeof value.toDate === 'function') return value.toDate();
+  if (value._seconds !== undefined) return new Date(value._seconds * 1000);
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Format a date as a calendar day key (YYYY-MM-DD, UTC)
+ * @param {*} value - Date-like value
+ * @returns {string|null} - Day key
+ */
+const toDateKey = (value) => {
+  const date = toDate(value);
+  return date ? date.toISOString().split('T')[0] : null;
+};
+
+/**
+ * Get UTC midnight for a date
+ * @param {*} value - Date-like value
+ * @returns {Date|null} - Date at 00:00 UTC
+ */
+const startOfDay = (value) => {
+  const date = toDate(value);
+  if (!date) return null;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Add a number of days to a date
+ * @param {*} value - Date-like value
+ * @param {number} days - Days to add (can be negative)
+ * @returns {Date} - New date
+ */
+const addDays = (value, days) => {
+  const date = startOfDay(value);
+  return new Date(date.getTime() + Math.round(days) * MS_PER_DAY);
+};
+
+/**
+ * Whole calendar days between two dates (to - from)
+ * @param {*} from - Start date
+ * @param {*} to - End date
+ * @returns {number} - Number of days
+ */
+const daysBetween = (from, to) => {
+  return Math.round((startOfDay(to) - startOfDay(from)) / MS_PER_DAY);
+};
+
+/**
+ * Check if a value is a valid calendar day key (YYYY-MM-DD)
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+const isValidDateKey = (value) => {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && toDateKey(value) === value;
+};
+
+// =================== TIME ZONES ===================
+
+const DEFAULT_TIME_ZONE = 'UTC';
+const dayFormatters = new Map();
+const timeFormatters = new Map();
+
+/**
+ * Check if a value is a valid IANA time zone (e.g. "America/Bogota")
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+const isValidTimeZone = (value) => {
+  if (!value || typeof value !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Fall back to UTC for missing or unknown time zones
+ * @param {*} timeZone - Time zone from the user profile
+ * @returns {string} - Valid IANA time zone
+ */
+const resolveTimeZone = (timeZone) => (isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE);
+
+/**
+ * Get the calendar day of an instant in a time zone
+ * Day keys (YYYY-MM-DD) are already local days and are returned unchanged
+ * @param {*} value - Date-like value or day key
+ * @param {string} timeZone - IANA time zone
+ * @returns {string|null} - Local day key (YYYY-MM-DD)
+ */
+const toLocalDateKey = (value, timeZone = DEFAULT_TIME_ZONE) => {
+  if (isValidDateKey(value)) return value;
+
+  const date = toDate(value);
+  if (!date) return null;
+
+  const zone = resolveTimeZone(timeZone);
+  if (!dayFormatters.has(zone)) {
+    dayFormatters.set(zone, new Intl.DateTimeFormat('en-CA', {
+      timeZone: zone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }));
+  }
+
+  const parts = Object.fromEntries(dayFormatters.get(zone).formatToParts(date).map(part => [part.type, part.value]));
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+/**
+ * Get today's calendar day in a time zone
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} - Day key (YYYY-MM-DD)
+ */
+const todayKey = (timeZone = DEFAULT_TIME_ZONE) => toLocalDateKey(new Date(), timeZone);
+
+/**
+ * Get the wall-clock time of an instant in a time zone
+ * @param {*} value - Date-like value
+ * @param {string} timeZone - IANA time zone
+ * @returns {number|null} - Minutes since local midnight (0-1439)
+ */
+const toLocalMinutes = (value, timeZone = DEFAULT_TIME_ZONE) => {
+  const date = toDate(value);
+  if (!date) return null;
+
+  const zone = resolveTimeZone(timeZone);
+  if (!timeFormatters.has(zone)) {
+    timeFormatters.set(zone, new Intl.DateTimeFormat('en-GB', {
+      timeZone: zone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+
+  const parts = Object.fromEntries(timeFormatters.get(zone).formatToParts(date).map(part => [part.type, part.value]));
+  return Number(parts.hour) * 60 + Number(parts.minute);
+};
+
+/**
+ * Fields stored on every log so it stays on the day the user logged it
+ * @param {*} value - Log date (day key or instant)
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} - { local_date, time_zone }
+ */
+const localDateFields = (value, timeZone = DEFAULT_TIME_ZONE) => {
+  const zone = resolveTimeZone(timeZone);
+  return {
+    local_date: toLocalDateKey(value, zone),
+    time_zone: zone
+  };
+};
+
+/**
+ * Get the calendar day of a log, whichever date field it was stored with
+ * Logs saved with a local date use it; older logs fall back to their UTC day
+ * @param {Object} log - Log document
+ * @returns {string|null} - Day key (YYYY-MM-DD)
+ */
+const toLogDateKey = (log) => {
+  return log.local_date || toDateKey(log.log_date || log.date || log.logged_at || log.created_at);
+};
+
+module.exports = {
+  MS_PER_DAY,
+  isValidDateKey,
+  toDate,
+  toDateKey,
+  toLogDateKey,
+  startOfDay,
+  addDays,
+  daysBetween,
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  resolveTimeZone,
+  toLocalDateKey,
+  todayKey,
+  toLocalMinutes,
+  localDateFields
+};
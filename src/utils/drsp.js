@@ -0,0 +1,108 @@
+// 🌙 Lunara Backend - Daily Record of Severity of Problems (DRSP)
+// Prospective daily rating instrument for premenstrual symptoms
+// (Endicott, Nee & Harrison, 2006). Every item is rated 1-6 each evening.
+
+const DRSP_VERSION = '1.0.0';
+
+const DRSP_SCALE = {
+  MIN: 1,
+  MAX: 6,
+  LABELS: {
+    1: 'Not at all',
+    2: 'Minimal',
+    3: 'Mild',
+    4: 'Moderate',
+    5: 'Severe',
+    6: 'Extreme'
+  }
+};
+
+// Core domains are the mood symptoms at least one of which is required for PMDD
+const DRSP_DOMAINS = [
+  { id: 'depression', name: 'Depressed mood', core: true },
+  { id: 'anxiety', name: 'Anxiety', core: true },
+  { id: 'mood_swings', name: 'Mood swings', core: true },
+  { id: 'anger_irritability', name: 'Anger or irritability', core: true },
+  { id: 'decreased_interest', name: 'Decreased interest', core: false },
+  { id: 'concentration', name: 'Difficulty concentrating', core: false },
+  { id: 'fatigue', name: 'Lethargy or fatigue', core: false },
+  { id: 'appetite', name: 'Appetite changes', core: false },
+  { id: 'sleep', name: 'Sleep changes', core: false },
+  { id: 'overwhelmed', name: 'Feeling overwhelmed', core: false },
+  { id: 'physical', name: 'Physical symptoms', core: false }
+];
+
+const DRSP_ITEMS = [
+  { id: 'depressed', domain: 'depression', text: 'Felt depressed, sad, "down", or "blue"' },
+  { id: 'hopeless', domain: 'depression', text: 'Felt hopeless' },
+  { id: 'worthless_guilty', domain: 'depression', text: 'Felt worthless or guilty' },
+  { id: 'anxious', domain: 'anxiety', text: 'Felt anxious, tense, "keyed up" or "on edge"' },
+  { id: 'mood_swings', domain: 'mood_swings', text: 'Had mood swings (e.g., suddenly feeling sad or tearful)' },
+  { id: 'rejection_sensitive', domain: 'mood_swings', text: 'Was more sensitive to rejection or my feelings were easily hurt' },
+  { id: 'angry_irritable', domain: 'anger_irritability', text: 'Felt angry, irritable' },
+  { id: 'interpersonal_conflict', domain: 'anger_irritability', text: 'Had conflicts or problems with people' },
+  { id: 'less_interest', domain: 'decreased_interest', text: 'Had less interest in usual activities (work, school, friends, hobbies)' },
+  { id: 'difficulty_concentrating', domain: 'concentration', text: 'Had difficulty concentrating' },
+  { id: 'lethargic', domain: 'fatigue', text: 'Felt lethargic, tired, or fatigued; or had a lack of energy' },
+  { id: 'overate', domain: 'appetite', text: 'Had increased appetite or overate' },
+  { id: 'food_cravings', domain: 'appetite', text: 'Had cravings for specific foods' },
+  { id: 'slept_more', domain: 'sleep', text: 'Slept more, took naps, found it hard to get up when intended' },
+  { id: 'insomnia', domain: 'sleep', text: 'Had trouble getting to sleep or staying asleep' },
+  { id: 'overwhelmed', domain: 'overwhelmed', text: 'Felt overwhelmed or that I could not cope' },
+  { id: 'out_of_control', domain: 'overwhelmed', text: 'Felt out of control' },
+  { id: 'breast_tenderness', domain: 'physical', text: 'Had breast tenderness' },
+  { id: 'bloating_weight_gain', domain: 'physical', text: 'Had breast swelling, felt "bloated", or had weight gain' },
+  { id: 'headache', domain: 'physical', text: 'Had headache' },
+  { id: 'joint_muscle_pain', domain: 'physical', text: 'Had joint or muscle pain' }
+];
+
+const DRSP_IMPAIRMENT_ITEMS = [
+  { id: 'impaired_productivity', text: 'At work, school, home, or in daily routine, at least one of the problems above caused reduction of productivity or inefficiency' },
+  { id: 'impaired_social', text: 'At least one of the problems above caused avoidance of or less participation in hobbies or social activities' },
+  { id: 'impaired_relationships', text: 'At least one of the problems above interfered with relationships with others' }
+];
+
+const DRSP_ITEM_IDS = [...DRSP_ITEMS, ...DRSP_IMPAIRMENT_ITEMS].map(item => item.id);
+
+/**
+ * Get the instrument definition as served to clients
+ * @returns {Object} - Versioned DRSP instrument
+ */
+const getDrspInstrument = () => ({
+  version: DRSP_VERSION,
+  scale: { min: DRSP_SCALE.MIN, max: DRSP_SCALE.MAX, labels: DRSP_SCALE.LABELS },
+  domains: DRSP_DOMAINS,
+  items: DRSP_ITEMS,
+  impairment_items: DRSP_IMPAIRMENT_ITEMS
+});
+
+/**
+ * Convert a 1-10 mental health score to the 1-6 DRSP scale
+ * @param {number} value - Score from 1 to 10
+ * @param {boolean} inverse - True when a high score means fewer problems (mood, energy)
+ * @returns {number} - Score from 1 to 6
+ */
+const scaleToDrsp = (value, inverse = false) => {
+  const score = inverse ? 11 - value : value;
+  return Math.round((DRSP_SCALE.MIN + ((score - 1) * (DRSP_SCALE.MAX - DRSP_SCALE.MIN)) / 9) * 10) / 10;
+};
+
+// Mental health log fields that stand in for DRSP items on days without a rating
+const MENTAL_HEALTH_ITEM_MAP = [
+  { field: 'mood_rating', item: 'depressed', inverse: true },
+  { field: 'anxiety_level', item: 'anxious', inverse: false },
+  { field: 'stress_level', item: 'overwhelmed', inverse: false },
+  { field: 'energy_level', item: 'lethargic', inverse: true }
+];
+
+module.exports = {
+  DRSP_VERSION,
+  DRSP_SCALE,
+  DRSP_DOMAINS,
+  DRSP_ITEMS,
+  DRSP_IMPAIRMENT_ITEMS,
+  DRSP_ITEM_IDS,
+  MENTAL_HEALTH_ITEM_MAP,
+  getDrspInstrument,
+  scaleToDrsp
+};
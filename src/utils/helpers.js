@@ -1,20 +1,30 @@
 const { CYCLE_PHASES, DEFAULTS } = require('./constants');
+const { daysBetween } = require('./dates');
 
 /**
  * Calculate cycle phase based on cycle data
+ * Ovulation is placed one luteal phase before the expected end of the cycle,
+ * so longer or shorter cycles shift the follicular phase instead of a fixed day
  * @param {Object} cycle - Cycle data
+ * @param {Object} options - Personalized parameters
+ * @param {number} options.cycleLength - Expected cycle length in days
+ * @param {number} options.lutealLength - Expected luteal phase length in days
+ * @param {Date} referenceDate - Date to calculate the phase for
  * @returns {string} - Current cycle phase
  */
-const calculateCyclePhase = (cycle) => {
+const calculateCyclePhase = (cycle, options = {}, referenceDate = new Date()) => {
   if (!cycle || !cycle.start_date) return CYCLE_PHASES.UNKNOWN;
   
-  const daysSinceStart = Math.floor((new Date() - new Date(cycle.start_date)) / (1000 * 60 * 60 * 24));
-  const cycleLength = cycle.cycle_length || DEFAULTS.CYCLE_LENGTH;
+  const daysSinceStart = daysBetween(cycle.start_date, referenceDate);
+  const cycleLength = options.cycleLength || cycle.cycle_length || DEFAULTS.CYCLE_LENGTH;
   const periodDuration = cycle.period_duration || DEFAULTS.PERIOD_DURATION;
+  const lutealLength = options.lutealLength || DEFAULTS.LUTEAL_PHASE_LENGTH;
+  const ovulationDay = Math.max(periodDuration + 1, cycleLength - lutealLength);
   
+  if (daysSinceStart < 0) return CYCLE_PHASES.UNKNOWN;
   if (daysSinceStart <= periodDuration) return CYCLE_PHASES.MENSTRUAL;
-  if (daysSinceStart <= 13) return CYCLE_PHASES.FOLLICULAR;
-  if (daysSinceStart <= 15) return CYCLE_PHASES.OVULATION;
+  if (daysSinceStart < ovulationDay) return CYCLE_PHASES.FOLLICULAR;
+  if (daysSinceStart <= ovulationDay + 1) return CYCLE_PHASES.OVULATION;
   if (daysSinceStart <= cycleLength) return CYCLE_PHASES.LUTEAL;
   return CYCLE_PHASES.NEW_CYCLE;
 };
@@ -96,11 +106,37 @@ const generateExpiryDate = (days = DEFAULTS.INSIGHT_EXPIRY_DAYS) => {
   return expiryDate;
 };
 
+/**
+ * Encode a pagination cursor (opaque to clients)
+ * @param {Object} position - { value, id } of the last document returned
+ * @returns {string} - Base64url cursor
+ */
+const encodeCursor = (position) => {
+  return Buffer.from(JSON.stringify({ v: position.value, id: position.id })).toString('base64url');
+};
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object|null} - { value, id } or null if the cursor is invalid
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof v !== 'string' || typeof id !== 'string' || !id) return null;
+    return { value: v, id };
+  } catch (error) {
+    return null;
+  }
+};
+
 module.exports = {
   calculateCyclePhase,
   calculateAge,
   formatErrorResponse,
   formatSuccessResponse,
   validateRequiredFields,
-  generateExpiryDate
+  generateExpiryDate,
+  encodeCursor,
+  decodeCursor
 }; 
\ No newline at end of file
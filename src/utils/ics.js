@@ -0,0 +1,133 @@
+// 🌙 Lunara Backend - iCalendar (RFC 5545) Utilities
+
+const { toDate, toDateKey } = require('./dates');
+
+const PRODUCT_ID = '-//Lunara//Lunara Cycle Calendar//EN';
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT property value
+ * @param {string} value - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeIcsText = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Format a calendar day as an ICS DATE (YYYYMMDD)
+ * @param {*} value - Date-like value or day key
+ * @returns {string} - ICS date
+ */
+const formatIcsDate = (value) => toDateKey(value).replace(/-/g, '');
+
+/**
+ * Format an instant as an ICS UTC DATE-TIME (YYYYMMDDTHHMMSSZ)
+ * @param {*} value - Date-like value
+ * @returns {string} - ICS date-time
+ */
+const formatIcsTimestamp = (value) => toDate(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Fold a content line to 75 octets, continuing with a leading space
+ * Never splits a multi-byte character
+ * @param {string} line - Unfolded line
+ * @returns {string} - Folded line (CRLF separated)
+ */
+const foldIcsLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Build the lines of an all-day VEVENT
+ * @param {Object} event - Event data
+ * @param {string} event.uid - Globally unique, stable identifier
+ * @param {string} event.start - First day (YYYY-MM-DD)
+ * @param {string} event.end - Day after the last day (YYYY-MM-DD, exclusive)
+ * @param {string} event.summary - Title
+ * @param {string} event.description - Optional description
+ * @param {string} event.category - Optional category
+ * @param {Object} event.alarm - Optional { days_before, description }
+ * @param {Date} stamp - DTSTAMP value
+ * @returns {Array<string>} - Content lines
+ */
+const buildIcsEvent = (event, stamp) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatIcsTimestamp(stamp)}`,
+    `DTSTART;VALUE=DATE:${formatIcsDate(event.start)}`,
+    `DTEND;VALUE=DATE:${formatIcsDate(event.end)}`,
+    `SUMMARY:${escapeIcsText(event.summary)}`,
+    'TRANSP:TRANSPARENT'
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+  if (event.category) lines.push(`CATEGORIES:${escapeIcsText(event.category)}`);
+
+  if (event.alarm) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `TRIGGER:-P${event.alarm.days_before}D`,
+      `DESCRIPTION:${escapeIcsText(event.alarm.description || event.summary)}`,
+      'END:VALARM'
+    );
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build a complete VCALENDAR document
+ * @param {Object} calendar - Calendar data
+ * @param {string} calendar.name - Calendar display name
+ * @param {Array} calendar.events - Events (see buildIcsEvent)
+ * @param {Date} stamp - DTSTAMP value for every event
+ * @returns {string} - ICS document with CRLF line endings
+ */
+const buildIcsCalendar = ({ name, events = [] }, stamp = new Date()) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT12H',
+    'X-PUBLISHED-TTL:PT12H',
+    ...events.flatMap(event => buildIcsEvent(event, stamp)),
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  escapeIcsText,
+  formatIcsDate,
+  formatIcsTimestamp,
+  foldIcsLine,
+  buildIcsEvent,
+  buildIcsCalendar
+};
@@ -0,0 +1,160 @@
+// 🌙 Lunara Backend - Structured Insight Schema
+// Shape of the JSON object AI insights are generated as. Bump
+// INSIGHT_OUTPUT.SCHEMA_VERSION whenever a field is added, renamed or removed.
+
+const { INSIGHT_OUTPUT, RECOMMENDATION_CATEGORIES, RECOMMENDATION_PRIORITIES } = require('./constants');
+
+/**
+ * Describe the expected JSON object for the system prompt
+ * @returns {string} - Prompt instructions
+ */
+const describeInsightSchema = () => [
+  'Respond only with a JSON object with these fields:',
+  '"summary": 2-3 sentences answering the request;',
+  `"recommendations": 1-${INSIGHT_OUTPUT.MAX_RECOMMENDATIONS} objects { "text": one concrete action, "category": one of ${RECOMMENDATION_CATEGORIES.map(category => `"${category}"`).join(', ')}, "priority": "high", "medium" or "low" };`,
+  `"data_points": up to ${INSIGHT_OUTPUT.MAX_DATA_POINTS} objects { "label", "value" } quoting the user data the advice is based on;`,
+  `"follow_up_questions": up to ${INSIGHT_OUTPUT.MAX_FOLLOW_UP_QUESTIONS} short questions the user could ask next.`
+].join(' ');
+
+/**
+ * Check that a value is a non-empty string
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Validate a parsed insight object and normalize it
+ * Strings are trimmed, enums lowercased and lists cut to their maximum length
+ * @param {*} data - Parsed JSON
+ * @returns {Object} - { output, errors } (output is null when there are errors)
+ */
+const validateInsightOutput = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { output: null, errors: ['Reply must be a JSON object'] };
+  }
+
+  const errors = [];
+
+  if (!isText(data.summary)) {
+    errors.push('"summary" must be a non-empty string');
+  }
+
+  const recommendations = Array.isArray(data.recommendations) ? data.recommendations : null;
+  if (!recommendations || recommendations.length === 0) {
+    errors.push('"recommendations" must be a non-empty array');
+  } else {
+    recommendations.slice(0, INSIGHT_OUTPUT.MAX_RECOMMENDATIONS).forEach((item, index) => {
+      if (!isText(item?.text)) {
+        errors.push(`recommendations[${index}].text must be a non-empty string`);
+      }
+      if (!RECOMMENDATION_CATEGORIES.includes(String(item?.category).toLowerCase())) {
+        errors.push(`recommendations[${index}].category must be one of: ${RECOMMENDATION_CATEGORIES.join(', ')}`);
+      }
+      if (!RECOMMENDATION_PRIORITIES.includes(String(item?.priority).toLowerCase())) {
+        errors.push(`recommendations[${index}].priority must be one of: ${RECOMMENDATION_PRIORITIES.join(', ')}`);
+      }
+    });
+  }
+
+  const dataPoints = data.data_points ?? [];
+  if (!Array.isArray(dataPoints)) {
+    errors.push('"data_points" must be an array');
+  } else {
+    dataPoints.slice(0, INSIGHT_OUTPUT.MAX_DATA_POINTS).forEach((item, index) => {
+      if (!isText(item?.label) || !(isText(item?.value) || typeof item?.value === 'number')) {
+        errors.push(`data_points[${index}] must have a "label" and a "value"`);
+      }
+    });
+  }
+
+  const questions = data.follow_up_questions ?? [];
+  if (!Array.isArray(questions) || !questions.every(isText)) {
+    errors.push('"follow_up_questions" must be an array of strings');
+  }
+
+  if (errors.length > 0) return { output: null, errors };
+
+  return {
+    output: {
+      summary: data.summary.trim(),
+      recommendations: recommendations.slice(0, INSIGHT_OUTPUT.MAX_RECOMMENDATIONS).map(item => ({
+        text: item.text.trim(),
+        category: String(item.category).toLowerCase(),
+        priority: String(item.priority).toLowerCase()
+      })),
+      data_points: dataPoints.slice(0, INSIGHT_OUTPUT.MAX_DATA_POINTS).map(item => ({
+        label: item.label.trim(),
+        value: typeof item.value === 'string' ? item.value.trim() : item.value
+      })),
+      follow_up_questions: questions.slice(0, INSIGHT_OUTPUT.MAX_FOLLOW_UP_QUESTIONS).map(question => question.trim())
+    },
+    errors: []
+  };
+};
+
+/**
+ * Parse and validate a generated insight reply
+ * Local models often wrap JSON in a ```json code fence, which is removed first
+ * @param {string} text - Generated reply
+ * @returns {Object} - { output, errors } (output is null when there are errors)
+ */
+const parseInsightOutput = (text) => {
+  const json = String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+  try {
+    return validateInsightOutput(JSON.parse(json));
+  } catch (error) {
+    return { output: null, errors: ['Reply is not valid JSON'] };
+  }
+};
+
+// Escape sequences of JSON strings, other than \uXXXX
+const JSON_ESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+/**
+ * Create a handler that follows a streamed insight reply and passes on only the
+ * text of its "summary" field, decoded, as it arrives
+ * Escape sequences split across pieces are held back until complete
+ * @param {Function} onText - Called with each new piece of summary text
+ * @returns {Function} - Handler for the pieces of the reply
+ */
+const createSummaryStream = (onText) => {
+  let reply = '';
+  let sent = 0;
+
+  return (delta) => {
+    reply += delta;
+    const start = reply.match(/"summary"\s*:\s*"/);
+    if (!start) return;
+
+    let summary = '';
+    let index = start.index + start[0].length;
+    while (index < reply.length && reply[index] !== '"') {
+      if (reply[index] !== '\\') {
+        summary += reply[index];
+        index += 1;
+      } else if (reply[index + 1] === 'u') {
+        if (index + 6 > reply.length) break;
+        summary += String.fromCharCode(parseInt(reply.slice(index + 2, index + 6), 16));
+        index += 6;
+      } else {
+        if (index + 2 > reply.length) break;
+        summary += JSON_ESCAPES[reply[index + 1]] ?? reply[index + 1];
+        index += 2;
+      }
+    }
+
+    if (summary.length > sent) {
+      onText(summary.slice(sent));
+      sent = summary.length;
+    }
+  };
+};
+
+module.exports = {
+  describeInsightSchema,
+  validateInsightOutput,
+  parseInsightOutput,
+  createSummaryStream
+};
@@ -0,0 +1,170 @@
+// 🌙 Lunara Backend - AI Safety Rules
+// Red flags checked in the data behind an AI request (input) and in generated
+// text (output), with the localized disclaimer and emergency resources added
+// when one is found. Bump SAFETY_RULES_VERSION whenever a rule or message
+// changes so recorded interventions can be traced back to the rules applied.
+
+const SAFETY_RULES_VERSION = '1.1.0';
+
+const SAFETY_SEVERITIES = {
+  EMERGENCY: 'emergency',      // The response is replaced by the escalation message
+  URGENT: 'urgent',            // The response is kept and the escalation message added
+  CAUTION: 'caution'           // The response is kept and the disclaimer added
+};
+
+const DIAGNOSES = "endometriosis|adenomyosis|pcos|polycystic ovary syndrome|pmdd|fibroids|cancer|an? (?:infection|ectopic pregnancy|miscarriage)|diabetes|depression|anaemia|anemia|hypothyroidism|hyperthyroidism";
+
+const RED_FLAGS = [
+  // Input: text written by the user (chat messages, log notes)
+  {
+    id: 'suicidal_ideation',
+    source: 'input',
+    severity: SAFETY_SEVERITIES.EMERGENCY,
+    resource: 'crisis',
+    patterns: [
+      /\b(kill(ing)? myself|suicid\w*|end(ing)? my life|want(ed)? to die|self[- ]?harm\w*|hurt(ing)? myself|no reason to live)\b/i,
+      /\b(matarme|quitarme la vida|quiero morir(me)?|hacerme daño)\b/i,
+      /\b(me tuer|en finir avec la vie|envie de mourir|me faire du mal)\b/i
+    ]
+  },
+  {
+    id: 'very_heavy_bleeding',
+    source: 'input',
+    severity: SAFETY_SEVERITIES.URGENT,
+    resource: 'medical',
+    patterns: [
+      /\bsoak(s|ing|ed)?( through)? (a|one|my|\d+) (pad|tampon|cup)s?\b.*\b(every|each|an|one|in an?) hour\b/i,
+      /\b(bleeding (very |so )?heavily|hemorrhag\w*|haemorrhag\w*)\b/i,
+      /\bclots? (the size of|bigger than|larger than)\b/i,
+      /\b(sangrado (muy )?abundante|hemorragia)\b/i,
+      /\b(saignements? (très )?abondants?|hémorragie)\b/i
+    ]
+  },
+  {
+    id: 'fainting',
+    source: 'input',
+    severity: SAFETY_SEVERITIES.URGENT,
+    resource: 'medical',
+    patterns: [
+      /\b(fainted|fainting|(i|feel|felt|feeling|going to) faint|pass(ed|ing)? out|blacked out)\b/i,
+      /\b(me desmay\w*|desmayo)\b/i,
+      // \b only sees ASCII word characters, so a word starting with an accented letter needs a Unicode lookbehind
+      /(?<!\p{L})(évanoui\p{L}*|perdu connaissance)\b/iu
+    ]
+  },
+  {
+    // Only checked in pregnancy mode, where pain or bleeding can be an emergency
+    id: 'pregnancy_severe_pain',
+    source: 'input',
+    severity: SAFETY_SEVERITIES.EMERGENCY,
+    resource: 'emergency',
+    pregnancy_only: true,
+    patterns: [
+      /\b(severe|intense|sharp|unbearable|extreme) (\w+ )?(pain|cramps?|cramping)\b/i,
+      /\bbleeding\b/i,
+      /\b(dolor (muy )?(fuerte|intenso|insoportable)|sangrado)\b/i,
+      /\b(douleur (très )?(forte|intense|insupportable)|saignement)\b/i
+    ]
+  },
+
+  // Output: generated text
+  {
+    id: 'dosage_advice',
+    source: 'output',
+    severity: SAFETY_SEVERITIES.CAUTION,
+    resource: null,
+    patterns: [
+      /\b\d+(?:[.,]\d+)?\s?(mg|mcg|µg|milligrams?|micrograms?|iu)\b/i,
+      /\b(take|increase|double|reduce|lower|raise|adjust) (your |the |a )?(dose|dosage)\b/i,
+      /\bstop taking (your |the )?(medication|medicine|pills?|birth control|contraceptive)s?\b/i
+    ]
+  },
+  {
+    id: 'diagnosis',
+    source: 'output',
+    severity: SAFETY_SEVERITIES.CAUTION,
+    resource: null,
+    patterns: [
+      new RegExp(`\\byou (probably |likely |most likely |may |might |could )?(have|are suffering from) (${DIAGNOSES})\\b`, 'i'),
+      new RegExp(`\\b(this|it) (is|sounds like|looks like) (${DIAGNOSES})\\b`, 'i')
+    ]
+  }
+];
+
+const SAFETY_MESSAGES = {
+  en: {
+    disclaimer: 'Lunara shares general wellness information, not medical advice, diagnoses or dosing. Please check with a healthcare professional before starting, stopping or changing any treatment.',
+    escalation: {
+      crisis: 'It sounds like you may be going through something really painful, and you deserve support right now. If you are thinking about ending your life or hurting yourself, please contact a crisis line or emergency services now.',
+      emergency: 'What you describe can be a sign of a medical emergency. Please seek care now: call your local emergency number or go to the nearest emergency department.',
+      medical: 'What you describe should be checked by a healthcare professional soon. Please contact your doctor, midwife or an urgent care service.'
+    },
+    resources: {
+      crisis: ['988 Suicide & Crisis Lifeline (US): call or text 988', 'Samaritans (UK & Ireland): 116 123', 'Elsewhere: your local emergency number or findahelpline.com'],
+      emergency: ['Emergency services: 911 (US & Canada), 999 (UK), 112 (EU)'],
+      medical: ['Your doctor, midwife or an urgent care service', 'NHS 111 (UK)']
+    }
+  },
+  es: {
+    disclaimer: 'Lunara ofrece información general de bienestar, no consejo médico, diagnósticos ni dosis. Consulta con un profesional sanitario antes de empezar, dejar o cambiar cualquier tratamiento.',
+    escalation: {
+      crisis: 'Parece que estás pasando por algo muy doloroso y mereces apoyo ahora mismo. Si estás pensando en quitarte la vida o en hacerte daño, contacta ya con una línea de crisis o con los servicios de emergencia.',
+      emergency: 'Lo que describes puede ser una emergencia médica. Busca atención ahora: llama al número de emergencias local o acude al servicio de urgencias más cercano.',
+      medical: 'Lo que describes debería revisarlo pronto un profesional sanitario. Contacta con tu médico, tu matrona o un servicio de urgencias.'
+    },
+    resources: {
+      crisis: ['Línea 024 de atención a la conducta suicida (España)', 'Emergencias: 112 (España y UE), 911 (México y EE. UU.)'],
+      emergency: ['Emergencias: 112 (España y UE), 911 (México y EE. UU.)'],
+      medical: ['Tu médico, tu matrona o un servicio de urgencias']
+    }
+  },
+  fr: {
+    disclaimer: 'Lunara partage des informations générales de bien-être, pas des conseils médicaux, des diagnostics ni des posologies. Consultez un professionnel de santé avant de commencer, d’arrêter ou de modifier un traitement.',
+    escalation: {
+      crisis: 'Vous semblez traverser un moment très douloureux et vous méritez du soutien dès maintenant. Si vous pensez à mettre fin à vos jours ou à vous faire du mal, contactez tout de suite une ligne d’écoute ou les urgences.',
+      emergency: 'Ce que vous décrivez peut être une urgence médicale. Faites-vous soigner maintenant : appelez le numéro d’urgence local ou rendez-vous aux urgences les plus proches.',
+      medical: 'Ce que vous décrivez doit être vu rapidement par un professionnel de santé. Contactez votre médecin, votre sage-femme ou un service de soins urgents.'
+    },
+    resources: {
+      crisis: ['3114, numéro national de prévention du suicide (France)', 'Urgences : 15 (SAMU) ou 112'],
+      emergency: ['Urgences : 15 (SAMU) ou 112'],
+      medical: ['Votre médecin, votre sage-femme ou un service de soins urgents']
+    }
+  }
+};
+
+const DEFAULT_SAFETY_LANGUAGE = 'en';
+
+/**
+ * Resolve the language the safety messages are given in
+ * @param {string} language - Language tag (e.g. "es" or "es-MX")
+ * @returns {string} - Supported language code, English when the language is not supported
+ */
+const resolveSafetyLanguage = (language) => {
+  const base = String(language || DEFAULT_SAFETY_LANGUAGE).toLowerCase().split(/[-_]/)[0];
+  return SAFETY_MESSAGES[base] ? base : DEFAULT_SAFETY_LANGUAGE;
+};
+
+/**
+ * Find the red flags matching a text
+ * @param {string} text - Text
+ * @param {string} source - 'input' or 'output'
+ * @param {Object} options - Match options
+ * @param {boolean} options.pregnancy - Whether pregnancy-only rules apply
+ * @returns {Array} - Matching rules
+ */
+const matchRedFlags = (text, source, { pregnancy = false } = {}) => {
+  if (!text) return [];
+  return RED_FLAGS.filter(rule => rule.source === source
+    && (!rule.pregnancy_only || pregnancy)
+    && rule.patterns.some(pattern => pattern.test(text)));
+};
+
+module.exports = {
+  SAFETY_RULES_VERSION,
+  SAFETY_SEVERITIES,
+  RED_FLAGS,
+  SAFETY_MESSAGES,
+  resolveSafetyLanguage,
+  matchRedFlags
+};
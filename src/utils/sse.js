@@ -0,0 +1,57 @@
+// 🌙 Lunara Backend - Server-Sent Events Utilities
+
+/**
+ * Check whether the client asked for an event stream
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+const wantsEventStream = (req) => (req.get('Accept') || '').includes('text/event-stream');
+
+/**
+ * Start an event stream response
+ * @param {Object} res - Express response
+ */
+const openEventStream = (res) => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+};
+
+/**
+ * Write one event to an open stream
+ * Nothing is written once the client has disconnected
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {*} data - Event payload (sent as JSON)
+ * @returns {boolean} - True when the event was written
+ */
+const sendEvent = (res, event, data) => {
+  if (res.writableEnded || res.destroyed) return false;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  return true;
+};
+
+/**
+ * Abort work when the client disconnects before the response is complete
+ * @param {Object} res - Express response
+ * @returns {AbortController} - Controller whose signal aborts on disconnect
+ */
+const abortOnDisconnect = (res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  return controller;
+};
+
+module.exports = {
+  wantsEventStream,
+  openEventStream,
+  sendEvent,
+  abortOnDisconnect
+};
@@ -0,0 +1,128 @@
+// 🌙 Lunara Backend - Statistics Utilities
+
+/**
+ * Arithmetic mean
+ * @param {Array<number>} values - Values
+ * @returns {number|null} - Mean or null for an empty list
+ */
+const mean = (values) => {
+  if (values.length === 0) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+};
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26)
+ * @param {number} z - Z score
+ * @returns {number} - P(Z <= z)
+ */
+const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+const logFactorial = (n) => {
+  let result = 0;
+  for (let i = 2; i <= n; i++) result += Math.log(i);
+  return result;
+};
+
+/**
+ * One-sided Fisher's exact test for enrichment in a 2x2 table
+ *
+ *                 outcome   no outcome
+ *   in group         a          b
+ *   outside group    c          d
+ *
+ * @returns {number} - P(at least `a` outcomes in the group by chance)
+ */
+const fisherExactGreater = (a, b, c, d) => {
+  const total = a + b + c + d;
+  const outcomes = a + c;
+  const groupSize = a + b;
+  const logDenominator = logFactorial(total) - logFactorial(outcomes) - logFactorial(total - outcomes);
+  const maxA = Math.min(outcomes, groupSize);
+  let pValue = 0;
+
+  for (let x = a; x <= maxA; x++) {
+    const logProbability = logFactorial(groupSize) - logFactorial(x) - logFactorial(groupSize - x)
+      + logFactorial(total - groupSize) - logFactorial(outcomes - x) - logFactorial(total - groupSize - outcomes + x)
+      - logDenominator;
+    pValue += Math.exp(logProbability);
+  }
+
+  return Math.min(1, pValue);
+};
+
+/**
+ * Two-sided Mann-Whitney U test (normal approximation with tie correction)
+ * @param {Array<number>} group - Values in the group
+ * @param {Array<number>} rest - Values outside the group
+ * @returns {Object} - { u, z, p_value }
+ */
+const mannWhitneyU = (group, rest) => {
+  const n1 = group.length;
+  const n2 = rest.length;
+  const total = n1 + n2;
+  const values = [
+    ...group.map(value => ({ value, inGroup: true })),
+    ...rest.map(value => ({ value, inGroup: false }))
+  ].sort((x, y) => x.value - y.value);
+
+  // Average ranks for ties
+  let rankSum = 0;
+  let tieCorrection = 0;
+  for (let i = 0; i < values.length;) {
+    let j = i;
+    while (j + 1 < values.length && values[j + 1].value === values[i].value) j++;
+    const rank = (i + j + 2) / 2;
+    const ties = j - i + 1;
+    for (let k = i; k <= j; k++) {
+      if (values[k].inGroup) rankSum += rank;
+    }
+    tieCorrection += Math.pow(ties, 3) - ties;
+    i = j + 1;
+  }
+
+  const u = rankSum - (n1 * (n1 + 1)) / 2;
+  const expected = (n1 * n2) / 2;
+  const variance = (n1 * n2 / 12) * ((total + 1) - tieCorrection / (total * (total - 1)));
+
+  if (variance <= 0) return { u, z: 0, p_value: 1 };
+
+  const z = (Math.abs(u - expected) - 0.5) / Math.sqrt(variance);
+  const pValue = Math.min(1, 2 * (1 - normalCdf(Math.max(z, 0))));
+
+  return { u, z: u >= expected ? z : -z, p_value: pValue };
+};
+
+/**
+ * Benjamini-Hochberg false discovery rate adjustment
+ * @param {Array<number>} pValues - Raw p-values
+ * @returns {Array<number>} - Adjusted p-values in the original order
+ */
+const benjaminiHochberg = (pValues) => {
+  const count = pValues.length;
+  const order = pValues
+    .map((pValue, index) => ({ pValue, index }))
+    .sort((a, b) => a.pValue - b.pValue);
+  const adjusted = new Array(count);
+  let running = 1;
+
+  for (let rank = count; rank >= 1; rank--) {
+    const { pValue, index } = order[rank - 1];
+    running = Math.min(running, (pValue * count) / rank);
+    adjusted[index] = running;
+  }
+
+  return adjusted;
+};
+
+module.exports = {
+  mean,
+  normalCdf,
+  fisherExactGreater,
+  mannWhitneyU,
+  benjaminiHochberg
+};
@@ -0,0 +1,201 @@
+// 🌙 Lunara Backend - Symptom Catalog
+// Bump SYMPTOM_CATALOG_VERSION whenever symptoms are added, renamed or removed
+// so stored logs can be traced back to the taxonomy they were validated against
+
+const SYMPTOM_CATALOG_VERSION = '1.1.0';
+
+const SYMPTOM_CATEGORIES = {
+  PHYSICAL: 'physical',
+  EMOTIONAL: 'emotional',
+  DIGESTIVE: 'digestive',
+  SKIN: 'skin',
+  PAIN: 'pain'
+};
+
+const SYMPTOM_SEVERITIES = ['mild', 'moderate', 'severe'];
+
+const BODY_LOCATIONS = [
+  'head',
+  'breasts',
+  'abdomen',
+  'pelvis',
+  'lower_back',
+  'upper_back',
+  'joints',
+  'muscles',
+  'legs'
+];
+
+// Pain symptoms carry a default body location that can be overridden per log.
+// Aliases cover English, Spanish and French free text.
+const SYMPTOMS = [
+  // Pain
+  { id: 'cramps', name: 'Cramps', category: SYMPTOM_CATEGORIES.PAIN, default_location: 'abdomen', aliases: ['cramping', 'menstrual cramps', 'period cramps', 'period pain', 'dysmenorrhea', 'cólicos', 'cólicos menstruales', 'dolor menstrual', 'calambres', 'crampes', 'crampes menstruelles', 'douleurs de règles', 'règles douloureuses'] },
+  { id: 'headache', name: 'Headache', category: SYMPTOM_CATEGORIES.PAIN, default_location: 'head', aliases: ['headaches', 'head ache', 'dolor de cabeza', 'cefalea', 'mal de tête', 'maux de tête'] },
+  { id: 'migraine', name: 'Migraine', category: SYMPTOM_CATEGORIES.PAIN, default_location: 'head', aliases: ['migraines', 'menstrual migraine', 'migraña', 'migrañas', 'jaqueca'] },
+  { id: 'back_pain', name: 'Back pain', category: SYMPTOM_CATEGORIES.PAIN, default_location: 'lower_back', aliases: ['backache', 'back ache', 'lower back pain', 'dolor de espalda', 'dolor lumbar', 'mal de dos', 'douleur lombaire'] },
+  { id: 'breast_tenderness', name: 'Breast tenderness', category: SYMPTOM_CATEGORIES.PAIN, default_location: 'breasts', aliases: ['tender breasts', 'sore breasts', 'breast pain', 'breast soreness', 'senos sensibles', 'pechos sensibles', 'dolor de senos', 'seins sensibles', 'douleur aux seins'] },
+  { id: 'pelvic_pain', name: 'Pelvic pain', category: SYMPTOM_CATEGORIES.PAIN, default_location: 'pelvis', aliases: ['ovulation pain', 'mittelschmerz', 'dolor pélvico', 'dolor de ovulación', 'douleur pelvienne', "douleur d'ovulation"] },
+  { id: 'joint_pain', name: 'Joint pain', category: SYMPTOM_CATEGORIES.PAIN, default_location: 'joints', aliases: ['aching joints', 'joint aches', 'dolor articular', 'dolor de articulaciones', 'douleurs articulaires'] },
+  { id: 'muscle_aches', name: 'Muscle aches', category: SYMPTOM_CATEGORIES.PAIN, default_location: 'muscles', aliases: ['body aches', 'muscle pain', 'sore muscles', 'dolor muscular', 'dolores musculares', 'douleurs musculaires', 'courbatures'] },
+
+  // Physical
+  { id: 'fatigue', name: 'Fatigue', category: SYMPTOM_CATEGORIES.PHYSICAL, aliases: ['tired', 'tiredness', 'exhaustion', 'exhausted', 'low energy', 'cansancio', 'cansada', 'fatiga', 'agotamiento', 'fatiguée', 'épuisement', 'épuisée'] },
+  { id: 'insomnia', name: 'Insomnia', category: SYMPTOM_CATEGORIES.PHYSICAL, aliases: ['trouble sleeping', 'sleep problems', 'poor sleep', "can't sleep", 'insomnio', 'no puedo dormir', 'insomnie', 'troubles du sommeil'] },
+  { id: 'dizziness', name: 'Dizziness', category: SYMPTOM_CATEGORIES.PHYSICAL, aliases: ['dizzy', 'lightheaded', 'light headed', 'mareo', 'mareos', 'mareada', 'vertiges', 'étourdissements'] },
+  { id: 'hot_flashes', name: 'Hot flashes', category: SYMPTOM_CATEGORIES.PHYSICAL, aliases: ['hot flash', 'hot flushes', 'hot flush', 'sofocos', 'bochornos', 'bouffées de chaleur'] },
+  { id: 'night_sweats', name: 'Night sweats', category: SYMPTOM_CATEGORIES.PHYSICAL, aliases: ['night sweat', 'sweating at night', 'sudores nocturnos', 'sueurs nocturnes'] },
+  { id: 'water_retention', name: 'Water retention', category: SYMPTOM_CATEGORIES.PHYSICAL, aliases: ['swelling', 'swollen', 'puffiness', 'retención de líquidos', "rétention d'eau"] },
+  { id: 'spotting', name: 'Spotting', category: SYMPTOM_CATEGORIES.PHYSICAL, aliases: ['light spotting', 'breakthrough bleeding', 'manchado', 'saignements légers'] },
+
+  // Emotional
+  { id: 'mood_swings', name: 'Mood swings', category: SYMPTOM_CATEGORIES.EMOTIONAL, aliases: ['moody', 'mood changes', 'cambios de humor', "sautes d'humeur"] },
+  { id: 'irritability', name: 'Irritability', category: SYMPTOM_CATEGORIES.EMOTIONAL, aliases: ['irritable', 'angry', 'anger', 'irritabilidad', 'enojo', 'irritabilité', 'colère'] },
+  { id: 'anxiety', name: 'Anxiety', category: SYMPTOM_CATEGORIES.EMOTIONAL, aliases: ['anxious', 'nervous', 'nervousness', 'ansiedad', 'ansiosa', 'nerviosismo', 'anxiété', 'anxieuse'] },
+  { id: 'low_mood', name: 'Low mood', category: SYMPTOM_CATEGORIES.EMOTIONAL, aliases: ['sad', 'sadness', 'depressed', 'feeling down', 'crying', 'tristeza', 'triste', 'deprimida', 'tristesse', 'déprimée', 'cafard'] },
+  { id: 'brain_fog', name: 'Brain fog', category: SYMPTOM_CATEGORIES.EMOTIONAL, aliases: ['difficulty concentrating', 'poor concentration', 'forgetfulness', 'niebla mental', 'falta de concentración', 'brouillard mental', 'difficulté à se concentrer'] },
+  { id: 'low_libido', name: 'Low libido', category: SYMPTOM_CATEGORIES.EMOTIONAL, aliases: ['low sex drive', 'decreased libido', 'deseo sexual bajo', 'poca libido', 'baisse de libido'] },
+
+  // Digestive
+  { id: 'bloating', name: 'Bloating', category: SYMPTOM_CATEGORIES.DIGESTIVE, aliases: ['bloated', 'hinchazón', 'hinchada', 'distensión abdominal', 'ballonnements', 'ballonnée'] },
+  { id: 'nausea', name: 'Nausea', category: SYMPTOM_CATEGORIES.DIGESTIVE, aliases: ['nauseous', 'morning sickness', 'feeling sick', 'náuseas', 'nausées'] },
+  { id: 'constipation', name: 'Constipation', category: SYMPTOM_CATEGORIES.DIGESTIVE, aliases: ['constipated', 'estreñimiento'] },
+  { id: 'diarrhea', name: 'Diarrhea', category: SYMPTOM_CATEGORIES.DIGESTIVE, aliases: ['diarrhoea', 'loose stools', 'diarrea', 'diarrhée'] },
+  { id: 'cravings', name: 'Food cravings', category: SYMPTOM_CATEGORIES.DIGESTIVE, aliases: ['craving', 'food cravings', 'sugar cravings', 'increased appetite', 'antojos', 'fringales', 'envies de sucre'] },
+  { id: 'gas', name: 'Gas', category: SYMPTOM_CATEGORIES.DIGESTIVE, aliases: ['flatulence', 'gases', 'flatulences', 'gaz'] },
+
+  // Skin
+  { id: 'acne', name: 'Acne', category: SYMPTOM_CATEGORIES.SKIN, aliases: ['breakouts', 'breakout', 'pimples', 'spots', 'acné', 'granos', 'espinillas', 'boutons'] },
+  { id: 'oily_skin', name: 'Oily skin', category: SYMPTOM_CATEGORIES.SKIN, aliases: ['greasy skin', 'piel grasa', 'peau grasse'] },
+  { id: 'dry_skin', name: 'Dry skin', category: SYMPTOM_CATEGORIES.SKIN, aliases: ['piel seca', 'peau sèche'] }
+];
+
+const SYMPTOMS_BY_ID = new Map(SYMPTOMS.map(symptom => [symptom.id, symptom]));
+
+/**
+ * Normalize free text for matching ("Lower-Back_Pain." -> "lower back pain", "Náuseas" -> "nauseas")
+ * Accents are removed rather than the accented letters
+ * @param {string} text - Free-text symptom
+ * @returns {string} - Normalized text
+ */
+const normalizeSymptomText = (text) => {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .replace(/’/g, "'")
+    .replace(/[_-]+/g, ' ')
+    .replace(/[^a-z' ]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+const SYMPTOMS_BY_TEXT = new Map();
+SYMPTOMS.forEach(symptom => {
+  [symptom.id, symptom.name, ...symptom.aliases].forEach(text => {
+    SYMPTOMS_BY_TEXT.set(normalizeSymptomText(text), symptom);
+  });
+});
+
+/**
+ * Get the full catalog as served to clients
+ * @returns {Object} - Versioned symptom taxonomy
+ */
+const getSymptomCatalog = () => ({
+  version: SYMPTOM_CATALOG_VERSION,
+  categories: Object.values(SYMPTOM_CATEGORIES),
+  severities: SYMPTOM_SEVERITIES,
+  body_locations: BODY_LOCATIONS,
+  symptoms: SYMPTOMS
+});
+
+/**
+ * Find a catalog symptom by ID
+ * @param {string} symptomId - Symptom ID
+ * @returns {Object|null} - Catalog symptom
+ */
+const findSymptom = (symptomId) => SYMPTOMS_BY_ID.get(symptomId) || null;
+
+/**
+ * Map a free-text symptom to a catalog entry
+ * @param {string} text - Free-text symptom (e.g. "Cramping")
+ * @returns {Object|null} - Catalog symptom or null if unknown
+ */
+const mapFreeTextSymptom = (text) => {
+  if (typeof text !== 'string') return null;
+  return SYMPTOMS_BY_TEXT.get(normalizeSymptomText(text)) || null;
+};
+
+/**
+ * Map a list of free-text symptoms to catalog IDs
+ * @param {Array<string>} symptoms - Free-text symptoms
+ * @returns {Object} - { symptom_ids, unmapped_symptoms }
+ */
+const mapFreeTextSymptoms = (symptoms = []) => {
+  const symptomIds = [];
+  const unmappedSymptoms = [];
+
+  symptoms.forEach(text => {
+    const symptom = mapFreeTextSymptom(text);
+    if (!symptom) {
+      unmappedSymptoms.push(text);
+    } else if (!symptomIds.includes(symptom.id)) {
+      symptomIds.push(symptom.id);
+    }
+  });
+
+  return { symptom_ids: symptomIds, unmapped_symptoms: unmappedSymptoms };
+};
+
+/**
+ * Build the stored form of a validated symptom log entry
+ * Pain symptoms default to their usual body location
+ * @param {Object} entry - { symptom_id, severity, location }
+ * @returns {Object} - Entry with category and location resolved
+ */
+const normalizeSymptomEntry = (entry) => {
+  const symptom = findSymptom(entry.symptom_id);
+  const normalized = {
+    symptom_id: symptom.id,
+    category: symptom.category,
+    severity: entry.severity
+  };
+
+  if (symptom.category === SYMPTOM_CATEGORIES.PAIN) {
+    normalized.location = entry.location || symptom.default_location;
+  }
+
+  return normalized;
+};
+
+/**
+ * Describe logged symptoms in plain text ("Cramps (severe, abdomen), Fatigue (mild)")
+ * @param {Array} entries - Symptom log entries ({ symptom_id, severity, location })
+ * @returns {string} - Description, empty when nothing was logged
+ */
+const describeSymptoms = (entries = []) => {
+  return entries
+    .map(entry => {
+      const symptom = findSymptom(entry.symptom_id);
+      if (!symptom) return null;
+      const details = [entry.severity, entry.location].filter(Boolean).join(', ');
+      return details ? `${symptom.name} (${details})` : symptom.name;
+    })
+    .filter(Boolean)
+    .join(', ');
+};
+
+module.exports = {
+  SYMPTOM_CATALOG_VERSION,
+  SYMPTOM_CATEGORIES,
+  SYMPTOM_SEVERITIES,
+  BODY_LOCATIONS,
+  SYMPTOMS,
+  normalizeSymptomText,
+  getSymptomCatalog,
+  findSymptom,
+  mapFreeTextSymptom,
+  mapFreeTextSymptoms,
+  normalizeSymptomEntry,
+  describeSymptoms
+};
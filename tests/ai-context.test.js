@@ -0,0 +1,68 @@
+const aiContextService = require('../src/services/ai-context');
+const firestoreService = require('../src/services/firestore');
+const predictionService = require('../src/services/prediction');
+const trackingModeService = require('../src/services/tracking-mode');
+const openaiService = require('../src/services/openai');
+
+const day = (n) => `2026-03-${String(n).padStart(2, '0')}`;
+
+describe('🧠 AI Prompt Context', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('summarizes logs with totals, trends and outliers', () => {
+    const meals = [1, 2, 3, 4, 5, 6].map(n => ({ local_date: day(n), meal_type: n % 2 ? 'lunch' : 'dinner', calories: n === 5 ? 3600 : 1500 + n * 100 }));
+    expect(aiContextService.summarizeNutrition(meals, 14)).toBe(
+      '6 meals on 6 of the last 14 days; average 2117 kcal per logged day (rising); unusual days: 2026-03-05 (3600 kcal); meals: lunch ×3, dinner ×3'
+    );
+
+    // Older logs use activity_name instead of activity_type
+    const workouts = [{ local_date: day(1), activity_type: 'yoga', duration_minutes: 30 }, { local_date: day(3), activity_name: 'Running', duration_minutes: 25 }];
+    expect(aiContextService.summarizeFitness(workouts, 14)).toBe('2 workouts on 2 of the last 14 days, 55 minutes in total; activities: yoga, Running');
+
+    const moods = [8, 8, 7, 2, 3, 3].map((mood, index) => ({ local_date: day(index + 1), mood_rating: mood, stress_level: 3 + index }));
+    const mood = aiContextService.summarizeMood(moods, 14);
+    expect(mood.summary).toBe('6 check-ins over the last 14 days; average mood 5.2/10 (falling), stress 5.5/10 (rising); low mood days: 2026-03-04 (2/10)');
+    expect(mood.stress).toBe('5.5/10 (rising)');
+
+    expect(aiContextService.summarizeNutrition([], 14)).toBeNull();
+    expect(aiContextService.boundText(['a'.repeat(300), 'b'.repeat(30)])).toBe('a'.repeat(300));
+  });
+
+  test('fills the fields every insight prompt reads', async () => {
+    const profile = { birth_date: '1994-05-01', weight: 60, time_zone: 'UTC' };
+    const cycles = [{ start_date: '2026-03-01', period_duration: 5 }];
+    const getProfile = jest.spyOn(firestoreService, 'getUserProfile').mockResolvedValue(profile);
+    const getPredictions = jest.spyOn(predictionService, 'getUserPredictions').mockResolvedValue({
+      statistics: { is_personalized: true, average_cycle_length: 30 },
+      predictions: [{ period_start: '2099-01-01', ovulation_date: '2098-12-18' }],
+      current_phase: 'luteal',
+      contraception: null
+    });
+    const getStatus = jest.spyOn(trackingModeService, 'getUserStatus').mockResolvedValue({ tracking_mode: 'cycle' });
+    const getCycles = jest.spyOn(firestoreService, 'getCycles').mockResolvedValue(cycles);
+    jest.spyOn(firestoreService, 'getNutritionLogsInRange').mockResolvedValue([{ local_date: day(2), meal_type: 'lunch', calories: 700 }]);
+    jest.spyOn(firestoreService, 'getFitnessLogsInRange').mockResolvedValue([{ local_date: day(2), activity_type: 'walking', duration_minutes: 40 }]);
+    jest.spyOn(firestoreService, 'getMentalHealthLogsInRange').mockResolvedValue([{ local_date: day(2), mood_rating: 6, stress_level: 7 }]);
+    jest.spyOn(firestoreService, 'getSymptomLogs').mockResolvedValue([{ symptoms: [{ symptom_id: 'fatigue' }] }]);
+
+    const userData = await aiContextService.buildUserData('user-1');
+
+    // The profile and cycles are read once and shared
+    expect(getProfile).toHaveBeenCalledTimes(1);
+    expect(getCycles).toHaveBeenCalledTimes(1);
+    expect(getPredictions).toHaveBeenCalledWith('user-1', 1, { profile, cycles });
+    expect(getStatus).toHaveBeenCalledWith('user-1', { profile, cycles });
+
+    expect(userData).toMatchObject({ weight: 60, cycle_length: 30, period_duration: 5, cycle_phase: 'luteal', stress_level: '7/10' });
+    expect(userData.recent_meals).toContain('average 700 kcal');
+    expect(userData.recent_activities).toContain('walking');
+    expect(userData.recent_moods).toContain('mood 6/10');
+
+    expect(openaiService.createInsightPrompt(userData, 'nutrition_advice')).toContain('Recent nutrition: 1 meals on 1 of the last 14 days');
+    expect(openaiService.createInsightPrompt(userData, 'fitness_suggestion')).toContain('walking');
+    expect(openaiService.createInsightPrompt(userData, 'mood_analysis')).toContain('Average stress level: 7/10');
+    expect(aiContextService.buildHealthContext(userData)).toContain('Symptoms: 1 days with symptoms; most frequent: Fatigue');
+  });
+});
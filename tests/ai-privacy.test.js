@@ -0,0 +1,101 @@
+const aiPrivacyService = require('../src/services/ai-privacy');
+const openaiService = require('../src/services/openai');
+const firestoreService = require('../src/services/firestore');
+const { FixtureProvider } = require('../src/services/llm-providers');
+const { requireAIConsent } = require('../src/middleware/auth');
+const { validateSettingsData } = require('../src/middleware/validation');
+
+const insightReply = JSON.stringify({
+  summary: 'Cramps are common at the start of your period.',
+  recommendations: [{ text: 'Try a heat pad', category: 'symptoms', priority: 'medium' }]
+});
+
+describe('🔒 AI Data Minimization', () => {
+  const original = openaiService.provider;
+
+  afterEach(() => {
+    openaiService.setProvider(original);
+    jest.restoreAllMocks();
+  });
+
+  test('generalizes age and weight and masks contact details and names', () => {
+    expect([16, 22, 31, 47, 63].map(age => aiPrivacyService.getAgeBand(age))).toEqual(['under 18', '18-24', '30-34', '45-49', '60+']);
+    expect(aiPrivacyService.getWeightBand(63.5)).toBe('60-69 kg');
+    expect(aiPrivacyService.getWeightBand(null)).toBeNull();
+
+    const { text, redactions } = aiPrivacyService.redactText(
+      'My name is Jane. Call +33 6 12 34 56 78 or jane.doe@mail.com. Period started 2026-03-05, aim for 1500-2000 kcal. Doe says hi.',
+      ['Jane', 'Doe']
+    );
+    expect(text).toBe('My name is [name]. Call [phone] or [email]. Period started 2026-03-05, aim for 1500-2000 kcal. [name] says hi.');
+    expect(redactions).toEqual({ email: 1, phone: 1, name: 2 });
+  });
+
+  test('sends only minimized, redacted data and logs categories without content', async () => {
+    const fixture = new FixtureProvider({ responses: [insightReply] });
+    openaiService.setProvider(fixture);
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const insight = await openaiService.generateHealthInsight({
+      userId: 'user-1',
+      email: 'jane@mail.com',
+      display_name: 'Jane Doe',
+      age: 31,
+      weight: 63,
+      cycle_phase: 'menstrual',
+      recent_symptoms: 'cramps; ask Jane to call 0612345678'
+    }, 'general_health');
+
+    expect(insight.summary).toBe('Cramps are common at the start of your period.');
+    const sent = JSON.stringify(fixture.requests[0].messages);
+    expect(sent).toContain('age 30-34, weight: 60-69 kg');
+    expect(sent).toContain('cramps; ask [name] to call [phone]');
+    ['user-1', 'jane@mail.com', 'Jane', '0612345678', '31', '63'].forEach(value => expect(sent).not.toContain(value));
+
+    const entry = log.mock.calls.map(call => call[0]).find(line => line.startsWith('🔒 AI request'));
+    expect(JSON.parse(entry.replace('🔒 AI request ', ''))).toEqual({
+      task: 'insight',
+      user_id: 'user-1',
+      categories: ['age_band', 'weight_band', 'cycle', 'symptoms'],
+      redactions: { email: 0, phone: 1, name: 1 }
+    });
+    expect(entry).not.toContain('cramps');
+  });
+
+  test('blocks AI features for users who turned AI processing off', async () => {
+    const db = firestoreService.db;
+    firestoreService.db = db || {};
+    const getSettings = jest.spyOn(firestoreService, 'getUserSettings').mockResolvedValue({ privacy: { ai_processing: false } });
+
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    try {
+      await requireAIConsent({ userId: 'user-1' }, res, next);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+
+      // Anything but true (e.g. a stored "false" string) is not consent
+      getSettings.mockResolvedValue({ privacy: { ai_processing: 'false' } });
+      await requireAIConsent({ userId: 'user-1' }, res, next);
+      expect(next).not.toHaveBeenCalled();
+
+      getSettings.mockResolvedValue({ privacy: { ai_processing: true } });
+      await requireAIConsent({ userId: 'user-1' }, res, next);
+      expect(next).toHaveBeenCalled();
+    } finally {
+      firestoreService.db = db;
+    }
+  });
+
+  test('only accepts true or false for AI processing', () => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    validateSettingsData({ body: { privacy: { ai_processing: 'false' } } }, res, next);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error).toBe('privacy.ai_processing must be true or false');
+
+    validateSettingsData({ body: { privacy: { ai_processing: false }, preferences: { theme: 'dark' } } }, res, next);
+    expect(next).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,108 @@
+const aiSafetyService = require('../src/services/ai-safety');
+const chatService = require('../src/services/chat');
+const firestoreService = require('../src/services/firestore');
+const openaiService = require('../src/services/openai');
+const aiContextService = require('../src/services/ai-context');
+const { SAFETY_RULES_VERSION } = require('../src/utils/safety-rules');
+
+const ids = (flags) => flags.map(rule => rule.id);
+
+describe('🛡️ AI Safety', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('detects red flags in inputs and outputs', () => {
+    expect(ids(aiSafetyService.detectInputFlags({ safety_signals: { notes: ['I have been soaking through a pad every hour since this morning'] } })))
+      .toEqual(['very_heavy_bleeding']);
+    expect(ids(aiSafetyService.detectInputFlags({}, 'A veces quiero morir'))).toEqual(['suicidal_ideation']);
+
+    // Pain and bleeding are only red flags in pregnancy mode
+    const pregnant = { tracking_mode: 'pregnancy', safety_signals: { notes: [], severe_symptoms: ['pelvic_pain'] } };
+    expect(ids(aiSafetyService.detectInputFlags(pregnant))).toEqual(['pregnancy_severe_pain']);
+    expect(ids(aiSafetyService.detectInputFlags({ tracking_mode: 'cycle', safety_signals: { severe_symptoms: ['pelvic_pain'] } }, 'severe cramps today'))).toEqual([]);
+
+    expect(ids(aiSafetyService.detectOutputFlags('Try taking 400 mg of ibuprofen.'))).toEqual(['dosage_advice']);
+    expect(ids(aiSafetyService.detectOutputFlags('You probably have endometriosis.'))).toEqual(['diagnosis']);
+    expect(aiSafetyService.detectOutputFlags('Gentle stretching can ease cramps.')).toEqual([]);
+
+    // Fainting, not faint symptoms
+    expect(ids(aiSafetyService.detectInputFlags({}, 'I fainted at work'))).toEqual(['fainting']);
+    expect(ids(aiSafetyService.detectInputFlags({}, 'Only faint cramps today, feeling okay'))).toEqual([]);
+    expect(ids(aiSafetyService.detectInputFlags({}, 'Je me suis évanouie hier'))).toEqual(['fainting']);
+    expect(ids(aiSafetyService.detectInputFlags({}, 'Me desmayé en el trabajo'))).toEqual(['fainting']);
+  });
+
+  test('only replaces the response that raised an emergency', () => {
+    // A logged note escalates every response in the safety window without replacing it
+    const logged = aiSafetyService.detectInputFlags({ safety_signals: { notes: ['I want to end my life'] } });
+    expect(logged).toMatchObject([{ id: 'suicidal_ideation', source: 'log', severity: 'urgent' }]);
+    expect(aiSafetyService.isEmergency(logged)).toBe(false);
+
+    const review = aiSafetyService.reviewText('Try a short walk.', logged);
+    expect(review.content).toMatch(/^Try a short walk\.\n\nIt sounds like you may be going through something really painful/);
+    expect(review.safety).toMatchObject({ action: 'annotated', severity: 'urgent' });
+    expect(review.safety.resources[0]).toContain('988');
+
+    // The same words in the request itself are an emergency
+    const current = aiSafetyService.detectInputFlags({ safety_signals: { notes: ['I want to end my life'] } }, 'I want to end my life');
+    expect(current).toMatchObject([{ id: 'suicidal_ideation', source: 'input', severity: 'emergency' }]);
+  });
+
+  test('holds back streamed text from the first red flag', () => {
+    const deltas = [];
+    const review = aiSafetyService.createStreamReview(content => deltas.push(content));
+    ['Rest well. Drink ', 'water.\nTake 400 ', 'mg of ibuprofen. Then rest.'].forEach(review);
+    expect(deltas).toEqual(['Rest well. ', 'Drink water.\n']);
+
+    // Requests with input flags are only sent once reviewed
+    const held = [];
+    const flagged = aiSafetyService.createStreamReview(content => held.push(content), aiSafetyService.detectInputFlags({}, 'I passed out'));
+    flagged('Rest well. ');
+    expect(held).toEqual([]);
+  });
+
+  test('replaces or annotates responses in the user\'s language', () => {
+    expect(aiSafetyService.reviewText('Rest and stay hydrated.')).toEqual({ content: 'Rest and stay hydrated.', safety: null });
+
+    const annotated = aiSafetyService.reviewText('Take 200 mg of magnesium at night.', [], 'fr-FR');
+    expect(annotated.content).toMatch(/^Take 200 mg of magnesium at night\.\n\nLunara partage/);
+    expect(annotated.safety).toMatchObject({ action: 'annotated', severity: 'caution', language: 'fr', rules_version: SAFETY_RULES_VERSION, resources: [] });
+
+    const crisis = aiSafetyService.detectInputFlags({}, 'I want to end my life');
+    const replaced = aiSafetyService.reviewInsight({ type: 'mood_analysis', content: 'Try journaling.', summary: 'Try journaling.', recommendations: [{ text: 'Journal daily', category: 'mood', priority: 'low' }], follow_up_questions: ['How did you sleep?'] }, crisis, 'es');
+    expect(replaced.summary).toContain('línea de crisis');
+    expect(replaced.content).not.toContain('journaling');
+    expect(replaced.recommendations[0]).toEqual({ text: 'Línea 024 de atención a la conducta suicida (España)', category: 'medical', priority: 'high' });
+    expect(replaced.follow_up_questions).toEqual([]);
+    expect(replaced.safety).toMatchObject({ action: 'replaced', severity: 'emergency', language: 'es', flags: [{ id: 'suicidal_ideation', source: 'input', severity: 'emergency' }] });
+  });
+
+  test('answers an emergency chat message without the model and records the intervention', async () => {
+    jest.spyOn(aiContextService, 'buildUserData').mockResolvedValue({ language: 'en', safety_signals: { notes: [], severe_symptoms: [] } });
+    const generateReply = jest.spyOn(openaiService, 'generateChatReply');
+    jest.spyOn(firestoreService, 'createConversation').mockResolvedValue({ id: 'conv-1', title: 'I keep thinking about killing myself' });
+    jest.spyOn(firestoreService, 'saveChatMessage').mockImplementation(async (userId, conversationId, data) => ({ id: `m-${data.role}`, conversation_id: conversationId, ...data }));
+    jest.spyOn(firestoreService, 'addConversationMessages').mockResolvedValue();
+    const saveEvent = jest.spyOn(firestoreService, 'saveSafetyEvent').mockResolvedValue({ id: 'event-1' });
+
+    const result = await chatService.sendMessage('user-1', null, 'I keep thinking about killing myself');
+
+    expect(generateReply).not.toHaveBeenCalled();
+    expect(result.reply.content).toContain('988');
+    expect(result.reply.safety).toMatchObject({ action: 'replaced', severity: 'emergency' });
+
+    // Only flags and the action are recorded, never the conversation
+    const [userId, event] = saveEvent.mock.calls[0];
+    expect(userId).toBe('user-1');
+    expect(event).toEqual({
+      feature: 'chat',
+      flags: [{ id: 'suicidal_ideation', source: 'input', severity: 'emergency' }],
+      severity: 'emergency',
+      action: 'replaced',
+      language: 'en',
+      rules_version: SAFETY_RULES_VERSION,
+      reference_id: 'm-assistant'
+    });
+  });
+});
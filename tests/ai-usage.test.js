@@ -0,0 +1,137 @@
+const aiUsageService = require('../src/services/ai-usage');
+const firestoreService = require('../src/services/firestore');
+const openaiService = require('../src/services/openai');
+const { OpenAIProvider, FixtureProvider } = require('../src/services/llm-providers');
+const firebaseService = require('../src/services/firebase');
+const aiPrivacyService = require('../src/services/ai-privacy');
+const digestService = require('../src/services/digest');
+const { enforceAIQuota } = require('../src/middleware/auth');
+
+const now = new Date('2026-03-15T10:00:00Z');
+const days = [
+  { date: '2026-03-14', requests: 4, total_tokens: 9000, cost_usd: 0.009, endpoints: { chat: { requests: 4, total_tokens: 9000, cost_usd: 0.009 } } },
+  { date: '2026-03-15', requests: 2, total_tokens: 19500, cost_usd: 0.02, endpoints: { chat: { requests: 1, total_tokens: 1500, cost_usd: 0.002 }, 'generate-multiple-insights': { requests: 1, total_tokens: 18000, cost_usd: 0.018 } } }
+];
+
+describe('📊 AI Usage', () => {
+  const original = openaiService.provider;
+
+  afterEach(() => {
+    openaiService.setProvider(original);
+    jest.restoreAllMocks();
+  });
+
+  test('meters the tokens and cost of each completion per endpoint', async () => {
+    const addUsage = jest.spyOn(firestoreService, 'addAIUsage').mockResolvedValue();
+    const client = {
+      chat: { completions: { create: async () => ({ choices: [{ message: { content: 'Stretch gently.' } }], usage: { prompt_tokens: 120, completion_tokens: 30 } }) } }
+    };
+    openaiService.setProvider(new OpenAIProvider({ client, model: 'gpt-3.5-turbo' }));
+
+    await openaiService.generateQuickTip('cramps', { user_id: 'user-1', endpoint: 'quick-tip', categories: ['topic'] });
+    expect(addUsage).toHaveBeenCalledWith('user-1', expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/), {
+      endpoint: 'quick-tip',
+      prompt_tokens: 120,
+      completion_tokens: 30,
+      cost_usd: 0.000105
+    });
+
+    // Tokens are estimated when the provider does not report them; models without pricing cost nothing
+    addUsage.mockClear();
+    openaiService.setProvider(new FixtureProvider({ responses: ['a'.repeat(40)], model: 'llama3' }));
+    await openaiService.streamCompletion('chat', [{ role: 'user', content: 'b'.repeat(80) }], { privacy: { user_id: 'user-1', endpoint: 'chat' } });
+    expect(addUsage.mock.calls[0][2]).toEqual({ endpoint: 'chat', prompt_tokens: 20, completion_tokens: 10, cost_usd: 0 });
+
+    // Requests without a user (e.g. tests of the provider) are not metered
+    addUsage.mockClear();
+    await openaiService.generateQuickTip('sleep');
+    expect(addUsage).not.toHaveBeenCalled();
+  });
+
+  test('reports usage against the tier quotas and rejects requests once used up', async () => {
+    expect(aiUsageService.getTier({ tier: 'premium' })).toBe('premium');
+    expect(aiUsageService.getTier({ tier: 'gold' })).toBe('free');
+    expect(aiUsageService.getQuotas('free', { AI_QUOTA_FREE_DAILY: '5000' })).toEqual({ daily: 5000, monthly: 200000 });
+
+    jest.spyOn(firestoreService, 'getAIUsageForMonth').mockResolvedValue(days);
+    const usage = await aiUsageService.getUsage('user-1', 'free', now);
+    expect(usage).toMatchObject({
+      tier: 'free',
+      daily: { used: 19500, limit: 20000, remaining: 500, resets_at: '2026-03-16T00:00:00.000Z' },
+      monthly: { used: 28500, limit: 200000, remaining: 171500, resets_at: '2026-04-01T00:00:00.000Z' },
+      cost_usd: 0.029,
+      endpoints: { chat: { requests: 5, total_tokens: 10500, cost_usd: 0.011 } }
+    });
+    expect(aiUsageService.getExceededQuota(usage)).toBeNull();
+
+    const db = firestoreService.db;
+    firestoreService.db = db || {};
+    const headers = {};
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn(), setHeader: (name, value) => { headers[name] = value; }, on: jest.fn() };
+    const next = jest.fn();
+    jest.useFakeTimers({ now });
+    try {
+      jest.spyOn(aiUsageService, 'getQuotas').mockReturnValue({ daily: 19000, monthly: 200000 });
+      await enforceAIQuota('chat')({ userId: 'user-1', user: { firebase_claims: {} } }, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.json.mock.calls[0][0].error).toContain('daily AI quota of 19000 tokens');
+      expect(next).not.toHaveBeenCalled();
+      expect(headers).toMatchObject({ 'X-AI-Quota-Tier': 'free', 'X-AI-Quota-Daily-Limit': 19000, 'X-AI-Quota-Daily-Remaining': 0, 'X-AI-Quota-Monthly-Remaining': 171500 });
+      expect(headers['Retry-After']).toBeGreaterThan(0);
+
+      // Premium users get the premium quotas
+      aiUsageService.getQuotas.mockRestore();
+      await enforceAIQuota('chat')({ userId: 'user-1', user: { firebase_claims: { tier: 'premium' } } }, res, next);
+      expect(next).toHaveBeenCalled();
+      expect(headers['X-AI-Quota-Daily-Remaining']).toBe(80500);
+      expect(aiUsageService.getReservedTokens('user-1')).toBe(aiUsageService.estimateTokens('chat'));
+
+      // The reservation is released once the response is sent
+      const [event, release] = res.on.mock.calls[0];
+      expect(event).toBe('close');
+      release();
+      expect(aiUsageService.getReservedTokens('user-1')).toBe(0);
+    } finally {
+      jest.useRealTimers();
+      firestoreService.db = db;
+    }
+  });
+
+  test('counts the tokens reserved by requests in progress against the quotas', async () => {
+    jest.spyOn(firestoreService, 'getAIUsageForMonth').mockResolvedValue(days);
+    jest.spyOn(aiUsageService, 'getQuotas').mockReturnValue({ daily: 25000, monthly: 200000 });
+    const tokens = aiUsageService.estimateTokens('insight', 2);
+    expect(tokens).toBe(4200);
+
+    // Parallel requests cannot together spend more than what is left (5500 tokens)
+    const [first, second] = await Promise.all([
+      aiUsageService.reserveTokens('user-1', 'free', tokens, now),
+      aiUsageService.reserveTokens('user-1', 'free', tokens, now)
+    ]);
+    expect(first.exceeded).toBeNull();
+    expect(second.exceeded).toBe('daily');
+    expect(aiUsageService.getReservedTokens('user-1')).toBe(tokens);
+
+    first.release();
+    first.release();
+    expect(aiUsageService.getReservedTokens('user-1')).toBe(0);
+
+    // Digests fall back to the template summary once the quota is used up
+    jest.spyOn(openaiService, 'isAvailable').mockReturnValue(true);
+    jest.spyOn(aiPrivacyService, 'hasAIConsent').mockResolvedValue(true);
+    jest.spyOn(firebaseService, 'getUserClaims').mockResolvedValue({});
+    const release = await digestService.reserveAISummary('user-1');
+    expect(aiUsageService.getReservedTokens('user-1')).toBe(aiUsageService.estimateTokens('digest'));
+    release();
+
+    aiUsageService.getQuotas.mockReturnValue({ daily: 20000, monthly: 200000 });
+    jest.useFakeTimers({ now });
+    try {
+      await expect(digestService.reserveAISummary('user-1')).resolves.toBeNull();
+      expect(aiUsageService.getReservedTokens('user-1')).toBe(0);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,70 @@
+const anomalyService = require('../src/services/anomalies');
+const firestoreService = require('../src/services/firestore');
+
+const buildCycles = (firstStart, lengths, extra = {}) => {
+  const cycles = [];
+  let current = new Date(`${firstStart}T00:00:00Z`);
+  cycles.push({ start_date: current.toISOString().split('T')[0], period_duration: 5, ...extra });
+  lengths.forEach(length => {
+    current = new Date(current.getTime() + length * 24 * 60 * 60 * 1000);
+    cycles.push({ start_date: current.toISOString().split('T')[0], period_duration: 5, ...extra });
+  });
+  return cycles;
+};
+
+const codes = report => report.flags.map(flag => flag.code);
+
+describe('⚠️ Cycle Anomaly Detection', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('regular cycles produce no flags', () => {
+    const cycles = buildCycles('2026-01-01', [28, 29, 28, 27]);
+    const report = anomalyService.detectAnomalies(cycles, new Date('2026-04-20T00:00:00Z'));
+
+    expect(report.flags).toEqual([]);
+    expect(report.is_irregular).toBe(false);
+    expect(report.highest_severity).toBeNull();
+  });
+
+  test('flags infrequent periods and high variability', () => {
+    const cycles = buildCycles('2026-01-01', [45, 30, 52, 29]);
+    const report = anomalyService.detectAnomalies(cycles, new Date('2026-06-10T00:00:00Z'));
+
+    expect(codes(report)).toEqual(expect.arrayContaining(['oligomenorrhea', 'high_variability']));
+    expect(report.is_irregular).toBe(true);
+  });
+
+  test('flags prolonged bleeding', () => {
+    const cycles = buildCycles('2026-01-01', [28, 28], { period_duration: 10 });
+    const report = anomalyService.detectAnomalies(cycles, new Date('2026-03-01T00:00:00Z'));
+
+    expect(codes(report)).toContain('prolonged_bleeding');
+    expect(report.highest_severity).toBe('alert');
+  });
+
+  test('flags a missed period and escalates to amenorrhea', () => {
+    const cycles = buildCycles('2026-01-01', [28, 28]);
+
+    expect(codes(anomalyService.detectAnomalies(cycles, new Date('2026-04-05T00:00:00Z')))).toContain('missed_period');
+    expect(codes(anomalyService.detectAnomalies(cycles, new Date('2026-06-01T00:00:00Z')))).toContain('amenorrhea');
+  });
+
+  test('ignores withdrawal and breakthrough bleeds on hormonal contraception', async () => {
+    // Natural cycles, then irregular breakthrough bleeds after starting an implant
+    const cycles = [
+      ...buildCycles('2026-01-01', [28]),
+      ...buildCycles('2026-02-20', [12, 50, 9], { hormonal_contraception: true })
+    ];
+    expect(codes(anomalyService.detectAnomalies(cycles, new Date('2026-06-01T00:00:00Z')))).toEqual([]);
+
+    jest.spyOn(firestoreService, 'getCycles').mockResolvedValue(buildCycles('2026-01-01', [28, 12, 50, 9]));
+    jest.spyOn(firestoreService, 'getUserProfile').mockResolvedValue({ time_zone: 'UTC' });
+    jest.spyOn(firestoreService, 'getMedications').mockResolvedValue([
+      { category: 'contraception', contraception_method: 'implant', schedule: 'daily', start_date: '2026-02-15', end_date: null }
+    ]);
+    const report = await anomalyService.getUserAnomalies('user-1');
+    expect(codes(report)).toEqual([]);
+  });
+});
@@ -0,0 +1,58 @@
+const calendarFeedService = require('../src/services/calendar-feed');
+const predictionService = require('../src/services/prediction');
+const { buildIcsCalendar, foldIcsLine, escapeIcsText } = require('../src/utils/ics');
+
+const cycles = [
+  { start_date: '2026-01-01', period_duration: 5 },
+  { start_date: '2026-01-29', period_duration: 4 }
+];
+
+describe('📅 Calendar Feed', () => {
+  test('builds a valid ICS document with escaped, folded lines', () => {
+    const ics = buildIcsCalendar({
+      name: 'Lunara',
+      events: [{ uid: 'a@lunara.app', start: '2026-01-01', end: '2026-01-06', summary: 'Period; heavy, day 1', description: 'é'.repeat(60) }]
+    }, new Date('2026-01-02T08:30:00Z'));
+
+    const lines = ics.split('\r\n');
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(lines).toEqual(expect.arrayContaining([
+      'DTSTAMP:20260102T083000Z',
+      'DTSTART;VALUE=DATE:20260101',
+      'DTEND;VALUE=DATE:20260106',
+      'SUMMARY:Period\\; heavy\\, day 1'
+    ]));
+    expect(lines.every(line => Buffer.byteLength(line, 'utf8') <= 75)).toBe(true);
+    expect(foldIcsLine('x'.repeat(80)).split('\r\n ').join('')).toBe('x'.repeat(80));
+    expect(escapeIcsText('a\nb\\c')).toBe('a\\nb\\\\c');
+  });
+
+  test('creates period, prediction and fertile window events with stable UIDs', () => {
+    const { predictions } = predictionService.predictCycles(cycles, 2, new Date('2026-02-01T00:00:00Z'));
+    const events = calendarFeedService.buildFeedEvents({
+      userId: 'user-1',
+      cycles,
+      predictions,
+      settings: { notifications: { period_reminders: true, ovulation_reminders: false } }
+    });
+
+    expect(events.filter(event => event.summary === 'Period')).toHaveLength(2);
+    expect(events[1]).toMatchObject({ start: '2026-01-29', end: '2026-02-02' });
+
+    const predicted = events.find(event => event.summary === 'Predicted period');
+    const fertile = events.find(event => event.summary === 'Fertile window');
+    expect(predicted).toMatchObject({ start: predictions[0].period_start, alarm: { days_before: 1 } });
+    expect(fertile.alarm).toBeNull();
+    expect(new Set(events.map(event => event.uid)).size).toBe(events.length);
+
+    const again = calendarFeedService.buildFeedEvents({ userId: 'user-1', cycles, predictions });
+    expect(again.map(event => event.uid)).toEqual(events.map(event => event.uid));
+  });
+
+  test('stores only token hashes', () => {
+    const hash = calendarFeedService.hashToken('secret-token');
+    expect(hash).toMatch(/^[a-f0-9]{64}$/);
+    expect(hash).not.toContain('secret-token');
+  });
+});
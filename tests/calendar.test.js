@@ -0,0 +1,65 @@
+const calendarService = require('../src/services/calendar');
+const predictionService = require('../src/services/prediction');
+
+// Two 28-day cycles starting 2026-01-01, the second still open
+const cycles = [
+  { id: 'c1', start_date: '2026-01-01', period_duration: 5 },
+  { id: 'c2', start_date: '2026-01-29', period_duration: 5 }
+];
+const statistics = { average_cycle_length: 28, luteal_phase_length: 14 };
+
+describe('🗓️ Calendar View', () => {
+  test('numbers cycle days and phases across cycles with logged flow', () => {
+    const days = calendarService.buildCalendar({
+      from: '2026-01-27',
+      to: '2026-01-30',
+      cycles,
+      statistics,
+      periodEntries: [{ entry_date: '2026-01-29', flow: 'heavy' }]
+    });
+
+    expect(days.map(day => day.date)).toEqual(['2026-01-27', '2026-01-28', '2026-01-29', '2026-01-30']);
+    expect(days[1]).toMatchObject({ cycle_day: 28, phase: 'luteal' });
+    expect(days[2]).toMatchObject({ cycle_day: 1, phase: 'menstrual', period: { flow: 'heavy', is_period_day: true } });
+    expect(days[3].period).toEqual({ flow: null, is_period_day: false });
+  });
+
+  test('marks predicted period, fertile and ovulation days', () => {
+    const { predictions } = predictionService.predictCycles(cycles, 1, new Date('2026-02-01T00:00:00Z'));
+    const [prediction] = predictions;
+    const days = calendarService.buildCalendar({ from: '2026-02-01', to: '2026-03-10', cycles, statistics, predictions });
+    const byDate = Object.fromEntries(days.map(day => [day.date, day]));
+
+    expect(byDate[prediction.period_start].predicted.period).toBe(true);
+    expect(byDate[prediction.ovulation_date].predicted).toMatchObject({ fertile: true, ovulation: true });
+    expect(byDate['2026-02-01'].predicted).toEqual({ period: false, fertile: false, ovulation: false });
+
+    const suppressed = calendarService.buildCalendar({ from: '2026-02-01', to: '2026-02-02', cycles, statistics, predictionsSuppressed: true });
+    expect(suppressed[0]).toMatchObject({ cycle_day: null, phase: 'unknown' });
+  });
+
+  test('summarizes each log type per day', () => {
+    const [day] = calendarService.buildCalendar({
+      from: '2026-01-10',
+      to: '2026-01-10',
+      cycles,
+      statistics,
+      logs: {
+        nutrition: [
+          { log_date: new Date('2026-01-10T00:00:00Z'), meal_type: 'breakfast', calories: 400 },
+          { log_date: new Date('2026-01-10T00:00:00Z'), meal_type: 'lunch', calories: 650 }
+        ],
+        fitness: [{ logged_at: new Date('2026-01-10T18:00:00Z'), activity_type: 'running', duration_minutes: 30 }],
+        mentalHealth: [{ logged_at: '2026-01-10T21:00:00Z', mood_rating: 7 }, { logged_at: '2026-01-10T08:00:00Z', mood_rating: 8 }],
+        symptoms: [{ log_date: '2026-01-10', symptoms: [{ symptom_id: 'headache', severity: 'mild' }] }],
+        hotFlashes: [{ log_date: '2026-01-11', count: 3 }]
+      }
+    });
+
+    expect(day.logs.nutrition).toEqual({ count: 2, calories: 1050, meal_types: ['breakfast', 'lunch'] });
+    expect(day.logs.fitness).toMatchObject({ count: 1, duration_minutes: 30 });
+    expect(day.logs.mental_health).toMatchObject({ count: 2, average_mood: 7.5, average_stress: null });
+    expect(day.logs.symptoms.symptom_ids).toEqual(['headache']);
+    expect(day.logs.hot_flashes).toBeUndefined();
+  });
+});
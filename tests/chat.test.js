@@ -0,0 +1,69 @@
+const chatService = require('../src/services/chat');
+const firestoreService = require('../src/services/firestore');
+const openaiService = require('../src/services/openai');
+const aiContextService = require('../src/services/ai-context');
+
+const userData = {
+  cycle_length: 29,
+  cycle_phase: 'luteal',
+  recent_symptoms: '2 days with symptoms; most frequent: Fatigue ×2',
+  recent_moods: '3 check-ins over the last 14 days; average mood 4/10, energy 2.3/10'
+};
+
+describe('💬 Health Assistant Chat', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('trims history to the token budget, newest first', () => {
+    const messages = [
+      { role: 'user', content: 'a'.repeat(400) },
+      { role: 'assistant', content: 'b'.repeat(400) },
+      { role: 'user', content: 'c'.repeat(400) },
+      { role: 'assistant', content: 'd'.repeat(400) },
+      { role: 'user', content: 'why am I so tired this week?' }
+    ];
+
+    // 100 tokens per long message; a reply left at the start without its question is dropped
+    expect(chatService.trimHistory(messages, 250).map(message => message.content[0])).toEqual(['c', 'd', 'w']);
+    expect(chatService.trimHistory(messages, 350).map(message => message.content[0])).toEqual(['c', 'd', 'w']);
+    expect(chatService.trimHistory(messages, 150).map(message => message.content[0])).toEqual(['w']);
+    // The latest message is kept even when it exceeds the budget
+    expect(chatService.trimHistory([{ role: 'user', content: 'x'.repeat(2000) }], 10)).toHaveLength(1);
+  });
+
+  test('answers with health context and persists both messages', async () => {
+    jest.spyOn(aiContextService, 'buildUserData').mockResolvedValue(userData);
+    jest.spyOn(firestoreService, 'getChatMessages').mockResolvedValue([
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: 'Hello! How can I help?' }
+    ]);
+    const generateReply = jest.spyOn(openaiService, 'generateChatReply').mockResolvedValue('Low energy is common before your period.');
+    const createConversation = jest.spyOn(firestoreService, 'createConversation');
+    const saveMessage = jest.spyOn(firestoreService, 'saveChatMessage').mockImplementation(async (userId, conversationId, data) => ({ id: `m-${data.role}`, conversation_id: conversationId, ...data }));
+    const addMessages = jest.spyOn(firestoreService, 'addConversationMessages').mockResolvedValue();
+
+    const result = await chatService.sendMessage('user-1', { id: 'conv-1', user_id: 'user-1', title: 'Hi' }, 'Why am I so tired this week?');
+
+    const [context, history] = generateReply.mock.calls[0];
+    expect(context).toContain('Cycle: average length 29 days, current phase luteal');
+    expect(context).toContain('Mood: 3 check-ins over the last 14 days');
+    expect(history.map(message => message.role)).toEqual(['user', 'assistant', 'user']);
+
+    expect(createConversation).not.toHaveBeenCalled();
+    expect(saveMessage.mock.calls.map(call => call[2].role)).toEqual(['user', 'assistant']);
+    expect(addMessages).toHaveBeenCalledWith('conv-1', 2, expect.any(String));
+    expect(result).toMatchObject({ conversation_id: 'conv-1', reply: { content: 'Low energy is common before your period.' } });
+  });
+
+  test('stores nothing when no reply is generated', async () => {
+    jest.spyOn(aiContextService, 'buildUserData').mockResolvedValue(userData);
+    jest.spyOn(openaiService, 'generateChatReply').mockResolvedValue(null);
+    const createConversation = jest.spyOn(firestoreService, 'createConversation');
+    const saveMessage = jest.spyOn(firestoreService, 'saveChatMessage');
+
+    expect(await chatService.sendMessage('user-1', null, 'Hello')).toBeNull();
+    expect(createConversation).not.toHaveBeenCalled();
+    expect(saveMessage).not.toHaveBeenCalled();
+  });
+});
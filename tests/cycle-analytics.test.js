@@ -0,0 +1,58 @@
+const cycleAnalyticsService = require('../src/services/cycle-analytics');
+const { fisherExactGreater, benjaminiHochberg } = require('../src/utils/statistics');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const dayKey = (start, offset) => new Date(new Date(`${start}T00:00:00Z`).getTime() + offset * MS_PER_DAY).toISOString().split('T')[0];
+
+// Six 28-day cycles starting 2026-01-01 (five closed, one open)
+const cycles = Array.from({ length: 6 }, (_, index) => ({ start_date: dayKey('2026-01-01', index * 28), period_duration: 5 }));
+
+const buildLogs = () => {
+  const symptomLogs = [];
+  const mentalHealthLogs = [];
+
+  for (let offset = 0; offset < 5 * 28; offset++) {
+    const cycleDay = (offset % 28) + 1;
+    const date = dayKey('2026-01-01', offset);
+    const symptoms = [{ symptom_id: 'bloating', severity: 'mild' }];
+    if (cycleDay >= 27) symptoms.push({ symptom_id: 'headache', severity: 'moderate', location: 'head' });
+
+    symptomLogs.push({ log_date: date, symptoms });
+    mentalHealthLogs.push({ log_date: date, mood_rating: 7, energy_level: cycleDay <= 4 ? 3 : 7 + (offset % 2) });
+  }
+
+  return { symptomLogs, mentalHealthLogs };
+};
+
+describe('📊 Symptom/Cycle Phase Correlations', () => {
+  test('statistics helpers match reference values', () => {
+    expect(fisherExactGreater(3, 1, 1, 3)).toBeCloseTo(0.2429, 3);
+    expect(benjaminiHochberg([0.01, 0.04, 0.03])).toEqual([0.03, 0.04, 0.04]);
+  });
+
+  test('aligns days to cycle phases and the pre-period window', () => {
+    const calendar = cycleAnalyticsService.buildCycleCalendar(cycles);
+    const statistics = { average_cycle_length: 28, luteal_phase_length: 14 };
+
+    expect(cycleAnalyticsService.alignDate('2026-01-02', calendar, statistics).phase).toBe('menstrual');
+    expect(cycleAnalyticsService.alignDate('2026-01-28', calendar, statistics)).toMatchObject({
+      cycle_day: 28,
+      phase: 'luteal',
+      days_until_period: 1,
+      windows: ['luteal', 'pre_period']
+    });
+    expect(cycleAnalyticsService.alignDate('2025-12-01', calendar, statistics)).toBeNull();
+  });
+
+  test('finds symptoms clustering before the period and metric changes by phase', () => {
+    const report = cycleAnalyticsService.analyzeCorrelations({ cycles, ...buildLogs() });
+    const headache = report.correlations.find(item => item.symptom_id === 'headache' && item.window === 'pre_period');
+    const energy = report.correlations.find(item => item.metric === 'energy_level' && item.window === 'menstrual');
+
+    expect(headache.frequency_in_window).toBe(1);
+    expect(headache.summary).toContain('before your period');
+    expect(energy.difference).toBeLessThan(0);
+    expect(report.correlations.some(item => item.symptom_id === 'bloating')).toBe(false);
+    expect(report.correlations.some(item => item.metric === 'mood_rating')).toBe(false);
+  });
+});
@@ -0,0 +1,214 @@
+const firestoreService = require('../src/services/firestore');
+const predictionService = require('../src/services/prediction');
+const periodService = require('../src/services/period');
+const { validateCycleData } = require('../src/middleware/validation');
+
+const operators = {
+  '==': (a, b) => a === b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b
+};
+
+// In-memory cycles and period entries collections supporting the queries of the cycle methods
+const fakeDb = (cycles, entries = []) => {
+  const store = new Map(cycles.map(cycle => [cycle.id, { ...cycle }]));
+  const entryStore = new Map(entries.map(entry => [entry.id, { ...entry }]));
+  let nextId = 1;
+
+  const docRef = (collectionStore, id) => ({
+    get: async () => ({ id, exists: collectionStore.has(id), data: () => ({ ...collectionStore.get(id) }) }),
+    set: async (data, options = {}) => collectionStore.set(id, options.merge ? { ...collectionStore.get(id), ...data } : data),
+    update: async (data) => collectionStore.set(id, { ...collectionStore.get(id), ...data }),
+    delete: async () => collectionStore.delete(id)
+  });
+
+  const snapshotOf = (collectionStore, docs) => ({
+    empty: docs.length === 0,
+    size: docs.length,
+    docs: docs.map(([id, data]) => ({ id, ref: docRef(collectionStore, id), data: () => ({ ...data }) }))
+  });
+
+  const query = (collectionStore, filters = [], order = null, limit = Infinity) => ({
+    where: (field, op, value) => query(collectionStore, [...filters, [field, op, value]], order, limit),
+    orderBy: (field, direction = 'asc') => query(collectionStore, filters, [field, direction], limit),
+    limit: (count) => query(collectionStore, filters, order, count),
+    get: async () => {
+      const docs = [...collectionStore.entries()]
+        .filter(([, data]) => filters.every(([field, op, value]) => operators[op](data[field], value)))
+        .sort(([, a], [, b]) => {
+          if (!order) return 0;
+          const [field, direction] = order;
+          return (a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : 0) * (direction === 'desc' ? -1 : 1);
+        });
+      return snapshotOf(collectionStore, docs.slice(0, limit));
+    }
+  });
+
+  const db = {
+    store,
+    entryStore,
+    collection: (name) => {
+      const collectionStore = name === 'period_entries' ? entryStore : store;
+      return {
+        ...query(collectionStore),
+        add: async (data) => {
+          const id = `cycle-${nextId++}`;
+          collectionStore.set(id, data);
+          return { id };
+        },
+        doc: (id) => docRef(collectionStore, id)
+      };
+    },
+    batch: () => {
+      const refs = [];
+      return {
+        delete: (ref) => refs.push(ref),
+        commit: async () => Promise.all(refs.map(ref => ref.delete()))
+      };
+    }
+  };
+  return db;
+};
+
+const cycle = (id, startDate, fields = {}) => ({ id, user_id: 'user-1', start_date: startDate, period_duration: 5, ...fields });
+
+describe('🔁 Cycle History', () => {
+  const originalDb = firestoreService.db;
+
+  afterEach(() => {
+    firestoreService.db = originalDb;
+    jest.restoreAllMocks();
+  });
+
+  test('creates a cycle, closing the previous one and refreshing the statistics', async () => {
+    const db = fakeDb([cycle('c1', '2026-01-01', { cycle_length: 28, cycle_length_source: 'estimated', is_open: true })]);
+    firestoreService.db = db;
+    jest.spyOn(firestoreService, 'getMedications').mockResolvedValue([]);
+    const updateProfile = jest.spyOn(firestoreService, 'updateUserProfile').mockResolvedValue();
+
+    const created = await firestoreService.saveCycle('user-1', { start_date: '2026-01-30T08:00:00Z', period_duration: 4 });
+
+    expect(created).toMatchObject({ start_date: '2026-01-30', cycle_length_source: 'estimated', is_open: true });
+    expect(created.previous_cycle).toMatchObject({ id: 'c1', cycle_length: 29, end_date: '2026-01-29', is_open: false });
+    expect(db.store.get('c1')).toMatchObject({ cycle_length: 29, cycle_length_source: 'observed', is_open: false, needs_review: false });
+
+    const statistics = await predictionService.refreshUserStatistics('user-1');
+    expect(updateProfile).toHaveBeenCalledWith('user-1', expect.objectContaining({
+      cycle_length_average: statistics.average_cycle_length,
+      period_length_average: statistics.average_period_duration
+    }));
+  });
+
+  test('rejects a cycle that starts inside another cycle\'s period', async () => {
+    const db = fakeDb([cycle('c1', '2026-01-01'), cycle('c2', '2026-01-29')]);
+    firestoreService.db = db;
+
+    await expect(firestoreService.saveCycle('user-1', { start_date: '2026-01-03' })).rejects.toMatchObject({ statusCode: 409 });
+    await expect(firestoreService.saveCycle('user-1', { start_date: '2026-01-26', period_duration: 5 })).rejects.toMatchObject({ statusCode: 409 });
+
+    // Moving a cycle is checked against the other cycles only
+    await expect(firestoreService.editCycle('user-1', { id: 'c2', ...db.store.get('c2') }, { start_date: '2026-01-02' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    await expect(firestoreService.editCycle('user-1', { id: 'c2', ...db.store.get('c2') }, { start_date: '2026-01-30' })).resolves.toBeDefined();
+    expect(db.store.size).toBe(2);
+  });
+
+  test('edits a cycle, recomputing its own length and the lengths around it', async () => {
+    const db = fakeDb([
+      cycle('c1', '2026-01-01', { cycle_length: 28, cycle_length_source: 'observed', end_date: '2026-01-28', is_open: false }),
+      cycle('c2', '2026-01-29', { cycle_length: 30, cycle_length_source: 'observed', end_date: '2026-02-27', is_open: false }),
+      cycle('c3', '2026-02-28', { cycle_length: 28, cycle_length_source: 'estimated', is_open: true })
+    ]);
+    firestoreService.db = db;
+
+    const updated = await firestoreService.editCycle('user-1', { id: 'c2', ...db.store.get('c2') }, { start_date: '2026-02-02T10:00:00Z' });
+
+    expect(updated).toMatchObject({ start_date: '2026-02-02', cycle_length: 26, end_date: '2026-02-27', is_open: false });
+    expect(db.store.get('c2').start_date).toBe('2026-02-02');
+    expect(db.store.get('c1')).toMatchObject({ cycle_length: 32, end_date: '2026-02-01', is_open: false });
+    expect(db.store.get('c3')).toMatchObject({ cycle_length_source: 'estimated', is_open: true });
+
+    // Moving the latest cycle before another one reorders the history
+    await firestoreService.editCycle('user-1', { id: 'c3', ...db.store.get('c3') }, { start_date: '2026-01-15' });
+    expect(db.store.get('c3')).toMatchObject({ cycle_length: 18, cycle_length_source: 'observed', is_open: false, needs_review: true, review_reasons: ['short_interval'] });
+    expect(db.store.get('c2')).toMatchObject({ cycle_length: 28, cycle_length_source: 'estimated', end_date: null, is_open: true });
+  });
+
+  test('deletes a cycle, closing the previous one against the next or reopening it', async () => {
+    const db = fakeDb([
+      cycle('c1', '2026-01-01', { cycle_length: 28, cycle_length_source: 'observed', end_date: '2026-01-28', is_open: false }),
+      cycle('c2', '2026-01-29', { cycle_length: 30, cycle_length_source: 'observed', end_date: '2026-02-27', is_open: false }),
+      cycle('c3', '2026-02-28', { cycle_length: 28, cycle_length_source: 'estimated', is_open: true })
+    ]);
+    firestoreService.db = db;
+
+    const previous = await firestoreService.removeCycle('user-1', { id: 'c2', ...db.store.get('c2') });
+    expect(previous).toMatchObject({ id: 'c1', cycle_length: 58, cycle_length_source: 'observed', end_date: '2026-02-27', is_open: false });
+    expect(db.store.has('c2')).toBe(false);
+
+    await firestoreService.removeCycle('user-1', { id: 'c3', ...db.store.get('c3') });
+    expect(db.store.get('c1')).toMatchObject({ cycle_length: 28, cycle_length_source: 'estimated', end_date: null, is_open: true, needs_review: false, review_reasons: [] });
+  });
+
+  test('deletes a cycle\'s period entries and clears its derived fields once no bleeding days remain', async () => {
+    const db = fakeDb([
+      cycle('c1', '2026-01-01', { period_end_date: '2026-01-02', period_duration: 2, heaviest_flow: 'heavy', clots_reported: true, max_pain_score: 6, spotting_days: 0, derived_from_entries: true }),
+      cycle('c2', '2026-01-29', { cycle_length: 28, cycle_length_source: 'estimated', is_open: true })
+    ], [
+      { id: 'e1', user_id: 'user-1', cycle_id: 'c1', entry_date: '2026-01-01', flow: 'heavy' },
+      { id: 'e2', user_id: 'user-1', cycle_id: 'c1', entry_date: '2026-01-04', flow: 'spotting' },
+      { id: 'e3', user_id: 'user-1', cycle_id: 'c2', entry_date: '2026-01-29', flow: 'medium' }
+    ]);
+    firestoreService.db = db;
+
+    await expect(periodService.removeEntry({ id: 'e1', ...db.entryStore.get('e1') })).resolves.toBeNull();
+    expect(db.store.get('c1')).toMatchObject({
+      start_date: '2026-01-01',
+      period_end_date: null,
+      period_duration: null,
+      heaviest_flow: null,
+      clots_reported: null,
+      max_pain_score: null,
+      spotting_days: 1,
+      derived_from_entries: false
+    });
+
+    await firestoreService.removeCycle('user-1', { id: 'c2', ...db.store.get('c2') });
+    expect([...db.entryStore.keys()]).toEqual(['e2']);
+  });
+
+  test('moves a cycle start to an earlier bleeding day, recomputing the lengths and the day\'s old cycle', async () => {
+    const db = fakeDb([
+      cycle('c1', '2026-01-01', { cycle_length: 28, cycle_length_source: 'observed', end_date: '2026-01-28', is_open: false, period_duration: 1, spotting_days: 1, derived_from_entries: true }),
+      cycle('c2', '2026-01-29', { cycle_length: 28, cycle_length_source: 'observed', end_date: '2026-02-25', is_open: false, period_duration: 1, derived_from_entries: true }),
+      cycle('c3', '2026-02-26', { cycle_length: 28, cycle_length_source: 'estimated', is_open: true })
+    ], [
+      { id: 'user-1_2026-01-01', user_id: 'user-1', cycle_id: 'c1', entry_date: '2026-01-01', flow: 'heavy' },
+      { id: 'user-1_2026-01-28', user_id: 'user-1', cycle_id: 'c1', entry_date: '2026-01-28', flow: 'spotting' },
+      { id: 'user-1_2026-01-29', user_id: 'user-1', cycle_id: 'c2', entry_date: '2026-01-29', flow: 'heavy' }
+    ]);
+    firestoreService.db = db;
+
+    // The spotting day turns out to be the first day of the next period
+    const result = await periodService.recordEntry('user-1', { entry_date: '2026-01-28', flow: 'medium' });
+
+    expect(result).toMatchObject({ cycle_id: 'c2', cycle_summary: { start_date: '2026-01-28', period_duration: 2 } });
+    expect(db.store.get('c2')).toMatchObject({ start_date: '2026-01-28', cycle_length: 29, end_date: '2026-02-25', is_open: false });
+    expect(db.store.get('c1')).toMatchObject({ cycle_length: 27, end_date: '2026-01-27', spotting_days: 0 });
+  });
+
+  test('accepts numeric strings for cycle lengths and stores them as numbers', () => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    const req = { body: { start_date: '2026-01-01', cycle_length: '29', period_duration: '5' } };
+
+    validateCycleData(req, res, next);
+    expect(next).toHaveBeenCalled();
+    expect(req.body).toMatchObject({ cycle_length: 29, period_duration: 5 });
+
+    validateCycleData({ body: { start_date: '2026-01-01', cycle_length: 'monthly' } }, res, next);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
@@ -0,0 +1,69 @@
+const digestService = require('../src/services/digest');
+const firestoreService = require('../src/services/firestore');
+const openaiService = require('../src/services/openai');
+const predictionService = require('../src/services/prediction');
+const { DEFAULT_USER_SETTINGS } = require('../src/utils/constants');
+
+describe('📰 Health Digests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('generates digests only for opted-in users at the local digest hour', () => {
+    const optedIn = { ...DEFAULT_USER_SETTINGS, digests: { daily: true, weekly: true } };
+
+    // 2026-03-08 is a Sunday
+    expect(digestService.getDueFrequencies(optedIn, '2026-03-08', 19 * 60 + 30)).toEqual(['daily', 'weekly']);
+    expect(digestService.getDueFrequencies(optedIn, '2026-03-07', 19 * 60)).toEqual(['daily']);
+    expect(digestService.getDueFrequencies(optedIn, '2026-03-08', 18 * 60 + 59)).toEqual([]);
+    expect(digestService.getDueFrequencies(DEFAULT_USER_SETTINGS, '2026-03-08', 19 * 60)).toEqual([]);
+
+    expect(digestService.getPeriod('weekly', '2026-03-08')).toEqual({ period_start: '2026-03-02', period_end: '2026-03-08' });
+  });
+
+  test('falls back to a template summary when AI is unavailable', async () => {
+    jest.spyOn(openaiService, 'isAvailable').mockReturnValue(false);
+    jest.spyOn(firestoreService, 'getPeriodEntries').mockResolvedValue([{ entry_date: '2026-03-02' }, { entry_date: '2026-03-03' }]);
+    jest.spyOn(firestoreService, 'getNutritionLogsInRange').mockResolvedValue([
+      { local_date: '2026-03-02', calories: 600 },
+      { local_date: '2026-03-02', calories: 900 },
+      { local_date: '2026-03-04', calories: 1500 }
+    ]);
+    jest.spyOn(firestoreService, 'getFitnessLogsInRange').mockResolvedValue([
+      { activity_type: 'yoga', duration_minutes: 30 },
+      { activity_type: 'running', duration_minutes: 25 }
+    ]);
+    jest.spyOn(firestoreService, 'getMentalHealthLogsInRange').mockResolvedValue([
+      { mood_rating: 6, stress_level: 4 },
+      { mood_rating: 8, stress_level: 3 }
+    ]);
+    jest.spyOn(firestoreService, 'getSymptomLogs').mockResolvedValue([
+      { symptoms: [{ symptom_id: 'cramps' }, { symptom_id: 'bloating' }] },
+      { symptoms: [{ symptom_id: 'cramps' }] }
+    ]);
+    jest.spyOn(predictionService, 'getUserPredictions').mockResolvedValue({
+      predictions: [{ period_start: '2026-03-30' }],
+      predictions_suppressed: false,
+      current_phase: 'follicular'
+    });
+    const saveDigest = jest.spyOn(firestoreService, 'saveDigest').mockImplementation(async (userId, data) => ({ id: `${userId}_${data.frequency}_${data.period_end}`, ...data }));
+
+    const digest = await digestService.generateDigest('user-1', 'weekly', '2026-03-08');
+
+    expect(saveDigest).toHaveBeenCalledTimes(1);
+    expect(digest).toMatchObject({
+      id: 'user-1_weekly_2026-03-08',
+      period_start: '2026-03-02',
+      source: 'template',
+      stats: {
+        cycle: { period_days: 2, next_period_date: '2026-03-30' },
+        nutrition: { logs: 3, average_daily_calories: 1500 },
+        fitness: { sessions: 2, total_minutes: 55, activity_types: ['yoga', 'running'] },
+        mood: { logs: 2, average_mood: 7, average_stress: 3.5, average_energy: null }
+      }
+    });
+    expect(digest.stats.symptoms.top_symptoms[0]).toBe('Cramps');
+    expect(digest.summary).toMatch(/^Here is your week at a glance\. Period logged on 2 days\./);
+    expect(digest.summary).toContain('Average mood 7/10, stress 3.5/10.');
+  });
+});
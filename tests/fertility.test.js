@@ -0,0 +1,59 @@
+const fertilityService = require('../src/services/fertility');
+
+const day = n => `2026-03-${String(n).padStart(2, '0')}`;
+
+// Low phase around 36.4°C, shift to ~36.8°C from day 16
+const temperatures = [36.4, 36.3, 36.5, 36.4, 36.3, 36.4, 36.5, 36.4, 36.3, 36.4, 36.5, 36.4, 36.3, 36.4, 36.3, 36.7, 36.8, 36.8, 36.9];
+
+const buildLogs = (overrides = {}) => temperatures.map((temperature, index) => ({
+  log_date: day(index + 1),
+  basal_body_temperature: temperature,
+  ...(overrides[index + 1] || {})
+}));
+
+describe('🌡️ Sympto-thermal Ovulation Detection', () => {
+  test('detects a sustained temperature shift with the 3 over 6 rule', () => {
+    const shift = fertilityService.detectTemperatureShift(buildLogs());
+
+    expect(shift.shift_date).toBe(day(16));
+    expect(shift.coverline).toBe(36.5);
+    expect(shift.ovulation_date).toBe(day(15));
+  });
+
+  test('ignores disturbed temperatures', () => {
+    const logs = buildLogs({ 10: { basal_body_temperature: 37.2, temperature_disturbed: true } });
+
+    expect(fertilityService.detectTemperatureShift(logs).shift_date).toBe(day(16));
+  });
+
+  test('confirms ovulation when the LH peak agrees with the temperature shift', () => {
+    const logs = buildLogs({ 13: { lh_test: 'negative' }, 14: { lh_test: 'peak' }, 15: { lh_test: 'negative' } });
+    const analysis = fertilityService.detectOvulation(logs);
+
+    expect(analysis.status).toBe('confirmed');
+    expect(analysis.ovulation_date).toBe(day(15));
+    expect(analysis.signals.lh_peak.peak_date).toBe(day(14));
+  });
+
+  test('confirms ovulation from the mucus peak when no LH tests were logged', () => {
+    const logs = buildLogs({ 13: { cervical_mucus: 'egg_white' }, 14: { cervical_mucus: 'egg_white' }, 15: { cervical_mucus: 'sticky' } });
+    const analysis = fertilityService.detectOvulation(logs);
+
+    expect(analysis.status).toBe('confirmed');
+    expect(analysis.signals.mucus_peak.peak_date).toBe(day(14));
+  });
+
+  test('reports a probable ovulation from a single signal', () => {
+    const logs = [{ log_date: day(12), lh_test: 'positive' }, { log_date: day(13), lh_test: 'negative' }];
+    const analysis = fertilityService.detectOvulation(logs);
+
+    expect(analysis.status).toBe('probable');
+    expect(analysis.ovulation_date).toBe(day(13));
+  });
+
+  test('does not detect ovulation without a shift or surge', () => {
+    const logs = buildLogs().slice(0, 12);
+
+    expect(fertilityService.detectOvulation(logs).status).toBe('not_detected');
+  });
+});
@@ -0,0 +1,72 @@
+const openaiService = require('../src/services/openai');
+const { FixtureProvider } = require('../src/services/llm-providers');
+const { parseInsightOutput } = require('../src/utils/insight-schema');
+
+const validReply = JSON.stringify({
+  summary: 'Your energy dips in the late luteal phase.',
+  recommendations: [
+    { text: 'Plan lighter workouts in the days before your period', category: 'Fitness', priority: 'HIGH' },
+    { text: 'Keep a regular bedtime', category: 'sleep', priority: 'medium' }
+  ],
+  data_points: [{ label: 'Cycle phase', value: 'luteal' }, { label: 'Average stress', value: 6.5 }],
+  follow_up_questions: ['Why am I more tired before my period?']
+});
+
+describe('🧾 Structured AI Insights', () => {
+  const original = openaiService.provider;
+
+  afterEach(() => {
+    openaiService.setProvider(original);
+  });
+
+  test('validates and normalizes insight replies', () => {
+    const { output, errors } = parseInsightOutput(`\`\`\`json\n${validReply}\n\`\`\``);
+    expect(errors).toEqual([]);
+    expect(output.recommendations[0]).toEqual({ text: 'Plan lighter workouts in the days before your period', category: 'fitness', priority: 'high' });
+    expect(output.data_points[1]).toEqual({ label: 'Average stress', value: 6.5 });
+
+    expect(parseInsightOutput('Drink more water.').errors).toEqual(['Reply is not valid JSON']);
+    expect(parseInsightOutput(JSON.stringify({ summary: 'Hi', recommendations: [{ text: 'Rest', category: 'naps', priority: 'urgent' }] })).errors).toEqual([
+      'recommendations[0].category must be one of: cycle, nutrition, fitness, mood, sleep, symptoms, medical, general',
+      'recommendations[0].priority must be one of: high, medium, low'
+    ]);
+  });
+
+  test('retries once with the schema errors and stores the structured fields', async () => {
+    const fixture = new FixtureProvider({ responses: ['{"summary": "Rest more."}', validReply] });
+    openaiService.setProvider(fixture);
+
+    const insight = await openaiService.generateHealthInsight({ age: 30 }, 'fitness_suggestion');
+
+    expect(fixture.requests).toHaveLength(2);
+    expect(fixture.requests[0]).toMatchObject({ response_format: 'json' });
+    expect(fixture.requests[1].messages.slice(-2)).toEqual([
+      { role: 'assistant', content: '{"summary": "Rest more."}' },
+      { role: 'user', content: 'Your reply did not match the required format: "recommendations" must be a non-empty array. Reply again with only the corrected JSON object.' }
+    ]);
+    expect(insight).toMatchObject({
+      type: 'fitness_suggestion',
+      content: 'Your energy dips in the late luteal phase.',
+      summary: 'Your energy dips in the late luteal phase.',
+      follow_up_questions: ['Why am I more tired before my period?'],
+      schema_version: 1,
+      model: 'fixture'
+    });
+    expect(insight.recommendations).toHaveLength(2);
+    expect(insight).not.toHaveProperty('confidence_score');
+
+    // A streamed reply is retried without streaming, after telling the client to discard the summary
+    const events = [];
+    openaiService.setProvider(new FixtureProvider({ responses: ['{"summary": "Rest more."}', validReply] }));
+    const streamed = await openaiService.streamHealthInsight({ age: 30 }, 'fitness_suggestion', {
+      onDelta: content => events.push(content),
+      onRetry: () => events.push('reset')
+    });
+    expect(events.join('')).toBe('Rest more.reset');
+    expect(streamed.summary).toBe('Your energy dips in the late luteal phase.');
+
+    // A second invalid reply gives up
+    openaiService.setProvider(new FixtureProvider({ responses: ['not json', 'still not json'] }));
+    expect(await openaiService.generateHealthInsight({ age: 30 }, 'fitness_suggestion')).toBeNull();
+  });
+});
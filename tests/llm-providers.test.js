@@ -0,0 +1,48 @@
+const openaiService = require('../src/services/openai');
+const chatService = require('../src/services/chat');
+const { FixtureProvider, LocalProvider, getLLMConfig, createProvider } = require('../src/services/llm-providers');
+
+describe('🔌 Language Model Providers', () => {
+  const original = openaiService.provider;
+
+  afterEach(() => {
+    openaiService.setProvider(original);
+  });
+
+  test('selects and configures the provider from the environment', () => {
+    expect(getLLMConfig({ OPENAI_API_KEY: 'sk-test' })).toMatchObject({ provider: 'openai', model: 'gpt-3.5-turbo', api_key: 'sk-test', temperature: null, max_tokens: null });
+    expect(createProvider(getLLMConfig({}))).toBeNull();
+
+    const config = getLLMConfig({ LLM_PROVIDER: 'local', LLM_BASE_URL: 'http://localhost:11434/v1', LLM_MODEL: 'mistral', LLM_TEMPERATURE: '0.2', LLM_MAX_TOKENS: '150' });
+    expect(config).toMatchObject({ provider: 'local', model: 'mistral', temperature: 0.2, max_tokens: 150 });
+
+    const local = createProvider(config);
+    expect(local).toBeInstanceOf(LocalProvider);
+    expect(local).toMatchObject({ name: 'local', model: 'mistral', baseURL: 'http://localhost:11434/v1' });
+
+    // Configured values replace the temperature and cap the token limit of every task
+    openaiService.setProvider(local, config);
+    expect(openaiService.getRequestOptions('insight')).toEqual({ maxTokens: 150, temperature: 0.2 });
+    expect(openaiService.getRequestOptions('quick_tip')).toEqual({ maxTokens: 100, temperature: 0.2 });
+  });
+
+  test('generates and streams deterministic fixture replies', async () => {
+    const fixture = new FixtureProvider({ responses: ['Drink water regularly.'] });
+    openaiService.setProvider(fixture, { temperature: null, max_tokens: null });
+
+    expect(await openaiService.generateQuickTip('hydration')).toBe('Drink water regularly.');
+    expect(fixture.requests[0]).toMatchObject({ max_tokens: 100, temperature: 0.8, stream: false });
+
+    // Without scripted responses the fixture echoes the prompt
+    const deltas = [];
+    const content = await openaiService.streamCompletion('chat', [{ role: 'user', content: 'How can I sleep better?' }], { onDelta: delta => deltas.push(delta) });
+    expect(content).toBe('Fixture reply: How can I sleep better?');
+    expect(deltas).toEqual(['Fixture ', 'reply: ', 'How ', 'can ', 'I ', 'sleep ', 'better?']);
+
+    // Chat history is trimmed with the provider's token count
+    jest.spyOn(fixture, 'countTokens').mockReturnValue(100);
+    const history = ['a', 'b', 'c'].map(content => ({ role: 'user', content }));
+    expect(chatService.trimHistory(history, 200).map(message => message.content)).toEqual(['b', 'c']);
+    jest.restoreAllMocks();
+  });
+});
@@ -0,0 +1,101 @@
+const medicationService = require('../src/services/medication');
+const predictionService = require('../src/services/prediction');
+const firestoreService = require('../src/services/firestore');
+const { MEDICATION } = require('../src/utils/constants');
+
+const pill = {
+  id: 'pill',
+  name: 'Yasmin',
+  category: 'contraception',
+  contraception_method: 'combined_pill',
+  schedule: 'pill_pack',
+  pack: { active_pills: 21, placebo_pills: 7, start_date: '2026-01-01' },
+  start_date: '2026-01-01',
+  end_date: null
+};
+
+describe('💊 Medications & Contraception', () => {
+  test('follows pill pack days and predicts withdrawal bleeds in placebo weeks', () => {
+    expect(medicationService.getPackDay(pill, '2026-01-21')).toEqual({ pack_day: 21, pack_length: 28, is_placebo: false });
+    expect(medicationService.getPackDay(pill, '2026-01-22').is_placebo).toBe(true);
+    expect(medicationService.getPackDay(pill, '2026-01-29').pack_day).toBe(1);
+
+    expect(medicationService.getWithdrawalBleeds(pill, '2026-01-25', 2)).toEqual([
+      { start: '2026-01-22', end: '2026-01-28' },
+      { start: '2026-02-19', end: '2026-02-25' }
+    ]);
+
+    const status = medicationService.getContraceptionStatus([pill], '2026-02-01');
+    expect(status).toMatchObject({ medication_id: 'pill', method: 'combined_pill', hormonal: true });
+    expect(medicationService.getContraceptionStatus([{ ...pill, contraception_method: 'copper_iud', schedule: 'daily' }], '2026-02-01').hormonal).toBe(false);
+  });
+
+  test('reads every dose log of an adherence range page by page', async () => {
+    const originalDb = firestoreService.db;
+    const doses = Array.from({ length: MEDICATION.DOSE_PAGE_SIZE + 3 }, (_, index) => ({ id: `dose-${index}`, dose_date: '2026-01-01', status: 'taken' }));
+    const pages = [];
+
+    // Serves the dose logs after the startAfter document, in pages of the requested size
+    const query = (after = null) => ({
+      where: () => query(after),
+      orderBy: () => query(after),
+      startAfter: (doc) => query(doc),
+      limit: (count) => ({
+        get: async () => {
+          const offset = after ? doses.findIndex(dose => dose.id === after.id) + 1 : 0;
+          const page = doses.slice(offset, offset + count);
+          pages.push(page.length);
+          return { docs: page.map(dose => ({ id: dose.id, data: () => dose })) };
+        }
+      })
+    });
+    firestoreService.db = { collection: () => query() };
+
+    try {
+      const result = await firestoreService.getMedicationDosesInRange('user-1', '2026-01-01', '2026-01-31');
+      expect(result).toHaveLength(doses.length);
+      expect(pages).toEqual([MEDICATION.DOSE_PAGE_SIZE, 3]);
+    } finally {
+      firestoreService.db = originalDb;
+    }
+  });
+
+  test('computes adherence for scheduled regimens and counts as-needed use', () => {
+    const taken = (date) => ({ dose_date: date, status: 'taken' });
+
+    // 28 days of one pack: 21 active pills expected, placebo days ignored
+    const packDoses = Array.from({ length: 21 }, (_, day) => taken(`2026-01-${String(day + 1).padStart(2, '0')}`)).slice(0, 18);
+    expect(medicationService.calculateAdherence(pill, packDoses, '2026-01-01', '2026-01-28')).toMatchObject({
+      expected_doses: 21,
+      taken_doses: 18,
+      missed_doses: 3,
+      adherence_percent: 85.7
+    });
+
+    // Iron twice a week (Monday and Thursday), duplicate logs count once
+    const iron = { id: 'iron', name: 'Iron', category: 'supplement', schedule: 'weekly', days_of_week: ['monday', 'thursday'], start_date: '2026-01-01' };
+    expect(medicationService.calculateAdherence(iron, [taken('2026-01-05'), taken('2026-01-05'), { dose_date: '2026-01-08', status: 'missed' }], '2026-01-05', '2026-01-11'))
+      .toMatchObject({ expected_doses: 2, taken_doses: 1, adherence_percent: 50 });
+
+    const ibuprofen = { id: 'ibu', name: 'Ibuprofen', category: 'medication', schedule: 'as_needed', start_date: '2026-01-01' };
+    expect(medicationService.calculateAdherence(ibuprofen, [taken('2026-01-02'), taken('2026-01-02'), taken('2026-01-03')], '2026-01-01', '2026-01-31'))
+      .toMatchObject({ expected_doses: null, adherence_percent: null, taken_doses: 3, days_used: 2 });
+  });
+
+  test('marks cycles started on hormonal contraception and leaves them out of the learned pattern', () => {
+    const onPill = { ...pill, start_date: '2026-03-01', pack: { ...pill.pack, start_date: '2026-03-01' } };
+    const cycles = medicationService.markContraceptionCycles([
+      { start_date: '2026-01-01', period_duration: 5 },
+      { start_date: '2026-02-01', period_duration: 5 },
+      { start_date: '2026-03-22', period_duration: 3 },
+      { start_date: '2026-04-19', period_duration: 3 }
+    ], [onPill]);
+
+    expect(cycles.map(cycle => cycle.bleed_type)).toEqual(['natural', 'natural', 'withdrawal', 'withdrawal']);
+    expect(cycles[2]).toMatchObject({ hormonal_contraception: true, contraception_method: 'combined_pill' });
+
+    const statistics = predictionService.calculateStatistics(cycles);
+    expect(statistics.cycle_lengths).toEqual([31]);
+    expect(statistics.average_period_duration).toBe(5);
+  });
+});
@@ -0,0 +1,64 @@
+const notificationService = require('../src/services/notification');
+const firestoreService = require('../src/services/firestore');
+
+const device = (id, token, updatedAt = '2026-03-01T00:00:00Z') => ({
+  id: `user-1_${id}`,
+  user_id: 'user-1',
+  device_id: id,
+  token,
+  platform: 'ios',
+  updated_at: updatedAt
+});
+
+describe('🔔 Push Notifications', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    notificationService.setMessagingClient(null);
+  });
+
+  test('sends to every device, prunes invalid tokens and records history', async () => {
+    const messaging = {
+      sendEachForMulticast: jest.fn(async ({ tokens }) => ({
+        successCount: 1,
+        failureCount: 2,
+        responses: tokens.map(token => token === 'good'
+          ? { success: true }
+          : { success: false, error: { code: token === 'gone' ? 'messaging/registration-token-not-registered' : 'messaging/internal-error' } })
+      }))
+    };
+    notificationService.setMessagingClient(messaging);
+
+    jest.spyOn(firestoreService, 'getUserDevices').mockResolvedValue([device('a', 'good'), device('b', 'gone'), device('c', 'flaky')]);
+    const deleteDevices = jest.spyOn(firestoreService, 'deleteUserDevices').mockResolvedValue();
+    const saveHistory = jest.spyOn(firestoreService, 'saveNotificationHistory').mockResolvedValue({});
+
+    const notification = { type: 'period', title: 'Period coming up', body: 'Soon', data: { date: '2026-03-12', missing: null } };
+    expect(await notificationService.sendToUser('user-1', notification)).toEqual({ delivered: 1, failed: 2, pruned: 1 });
+
+    expect(messaging.sendEachForMulticast).toHaveBeenCalledWith({
+      tokens: ['good', 'gone', 'flaky'],
+      notification: { title: 'Period coming up', body: 'Soon' },
+      data: { type: 'period', date: '2026-03-12' }
+    });
+    expect(deleteDevices).toHaveBeenCalledWith(['user-1_b']);
+    expect(saveHistory).toHaveBeenCalledWith('user-1', expect.objectContaining({ type: 'period', devices: 3, delivered: 1, failed: 2, pruned: 1 }));
+  });
+
+  test('moves a re-registered token to the new device and caps devices per user', async () => {
+    jest.spyOn(firestoreService, 'saveUserDevice').mockImplementation(async (userId, deviceId, data) => ({ id: `${userId}_${deviceId}`, device_id: deviceId, ...data }));
+    jest.spyOn(firestoreService, 'getDevicesByToken').mockResolvedValue([
+      { id: 'user-2_old', user_id: 'user-2', device_id: 'old', token: 'shared' },
+      { id: 'user-1_new', user_id: 'user-1', device_id: 'new', token: 'shared' }
+    ]);
+    const existing = Array.from({ length: 10 }, (_, i) => device(`d${i}`, `t${i}`, `2026-03-${String(i + 1).padStart(2, '0')}T00:00:00Z`));
+    jest.spyOn(firestoreService, 'getUserDevices').mockResolvedValue([...existing, device('new', 'shared')]);
+    const deleteDevices = jest.spyOn(firestoreService, 'deleteUserDevices').mockResolvedValue();
+
+    const registered = await notificationService.registerDevice('user-1', { device_id: 'new', token: 'shared', platform: 'android', locale: 'en-GB' });
+
+    expect(registered).toMatchObject({ device_id: 'new', platform: 'android', locale: 'en-GB' });
+    expect(registered.token).toBeUndefined();
+    // Another user's copy of the token and the oldest device beyond the cap are removed
+    expect(deleteDevices).toHaveBeenCalledWith(['user-2_old', 'user-1_d0']);
+  });
+});
@@ -0,0 +1,85 @@
+const { encodeCursor, decodeCursor } = require('../src/utils/helpers');
+const { validateQueryParams } = require('../src/middleware/validation');
+const firestoreService = require('../src/services/firestore');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Minimal query double that records the chain and serves fixed documents
+const fakeCollection = (docs, calls) => {
+  const query = {};
+  ['where', 'orderBy', 'startAfter', 'limit'].forEach(method => {
+    query[method] = (...args) => {
+      calls.push([method, ...args]);
+      return query;
+    };
+  });
+  query.get = async () => ({
+    docs: docs.map(doc => ({ id: doc.id, data: () => doc, get: (field) => doc[field] }))
+  });
+  return { collection: () => query };
+};
+
+describe('📄 List Pagination', () => {
+  test('round-trips opaque cursors and rejects tampered ones', () => {
+    const cursor = encodeCursor({ value: '2026-03-10', id: 'log-1' });
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(cursor)).toEqual({ value: '2026-03-10', id: 'log-1' });
+    expect(decodeCursor('not-a-cursor')).toBeNull();
+    expect(decodeCursor(Buffer.from('{"v":1}').toString('base64url'))).toBeNull();
+  });
+
+  test('validates sort and cursor query parameters', () => {
+    const next = jest.fn();
+    const cursor = encodeCursor({ value: '2026-03-10', id: 'log-1' });
+    const req = { query: { limit: '20', sort: 'asc', cursor } };
+
+    validateQueryParams(req, mockResponse(), next);
+    expect(next).toHaveBeenCalled();
+    expect(req.query).toMatchObject({ limit: 20, cursor: { value: '2026-03-10', id: 'log-1' } });
+
+    const badSort = mockResponse();
+    validateQueryParams({ query: { sort: 'sideways' } }, badSort, next);
+    expect(badSort.status).toHaveBeenCalledWith(400);
+
+    const badCursor = mockResponse();
+    validateQueryParams({ query: { cursor: 'garbage' } }, badCursor, next);
+    expect(badCursor.status).toHaveBeenCalledWith(400);
+  });
+
+  test('filters and pages in the query and returns a next cursor', async () => {
+    const originalDb = firestoreService.db;
+    const calls = [];
+    firestoreService.db = fakeCollection([
+      { id: 'a', local_date: '2026-03-12' },
+      { id: 'b', local_date: '2026-03-11' },
+      { id: 'c', local_date: '2026-03-10' }
+    ], calls);
+
+    try {
+      const page = await firestoreService.getUserPage('fitness_logs', 'user-1', {
+        field: 'local_date',
+        from: '2026-03-01',
+        to: '2026-03-31',
+        limit: 2,
+        cursor: { value: '2026-03-13', id: 'z' }
+      });
+
+      expect(page.items.map(item => item.id)).toEqual(['a', 'b']);
+      expect(decodeCursor(page.next_cursor)).toEqual({ value: '2026-03-11', id: 'b' });
+      expect(calls).toEqual(expect.arrayContaining([
+        ['where', 'local_date', '>=', '2026-03-01'],
+        ['where', 'local_date', '<=', '2026-03-31'],
+        ['startAfter', '2026-03-13', 'z'],
+        ['limit', 3]
+      ]));
+    } finally {
+      firestoreService.db = originalDb;
+    }
+  });
+});
@@ -0,0 +1,34 @@
+const periodService = require('../src/services/period');
+
+describe('🩸 Period Entries', () => {
+  test('derives start date and duration from bleeding days', () => {
+    const summary = periodService.derivePeriodSummary([
+      { entry_date: '2026-04-03', flow: 'light', pain_score: 2 },
+      { entry_date: '2026-04-01', flow: 'heavy', clots: true, pain_score: 6 },
+      { entry_date: '2026-04-02', flow: 'medium' },
+      { entry_date: '2026-04-04', flow: 'spotting' }
+    ]);
+
+    expect(summary.start_date).toBe('2026-04-01');
+    expect(summary.period_end_date).toBe('2026-04-03');
+    expect(summary.period_duration).toBe(3);
+    expect(summary.heaviest_flow).toBe('heavy');
+    expect(summary.clots_reported).toBe(true);
+    expect(summary.max_pain_score).toBe(6);
+    expect(summary.spotting_days).toBe(1);
+  });
+
+  test('ignores mid-cycle bleeding after the period has stopped', () => {
+    const summary = periodService.derivePeriodSummary([
+      { entry_date: '2026-04-01', flow: 'medium' },
+      { entry_date: '2026-04-02', flow: 'medium' },
+      { entry_date: '2026-04-14', flow: 'light' }
+    ]);
+
+    expect(summary.period_duration).toBe(2);
+  });
+
+  test('returns null when only spotting was logged', () => {
+    expect(periodService.derivePeriodSummary([{ entry_date: '2026-04-01', flow: 'spotting' }])).toBeNull();
+  });
+});
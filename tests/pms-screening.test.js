@@ -0,0 +1,69 @@
+const pmsScreeningService = require('../src/services/pms-screening');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const dayKey = (start, offset) => new Date(new Date(`${start}T00:00:00Z`).getTime() + offset * MS_PER_DAY).toISOString().split('T')[0];
+
+// Three 28-day cycles starting 2026-01-01 (two complete)
+const cycles = [0, 28, 56].map(offset => ({ start_date: dayKey('2026-01-01', offset) }));
+
+const PREMENSTRUAL_RATINGS = {
+  depressed: 5,
+  anxious: 4,
+  angry_irritable: 5,
+  less_interest: 4,
+  lethargic: 5,
+  breast_tenderness: 4,
+  impaired_productivity: 4
+};
+
+const buildRatings = (premenstrualRatings) => {
+  const ratings = [];
+  for (let offset = 0; offset < 56; offset++) {
+    const cycleDay = (offset % 28) + 1;
+    const ratingsForDay = cycleDay >= 22
+      ? premenstrualRatings
+      : Object.fromEntries(Object.keys(premenstrualRatings).map(item => [item, 1]));
+    ratings.push({ rating_date: dayKey('2026-01-01', offset), ratings: ratingsForDay });
+  }
+  return ratings;
+};
+
+describe('🌗 PMS/PMDD Screening', () => {
+  test('needs two fully rated cycles before reporting', () => {
+    const report = pmsScreeningService.screen(cycles.slice(0, 2), buildRatings(PREMENSTRUAL_RATINGS));
+
+    expect(report.status).toBe('insufficient_data');
+    expect(report.cycles_evaluated).toBe(1);
+    expect(report.result).toBeNull();
+  });
+
+  test('reports a PMDD-consistent pattern with mood symptoms and impairment', () => {
+    const report = pmsScreeningService.screen(cycles, buildRatings(PREMENSTRUAL_RATINGS));
+
+    expect(report.status).toBe('complete');
+    expect(report.cycles_evaluated).toBe(2);
+    expect(report.result).toBe('consistent_with_pmdd');
+    expect(report.cycles[0].domains_meeting_criteria).toEqual(
+      expect.arrayContaining(['depression', 'anxiety', 'anger_irritability', 'fatigue', 'physical'])
+    );
+    expect(report.persistent_symptoms).toBe(false);
+  });
+
+  test('uses mood and energy from mental health logs when no DRSP ratings exist', () => {
+    const mentalHealthLogs = [];
+    for (let offset = 0; offset < 56; offset++) {
+      const premenstrual = (offset % 28) + 1 >= 22;
+      mentalHealthLogs.push({
+        log_date: dayKey('2026-01-01', offset),
+        mood_rating: premenstrual ? 2 : 9,
+        energy_level: premenstrual ? 3 : 8
+      });
+    }
+
+    const report = pmsScreeningService.screen(cycles, [], mentalHealthLogs);
+
+    expect(report.status).toBe('complete');
+    expect(report.result).toBe('mild_premenstrual_changes');
+    expect(report.days_rated.mental_health_only).toBe(56);
+  });
+});
@@ -0,0 +1,72 @@
+const predictionService = require('../src/services/prediction');
+const { CYCLE_PHASES } = require('../src/utils/constants');
+
+const buildCycles = (firstStart, lengths) => {
+  const cycles = [];
+  let current = new Date(`${firstStart}T00:00:00Z`);
+  cycles.push({ start_date: current.toISOString().split('T')[0], period_duration: 5 });
+  lengths.forEach(length => {
+    current = new Date(current.getTime() + length * 24 * 60 * 60 * 1000);
+    cycles.push({ start_date: current.toISOString().split('T')[0], period_duration: 5 });
+  });
+  return cycles.reverse(); // Firestore returns newest first
+};
+
+describe('🔮 Cycle Prediction Service', () => {
+  test('learns cycle length from gaps between period starts', () => {
+    const stats = predictionService.calculateStatistics(buildCycles('2026-01-01', [32, 32, 32]));
+
+    expect(stats.average_cycle_length).toBe(32);
+    expect(stats.cycle_lengths).toEqual([32, 32, 32]);
+    expect(stats.is_personalized).toBe(true);
+    expect(stats.luteal_phase_source).toBe('default');
+  });
+
+  test('weights recent cycles more heavily', () => {
+    const stats = predictionService.calculateStatistics(buildCycles('2026-01-01', [26, 26, 34]));
+
+    expect(stats.average_cycle_length).toBeGreaterThan(29);
+    expect(stats.cycle_length_std_dev).toBeGreaterThan(1);
+  });
+
+  test('falls back to defaults without history', () => {
+    const stats = predictionService.calculateStatistics([]);
+
+    expect(stats.average_cycle_length).toBe(28);
+    expect(stats.is_personalized).toBe(false);
+    expect(predictionService.predictCycles([]).predictions).toEqual([]);
+  });
+
+  test('uses observed ovulation dates for the luteal phase', () => {
+    const cycles = buildCycles('2026-01-01', [30, 30]);
+    cycles[2].ovulation_date = '2026-01-19'; // 12 days before 2026-01-31
+    cycles[1].ovulation_date = '2026-02-18'; // 12 days before 2026-03-02
+
+    const stats = predictionService.calculateStatistics(cycles);
+    expect(stats.luteal_phase_length).toBe(12);
+    expect(stats.luteal_phase_source).toBe('observed');
+  });
+
+  test('predicts upcoming periods with widening confidence intervals', () => {
+    const cycles = buildCycles('2026-01-01', [30, 31, 29, 30]);
+    const { predictions } = predictionService.predictCycles(cycles, 3, new Date('2026-05-01T00:00:00Z'));
+
+    expect(predictions).toHaveLength(3);
+    expect(predictions[0].period_start).toBe('2026-05-31');
+
+    const width = p => new Date(p.period_start_interval.latest) - new Date(p.period_start_interval.earliest);
+    expect(width(predictions[2])).toBeGreaterThanOrEqual(width(predictions[0]));
+    expect(predictions[0].fertile_window.end > predictions[0].fertile_window.start).toBe(true);
+  });
+
+  test('places ovulation later for longer personal cycles', () => {
+    const cycles = buildCycles('2026-01-01', [32, 32]);
+    const stats = predictionService.calculateStatistics(cycles);
+    const latest = cycles[0];
+    const day = offset => new Date(new Date(`${latest.start_date}T00:00:00Z`).getTime() + offset * 24 * 60 * 60 * 1000);
+
+    expect(predictionService.getCyclePhase(latest, stats, day(15))).toBe(CYCLE_PHASES.FOLLICULAR);
+    expect(predictionService.getCyclePhase(latest, stats, day(18))).toBe(CYCLE_PHASES.OVULATION);
+    expect(predictionService.getCyclePhase(latest, stats, day(25))).toBe(CYCLE_PHASES.LUTEAL);
+  });
+});
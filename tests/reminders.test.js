@@ -0,0 +1,61 @@
+const reminderService = require('../src/services/reminders');
+const { FcmTransport, MemoryTransport } = require('../src/services/notification-transports');
+const { DEFAULT_USER_SETTINGS, REMINDER_TYPES } = require('../src/utils/constants');
+const { toLocalDateKey, toLocalMinutes } = require('../src/utils/dates');
+
+const predictions = {
+  predictions_suppressed: false,
+  predictions: [{ period_start: '2026-03-12', fertile_window: { start: '2026-02-25', end: '2026-03-01' } }]
+};
+const pill = {
+  id: 'pill',
+  name: 'Yasmin',
+  category: 'contraception',
+  contraception_method: 'combined_pill',
+  schedule: 'pill_pack',
+  pack: { active_pills: 21, placebo_pills: 7, start_date: '2026-03-01' },
+  start_date: '2026-03-01',
+  reminder_times: ['21:00']
+};
+const withToggles = (notifications) => ({ ...DEFAULT_USER_SETTINGS, notifications: { ...DEFAULT_USER_SETTINGS.notifications, ...notifications } });
+const types = (reminders) => reminders.map(reminder => reminder.type);
+
+describe('⏰ Reminders', () => {
+  test('sends period reminders in the user\'s local morning, honoring toggles', () => {
+    // 14:00 UTC is 09:00 in Bogotá (UTC-5)
+    const now = new Date('2026-03-10T14:00:00Z');
+    const local = { today: toLocalDateKey(now, 'America/Bogota'), minutes: toLocalMinutes(now, 'America/Bogota') };
+
+    expect(types(reminderService.buildReminders({ ...local, settings: DEFAULT_USER_SETTINGS, predictions }))).toEqual([REMINDER_TYPES.PERIOD]);
+    expect(reminderService.buildReminders({ ...local, settings: withToggles({ period_reminders: false }), predictions })).toEqual([]);
+    expect(reminderService.buildReminders({ ...local, settings: DEFAULT_USER_SETTINGS, predictions: { ...predictions, predictions_suppressed: true } })).toEqual([]);
+
+    // Same instant is 14:00 in UTC: not the morning slot
+    expect(reminderService.buildReminders({ today: '2026-03-10', minutes: 14 * 60, settings: DEFAULT_USER_SETTINGS, predictions })).toEqual([]);
+  });
+
+  test('reminds pill time on active days only and skips doses already taken', () => {
+    const evening = { minutes: 21 * 60 + 5, settings: DEFAULT_USER_SETTINGS, medications: [pill] };
+
+    expect(types(reminderService.buildReminders({ ...evening, today: '2026-03-05' }))).toEqual([REMINDER_TYPES.MEDICATION]);
+    expect(reminderService.buildReminders({ ...evening, today: '2026-03-05', dosesToday: [{ medication_id: 'pill', status: 'taken' }] })).toEqual([]);
+    expect(reminderService.buildReminders({ ...evening, today: '2026-03-24' })).toEqual([]); // placebo week
+    expect(reminderService.buildReminders({ ...evening, today: '2026-03-05', settings: withToggles({ medication_reminders: false }) })).toEqual([]);
+
+    const nudge = reminderService.buildReminders({ today: '2026-03-05', minutes: 20 * 60, settings: DEFAULT_USER_SETTINGS, loggedToday: false });
+    expect(types(nudge)).toEqual([REMINDER_TYPES.DAILY_LOG]);
+  });
+
+  test('delivers through pluggable transports', async () => {
+    const notification = { type: REMINDER_TYPES.PERIOD, title: 'Period coming up', body: 'Soon', data: { date: '2026-03-12', missing: null } };
+
+    const memory = new MemoryTransport();
+    await memory.send('user-1', notification);
+    expect(memory.sent).toEqual([expect.objectContaining({ user_id: 'user-1', type: 'period' })]);
+
+    const notificationService = { sendToUser: jest.fn(async () => ({ delivered: 2, failed: 0, pruned: 1 })) };
+    const fcm = new FcmTransport({ notificationService });
+    expect(await fcm.send('user-1', notification)).toEqual({ delivered: 2, failed: 0 });
+    expect(notificationService.sendToUser).toHaveBeenCalledWith('user-1', notification);
+  });
+});
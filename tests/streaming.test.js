@@ -0,0 +1,91 @@
+const { EventEmitter } = require('events');
+const openaiService = require('../src/services/openai');
+const { OpenAIProvider } = require('../src/services/llm-providers');
+const { sendEvent, abortOnDisconnect } = require('../src/utils/sse');
+
+/**
+ * Fake OpenAI client streaming the given pieces of content
+ */
+const fakeClient = (pieces, onPiece = () => {}) => ({
+  chat: {
+    completions: {
+      create: jest.fn(async (params, { signal } = {}) => (async function* () {
+        for (const [index, content] of pieces.entries()) {
+          if (signal?.aborted) throw new Error('Request was aborted.');
+          onPiece(index);
+          yield { choices: [{ delta: { content } }] };
+        }
+      })())
+    }
+  }
+});
+
+/**
+ * Fake response recording written events
+ */
+const fakeResponse = () => {
+  const res = new EventEmitter();
+  res.chunks = [];
+  res.writableEnded = false;
+  res.write = (chunk) => res.chunks.push(chunk);
+  return res;
+};
+
+describe('📡 Streaming AI Responses', () => {
+  const original = openaiService.provider;
+
+  afterEach(() => {
+    openaiService.setProvider(original);
+  });
+
+  test('streams the insight summary and assembles the final insight', async () => {
+    // Escape sequences may be split across pieces
+    const pieces = [
+      '{"summary": "Stay hyd',
+      'rated today.\\',
+      'n\\u00a1Sip water!", ',
+      '"recommendations": [{"text": "Drink a glass of water with each meal", "category": "nutrition", "priority": "high"}]}'
+    ];
+    const client = fakeClient(pieces);
+    openaiService.setProvider(new OpenAIProvider({ client }));
+
+    const deltas = [];
+    const onRetry = jest.fn();
+    const insight = await openaiService.streamHealthInsight({ age: 30 }, 'nutrition_advice', { onDelta: delta => deltas.push(delta), onRetry });
+
+    expect(deltas).toEqual(['Stay hyd', 'rated today.', '\n¡Sip water!']);
+    expect(onRetry).not.toHaveBeenCalled();
+    expect(insight).toMatchObject({
+      type: 'nutrition_advice',
+      title: 'Nutrition Recommendations',
+      content: 'Stay hydrated today.\n¡Sip water!',
+      recommendations: [{ text: 'Drink a glass of water with each meal', category: 'nutrition', priority: 'high' }],
+      follow_up_questions: []
+    });
+    expect(client.chat.completions.create.mock.calls[0][0]).toMatchObject({ model: 'gpt-3.5-turbo', stream: true, response_format: { type: 'json_object' } });
+  });
+
+  test('stops streaming and returns nothing when the client disconnects', async () => {
+    const res = fakeResponse();
+    const controller = abortOnDisconnect(res);
+
+    // The client goes away after the second piece
+    openaiService.setProvider(new OpenAIProvider({ client: fakeClient(['One ', 'two ', 'three.'], index => index === 1 && res.emit('close')) }));
+
+    const tip = await openaiService.streamQuickTip('sleep', {
+      signal: controller.signal,
+      onDelta: content => sendEvent(res, 'delta', { content })
+    });
+
+    expect(controller.signal.aborted).toBe(true);
+    expect(tip).toBeNull();
+    expect(res.chunks).toEqual([
+      'event: delta\ndata: {"content":"One "}\n\n',
+      'event: delta\ndata: {"content":"two "}\n\n'
+    ]);
+
+    // Nothing is written once the response has ended
+    res.writableEnded = true;
+    expect(sendEvent(res, 'done', {})).toBe(false);
+  });
+});
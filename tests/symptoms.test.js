@@ -0,0 +1,53 @@
+const {
+  getSymptomCatalog,
+  mapFreeTextSymptoms,
+  normalizeSymptomEntry,
+  describeSymptoms,
+  normalizeSymptomText
+} = require('../src/utils/symptom-catalog');
+
+describe('🩹 Symptom Catalog', () => {
+  test('serves a versioned catalog with unique symptom IDs', () => {
+    const catalog = getSymptomCatalog();
+    const ids = catalog.symptoms.map(symptom => symptom.id);
+
+    expect(catalog.version).toMatch(/^\d+\.\d+\.\d+$/);
+    expect(new Set(ids).size).toBe(ids.length);
+    catalog.symptoms
+      .filter(symptom => symptom.category === 'pain')
+      .forEach(symptom => expect(catalog.body_locations).toContain(symptom.default_location));
+  });
+
+  test('maps free-text cycle symptoms to catalog IDs', () => {
+    const mapping = mapFreeTextSymptoms(['Cramping', 'tired', 'Lower-back pain', 'cramps', 'weird dreams']);
+
+    expect(mapping.symptom_ids).toEqual(['cramps', 'fatigue', 'back_pain']);
+    expect(mapping.unmapped_symptoms).toEqual(['weird dreams']);
+  });
+
+  test('maps Spanish and French symptoms, with or without accents', () => {
+    const mapping = mapFreeTextSymptoms(['Náuseas', 'nauseas', 'Dolor de cabeza', 'MAL DE TÊTE', 'Sautes d’humeur', 'ballonnements', 'Rétention d eau']);
+
+    expect(mapping.symptom_ids).toEqual(['nausea', 'headache', 'mood_swings', 'bloating']);
+    expect(mapping.unmapped_symptoms).toEqual(['Rétention d eau']);
+
+    // Every alias maps to a single symptom
+    const owners = new Map();
+    getSymptomCatalog().symptoms.forEach(symptom => [symptom.id, symptom.name, ...symptom.aliases].forEach(text => {
+      const key = normalizeSymptomText(text);
+      expect([undefined, symptom.id]).toContain(owners.get(key));
+      owners.set(key, symptom.id);
+    }));
+  });
+
+  test('resolves pain locations and describes logged symptoms', () => {
+    const entries = [
+      normalizeSymptomEntry({ symptom_id: 'cramps', severity: 'severe' }),
+      normalizeSymptomEntry({ symptom_id: 'fatigue', severity: 'mild' })
+    ];
+
+    expect(entries[0]).toEqual({ symptom_id: 'cramps', category: 'pain', severity: 'severe', location: 'abdomen' });
+    expect(entries[1].location).toBeUndefined();
+    expect(describeSymptoms(entries)).toBe('Cramps (severe, abdomen), Fatigue (mild)');
+  });
+});
@@ -0,0 +1,41 @@
+const { toLocalDateKey, toLogDateKey, localDateFields, isValidTimeZone } = require('../src/utils/dates');
+const calendarService = require('../src/services/calendar');
+
+describe('🌎 Time Zone Aware Dates', () => {
+  test('keeps a 9pm dinner in Bogotá on the day it was eaten', () => {
+    const dinner = new Date('2026-03-11T02:00:00Z'); // 21:00 on March 10 in Bogotá (UTC-5)
+
+    expect(toLocalDateKey(dinner, 'America/Bogota')).toBe('2026-03-10');
+    expect(toLocalDateKey(dinner, 'UTC')).toBe('2026-03-11');
+    expect(toLocalDateKey('2026-03-10', 'Asia/Tokyo')).toBe('2026-03-10');
+    expect(localDateFields(dinner, 'Not/A_Zone')).toEqual({ local_date: '2026-03-11', time_zone: 'UTC' });
+    expect(isValidTimeZone('Europe/Madrid')).toBe(true);
+  });
+
+  test('prefers the stored local date over UTC timestamps', () => {
+    const log = {
+      logged_at: new Date('2026-03-11T02:00:00Z'),
+      ...localDateFields(new Date('2026-03-11T02:00:00Z'), 'America/Bogota')
+    };
+
+    expect(toLogDateKey(log)).toBe('2026-03-10');
+    expect(toLogDateKey({ logged_at: new Date('2026-03-11T02:00:00Z') })).toBe('2026-03-11');
+  });
+
+  test('places logs on their local day in the calendar', () => {
+    const days = calendarService.buildCalendar({
+      from: '2026-03-10',
+      to: '2026-03-11',
+      logs: {
+        mentalHealth: [{
+          mood_rating: 6,
+          logged_at: new Date('2026-03-11T02:00:00Z'),
+          ...localDateFields(new Date('2026-03-11T02:00:00Z'), 'America/Bogota')
+        }]
+      }
+    });
+
+    expect(days[0].logs.mental_health.count).toBe(1);
+    expect(days[1].logs.mental_health).toBeUndefined();
+  });
+});
@@ -0,0 +1,70 @@
+const trackingModeService = require('../src/services/tracking-mode');
+const anomalyService = require('../src/services/anomalies');
+const firestoreService = require('../src/services/firestore');
+
+describe('🤰 Life-stage Tracking Modes', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('calculates gestational age and due date adjusted for cycle length', () => {
+    const standard = trackingModeService.calculatePregnancy('2026-01-01', 28, new Date('2026-03-01T00:00:00Z'));
+    expect(standard.due_date).toBe('2026-10-08');
+    expect(standard.gestational_week).toBe(8);
+    expect(standard.trimester).toBe(1);
+
+    const longCycle = trackingModeService.calculatePregnancy('2026-01-01', 32, new Date('2026-03-01T00:00:00Z'));
+    expect(longCycle.due_date).toBe('2026-10-12');
+    expect(longCycle.gestational_week).toBe(7);
+  });
+
+  test('counts skipped cycles from long gaps', () => {
+    const cycles = [
+      { start_date: '2026-01-01' },
+      { start_date: '2026-01-29' },
+      { start_date: '2026-03-26' },
+      { start_date: '2026-06-18' }
+    ];
+
+    expect(trackingModeService.countSkippedCycles(cycles, 28)).toBe(3);
+  });
+
+  test('suppresses predictions and missed period flags in pregnancy', () => {
+    const status = trackingModeService.buildStatus({ tracking_mode: 'pregnancy', pregnancy_lmp: '2026-01-01' }, []);
+    expect(status.predictions_suppressed).toBe(true);
+
+    const cycles = [{ start_date: '2025-12-04' }, { start_date: '2026-01-01' }];
+    const report = anomalyService.detectAnomalies(cycles, new Date('2026-05-01T00:00:00Z'), 'pregnancy');
+    expect(report.flags.map(flag => flag.code)).not.toContain('amenorrhea');
+  });
+
+  test('uses the profile and cycles already read by the caller', async () => {
+    const getProfile = jest.spyOn(firestoreService, 'getUserProfile');
+    const getCycles = jest.spyOn(firestoreService, 'getCycles');
+    const profile = { tracking_mode: 'postpartum', delivery_date: '2026-01-01' };
+
+    const status = await trackingModeService.getUserStatus('user-1', { profile, cycles: [] });
+
+    expect(status).toMatchObject({ tracking_mode: 'postpartum', predictions_suppressed: true, postpartum: { delivery_date: '2026-01-01' } });
+    expect(getProfile).not.toHaveBeenCalled();
+    expect(getCycles).not.toHaveBeenCalled();
+  });
+
+  test('reads the whole hot flash window up to the given day', async () => {
+    const getLogs = jest.spyOn(firestoreService, 'getHotFlashLogs').mockResolvedValue([
+      { log_date: '2026-03-02', count: 4, severity: 'severe', night_sweats: true },
+      { log_date: '2026-03-20', count: 2, severity: 'mild' }
+    ]);
+
+    const logs = await trackingModeService.getRecentHotFlashLogs('user-1', '2026-03-31');
+
+    expect(getLogs).toHaveBeenCalledWith('user-1', '2026-03-01', '2026-03-31', 31);
+    expect(trackingModeService.summarizeHotFlashes(logs)).toEqual({
+      days_logged: 2,
+      total_hot_flashes: 6,
+      average_per_logged_day: 3,
+      severe_days: 1,
+      night_sweat_days: 1
+    });
+  });
+});